@@ -5,12 +5,21 @@ class DatadogAlertDocsApp {
         this.templates = [];
         this.documents = [];
         this.pendingAlerts = [];
+        this.rules = [];
+        this.customSources = [];
+        this.alertView = 'pending';
+        this.alertHistory = [];
+        this.alertHistoryCursor = null;
+        this.contextSchemas = {};
+        this.renderSettings = null;
+        this.outputFormats = { markdown: 'Markdown', html: 'HTML', plaintext: 'Plain text' };
         this.init();
     }
 
     async init() {
         this.setupEventListeners();
         this.updateWebhookUrl();
+        this.loadRenderSettings();
         await this.loadDashboardData();
         this.startPeriodicRefresh();
     }
@@ -26,6 +35,11 @@ class DatadogAlertDocsApp {
         // Forms
         this.setupFormHandlers();
 
+        document.getElementById('alert-history-filters').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.loadAlertHistory();
+        });
+
         // Search and filters
         this.setupSearchAndFilters();
 
@@ -43,6 +57,15 @@ class DatadogAlertDocsApp {
             });
         }
 
+        if (createTemplateForm) {
+            this.attachLivePreview(createTemplateForm, 'template-preview');
+            this.attachTemplateAutocomplete(document.getElementById('template-content'), () => createTemplateForm.elements.type.value);
+            this.renderTemplateReference('template-reference', () => createTemplateForm.elements.type.value);
+            createTemplateForm.elements.type.addEventListener('change', () => {
+                this.renderTemplateReference('template-reference', () => createTemplateForm.elements.type.value);
+            });
+        }
+
         // Upload template form
         const uploadTemplateForm = document.getElementById('upload-template-form');
         if (uploadTemplateForm) {
@@ -157,7 +180,13 @@ class DatadogAlertDocsApp {
                 await this.loadDocuments();
                 break;
             case 'alerts':
-                await this.loadPendingAlerts();
+                await (this.alertView === 'history' ? this.loadAlertHistory() : this.loadPendingAlerts());
+                break;
+            case 'rules':
+                await this.loadRules();
+                break;
+            case 'sources':
+                await this.loadCustomSources();
                 break;
         }
     }
@@ -165,20 +194,22 @@ class DatadogAlertDocsApp {
     async loadDashboardData() {
         try {
             // Load counts
-            const [templatesRes, documentsRes, alertsRes] = await Promise.all([
+            const [templatesRes, documentsRes, incidentsRes] = await Promise.all([
                 fetch('/api/templates'),
                 fetch('/api/documents'),
-                fetch('/api/webhook/pending')
+                fetch('/api/incidents?status=open')
             ]);
 
             const templatesData = await templatesRes.json();
             const documentsData = await documentsRes.json();
-            const alertsData = await alertsRes.json();
+            const incidentsData = await incidentsRes.json();
 
             // Update counts
             document.getElementById('templates-count').textContent = templatesData.count || 0;
             document.getElementById('documents-count').textContent = documentsData.count || 0;
-            document.getElementById('pending-alerts-count').textContent = alertsData.count || 0;
+            document.getElementById('open-incidents-count').textContent = incidentsData.count || 0;
+
+            this.renderOpenIncidents(incidentsData.incidents || []);
 
             // Load recent documents
             await this.loadRecentDocuments();
@@ -230,6 +261,323 @@ class DatadogAlertDocsApp {
         `).join('');
     }
 
+    renderOpenIncidents(incidents) {
+        const container = document.getElementById('open-incidents');
+
+        if (incidents.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-check-circle"></i>
+                    <h3>No open incidents</h3>
+                    <p>Related alerts are grouped into incidents as they arrive</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = incidents.map(incident => `
+            <div class="document-item">
+                <div>
+                    <div class="document-item-title">${this.escapeHtml(incident.title)}</div>
+                    <div class="document-item-meta">
+                        ${Object.entries(incident.groupedBy).map(([key, value]) => this.escapeHtml(`${key.replace(/^tag:/, '')}: ${value}`)).join(' • ')}
+                        ${Object.keys(incident.groupedBy).length > 0 ? ' • ' : ''}${incident.alertCount} alert${incident.alertCount === 1 ? '' : 's'}
+                        • opened ${this.formatDate(incident.openedAt)}
+                        ${incident.documentId ? ' • documented' : ''}
+                    </div>
+                </div>
+                <div class="incident-actions">
+                    <span class="priority-badge priority-${incident.status === 'acknowledged' ? 'medium' : 'high'}">${incident.status}</span>
+                    <button class="btn btn-primary" onclick="app.documentIncident('${incident.id}')">
+                        <i class="fas fa-file-alt"></i>
+                        Document
+                    </button>
+                    <button class="btn btn-secondary" onclick="app.createPostmortem('${incident.id}')">
+                        <i class="fas fa-clipboard-list"></i>
+                        Post-mortem
+                    </button>
+                    <button class="btn btn-secondary" onclick="app.resolveIncident('${incident.id}')">
+                        <i class="fas fa-check"></i>
+                        Resolve
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async documentIncident(incidentId) {
+        try {
+            const templatesResponse = await fetch('/api/templates');
+            const templatesData = await templatesResponse.json();
+            // Post-mortem templates are only used by the post-mortem builder
+            const alertTemplates = (templatesData.templates || []).filter(template => !template.type || template.type === 'alert');
+
+            if (!templatesData.success || alertTemplates.length === 0) {
+                this.showToast('No templates available. Please create a template first.', 'error');
+                return;
+            }
+
+            const modalContent = `
+                <div class="modal-header">
+                    <h2>Document Incident</h2>
+                    <button class="close-btn" onclick="app.closeModal('document-incident-modal')">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <form id="document-incident-form">
+                        <div class="form-group">
+                            <label for="incident-template-select">Choose Template:</label>
+                            <select id="incident-template-select" name="templateId" required>
+                                <option value="">Select a template...</option>
+                                ${alertTemplates.map(template =>
+                                    `<option value="${template.id}">${this.escapeHtml(template.name)} (${template.category})</option>`
+                                ).join('')}
+                            </select>
+                            <small>Templates can list every member alert with <code>{{#each incident.alerts}}</code></small>
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" onclick="app.closeModal('document-incident-modal')">Cancel</button>
+                            <button type="submit" class="btn btn-primary">Generate Document</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+
+            this.showModal('document-incident-modal', modalContent);
+
+            document.getElementById('document-incident-form').addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const templateId = new FormData(e.target).get('templateId');
+
+                try {
+                    const response = await fetch(`/api/incidents/${incidentId}/document`, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json'
+                        },
+                        body: JSON.stringify({ templateId })
+                    });
+                    const data = await response.json();
+
+                    if (!data.success) {
+                        throw new Error(data.message || 'Failed to document incident');
+                    }
+
+                    this.showToast('Incident documented successfully', 'success');
+                    this.closeModal('document-incident-modal');
+                    await this.loadDashboardData();
+                } catch (error) {
+                    console.error('Error documenting incident:', error);
+                    this.showToast(error.message || 'Error documenting incident', 'error');
+                }
+            });
+        } catch (error) {
+            console.error('Error preparing incident documentation:', error);
+            this.showToast('Error loading templates', 'error');
+        }
+    }
+
+    async createPostmortem(incidentId) {
+        try {
+            const response = await fetch('/api/postmortems', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ incidentId })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to generate post-mortem');
+            }
+
+            this.showToast('Post-mortem generated', 'success');
+            await this.loadDashboardData();
+            this.showPostmortemModal(data.document);
+        } catch (error) {
+            console.error('Error generating post-mortem:', error);
+            this.showToast(error.message || 'Error generating post-mortem', 'error');
+        }
+    }
+
+    async editPostmortem(documentId) {
+        try {
+            const response = await fetch(`/api/postmortems/${documentId}`);
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to load post-mortem');
+            }
+            this.showPostmortemModal(data.document);
+        } catch (error) {
+            console.error('Error loading post-mortem:', error);
+            this.showToast(error.message || 'Error loading post-mortem', 'error');
+        }
+    }
+
+    // Action items are edited one per line as "description | owner | due | done"
+    formatActionItems(actionItems) {
+        return actionItems.map(item =>
+            [item.description, item.owner, item.due, item.status === 'done' ? 'done' : ''].join(' | ').replace(/( \| )+$/, '')
+        ).join('\n');
+    }
+
+    parseActionItems(text) {
+        return text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+            const [description, owner = '', due = '', status = ''] = line.split('|').map(part => part.trim());
+            return { description, owner, due, status: status.toLowerCase() === 'done' ? 'done' : 'open' };
+        });
+    }
+
+    showPostmortemModal(doc) {
+        const { postmortem } = doc;
+        const sectionField = (key, label) => `
+            <div class="form-group">
+                <label for="postmortem-${key}">${label}</label>
+                <textarea id="postmortem-${key}" name="${key}" rows="4">${this.escapeHtml(postmortem.sections[key] || '')}</textarea>
+            </div>
+        `;
+
+        const modalContent = `
+            <div class="modal-header">
+                <h2>Post-mortem</h2>
+                <button class="close-btn" onclick="app.closeModal('postmortem-modal')">&times;</button>
+            </div>
+            <div class="modal-body">
+                <form id="postmortem-form">
+                    <div class="form-group">
+                        <label for="postmortem-title">Title</label>
+                        <input type="text" id="postmortem-title" name="title" value="${this.escapeHtml(doc.title)}" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="postmortem-status">Status</label>
+                        <select id="postmortem-status" name="status">
+                            ${['draft', 'review', 'final'].map(status =>
+                                `<option value="${status}" ${doc.status === status ? 'selected' : ''}>${status}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label>Impact</label>
+                        <p>${postmortem.impact.alertCount} alert(s) • ${postmortem.impact.duration || 'unknown duration'}${postmortem.impact.ongoing ? ' (ongoing)' : ''}</p>
+                    </div>
+                    <div class="form-group">
+                        <label>Timeline</label>
+                        <ul class="check-list">
+                            ${postmortem.timeline.map(entry => `
+                                <li>${this.formatDate(entry.at)} ${this.escapeHtml(entry.label)}</li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                    ${sectionField('summary', 'Summary')}
+                    ${sectionField('rootCause', 'Root Cause')}
+                    ${sectionField('resolution', 'Resolution')}
+                    <div class="form-group">
+                        <label for="postmortem-action-items">Action Items</label>
+                        <textarea id="postmortem-action-items" name="actionItems" rows="4" class="code-input" placeholder="Add alerting on queue depth | alice | 2026-11-01">${this.escapeHtml(this.formatActionItems(postmortem.actionItems))}</textarea>
+                        <small>One per line: description | owner | due date | done</small>
+                    </div>
+                    <div class="form-group">
+                        <label for="postmortem-owners">Owners</label>
+                        <input type="text" id="postmortem-owners" name="owners" value="${this.escapeHtml(postmortem.owners.join(', '))}" placeholder="alice, bob">
+                    </div>
+                    ${sectionField('lessonsLearned', 'Lessons Learned')}
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" onclick="app.refreshPostmortem('${doc.id}')">
+                            <i class="fas fa-sync"></i>
+                            Refresh Timeline
+                        </button>
+                        <button type="submit" class="btn btn-primary">Save Post-mortem</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        this.showModal('postmortem-modal', modalContent);
+
+        document.getElementById('postmortem-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.handleSavePostmortem(doc.id, new FormData(e.target));
+        });
+    }
+
+    async handleSavePostmortem(documentId, formData) {
+        try {
+            const response = await fetch(`/api/postmortems/${documentId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    title: formData.get('title'),
+                    status: formData.get('status'),
+                    sections: {
+                        summary: formData.get('summary'),
+                        rootCause: formData.get('rootCause'),
+                        resolution: formData.get('resolution'),
+                        lessonsLearned: formData.get('lessonsLearned')
+                    },
+                    actionItems: this.parseActionItems(formData.get('actionItems')),
+                    owners: formData.get('owners')
+                })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to save post-mortem');
+            }
+
+            this.showToast('Post-mortem saved', 'success');
+            this.closeModal('postmortem-modal');
+            if (this.currentTab === 'documents') {
+                await this.loadDocuments();
+            }
+        } catch (error) {
+            console.error('Error saving post-mortem:', error);
+            this.showToast(error.message || 'Error saving post-mortem', 'error');
+        }
+    }
+
+    async refreshPostmortem(documentId) {
+        try {
+            const response = await fetch(`/api/postmortems/${documentId}/refresh`, { method: 'POST' });
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to refresh post-mortem');
+            }
+
+            this.showToast('Timeline refreshed', 'success');
+            this.showPostmortemModal(data.document);
+        } catch (error) {
+            console.error('Error refreshing post-mortem:', error);
+            this.showToast(error.message || 'Error refreshing post-mortem', 'error');
+        }
+    }
+
+    async resolveIncident(incidentId) {
+        try {
+            const response = await fetch(`/api/incidents/${incidentId}/status`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ status: 'resolved' })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to resolve incident');
+            }
+
+            this.showToast('Incident resolved', 'success');
+            await this.loadDashboardData();
+        } catch (error) {
+            console.error('Error resolving incident:', error);
+            this.showToast(error.message || 'Error resolving incident', 'error');
+        }
+    }
+
     async loadTemplates() {
         try {
             const response = await fetch('/api/templates');
@@ -329,6 +677,7 @@ class DatadogAlertDocsApp {
                         <div class="card-title">${this.escapeHtml(doc.title)}</div>
                         <div class="card-meta">
                             ${doc.alertType} • ${this.formatDate(doc.createdAt)} • Template: ${this.escapeHtml(doc.templateName)}
+                            ${doc.status === 'render_failed' ? '• <span class="text-danger">Template exceeded its render limits</span>' : ''}
                         </div>
                     </div>
                     <span class="priority-badge priority-${doc.priority}">${doc.priority}</span>
@@ -338,7 +687,7 @@ class DatadogAlertDocsApp {
                         <i class="fas fa-eye"></i>
                         View
                     </button>
-                    <button class="btn btn-primary" onclick="app.downloadDocument('${doc.id}', 'txt')">
+                    <button class="btn btn-primary" onclick="app.downloadDocument('${doc.id}')">
                         <i class="fas fa-download"></i>
                         Download
                     </button>
@@ -404,12 +753,188 @@ class DatadogAlertDocsApp {
                             <i class="fas fa-eye"></i>
                             Details
                         </button>
+                        <button class="btn btn-secondary" onclick="app.saveAlertAsSample('${alert.id}')">
+                            <i class="fas fa-vial"></i>
+                            Save as Sample
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Alert History
+    async switchAlertView(view) {
+        this.alertView = view;
+        document.getElementById('pending-alerts-list').style.display = view === 'pending' ? '' : 'none';
+        document.getElementById('alert-history').style.display = view === 'history' ? '' : 'none';
+        document.getElementById('alert-view-pending').className = `btn ${view === 'pending' ? 'btn-primary' : 'btn-secondary'}`;
+        document.getElementById('alert-view-history').className = `btn ${view === 'history' ? 'btn-primary' : 'btn-secondary'}`;
+
+        if (view === 'history') {
+            await this.loadAlertHistory();
+        } else {
+            await this.loadPendingAlerts();
+        }
+    }
+
+    alertHistoryQuery() {
+        const params = new URLSearchParams();
+        const formData = new FormData(document.getElementById('alert-history-filters'));
+
+        for (const [key, value] of formData.entries()) {
+            if (!value) continue;
+            // Date inputs cover the whole selected day
+            if (key === 'since') {
+                params.set(key, new Date(`${value}T00:00:00`).toISOString());
+            } else if (key === 'until') {
+                params.set(key, new Date(`${value}T23:59:59.999`).toISOString());
+            } else {
+                params.set(key, value);
+            }
+        }
+        return params;
+    }
+
+    async loadAlertHistory(append = false) {
+        try {
+            const params = this.alertHistoryQuery();
+            params.set('limit', '25');
+            if (append && this.alertHistoryCursor) {
+                params.set('cursor', this.alertHistoryCursor);
+            }
+
+            const response = await fetch(`/api/alerts?${params.toString()}`);
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to load alert history');
+            }
+
+            this.alertHistory = append ? this.alertHistory.concat(data.alerts) : data.alerts;
+            this.alertHistoryCursor = data.nextCursor;
+
+            document.getElementById('alert-history-total').textContent = `${data.total} matching alert(s)`;
+            document.getElementById('alert-history-more').style.display = data.nextCursor ? '' : 'none';
+            this.renderAlertHistory(this.alertHistory);
+        } catch (error) {
+            console.error('Error loading alert history:', error);
+            this.showToast(error.message || 'Error loading alert history', 'error');
+        }
+    }
+
+    renderAlertHistory(alerts) {
+        const container = document.getElementById('alert-history-list');
+
+        if (alerts.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-history"></i>
+                    <h3>No alerts found</h3>
+                    <p>Try widening the filters</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = alerts.map(alert => `
+            <div class="alert-card">
+                <div class="alert-header">
+                    <div>
+                        <div class="alert-title">${this.escapeHtml(alert.title)}</div>
+                        <div class="alert-meta">
+                            ${this.escapeHtml(alert.source)} • ${this.escapeHtml(alert.alertType)} • ${this.formatDate(alert.timestamp)}
+                            • <span class="priority-badge priority-${alert.priority}">${alert.priority}</span>
+                            • ${alert.status === 'processed' ? 'Processed' : 'Pending'}
+                            ${alert.occurrences > 1 ? `• ${alert.occurrences} occurrences` : ''}
+                        </div>
+                        ${alert.tags.length > 0 ? `
+                            <div class="rule-conditions mt-2">
+                                ${alert.tags.slice(0, 8).map(tag => `<span class="rule-condition">${this.escapeHtml(tag)}</span>`).join('')}
+                            </div>
+                        ` : ''}
+                    </div>
+                    <div class="alert-actions">
+                        ${alert.documentId ? `
+                            <button class="btn btn-secondary" onclick="app.viewDocument('${alert.documentId}')">
+                                <i class="fas fa-file-alt"></i>
+                                Document
+                            </button>
+                        ` : ''}
+                        <button class="btn btn-secondary" onclick="app.replayAlert('${alert.id}')">
+                            <i class="fas fa-redo"></i>
+                            Replay
+                        </button>
+                        <button class="btn btn-secondary" onclick="app.viewAlertDetails('${alert.id}')">
+                            <i class="fas fa-eye"></i>
+                            Details
+                        </button>
+                        <button class="btn btn-secondary" onclick="app.saveAlertAsSample('${alert.id}')">
+                            <i class="fas fa-vial"></i>
+                            Save as Sample
+                        </button>
                     </div>
                 </div>
             </div>
         `).join('');
     }
 
+    async replayAlert(alertId) {
+        if (!confirm('Regenerate documentation for this alert? The new document will replace the current one.')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/alerts/${alertId}/replay`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({})
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showToast('Alert replayed and document regenerated', 'success');
+                await this.loadAlertHistory();
+            } else {
+                throw new Error(data.message || 'Failed to replay alert');
+            }
+        } catch (error) {
+            console.error('Error replaying alert:', error);
+            this.showToast(error.message || 'Error replaying alert', 'error');
+        }
+    }
+
+    async saveAlertAsSample(alertId) {
+        const name = prompt('Sample name (leave empty to use the alert title):');
+        if (name === null) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/samples/from-alert/${alertId}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ name })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showToast(`Saved sample "${data.sample.name}"`, 'success');
+            } else {
+                throw new Error(data.message || 'Failed to save sample');
+            }
+        } catch (error) {
+            console.error('Error saving alert as sample:', error);
+            this.showToast(error.message || 'Error saving alert as sample', 'error');
+        }
+    }
+
     // Template Management
     async handleCreateTemplate(event) {
         try {
@@ -418,6 +943,11 @@ class DatadogAlertDocsApp {
                 name: formData.get('name'),
                 description: formData.get('description'),
                 category: formData.get('category'),
+                type: formData.get('type'),
+                partialName: formData.get('partialName'),
+                format: formData.get('format'),
+                timezone: formData.get('timezone'),
+                locale: formData.get('locale'),
                 content: formData.get('content')
             };
 
@@ -503,6 +1033,9 @@ class DatadogAlertDocsApp {
                             <div class="detail-row">
                                 <strong>Category:</strong> ${this.escapeHtml(template.category)}
                             </div>
+                            <div class="detail-row">
+                                <strong>Output Format:</strong> ${this.formatLabel(template.format)}
+                            </div>
                             <div class="detail-row">
                                 <strong>Created:</strong> ${this.formatDate(template.createdAt)}
                             </div>
@@ -514,24 +1047,380 @@ class DatadogAlertDocsApp {
                             <div class="detail-row">
                                 <strong>Usage Count:</strong> ${template.usageCount || 0}
                             </div>
+                            ${template.version ? `
+                                <div class="detail-row">
+                                    <strong>Version:</strong> ${template.version}
+                                </div>
+                            ` : ''}
+                            ${template.partialName ? `
+                                <div class="detail-row">
+                                    <strong>Partial:</strong> <code>{{> ${this.escapeHtml(template.partialName)}}}</code>
+                                </div>
+                            ` : ''}
+                            <div class="detail-row" id="template-dependencies"></div>
                         </div>
                         <div class="template-content">
                             <h3>Template Content:</h3>
                             <pre><code>${this.escapeHtml(template.content)}</code></pre>
                         </div>
+                        <div class="template-history">
+                            <h3>Tests:</h3>
+                            <div id="template-tests-list" class="document-list">
+                                <div class="loading">Loading tests...</div>
+                            </div>
+                            <form id="template-test-form" class="incident-actions mt-2">
+                                <input type="text" name="name" placeholder="Test name" required>
+                                <select name="sampleId" class="preview-sample"></select>
+                                <button type="submit" class="btn btn-secondary">
+                                    <i class="fas fa-plus"></i>
+                                    Add Golden Test
+                                </button>
+                                <button type="button" class="btn btn-primary" onclick="app.runTemplateTests('${template.id}')">
+                                    <i class="fas fa-play"></i>
+                                    Run Tests
+                                </button>
+                            </form>
+                            <pre id="template-test-output" class="template-diff" style="display: none;"></pre>
+                        </div>
+                        <div class="template-history">
+                            <h3>History:</h3>
+                            <div id="template-history-list" class="document-list">
+                                <div class="loading">Loading versions...</div>
+                            </div>
+                            <pre id="template-diff" class="template-diff" style="display: none;"></pre>
+                        </div>
                     </div>
                 `;
 
                 this.showModal('view-template-modal', modalContent);
-            } else {
-                throw new Error(data.message || 'Failed to load template');
-            }
+
+                const testForm = document.getElementById('template-test-form');
+                testForm.addEventListener('submit', async (e) => {
+                    e.preventDefault();
+                    await this.addTemplateTest(templateId, testForm);
+                });
+                this.renderTemplateTests(templateId, template.tests || []);
+
+                await Promise.all([
+                    this.loadTemplateDependencies(templateId),
+                    this.loadTemplateHistory(templateId),
+                    this.loadSampleOptions(testForm.querySelector('select[name="sampleId"]'))
+                ]);
+            } else {
+                throw new Error(data.message || 'Failed to load template');
+            }
         } catch (error) {
             console.error('Error viewing template:', error);
             this.showToast('Error loading template', 'error');
         }
     }
 
+    async loadTemplateDependencies(templateId) {
+        const container = document.getElementById('template-dependencies');
+
+        try {
+            const response = await fetch(`/api/templates/${templateId}/dependencies`);
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to load dependencies');
+            }
+
+            const names = templates => templates.map(template => this.escapeHtml(template.name)).join(', ');
+            container.innerHTML = [
+                data.uses.length > 0 ? `<div><strong>Uses partials:</strong> ${names(data.uses)}</div>` : '',
+                data.missing.length > 0 ? `<div><strong>Missing partials:</strong> ${data.missing.map(name => this.escapeHtml(name)).join(', ')}</div>` : '',
+                data.partialName ? `<div><strong>Used by:</strong> ${data.usedBy.length > 0 ? names(data.usedBy) : 'No templates'}</div>` : ''
+            ].join('');
+        } catch (error) {
+            console.error('Error loading template dependencies:', error);
+            container.innerHTML = '';
+        }
+    }
+
+    async loadTemplateHistory(templateId) {
+        const container = document.getElementById('template-history-list');
+
+        try {
+            const response = await fetch(`/api/templates/${templateId}/versions`);
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to load versions');
+            }
+
+            if (data.versions.length === 0) {
+                container.innerHTML = '<div class="empty-state"><p>No saved versions yet. The next save starts the history.</p></div>';
+                return;
+            }
+
+            container.innerHTML = data.versions.map(version => `
+                <div class="document-item">
+                    <div>
+                        <div class="document-item-title">
+                            Version ${version.version}${version.version === data.currentVersion ? ' (current)' : ''}
+                        </div>
+                        <div class="document-item-meta">
+                            ${this.escapeHtml(version.reason)}${version.restoredFrom ? ` of v${version.restoredFrom}` : ''}
+                            • ${version.lines} lines • ${this.formatDate(version.createdAt)}
+                        </div>
+                    </div>
+                    <div class="incident-actions">
+                        ${version.version > 1 ? `
+                            <button class="btn btn-secondary" onclick="app.showTemplateDiff('${templateId}', ${version.version - 1}, ${version.version})">
+                                <i class="fas fa-code-branch"></i>
+                                Diff
+                            </button>
+                        ` : ''}
+                        ${version.version !== data.currentVersion ? `
+                            <button class="btn btn-secondary" onclick="app.rollbackTemplate('${templateId}', ${version.version})">
+                                <i class="fas fa-undo"></i>
+                                Restore
+                            </button>
+                        ` : ''}
+                    </div>
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading template history:', error);
+            container.innerHTML = '<div class="empty-state"><p>Could not load versions</p></div>';
+        }
+    }
+
+    async showTemplateDiff(templateId, from, to) {
+        try {
+            const response = await fetch(`/api/templates/${templateId}/diff?from=${from}&to=${to}`);
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to diff versions');
+            }
+
+            const prefix = { same: ' ', added: '+', removed: '-' };
+            const diffElement = document.getElementById('template-diff');
+            diffElement.innerHTML = [
+                `<span class="diff-header">v${data.diff.from} → v${data.diff.to}: +${data.diff.stats.added} -${data.diff.stats.removed}</span>`,
+                ...(data.diff.approximate ? ['<span class="diff-header">Too many changed lines to match up; showing them as removed and re-added</span>'] : []),
+                ...data.diff.fields.map(change =>
+                    `<span class="diff-header">${this.escapeHtml(`${change.field}: ${change.from} → ${change.to}`)}</span>`
+                ),
+                ...data.diff.changes.map(change =>
+                    `<span class="diff-${change.type}">${prefix[change.type]} ${this.escapeHtml(change.line)}</span>`
+                )
+            ].join('\n');
+            diffElement.style.display = 'block';
+        } catch (error) {
+            console.error('Error diffing template versions:', error);
+            this.showToast(error.message || 'Error diffing template versions', 'error');
+        }
+    }
+
+    renderTemplateTests(templateId, tests, results = {}) {
+        const container = document.getElementById('template-tests-list');
+
+        if (tests.length === 0) {
+            container.innerHTML = '<div class="empty-state">No tests yet. Add one to record the current output as expected.</div>';
+            return;
+        }
+
+        container.innerHTML = tests.map(test => {
+            const result = results[test.id];
+            const assertions = [
+                test.expected !== undefined ? 'exact output' : '',
+                test.contains.length > 0 ? `${test.contains.length} substring(s)` : '',
+                test.matches.length > 0 ? `${test.matches.length} pattern(s)` : ''
+            ].filter(Boolean).join(', ');
+
+            return `
+                <div class="document-item">
+                    <div>
+                        <div class="document-item-title">
+                            ${result ? `<i class="fas ${result.passed ? 'fa-check text-success' : 'fa-times text-danger'}"></i>` : ''}
+                            ${this.escapeHtml(test.name)}
+                        </div>
+                        <div class="document-item-meta">
+                            ${this.escapeHtml(test.sampleId || 'inline payload')} • ${assertions}
+                        </div>
+                    </div>
+                    <div class="incident-actions">
+                        <button class="btn btn-secondary" onclick="app.recordTemplateTest('${templateId}', '${test.id}')">
+                            <i class="fas fa-camera"></i>
+                            Re-record
+                        </button>
+                        <button class="btn btn-danger" onclick="app.deleteTemplateTest('${templateId}', '${test.id}')">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async loadTemplateTests(templateId, results = {}) {
+        const response = await fetch(`/api/templates/${templateId}/tests`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.message || 'Failed to load tests');
+        }
+        this.renderTemplateTests(templateId, data.tests, results);
+    }
+
+    async addTemplateTest(templateId, form) {
+        try {
+            const formData = new FormData(form);
+            const response = await fetch(`/api/templates/${templateId}/tests`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    name: formData.get('name'),
+                    sampleId: formData.get('sampleId')
+                })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to add test');
+            }
+
+            this.showToast('Test added with the current output as expected', 'success');
+            form.querySelector('input[name="name"]').value = '';
+            await this.loadTemplateTests(templateId);
+        } catch (error) {
+            console.error('Error adding template test:', error);
+            this.showToast(error.message || 'Error adding template test', 'error');
+        }
+    }
+
+    async recordTemplateTest(templateId, caseId) {
+        if (!confirm('Replace the expected output of this test with the current output?')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/templates/${templateId}/tests/${caseId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ record: true })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to record test');
+            }
+
+            this.showToast('Expected output updated', 'success');
+            await this.loadTemplateTests(templateId);
+        } catch (error) {
+            console.error('Error recording template test:', error);
+            this.showToast(error.message || 'Error recording template test', 'error');
+        }
+    }
+
+    async deleteTemplateTest(templateId, caseId) {
+        if (!confirm('Delete this test?')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/templates/${templateId}/tests/${caseId}`, { method: 'DELETE' });
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to delete test');
+            }
+
+            await this.loadTemplateTests(templateId);
+        } catch (error) {
+            console.error('Error deleting template test:', error);
+            this.showToast(error.message || 'Error deleting template test', 'error');
+        }
+    }
+
+    async runTemplateTests(templateId) {
+        const output = document.getElementById('template-test-output');
+
+        try {
+            const response = await fetch(`/api/templates/${templateId}/test`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({})
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to run tests');
+            }
+
+            const results = Object.fromEntries(data.results.map(result => [result.id, result]));
+            await this.loadTemplateTests(templateId, results);
+
+            output.style.display = data.passed ? 'none' : 'block';
+            output.innerHTML = this.formatTestFailures(data.results);
+            this.showToast(`${data.total - data.failed}/${data.total} tests passed`, data.passed ? 'success' : 'error');
+        } catch (error) {
+            console.error('Error running template tests:', error);
+            this.showToast(error.message || 'Error running template tests', 'error');
+        }
+    }
+
+    formatTestFailures(results) {
+        return results.filter(result => !result.passed).map(result => [
+            `<div class="diff-header">${this.escapeHtml(result.name)}</div>`,
+            ...result.failures.map(failure => failure.diff
+                ? failure.diff.split('\n').map(line => {
+                    const type = line.startsWith('+') ? 'diff-added' : (line.startsWith('-') ? 'diff-removed' : '');
+                    return `<div class="${type}">${this.escapeHtml(line) || '&nbsp;'}</div>`;
+                }).join('')
+                : `<div class="diff-removed">${this.escapeHtml(failure.message)}</div>`)
+        ].join('')).join('');
+    }
+
+    // Saves that break template tests come back as 409; offer to force them
+    confirmForceSave(data) {
+        const failing = data.reports.flatMap(report => report.results.filter(result => !result.passed).map(result => `• ${report.templateName}: ${result.name}`));
+        return confirm(`${data.message}\n\n${failing.join('\n')}\n\nSave anyway?`);
+    }
+
+    async rollbackTemplate(templateId, version, force = false) {
+        if (!force && !confirm(`Restore version ${version}? It will be saved as a new version.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/templates/${templateId}/rollback`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ version, force })
+            });
+            const data = await response.json();
+
+            if (response.status === 409 && this.confirmForceSave(data)) {
+                return this.rollbackTemplate(templateId, version, true);
+            }
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to roll back template');
+            }
+
+            this.showToast(data.message, 'success');
+            await this.viewTemplate(templateId);
+            if (this.currentTab === 'templates') {
+                await this.loadTemplates();
+            }
+        } catch (error) {
+            console.error('Error rolling back template:', error);
+            this.showToast(error.message || 'Error rolling back template', 'error');
+        }
+    }
+
     async editTemplate(templateId) {
         try {
             const response = await fetch(`/api/templates/${templateId}`);
@@ -568,9 +1457,29 @@ class DatadogAlertDocsApp {
                                 </select>
                             </div>
                             <div class="form-group">
-                                <label for="edit-content">Template Content</label>
-                                <textarea id="edit-content" name="content" rows="15" required>${this.escapeHtml(template.content)}</textarea>
+                                <label for="edit-format">Output Format</label>
+                                <select id="edit-format" name="format">
+                                    ${Object.entries(this.outputFormats).map(([value, label]) => `
+                                        <option value="${value}" ${(template.format || 'markdown') === value ? 'selected' : ''}>${label}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                            ${this.renderLocaleInputs('edit', template)}
+                            <div class="editor-split">
+                                <div class="form-group">
+                                    <label for="edit-content">Template Content</label>
+                                    <textarea id="edit-content" name="content" rows="15" required>${this.escapeHtml(template.content)}</textarea>
+                                </div>
+                                <div class="form-group">
+                                    <label for="edit-sample">Live Preview</label>
+                                    <select id="edit-sample" name="sampleId" class="preview-sample"></select>
+                                    <div id="edit-template-preview" class="template-preview"></div>
+                                </div>
                             </div>
+                            <details class="template-reference">
+                                <summary>Template reference: context fields and helpers</summary>
+                                <div id="edit-template-reference"></div>
+                            </details>
                             <div class="form-actions">
                                 <button type="button" class="btn btn-secondary" onclick="app.closeModal('edit-template-modal')">Cancel</button>
                                 <button type="submit" class="btn btn-primary">Update Template</button>
@@ -580,12 +1489,18 @@ class DatadogAlertDocsApp {
                 `;
 
                 this.showModal('edit-template-modal', modalContent);
+                document.querySelector('#edit-template-modal .modal-content').classList.add('modal-wide');
 
                 // Add form handler
-                document.getElementById('edit-template-form').addEventListener('submit', async (e) => {
+                const editForm = document.getElementById('edit-template-form');
+                editForm.addEventListener('submit', async (e) => {
                     e.preventDefault();
                     await this.handleEditTemplate(e);
                 });
+                this.attachLivePreview(editForm, 'edit-template-preview', template);
+                this.attachTemplateAutocomplete(document.getElementById('edit-content'), () => template.type || 'alert');
+                this.renderTemplateReference('edit-template-reference', () => template.type || 'alert');
+                await this.updateLivePreview(editForm, 'edit-template-preview', template);
             } else {
                 throw new Error(data.message || 'Failed to load template');
             }
@@ -595,14 +1510,283 @@ class DatadogAlertDocsApp {
         }
     }
 
-    async handleEditTemplate(event) {
+    formatLabel(format) {
+        return this.outputFormats[format] || this.outputFormats.markdown;
+    }
+
+    // Time zones and locales for the datalists, and the system defaults
+    async loadRenderSettings() {
+        try {
+            const response = await fetch('/api/templates/render-settings');
+            const data = await response.json();
+            if (!data.success) return;
+
+            this.renderSettings = data;
+            const options = values => values.map(value => `<option value="${this.escapeHtml(value)}">`).join('');
+            document.getElementById('timezone-options').innerHTML = options(data.timezones);
+            document.getElementById('locale-options').innerHTML = options(data.locales);
+
+            document.querySelectorAll('.render-timezone').forEach(input => {
+                input.placeholder = `System default (${data.defaults.timezone})`;
+            });
+            document.querySelectorAll('.render-locale').forEach(input => {
+                input.placeholder = `System default (${data.defaults.locale})`;
+            });
+        } catch (error) {
+            console.error('Error loading time zones and locales:', error);
+        }
+    }
+
+    // Time zone and locale fields; empty means inherit
+    renderLocaleInputs(idPrefix, values = {}, inherit = null) {
+        const defaults = this.renderSettings ? this.renderSettings.defaults : null;
+        const placeholder = (key) => inherit || (defaults ? `System default (${defaults[key]})` : 'System default');
+
+        return `
+            <div class="form-group">
+                <label for="${idPrefix}-timezone">Time Zone</label>
+                <input type="text" id="${idPrefix}-timezone" name="timezone" list="timezone-options" value="${this.escapeHtml(values.timezone || '')}" placeholder="${this.escapeHtml(placeholder('timezone'))}">
+            </div>
+            <div class="form-group">
+                <label for="${idPrefix}-locale">Locale</label>
+                <input type="text" id="${idPrefix}-locale" name="locale" list="locale-options" value="${this.escapeHtml(values.locale || '')}" placeholder="${this.escapeHtml(placeholder('locale'))}">
+            </div>
+        `;
+    }
+
+    // Context fields and helpers for templates of a type, loaded once
+    async loadContextSchema(type = 'alert') {
+        if (!this.contextSchemas[type]) {
+            const response = await fetch(`/api/templates/context-schema?type=${encodeURIComponent(type)}`);
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to load template context');
+            }
+            this.contextSchemas[type] = data;
+        }
+        return this.contextSchemas[type];
+    }
+
+    // Suggest context paths and helpers while typing inside {{ … }}
+    attachTemplateAutocomplete(textarea, getType) {
+        const list = document.createElement('div');
+        list.className = 'autocomplete-list';
+        list.style.display = 'none';
+        textarea.parentNode.appendChild(list);
+
+        let suggestions = [];
+        let active = 0;
+
+        const hide = () => {
+            list.style.display = 'none';
+            suggestions = [];
+        };
+
+        // The word being typed when the caret is inside an open {{
+        const currentToken = () => {
+            const before = textarea.value.slice(0, textarea.selectionStart);
+            const open = before.lastIndexOf('{{');
+            if (open === -1 || before.indexOf('}}', open) !== -1) {
+                return null;
+            }
+            return /[\w.@-]*$/.exec(before)[0];
+        };
+
+        const render = () => {
+            list.innerHTML = suggestions.map((suggestion, index) => `
+                <div class="autocomplete-item ${index === active ? 'active' : ''}" data-index="${index}">
+                    <code>${this.escapeHtml(suggestion.text)}</code>
+                    <span>${this.escapeHtml(suggestion.detail)}</span>
+                </div>
+            `).join('');
+            list.style.display = suggestions.length > 0 ? 'block' : 'none';
+        };
+
+        const accept = (suggestion) => {
+            const token = currentToken() || '';
+            const start = textarea.selectionStart - token.length;
+            textarea.setRangeText(suggestion.text, start, textarea.selectionStart, 'end');
+            textarea.dispatchEvent(new Event('input', { bubbles: true }));
+            hide();
+            textarea.focus();
+        };
+
+        const update = async () => {
+            const token = currentToken();
+            if (token === null || token === '') {
+                return hide();
+            }
+
+            try {
+                const schema = await this.loadContextSchema(getType());
+                const fields = schema.fields
+                    .filter(field => !field.path.includes('[]'))
+                    .map(field => ({ text: field.path, detail: field.example ? `${field.type} · ${field.example}` : field.type }));
+                const helpers = schema.helpers.map(helper => ({ text: helper.name, detail: helper.signature }));
+
+                suggestions = [...fields, ...helpers]
+                    .filter(suggestion => suggestion.text.startsWith(token) && suggestion.text !== token)
+                    .slice(0, 8);
+                active = 0;
+                render();
+            } catch (error) {
+                console.error('Error loading template context:', error);
+                hide();
+            }
+        };
+
+        textarea.addEventListener('input', (e) => {
+            if (e.isTrusted) update();
+        });
+        textarea.addEventListener('blur', hide);
+        textarea.addEventListener('keydown', (e) => {
+            if (suggestions.length === 0) return;
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                active = (active + (e.key === 'ArrowDown' ? 1 : suggestions.length - 1)) % suggestions.length;
+                render();
+            } else if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                accept(suggestions[active]);
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                hide();
+            }
+        });
+        // mousedown fires before the textarea blurs
+        list.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('.autocomplete-item');
+            if (item) {
+                e.preventDefault();
+                accept(suggestions[Number(item.dataset.index)]);
+            }
+        });
+    }
+
+    async renderTemplateReference(containerId, getType) {
+        const container = document.getElementById(containerId);
+
+        try {
+            const schema = await this.loadContextSchema(getType());
+
+            container.innerHTML = `
+                <h4>Context</h4>
+                ${schema.sections.map(section => `
+                    <div class="reference-item">
+                        <code>${this.escapeHtml(section.name)}</code>
+                        <span>${this.escapeHtml(section.description)}</span>
+                    </div>
+                `).join('')}
+                <h4>Helpers</h4>
+                ${schema.helpers.map(helper => `
+                    <div class="reference-item">
+                        <code>${this.escapeHtml(helper.signature)}</code>
+                        <span>${this.escapeHtml(helper.description)}</span>
+                        ${helper.examples.map(example => `<pre>${this.escapeHtml(example)}</pre>`).join('')}
+                    </div>
+                `).join('')}
+            `;
+        } catch (error) {
+            console.error('Error loading template reference:', error);
+            container.innerHTML = '<div class="empty-state">Template reference unavailable</div>';
+        }
+    }
+
+    // Re-render the preview pane shortly after the template form changes
+    attachLivePreview(form, previewId, template = null) {
+        let timer = null;
+        form.addEventListener('input', () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => this.updateLivePreview(form, previewId, template), 400);
+        });
+        form.querySelector('select[name="sampleId"]').addEventListener('change', () => {
+            this.updateLivePreview(form, previewId, template);
+        });
+        this.loadSampleOptions(form.querySelector('select[name="sampleId"]'));
+    }
+
+    async loadSampleOptions(select) {
+        try {
+            const response = await fetch('/api/samples');
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to load samples');
+            }
+
+            select.innerHTML = data.samples.map(sample => `
+                <option value="${sample.id}" ${sample.id === data.defaultSampleId ? 'selected' : ''}>
+                    ${this.escapeHtml(sample.name)}${sample.builtin ? '' : ' (saved)'}
+                </option>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading samples:', error);
+        }
+    }
+
+    async updateLivePreview(form, previewId, template = null) {
+        const container = document.getElementById(previewId);
+        const formData = new FormData(form);
+        const content = formData.get('content');
+
+        if (!content || !content.trim()) {
+            container.innerHTML = '<div class="empty-state">Start typing to preview against a sample alert</div>';
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/templates/preview', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    templateId: template ? template.id : undefined,
+                    name: formData.get('name'),
+                    type: formData.get('type') || undefined,
+                    partialName: formData.get('partialName') || undefined,
+                    timezone: formData.get('timezone') || undefined,
+                    locale: formData.get('locale') || undefined,
+                    sampleId: formData.get('sampleId') || undefined,
+                    content
+                })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to preview template');
+            }
+
+            const location = item => item.line ? `Line ${item.line}${item.column ? `:${item.column}` : ''}: ` : '';
+            container.innerHTML = `
+                ${data.errors.map(error => `
+                    <div class="preview-error">${location(error)}${this.escapeHtml(error.message)}</div>
+                `).join('')}
+                ${data.warnings.map(warning => `
+                    <div class="preview-warning">${location(warning)}${this.escapeHtml(warning.message)}</div>
+                `).join('')}
+                ${data.content !== null ? `<pre>${this.escapeHtml(data.content)}</pre>` : ''}
+            `;
+        } catch (error) {
+            console.error('Error previewing template:', error);
+            container.innerHTML = `<div class="preview-error">${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    async handleEditTemplate(event, force = false) {
         try {
             const formData = new FormData(event.target);
             const templateData = {
                 name: formData.get('name'),
                 description: formData.get('description'),
                 category: formData.get('category'),
-                content: formData.get('content')
+                format: formData.get('format'),
+                timezone: formData.get('timezone'),
+                locale: formData.get('locale'),
+                content: formData.get('content'),
+                force
             };
 
             const templateId = formData.get('id');
@@ -616,6 +1800,10 @@ class DatadogAlertDocsApp {
 
             const data = await response.json();
 
+            if (response.status === 409 && this.confirmForceSave(data)) {
+                return this.handleEditTemplate(event, true);
+            }
+
             if (data.success) {
                 this.showToast('Template updated successfully', 'success');
                 this.closeModal('edit-template-modal');
@@ -663,10 +1851,14 @@ class DatadogAlertDocsApp {
     // Document Management
     async viewDocument(documentId) {
         try {
-            const response = await fetch(`/api/documents/${documentId}`);
+            const [response, renderedResponse] = await Promise.all([
+                fetch(`/api/documents/${documentId}`),
+                fetch(`/api/documents/${documentId}/rendered`)
+            ]);
             const data = await response.json();
+            const rendered = await renderedResponse.json();
 
-            if (data.success) {
+            if (data.success && rendered.success) {
                 const doc = data.document;
                 
                 const modalContent = `
@@ -683,16 +1875,30 @@ class DatadogAlertDocsApp {
                                 <strong>Priority:</strong> <span class="priority-badge priority-${doc.priority}">${doc.priority}</span>
                             </div>
                             <div class="detail-row">
-                                <strong>Template:</strong> ${this.escapeHtml(doc.templateName)}
+                                <strong>Template:</strong> ${this.escapeHtml(doc.templateName)}${doc.templateVersion ? ` (v${doc.templateVersion})` : ''}
                             </div>
                             <div class="detail-row">
                                 <strong>Created:</strong> ${this.formatDate(doc.createdAt)}
                             </div>
-                        </div>
+                            ${doc.timezone ? `
+                                <div class="detail-row">
+                                    <strong>Rendered in:</strong> ${this.escapeHtml(doc.timezone)} (${this.escapeHtml(doc.locale || 'en')})
+                                </div>
+                            ` : ''}
+                        </div>
                         <div class="document-content">
                             <h3>Document Content:</h3>
-                            <div class="document-text">${doc.content.replace(/\n/g, '<br>')}</div>
+                            ${rendered.tocHtml}
+                            <div class="document-rendered format-${rendered.format}">${rendered.html}</div>
                         </div>
+                        ${doc.kind === 'postmortem' ? `
+                            <div class="form-actions">
+                                <button class="btn btn-primary" onclick="app.closeModal('view-document-modal'); app.editPostmortem('${doc.id}')">
+                                    <i class="fas fa-edit"></i>
+                                    Edit Post-mortem
+                                </button>
+                            </div>
+                        ` : ''}
                     </div>
                 `;
 
@@ -706,211 +1912,976 @@ class DatadogAlertDocsApp {
         }
     }
 
-    async downloadDocument(documentId, format = 'txt') {
+    // Format picked next to the document filters
+    exportFormat() {
+        const select = document.getElementById('document-export-format');
+        return select ? select.value : 'txt';
+    }
+
+    // Saves a download response under the file name the server sent
+    async saveDownload(response, fallbackName) {
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = match ? match[1] : fallbackName;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(a);
+    }
+
+    async downloadDocument(documentId, format = this.exportFormat()) {
         try {
             const response = await fetch(`/api/documents/${documentId}/export?format=${format}`);
             
             if (response.ok) {
-                const blob = await response.blob();
-                const url = window.URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `document-${documentId}.${format}`;
-                document.body.appendChild(a);
-                a.click();
-                window.URL.revokeObjectURL(url);
-                document.body.removeChild(a);
-                
+                await this.saveDownload(response, `document-${documentId}.${format}`);
                 this.showToast('Document downloaded successfully', 'success');
             } else {
-                throw new Error('Failed to download document');
+                throw new Error('Failed to download document');
+            }
+        } catch (error) {
+            console.error('Error downloading document:', error);
+            this.showToast('Error downloading document', 'error');
+        }
+    }
+
+    // Zip of the documents matching the current search and priority filter
+    async exportDocuments() {
+        try {
+            const format = this.exportFormat();
+            const params = new URLSearchParams({ format });
+            const searchTerm = document.getElementById('document-search').value.trim();
+            const priority = document.getElementById('document-filter').value;
+            if (searchTerm) params.set('q', searchTerm);
+            if (priority) params.set('priority', priority);
+
+            const response = await fetch(`/api/documents/export?${params}`);
+
+            if (response.ok) {
+                await this.saveDownload(response, `documents-${format}.zip`);
+                this.showToast('Documents exported successfully', 'success');
+            } else {
+                const data = await response.json();
+                throw new Error(data.message || 'Failed to export documents');
+            }
+        } catch (error) {
+            console.error('Error exporting documents:', error);
+            this.showToast(error.message || 'Error exporting documents', 'error');
+        }
+    }
+
+    async viewDocumentHtml(documentId) {
+        try {
+            const response = await fetch(`/api/documents/${documentId}/export?format=html`);
+            
+            if (response.ok) {
+                const htmlContent = await response.text();
+                const newWindow = window.open('', '_blank');
+                newWindow.document.write(htmlContent);
+                newWindow.document.close();
+            } else {
+                throw new Error('Failed to load HTML document');
+            }
+        } catch (error) {
+            console.error('Error viewing HTML document:', error);
+            this.showToast('Error loading HTML document', 'error');
+        }
+    }
+
+    async deleteDocument(documentId) {
+        if (!confirm('Are you sure you want to delete this document? This action cannot be undone.')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/documents/${documentId}`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showToast('Document deleted successfully', 'success');
+                
+                if (this.currentTab === 'documents') {
+                    await this.loadDocuments();
+                }
+                await this.loadDashboardData();
+            } else {
+                throw new Error(data.message || 'Failed to delete document');
+            }
+        } catch (error) {
+            console.error('Error deleting document:', error);
+            this.showToast(error.message || 'Error deleting document', 'error');
+        }
+    }
+
+    // Alert Management
+    async processAlert(alertId) {
+        try {
+            // Load templates for selection
+            const templatesResponse = await fetch('/api/templates');
+            const templatesData = await templatesResponse.json();
+            // Post-mortem templates are only used by the post-mortem builder
+            const alertTemplates = (templatesData.templates || []).filter(template => !template.type || template.type === 'alert');
+
+            if (!templatesData.success || alertTemplates.length === 0) {
+                this.showToast('No templates available. Please create a template first.', 'error');
+                return;
+            }
+
+            // Show template selection modal
+            const modalContent = `
+                <div class="modal-header">
+                    <h2>Select Template for Alert Processing</h2>
+                    <button class="close-btn" onclick="app.closeModal('process-alert-modal')">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <form id="process-alert-form">
+                        <input type="hidden" name="alertId" value="${alertId}">
+                        <div class="form-group">
+                            <label for="template-select">Choose Template:</label>
+                            <select id="template-select" name="templateId" required>
+                                <option value="">Select a template...</option>
+                                ${alertTemplates.map(template => 
+                                    `<option value="${template.id}">${this.escapeHtml(template.name)} (${template.category})</option>`
+                                ).join('')}
+                            </select>
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" onclick="app.closeModal('process-alert-modal')">Cancel</button>
+                            <button type="submit" class="btn btn-primary">Process Alert</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+
+            this.showModal('process-alert-modal', modalContent);
+
+            // Add form handler
+            document.getElementById('process-alert-form').addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.handleProcessAlert(e);
+            });
+
+        } catch (error) {
+            console.error('Error preparing alert processing:', error);
+            this.showToast('Error loading templates', 'error');
+        }
+    }
+
+    async handleProcessAlert(event) {
+        try {
+            const formData = new FormData(event.target);
+            const alertId = formData.get('alertId');
+            const templateId = formData.get('templateId');
+
+            const response = await fetch('/api/webhook/process', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ alertId, templateId })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showToast('Alert processed successfully', 'success');
+                this.closeModal('process-alert-modal');
+                
+                // Refresh alerts and documents
+                if (this.currentTab === 'alerts') {
+                    await this.loadPendingAlerts();
+                }
+                await this.loadDashboardData();
+            } else {
+                throw new Error(data.message || 'Failed to process alert');
+            }
+        } catch (error) {
+            console.error('Error processing alert:', error);
+            this.showToast(error.message || 'Error processing alert', 'error');
+        }
+    }
+
+    showImportEventsModal() {
+        const modalContent = `
+            <div class="modal-header">
+                <h2>Import Datadog Events</h2>
+                <button class="close-btn" onclick="app.closeModal('import-events-modal')">&times;</button>
+            </div>
+            <div class="modal-body">
+                <form id="import-events-form">
+                    <div class="form-group">
+                        <label for="import-events-file">Event Stream Export *</label>
+                        <div class="file-upload">
+                            <input type="file" id="import-events-file" name="file" accept=".json,.ndjson,.jsonl,.csv" required>
+                            <div class="file-upload-text">
+                                <i class="fas fa-cloud-upload-alt"></i>
+                                <span>Choose file or drag and drop</span>
+                                <small>Events API JSON, NDJSON or Event Explorer CSV</small>
+                            </div>
+                        </div>
+                    </div>
+                    <p class="text-muted mb-2">Each event is normalized and deduplicated like a live webhook, then routed or queued for template selection.</p>
+                    <div id="import-events-result" class="mb-2"></div>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" onclick="app.closeModal('import-events-modal')">Close</button>
+                        <button type="submit" class="btn btn-primary">Import</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        this.showModal('import-events-modal', modalContent);
+
+        document.getElementById('import-events-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.handleImportEvents(e.target);
+        });
+    }
+
+    async handleImportEvents(form) {
+        const container = document.getElementById('import-events-result');
+
+        try {
+            container.innerHTML = '<div class="loading">Importing events...</div>';
+
+            const response = await fetch('/api/webhook/import', {
+                method: 'POST',
+                body: new FormData(form)
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Import failed');
+            }
+
+            const failures = data.results.filter(result => result.status === 'invalid' || result.status === 'error');
+            container.innerHTML = `
+                <div class="rule-conditions mb-2">
+                    ${Object.entries(data.summary).map(([status, count]) =>
+                        `<span class="rule-condition">${this.escapeHtml(status)}: ${count}</span>`
+                    ).join('')}
+                </div>
+                ${failures.length > 0 ? `
+                    <ul class="check-list">
+                        ${failures.slice(0, 20).map(result => `
+                            <li class="check-failed">Event ${result.item + 1}: ${this.escapeHtml(result.error)}</li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            `;
+
+            this.showToast(`Imported ${data.summary.total} event(s)`, 'success');
+            await this.loadPendingAlerts();
+        } catch (error) {
+            console.error('Error importing events:', error);
+            container.innerHTML = '';
+            this.showToast(error.message || 'Error importing events', 'error');
+        }
+    }
+
+    async viewAlertDetails(alertId) {
+        try {
+            const alert = this.pendingAlerts.find(a => a.id === alertId);
+            if (!alert) {
+                throw new Error('Alert not found');
+            }
+
+            const modalContent = `
+                <div class="modal-header">
+                    <h2>Alert Details</h2>
+                    <button class="close-btn" onclick="app.closeModal('alert-details-modal')">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="alert-details">
+                        <div class="detail-row">
+                            <strong>Title:</strong> ${this.escapeHtml(alert.title)}
+                        </div>
+                        <div class="detail-row">
+                            <strong>Type:</strong> ${this.escapeHtml(alert.alertType)}
+                        </div>
+                        <div class="detail-row">
+                            <strong>Priority:</strong> <span class="priority-badge priority-${alert.priority}">${alert.priority}</span>
+                        </div>
+                        <div class="detail-row">
+                            <strong>Timestamp:</strong> ${this.formatDate(alert.timestamp)}
+                        </div>
+                        ${alert.message ? `
+                            <div class="detail-row">
+                                <strong>Message:</strong> ${this.escapeHtml(alert.message)}
+                            </div>
+                        ` : ''}
+                        ${alert.tags && alert.tags.length > 0 ? `
+                            <div class="detail-row">
+                                <strong>Tags:</strong> ${alert.tags.map(tag => `<span class="tag">${this.escapeHtml(tag)}</span>`).join(' ')}
+                            </div>
+                        ` : ''}
+                    </div>
+                    <div class="alert-raw-data">
+                        <h3>Raw Alert Data:</h3>
+                        <pre><code>${JSON.stringify(alert, null, 2)}</code></pre>
+                    </div>
+                </div>
+            `;
+
+            this.showModal('alert-details-modal', modalContent);
+        } catch (error) {
+            console.error('Error viewing alert details:', error);
+            this.showToast('Error loading alert details', 'error');
+        }
+    }
+
+    // Routing Rules
+    async loadRules() {
+        try {
+            const [rulesRes, templatesRes] = await Promise.all([
+                fetch('/api/rules'),
+                fetch('/api/templates')
+            ]);
+
+            const rulesData = await rulesRes.json();
+            const templatesData = await templatesRes.json();
+
+            if (rulesData.success) {
+                this.rules = rulesData.rules;
+                if (templatesData.success) {
+                    this.templates = templatesData.templates;
+                }
+                this.renderRules(this.rules);
+            } else {
+                throw new Error(rulesData.message || 'Failed to load routing rules');
+            }
+        } catch (error) {
+            console.error('Error loading routing rules:', error);
+            this.showToast('Error loading routing rules', 'error');
+        }
+    }
+
+    describeRuleConditions(conditions = {}) {
+        const parts = [];
+        ['env', 'service', 'team', 'alertType', 'priority', 'tags'].forEach(key => {
+            if (conditions[key] && conditions[key].length > 0) {
+                parts.push(`${key}: ${conditions[key].join(' | ')}`);
+            }
+        });
+        if (conditions.titlePattern) {
+            parts.push(`title ~ /${conditions.titlePattern}/i`);
+        }
+        return parts;
+    }
+
+    renderRules(rules) {
+        const container = document.getElementById('rules-list');
+
+        if (rules.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-route"></i>
+                    <h3>No routing rules yet</h3>
+                    <p>Create a rule to document matching alerts automatically</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = rules.map((rule, index) => {
+            const template = this.templates.find(t => t.id === rule.templateId);
+            const conditions = this.describeRuleConditions(rule.conditions);
+
+            return `
+                <div class="alert-card rule-card ${rule.enabled ? '' : 'rule-disabled'}">
+                    <div class="alert-header">
+                        <div>
+                            <div class="alert-title">${index + 1}. ${this.escapeHtml(rule.name)}</div>
+                            <div class="alert-meta">
+                                Template: ${this.escapeHtml(template ? template.name : rule.templateId)}
+                                • ${rule.enabled ? 'Enabled' : 'Disabled'}
+                                • Matched ${rule.matchCount || 0} times
+                                ${rule.timezone || rule.locale ? `• ${this.escapeHtml([rule.timezone, rule.locale].filter(Boolean).join(', '))}` : ''}
+                            </div>
+                        </div>
+                        <div class="alert-actions">
+                            <button class="btn btn-secondary" onclick="app.moveRule('${rule.id}', -1)" ${index === 0 ? 'disabled' : ''} title="Move up">
+                                <i class="fas fa-arrow-up"></i>
+                            </button>
+                            <button class="btn btn-secondary" onclick="app.moveRule('${rule.id}', 1)" ${index === rules.length - 1 ? 'disabled' : ''} title="Move down">
+                                <i class="fas fa-arrow-down"></i>
+                            </button>
+                            <button class="btn btn-secondary" onclick="app.toggleRule('${rule.id}')">
+                                <i class="fas fa-${rule.enabled ? 'pause' : 'play'}"></i>
+                                ${rule.enabled ? 'Disable' : 'Enable'}
+                            </button>
+                            <button class="btn btn-primary" onclick="app.showRuleModal('${rule.id}')">
+                                <i class="fas fa-edit"></i>
+                                Edit
+                            </button>
+                            <button class="btn btn-danger" onclick="app.deleteRule('${rule.id}')">
+                                <i class="fas fa-trash"></i>
+                                Delete
+                            </button>
+                        </div>
+                    </div>
+                    ${rule.description ? `<div class="card-description">${this.escapeHtml(rule.description)}</div>` : ''}
+                    <div class="rule-conditions">
+                        ${conditions.map(condition => `<span class="rule-condition">${this.escapeHtml(condition)}</span>`).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async showRuleModal(ruleId = null) {
+        try {
+            const templatesResponse = await fetch('/api/templates');
+            const templatesData = await templatesResponse.json();
+            // Post-mortem templates are only used by the post-mortem builder
+            const alertTemplates = (templatesData.templates || []).filter(template => !template.type || template.type === 'alert');
+
+            if (!templatesData.success || alertTemplates.length === 0) {
+                this.showToast('No templates available. Please create a template first.', 'error');
+                return;
+            }
+
+            const rule = ruleId ? this.rules.find(r => r.id === ruleId) : null;
+            const conditions = (rule && rule.conditions) || {};
+            const joined = (key) => this.escapeHtml((conditions[key] || []).join(', '));
+
+            const modalContent = `
+                <div class="modal-header">
+                    <h2>${rule ? 'Edit Routing Rule' : 'Create Routing Rule'}</h2>
+                    <button class="close-btn" onclick="app.closeModal('rule-modal')">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <form id="rule-form">
+                        <input type="hidden" name="id" value="${rule ? rule.id : ''}">
+                        <div class="form-group">
+                            <label for="rule-name">Rule Name *</label>
+                            <input type="text" id="rule-name" name="name" value="${rule ? this.escapeHtml(rule.name) : ''}" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="rule-description">Description</label>
+                            <textarea id="rule-description" name="description" rows="2">${rule ? this.escapeHtml(rule.description || '') : ''}</textarea>
+                        </div>
+                        <div class="form-group">
+                            <label for="rule-template">Template *</label>
+                            <select id="rule-template" name="templateId" required>
+                                <option value="">Select a template...</option>
+                                ${alertTemplates.map(template =>
+                                    `<option value="${template.id}" ${rule && rule.templateId === template.id ? 'selected' : ''}>${this.escapeHtml(template.name)} (${template.category})</option>`
+                                ).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="rule-env">Environment (env: tag)</label>
+                            <input type="text" id="rule-env" name="env" value="${joined('env')}" placeholder="prod, staging">
+                        </div>
+                        <div class="form-group">
+                            <label for="rule-service">Service (service: tag)</label>
+                            <input type="text" id="rule-service" name="service" value="${joined('service')}" placeholder="checkout, payments">
+                        </div>
+                        <div class="form-group">
+                            <label for="rule-team">Team (team: tag)</label>
+                            <input type="text" id="rule-team" name="team" value="${joined('team')}" placeholder="platform">
+                        </div>
+                        <div class="form-group">
+                            <label for="rule-alert-type">Alert Type</label>
+                            <input type="text" id="rule-alert-type" name="alertType" value="${joined('alertType')}" placeholder="error, metric_alert_monitor">
+                        </div>
+                        <div class="form-group">
+                            <label for="rule-priority">Priority</label>
+                            <input type="text" id="rule-priority" name="priority" value="${joined('priority')}" placeholder="high, medium, low">
+                        </div>
+                        <div class="form-group">
+                            <label for="rule-tags">Required Tags</label>
+                            <input type="text" id="rule-tags" name="tags" value="${joined('tags')}" placeholder="region:us-east-1">
+                        </div>
+                        <div class="form-group">
+                            <label for="rule-title-pattern">Title Pattern (regular expression)</label>
+                            <input type="text" id="rule-title-pattern" name="titlePattern" value="${this.escapeHtml(conditions.titlePattern || '')}" placeholder="CPU|Memory">
+                        </div>
+                        ${this.renderLocaleInputs('rule', rule || {}, 'Template or system default')}
+                        <div class="form-group">
+                            <label>
+                                <input type="checkbox" name="enabled" ${!rule || rule.enabled ? 'checked' : ''} style="width: auto;">
+                                Enabled
+                            </label>
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" class="btn btn-secondary" onclick="app.closeModal('rule-modal')">Cancel</button>
+                            <button type="submit" class="btn btn-primary">${rule ? 'Update Rule' : 'Create Rule'}</button>
+                        </div>
+                    </form>
+                </div>
+            `;
+
+            this.showModal('rule-modal', modalContent);
+
+            document.getElementById('rule-form').addEventListener('submit', async (e) => {
+                e.preventDefault();
+                await this.handleSaveRule(e);
+            });
+        } catch (error) {
+            console.error('Error preparing routing rule form:', error);
+            this.showToast('Error loading templates', 'error');
+        }
+    }
+
+    async handleSaveRule(event) {
+        try {
+            const formData = new FormData(event.target);
+            const ruleId = formData.get('id');
+            const ruleData = {
+                name: formData.get('name'),
+                description: formData.get('description'),
+                templateId: formData.get('templateId'),
+                timezone: formData.get('timezone'),
+                locale: formData.get('locale'),
+                enabled: formData.get('enabled') === 'on',
+                conditions: {
+                    env: formData.get('env'),
+                    service: formData.get('service'),
+                    team: formData.get('team'),
+                    alertType: formData.get('alertType'),
+                    priority: formData.get('priority'),
+                    tags: formData.get('tags'),
+                    titlePattern: formData.get('titlePattern')
+                }
+            };
+
+            const response = await fetch(ruleId ? `/api/rules/${ruleId}` : '/api/rules', {
+                method: ruleId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(ruleData)
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showToast(`Routing rule ${ruleId ? 'updated' : 'created'} successfully`, 'success');
+                this.closeModal('rule-modal');
+                await this.loadRules();
+            } else {
+                throw new Error(data.message || 'Failed to save routing rule');
+            }
+        } catch (error) {
+            console.error('Error saving routing rule:', error);
+            this.showToast(error.message || 'Error saving routing rule', 'error');
+        }
+    }
+
+    async toggleRule(ruleId) {
+        const rule = this.rules.find(r => r.id === ruleId);
+        if (!rule) return;
+
+        try {
+            const response = await fetch(`/api/rules/${ruleId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ enabled: !rule.enabled })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                await this.loadRules();
+            } else {
+                throw new Error(data.message || 'Failed to update routing rule');
+            }
+        } catch (error) {
+            console.error('Error toggling routing rule:', error);
+            this.showToast(error.message || 'Error updating routing rule', 'error');
+        }
+    }
+
+    async moveRule(ruleId, direction) {
+        const ruleIds = this.rules.map(r => r.id);
+        const index = ruleIds.indexOf(ruleId);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= ruleIds.length) return;
+
+        [ruleIds[index], ruleIds[target]] = [ruleIds[target], ruleIds[index]];
+
+        try {
+            const response = await fetch('/api/rules/reorder', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ ruleIds })
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                await this.loadRules();
+            } else {
+                throw new Error(data.message || 'Failed to reorder routing rules');
             }
         } catch (error) {
-            console.error('Error downloading document:', error);
-            this.showToast('Error downloading document', 'error');
+            console.error('Error reordering routing rules:', error);
+            this.showToast(error.message || 'Error reordering routing rules', 'error');
         }
     }
 
-    async viewDocumentHtml(documentId) {
+    async deleteRule(ruleId) {
+        if (!confirm('Are you sure you want to delete this routing rule?')) {
+            return;
+        }
+
         try {
-            const response = await fetch(`/api/documents/${documentId}/export?format=html`);
-            
-            if (response.ok) {
-                const htmlContent = await response.text();
-                const newWindow = window.open('', '_blank');
-                newWindow.document.write(htmlContent);
-                newWindow.document.close();
+            const response = await fetch(`/api/rules/${ruleId}`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showToast('Routing rule deleted successfully', 'success');
+                await this.loadRules();
             } else {
-                throw new Error('Failed to load HTML document');
+                throw new Error(data.message || 'Failed to delete routing rule');
             }
         } catch (error) {
-            console.error('Error viewing HTML document:', error);
-            this.showToast('Error loading HTML document', 'error');
+            console.error('Error deleting routing rule:', error);
+            this.showToast(error.message || 'Error deleting routing rule', 'error');
         }
     }
 
-    async deleteDocument(documentId) {
-        if (!confirm('Are you sure you want to delete this document? This action cannot be undone.')) {
+    async runRoutingDryRun() {
+        const container = document.getElementById('dry-run-result');
+        const rawPayload = document.getElementById('dry-run-payload').value.trim();
+
+        if (!rawPayload) {
+            this.showToast('Paste a sample payload first', 'warning');
             return;
         }
 
+        // Anything that is not valid JSON is treated as a plain-text notification
+        let payload = rawPayload;
         try {
-            const response = await fetch(`/api/documents/${documentId}`, {
-                method: 'DELETE'
+            payload = JSON.parse(rawPayload);
+        } catch (error) {
+            // Keep as text
+        }
+
+        try {
+            const response = await fetch('/api/rules/dry-run', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ payload })
             });
 
             const data = await response.json();
 
-            if (data.success) {
-                this.showToast('Document deleted successfully', 'success');
-                
-                if (this.currentTab === 'documents') {
-                    await this.loadDocuments();
-                }
-                await this.loadDashboardData();
-            } else {
-                throw new Error(data.message || 'Failed to delete document');
+            if (!data.success) {
+                throw new Error(data.message || 'Dry run failed');
             }
+
+            container.innerHTML = `
+                <div class="detail-row mb-2">
+                    <strong>Result:</strong>
+                    ${data.matched
+                        ? `Matches <strong>${this.escapeHtml(data.rule.name)}</strong>`
+                        : 'No rule matches; the alert would wait in Pending Alerts'}
+                    • Priority: <span class="priority-badge priority-${data.priority}">${data.priority}</span>
+                </div>
+                ${data.evaluations.map(evaluation => `
+                    <div class="mb-2">
+                        <strong class="${evaluation.matched ? 'check-passed' : 'check-failed'}">
+                            <i class="fas fa-${evaluation.matched ? 'check' : 'times'}"></i>
+                            ${this.escapeHtml(evaluation.name)}${evaluation.enabled ? '' : ' (disabled)'}
+                        </strong>
+                        <ul class="check-list">
+                            ${evaluation.checks.map(check => `
+                                <li class="${check.passed ? 'check-passed' : 'check-failed'}">
+                                    ${check.condition}: expected ${this.escapeHtml(JSON.stringify(check.expected))}, got ${this.escapeHtml(JSON.stringify(check.actual))}
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                `).join('')}
+            `;
         } catch (error) {
-            console.error('Error deleting document:', error);
-            this.showToast(error.message || 'Error deleting document', 'error');
+            console.error('Error running routing dry run:', error);
+            this.showToast(error.message || 'Error running dry run', 'error');
         }
     }
 
-    // Alert Management
-    async processAlert(alertId) {
+    // Custom Sources
+    async loadCustomSources() {
         try {
-            // Load templates for selection
-            const templatesResponse = await fetch('/api/templates');
-            const templatesData = await templatesResponse.json();
+            const response = await fetch('/api/custom-sources');
+            const data = await response.json();
 
-            if (!templatesData.success || templatesData.templates.length === 0) {
-                this.showToast('No templates available. Please create a template first.', 'error');
-                return;
+            if (data.success) {
+                this.customSources = data.sources;
+                this.customSourceFields = data.fields;
+                this.renderCustomSources(this.customSources);
+            } else {
+                throw new Error(data.message || 'Failed to load custom sources');
             }
+        } catch (error) {
+            console.error('Error loading custom sources:', error);
+            this.showToast('Error loading custom sources', 'error');
+        }
+    }
 
-            // Show template selection modal
-            const modalContent = `
-                <div class="modal-header">
-                    <h2>Select Template for Alert Processing</h2>
-                    <button class="close-btn" onclick="app.closeModal('process-alert-modal')">&times;</button>
+    renderCustomSources(sources) {
+        const container = document.getElementById('sources-list');
+
+        if (sources.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-plug"></i>
+                    <h3>No custom sources yet</h3>
+                    <p>Create a source to accept alerts from tools that post their own JSON</p>
                 </div>
-                <div class="modal-body">
-                    <form id="process-alert-form">
-                        <input type="hidden" name="alertId" value="${alertId}">
-                        <div class="form-group">
-                            <label for="template-select">Choose Template:</label>
-                            <select id="template-select" name="templateId" required>
-                                <option value="">Select a template...</option>
-                                ${templatesData.templates.map(template => 
-                                    `<option value="${template.id}">${this.escapeHtml(template.name)} (${template.category})</option>`
-                                ).join('')}
-                            </select>
-                        </div>
-                        <div class="form-actions">
-                            <button type="button" class="btn btn-secondary" onclick="app.closeModal('process-alert-modal')">Cancel</button>
-                            <button type="submit" class="btn btn-primary">Process Alert</button>
+            `;
+            return;
+        }
+
+        container.innerHTML = sources.map(source => `
+            <div class="alert-card rule-card ${source.enabled ? '' : 'rule-disabled'}">
+                <div class="alert-header">
+                    <div>
+                        <div class="alert-title">${this.escapeHtml(source.name)}</div>
+                        <div class="alert-meta">
+                            <code>${window.location.origin}/api/webhook/custom/${source.id}</code>
+                            • ${source.enabled ? 'Enabled' : 'Disabled'}
+                            • Received ${source.receivedCount || 0} alerts
+                            ${source.lastReceivedAt ? `• Last ${this.formatDate(source.lastReceivedAt)}` : ''}
                         </div>
-                    </form>
+                    </div>
+                    <div class="alert-actions">
+                        <button class="btn btn-primary" onclick="app.showCustomSourceModal('${source.id}')">
+                            <i class="fas fa-edit"></i>
+                            Edit
+                        </button>
+                        <button class="btn btn-danger" onclick="app.deleteCustomSource('${source.id}')">
+                            <i class="fas fa-trash"></i>
+                            Delete
+                        </button>
+                    </div>
                 </div>
-            `;
+                ${source.description ? `<div class="card-description">${this.escapeHtml(source.description)}</div>` : ''}
+                <div class="rule-conditions">
+                    ${Object.entries(source.mapping || {}).map(([field, expression]) =>
+                        `<span class="rule-condition">${this.escapeHtml(field)} ← ${this.escapeHtml(expression)}</span>`
+                    ).join('')}
+                </div>
+            </div>
+        `).join('');
+    }
 
-            this.showModal('process-alert-modal', modalContent);
+    showCustomSourceModal(sourceId = null) {
+        const source = sourceId ? this.customSources.find(s => s.id === sourceId) : null;
+        const mapping = source ? source.mapping : {
+            title: '$.title',
+            message: '$.description',
+            alert_type: '$.status',
+            priority: '$.severity',
+            tags: '$.labels',
+            hostname: '$.host',
+            date: '$.timestamp'
+        };
+        const valueMaps = source ? source.valueMaps : {
+            alert_type: { firing: 'error', resolved: 'recovery' }
+        };
+        const fields = (this.customSourceFields || []).join(', ');
 
-            // Add form handler
-            document.getElementById('process-alert-form').addEventListener('submit', async (e) => {
-                e.preventDefault();
-                await this.handleProcessAlert(e);
-            });
+        const modalContent = `
+            <div class="modal-header">
+                <h2>${source ? 'Edit Custom Source' : 'Create Custom Source'}</h2>
+                <button class="close-btn" onclick="app.closeModal('source-modal')">&times;</button>
+            </div>
+            <div class="modal-body">
+                <form id="source-form">
+                    <input type="hidden" name="id" value="${source ? source.id : ''}">
+                    <div class="form-group">
+                        <label for="source-name">Source Name *</label>
+                        <input type="text" id="source-name" name="name" value="${source ? this.escapeHtml(source.name) : ''}" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="source-description">Description</label>
+                        <textarea id="source-description" name="description" rows="2">${source ? this.escapeHtml(source.description || '') : ''}</textarea>
+                    </div>
+                    <div class="form-group">
+                        <label for="source-alerts-path">Alerts Path (optional)</label>
+                        <input type="text" id="source-alerts-path" name="alertsPath" value="${source ? this.escapeHtml(source.alertsPath || '') : ''}" placeholder="$.events[*]">
+                        <small class="text-muted">Point at an array to create one alert per element; the mapping is then applied to each element.</small>
+                    </div>
+                    <div class="form-group">
+                        <label for="source-mapping">Field Mapping *</label>
+                        <textarea id="source-mapping" name="mapping" class="code-input" rows="9">${this.escapeHtml(JSON.stringify(mapping, null, 2))}</textarea>
+                        <small class="text-muted">Alert field → <code>$.path</code>, a literal, or text with <code>{{$.path}}</code> placeholders. Fields: ${this.escapeHtml(fields)}</small>
+                    </div>
+                    <div class="form-group">
+                        <label for="source-value-maps">Value Maps</label>
+                        <textarea id="source-value-maps" name="valueMaps" class="code-input" rows="4">${this.escapeHtml(JSON.stringify(valueMaps || {}, null, 2))}</textarea>
+                        <small class="text-muted">Translate mapped values, e.g. your tool's statuses into error / warning / recovery.</small>
+                    </div>
+                    <div class="form-group">
+                        <label>
+                            <input type="checkbox" name="enabled" ${!source || source.enabled ? 'checked' : ''} style="width: auto;">
+                            Enabled
+                        </label>
+                    </div>
+                    <div class="form-group">
+                        <label for="source-sample">Test Against Sample</label>
+                        <textarea id="source-sample" class="code-input" rows="6" placeholder='{"title": "Queue backlog", "status": "firing", "host": "mq-1"}'></textarea>
+                        <div class="mt-2">
+                            <button type="button" class="btn btn-secondary" onclick="app.testCustomSourceMapping()">
+                                <i class="fas fa-vial"></i>
+                                Test Mapping
+                            </button>
+                        </div>
+                        <div id="source-test-result" class="mt-2"></div>
+                    </div>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-secondary" onclick="app.closeModal('source-modal')">Cancel</button>
+                        <button type="submit" class="btn btn-primary">${source ? 'Update Source' : 'Create Source'}</button>
+                    </div>
+                </form>
+            </div>
+        `;
 
-        } catch (error) {
-            console.error('Error preparing alert processing:', error);
-            this.showToast('Error loading templates', 'error');
-        }
+        this.showModal('source-modal', modalContent);
+
+        document.getElementById('source-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.handleSaveCustomSource(e.target);
+        });
     }
 
-    async handleProcessAlert(event) {
+    // Read the source form; throws when a JSON field does not parse
+    readCustomSourceForm(form) {
+        const formData = new FormData(form);
+        const parseJson = (name, label) => {
+            const raw = (formData.get(name) || '').trim();
+            if (!raw) return {};
+            try {
+                return JSON.parse(raw);
+            } catch (error) {
+                throw new Error(`${label} is not valid JSON`);
+            }
+        };
+
+        return {
+            id: formData.get('id'),
+            name: formData.get('name'),
+            description: formData.get('description'),
+            alertsPath: formData.get('alertsPath'),
+            enabled: formData.get('enabled') === 'on',
+            mapping: parseJson('mapping', 'Field mapping'),
+            valueMaps: parseJson('valueMaps', 'Value maps')
+        };
+    }
+
+    async handleSaveCustomSource(form) {
         try {
-            const formData = new FormData(event.target);
-            const alertId = formData.get('alertId');
-            const templateId = formData.get('templateId');
+            const { id, ...sourceData } = this.readCustomSourceForm(form);
 
-            const response = await fetch('/api/webhook/process', {
-                method: 'POST',
+            const response = await fetch(id ? `/api/custom-sources/${id}` : '/api/custom-sources', {
+                method: id ? 'PUT' : 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ alertId, templateId })
+                body: JSON.stringify(sourceData)
             });
 
             const data = await response.json();
 
             if (data.success) {
-                this.showToast('Alert processed successfully', 'success');
-                this.closeModal('process-alert-modal');
-                
-                // Refresh alerts and documents
-                if (this.currentTab === 'alerts') {
-                    await this.loadPendingAlerts();
-                }
-                await this.loadDashboardData();
+                this.showToast(`Custom source ${id ? 'updated' : 'created'} successfully`, 'success');
+                this.closeModal('source-modal');
+                await this.loadCustomSources();
             } else {
-                throw new Error(data.message || 'Failed to process alert');
+                throw new Error(data.message || 'Failed to save custom source');
             }
         } catch (error) {
-            console.error('Error processing alert:', error);
-            this.showToast(error.message || 'Error processing alert', 'error');
+            console.error('Error saving custom source:', error);
+            this.showToast(error.message || 'Error saving custom source', 'error');
         }
     }
 
-    async viewAlertDetails(alertId) {
+    async testCustomSourceMapping() {
+        const container = document.getElementById('source-test-result');
+        const rawSample = document.getElementById('source-sample').value.trim();
+
         try {
-            const alert = this.pendingAlerts.find(a => a.id === alertId);
-            if (!alert) {
-                throw new Error('Alert not found');
+            if (!rawSample) {
+                throw new Error('Paste a sample payload first');
             }
 
-            const modalContent = `
-                <div class="modal-header">
-                    <h2>Alert Details</h2>
-                    <button class="close-btn" onclick="app.closeModal('alert-details-modal')">&times;</button>
-                </div>
-                <div class="modal-body">
-                    <div class="alert-details">
-                        <div class="detail-row">
-                            <strong>Title:</strong> ${this.escapeHtml(alert.title)}
-                        </div>
-                        <div class="detail-row">
-                            <strong>Type:</strong> ${this.escapeHtml(alert.alertType)}
-                        </div>
-                        <div class="detail-row">
-                            <strong>Priority:</strong> <span class="priority-badge priority-${alert.priority}">${alert.priority}</span>
-                        </div>
-                        <div class="detail-row">
-                            <strong>Timestamp:</strong> ${this.formatDate(alert.timestamp)}
-                        </div>
-                        ${alert.message ? `
-                            <div class="detail-row">
-                                <strong>Message:</strong> ${this.escapeHtml(alert.message)}
-                            </div>
-                        ` : ''}
-                        ${alert.tags && alert.tags.length > 0 ? `
-                            <div class="detail-row">
-                                <strong>Tags:</strong> ${alert.tags.map(tag => `<span class="tag">${this.escapeHtml(tag)}</span>`).join(' ')}
-                            </div>
-                        ` : ''}
-                    </div>
-                    <div class="alert-raw-data">
-                        <h3>Raw Alert Data:</h3>
-                        <pre><code>${JSON.stringify(alert, null, 2)}</code></pre>
-                    </div>
-                </div>
+            let payload;
+            try {
+                payload = JSON.parse(rawSample);
+            } catch (error) {
+                throw new Error('Sample payload is not valid JSON');
+            }
+
+            const { id, ...definition } = this.readCustomSourceForm(document.getElementById('source-form'));
+
+            const response = await fetch('/api/custom-sources/test', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ ...definition, payload })
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.message || 'Mapping test failed');
+            }
+
+            // Hide the echoed sample; it is already on screen
+            const alerts = data.alerts.map(({ originalPayload, ...alert }) => alert);
+            container.innerHTML = `
+                <div class="detail-row mb-2"><strong>${data.count} alert(s) would be created</strong></div>
+                <pre><code>${this.escapeHtml(JSON.stringify(alerts, null, 2))}</code></pre>
             `;
+        } catch (error) {
+            container.innerHTML = `<div class="check-failed">${this.escapeHtml(error.message)}</div>`;
+        }
+    }
 
-            this.showModal('alert-details-modal', modalContent);
+    async deleteCustomSource(sourceId) {
+        if (!confirm('Are you sure you want to delete this custom source? Its webhook URL will stop accepting alerts.')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/custom-sources/${sourceId}`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+
+            if (data.success) {
+                this.showToast('Custom source deleted successfully', 'success');
+                await this.loadCustomSources();
+            } else {
+                throw new Error(data.message || 'Failed to delete custom source');
+            }
         } catch (error) {
-            console.error('Error viewing alert details:', error);
-            this.showToast('Error loading alert details', 'error');
+            console.error('Error deleting custom source:', error);
+            this.showToast(error.message || 'Error deleting custom source', 'error');
         }
     }
 
@@ -1103,3 +3074,39 @@ function refreshPendingAlerts() {
         window.app.loadPendingAlerts();
     }
 }
+
+function showCreateRuleModal() {
+    if (window.app) {
+        window.app.showRuleModal();
+    }
+}
+
+function runRoutingDryRun() {
+    if (window.app) {
+        window.app.runRoutingDryRun();
+    }
+}
+
+function switchAlertView(view) {
+    if (window.app) {
+        window.app.switchAlertView(view);
+    }
+}
+
+function loadMoreAlertHistory() {
+    if (window.app) {
+        window.app.loadAlertHistory(true);
+    }
+}
+
+function showImportEventsModal() {
+    if (window.app) {
+        window.app.showImportEventsModal();
+    }
+}
+
+function showCreateSourceModal() {
+    if (window.app) {
+        window.app.showCustomSourceModal();
+    }
+}
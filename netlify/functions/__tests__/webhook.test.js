@@ -0,0 +1,53 @@
+const BODY = '{"title":"CPU high","alert_type":"error"}';
+
+// The authenticator reads its config when the function module loads
+function loadHandler(env) {
+  let handler;
+  jest.isolateModules(() => {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    try {
+      ({ handler } = require('../webhook'));
+    } finally {
+      process.env = saved;
+    }
+  });
+  return handler;
+}
+
+function post(headers) {
+  return {
+    httpMethod: 'POST',
+    path: '/.netlify/functions/webhook/datadog',
+    headers,
+    body: BODY,
+    isBase64Encoded: false
+  };
+}
+
+describe('Netlify webhook function', () => {
+  let handler;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    handler = loadHandler({ WEBHOOK_IP_ALLOWLIST: '198.51.100.7' });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('ignores X-Forwarded-For when checking the allowlist', async () => {
+    const response = await handler(post({ 'x-forwarded-for': '198.51.100.7' }));
+
+    expect(response.statusCode).toBe(403);
+    expect(JSON.parse(response.body)).toMatchObject({ error: 'Webhook authentication failed' });
+  });
+
+  test('does not let a forwarded address override the Netlify client address', async () => {
+    const response = await handler(post({
+      'x-nf-client-connection-ip': '203.0.113.1',
+      'x-forwarded-for': '198.51.100.7'
+    }));
+
+    expect(response.statusCode).toBe(403);
+  });
+});
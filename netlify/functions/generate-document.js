@@ -1,6 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const Handlebars = require('handlebars');
+const { registerHelpers } = require('../../server/services/templateHelpers');
 
 // Utility function to ensure directory exists
 async function ensureDir(dirPath) {
@@ -16,43 +17,8 @@ function getDataDir() {
   return '/tmp/data';
 }
 
-// Register Handlebars helpers
-Handlebars.registerHelper('formatDate', function(date) {
-  if (!date) return 'N/A';
-  try {
-    return new Date(date).toLocaleString();
-  } catch (error) {
-    return date;
-  }
-});
-
-Handlebars.registerHelper('eq', function(a, b) {
-  return a === b;
-});
-
-Handlebars.registerHelper('ne', function(a, b) {
-  return a !== b;
-});
-
-Handlebars.registerHelper('gt', function(a, b) {
-  return a > b;
-});
-
-Handlebars.registerHelper('lt', function(a, b) {
-  return a < b;
-});
-
-Handlebars.registerHelper('and', function(a, b) {
-  return a && b;
-});
-
-Handlebars.registerHelper('or', function(a, b) {
-  return a || b;
-});
-
-Handlebars.registerHelper('not', function(a) {
-  return !a;
-});
+// Same built-in helpers as the server
+registerHelpers(Handlebars);
 
 exports.handler = async (event, context) => {
   const headers = {
@@ -1,5 +1,15 @@
 const fs = require('fs').promises;
 const path = require('path');
+const WebhookAuthenticator = require('../../server/services/webhookAuth');
+
+const webhookAuthenticator = new WebhookAuthenticator();
+
+// Netlify's edge sets x-nf-client-connection-ip itself; X-Forwarded-For is
+// passed through from the sender, so it must not decide the allowlist
+function getClientIp(event) {
+  const headers = event.headers || {};
+  return headers['x-nf-client-connection-ip'] || '';
+}
 
 // Utility function to ensure directory exists
 async function ensureDir(dirPath) {
@@ -59,6 +69,25 @@ exports.handler = async (event, context) => {
 
   try {
     if (event.httpMethod === 'POST' && endpoint === 'datadog') {
+      // Authenticate before touching the payload
+      const authResult = webhookAuthenticator.verify({
+        headers: event.headers,
+        rawBody: event.isBase64Encoded ? Buffer.from(event.body || '', 'base64') : (event.body || ''),
+        ip: getClientIp(event)
+      });
+
+      if (!authResult.ok) {
+        return {
+          statusCode: authResult.status,
+          headers,
+          body: JSON.stringify({
+            success: false,
+            error: 'Webhook authentication failed',
+            message: authResult.message
+          })
+        };
+      }
+
       // Handle Datadog webhook
       let alert;
       const timestamp = new Date().toISOString();
@@ -181,6 +210,18 @@ exports.handler = async (event, context) => {
       };
     }
 
+    if (event.httpMethod === 'GET' && endpoint === 'stats' && pathSegments.includes('auth')) {
+      // Webhook authentication counters (per function instance)
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          stats: webhookAuthenticator.getStats()
+        })
+      };
+    }
+
     if (event.httpMethod === 'GET' && endpoint === 'pending') {
       // Get pending alerts
       return {
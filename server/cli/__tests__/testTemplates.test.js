@@ -0,0 +1,93 @@
+const mockRunAll = jest.fn();
+
+jest.mock('../../services/templateTests', () => class {
+  runAll(templateIds) {
+    return mockRunAll(templateIds);
+  }
+});
+
+const report = (templateId, results) => ({
+  templateId,
+  templateName: templateId.toUpperCase(),
+  passed: results.every(result => result.passed),
+  total: results.length,
+  failed: results.filter(result => !result.passed).length,
+  results
+});
+
+// Runs the CLI as `npm run test:templates -- ...args` would and resolves
+// with its exit code and output
+function runCli(args = []) {
+  const lines = [];
+  jest.spyOn(console, 'log').mockImplementation(line => lines.push(line));
+  jest.spyOn(console, 'error').mockImplementation((...parts) => lines.push(parts.join(' ')));
+
+  return new Promise(resolve => {
+    jest.spyOn(process, 'exit').mockImplementation(code => resolve({ code, output: lines.join('\n') }));
+    jest.replaceProperty(process, 'argv', ['node', 'testTemplates.js', ...args]);
+    jest.isolateModules(() => {
+      require('../testTemplates');
+    });
+  });
+}
+
+describe('test:templates CLI', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    mockRunAll.mockReset();
+  });
+
+  test('exits with 0 when every test passes', async () => {
+    mockRunAll.mockResolvedValue([report('runbook', [{ name: 'CPU', passed: true, failures: [] }])]);
+
+    const { code, output } = await runCli();
+
+    expect(code).toBe(0);
+    expect(mockRunAll).toHaveBeenCalledWith([]);
+    expect(output).toBe('✅ RUNBOOK (runbook): 1/1 passed\n\n1/1 template tests passed');
+  });
+
+  test('exits with 1 and prints the failures and diffs', async () => {
+    mockRunAll.mockResolvedValue([
+      report('runbook', [
+        { name: 'CPU', passed: true, failures: [] },
+        {
+          name: 'Disk',
+          passed: false,
+          failures: [{ type: 'expected', message: 'Output differs from the expected output', diff: '--- expected\n+++ actual\n-a\n+b' }]
+        }
+      ])
+    ]);
+
+    const { code, output } = await runCli(['runbook']);
+
+    expect(code).toBe(1);
+    expect(mockRunAll).toHaveBeenCalledWith(['runbook']);
+    expect(output.split('\n')).toEqual([
+      '❌ RUNBOOK (runbook): 1/2 passed',
+      '   ❌ Disk',
+      '      Output differs from the expected output',
+      '        --- expected',
+      '        +++ actual',
+      '        -a',
+      '        +b',
+      '',
+      '1/2 template tests passed'
+    ]);
+  });
+
+  test('exits with 0 when there are no tests', async () => {
+    mockRunAll.mockResolvedValue([]);
+
+    expect(await runCli()).toEqual({ code: 0, output: 'No template tests found' });
+  });
+
+  test('exits with 1 when the tests cannot run', async () => {
+    mockRunAll.mockRejectedValue(new Error('templates unreadable'));
+
+    const { code, output } = await runCli();
+
+    expect(code).toBe(1);
+    expect(output).toMatch(/^❌ Template tests could not run: Error: templates unreadable/);
+  });
+});
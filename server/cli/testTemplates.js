@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+// Run the golden-output tests stored on templates.
+//   npm run test:templates                  every template with tests
+//   npm run test:templates -- <templateId>  only the given templates
+// Exits with 1 when any test fails, so it can gate CI or a deploy.
+const TemplateTests = require('../services/templateTests');
+
+async function main(templateIds) {
+  const reports = await new TemplateTests().runAll(templateIds);
+
+  if (reports.length === 0) {
+    console.log('No template tests found');
+    return 0;
+  }
+
+  for (const report of reports) {
+    console.log(`${report.passed ? '✅' : '❌'} ${report.templateName} (${report.templateId}): ${report.total - report.failed}/${report.total} passed`);
+
+    for (const result of report.results.filter(candidate => !candidate.passed)) {
+      console.log(`   ❌ ${result.name}`);
+      for (const failure of result.failures) {
+        console.log(`      ${failure.message}`);
+        if (failure.diff) {
+          console.log(failure.diff.split('\n').map(line => `        ${line}`).join('\n'));
+        }
+      }
+    }
+  }
+
+  const failed = reports.reduce((sum, report) => sum + report.failed, 0);
+  const total = reports.reduce((sum, report) => sum + report.total, 0);
+  console.log(`\n${total - failed}/${total} template tests passed`);
+  return failed > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Template tests could not run:', error);
+    process.exit(1);
+  });
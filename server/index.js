@@ -10,10 +10,23 @@ require('dotenv').config();
 const webhookRoutes = require('./routes/webhook');
 const templateRoutes = require('./routes/templates');
 const documentRoutes = require('./routes/documents');
+const ruleRoutes = require('./routes/rules');
+const customSourceRoutes = require('./routes/customSources');
+const alertRoutes = require('./routes/alerts');
+const incidentRoutes = require('./routes/incidents');
+const postmortemRoutes = require('./routes/postmortems');
+const sampleRoutes = require('./routes/samples');
+const alertRepository = require('./services/alertRepository');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Honour X-Forwarded-For behind a load balancer so webhook IP allowlists see the client address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy));
+}
+
 // Middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -46,8 +59,12 @@ app.use(helmet({
 }));
 app.use(cors());
 app.use(morgan('combined'));
-app.use(bodyParser.json({ limit: '10mb' }));
-app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
+// Keep the exact request bytes around so webhook signatures can be verified
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(bodyParser.json({ limit: '10mb', verify: captureRawBody }));
+app.use(bodyParser.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody }));
 
 // Serve static files from client directory
 app.use(express.static(path.join(__dirname, '../client')));
@@ -69,6 +86,12 @@ const ensureDirectories = async () => {
 app.use('/api/webhook', webhookRoutes);
 app.use('/api/templates', templateRoutes);
 app.use('/api/documents', documentRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/custom-sources', customSourceRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/incidents', incidentRoutes);
+app.use('/api/postmortems', postmortemRoutes);
+app.use('/api/samples', sampleRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -97,10 +120,13 @@ app.use((err, req, res, next) => {
 const startServer = async () => {
   try {
     await ensureDirectories();
+    // Rehydrate alerts that were still pending when the server last stopped
+    await alertRepository.load();
     app.listen(PORT, () => {
       console.log(`🚀 Datadog Alert Documentation Server running on port ${PORT}`);
       console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
       console.log(`🔗 Webhook endpoint: http://localhost:${PORT}/api/webhook/datadog`);
+      console.log(`🔌 Other sources: http://localhost:${PORT}/api/webhook/{alertmanager,grafana,pagerduty,opsgenie}`);
       console.log(`🌐 Web interface: http://localhost:${PORT}`);
     });
   } catch (error) {
@@ -0,0 +1,143 @@
+const express = require('express');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// The router works on the shared service instances; point them at a temp dir
+const mockBaseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-api-'));
+
+jest.mock('../../services/alertRepository', () => {
+  const { AlertRepository } = jest.requireActual('../../services/alertRepository');
+  return new AlertRepository(require('path').join(mockBaseDir, 'alerts'));
+});
+jest.mock('../../services/alertLifecycle', () => {
+  const { AlertLifecycles } = jest.requireActual('../../services/alertLifecycle');
+  return new AlertLifecycles(require('path').join(mockBaseDir, 'lifecycles'));
+});
+jest.mock('../../services/incidents', () => {
+  const { Incidents } = jest.requireActual('../../services/incidents');
+  return new Incidents(require('path').join(mockBaseDir, 'incidents'));
+});
+jest.mock('../../services/deduplicator', () => {
+  const { Deduplicator } = jest.requireActual('../../services/deduplicator');
+  return new Deduplicator(require('path').join(mockBaseDir, 'dedup'));
+});
+jest.mock('../../services/routingRules', () => {
+  const RoutingRules = jest.requireActual('../../services/routingRules');
+  return class extends RoutingRules {
+    constructor() {
+      super(require('path').join(mockBaseDir, 'rules'), require('path').join(mockBaseDir, 'templates'));
+    }
+  };
+});
+
+const AlertPipeline = require('../../services/alertPipeline');
+const DocumentGenerator = require('../../services/documentGenerator');
+const TemplatePartials = require('../../services/templatePartials');
+const alertRepository = require('../../services/alertRepository');
+
+const TEMPLATES = {
+  runbook: { id: 'runbook', name: 'Runbook', type: 'alert', content: '# {{alert.title}}' }
+};
+
+describe('alerts API replay', () => {
+  let app;
+  let documents;
+  let ingest;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/alerts', require('../alerts'));
+
+    const pipeline = new AlertPipeline();
+    ingest = async (title, templateId) => {
+      const { alertId } = await pipeline.ingest({ source: 'datadog', title, alert_type: 'error' });
+      if (templateId) await pipeline.process(await alertRepository.get(alertId), templateId);
+      return alertId;
+    };
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    documents = new Map();
+    jest.spyOn(DocumentGenerator.prototype, 'loadTemplate').mockImplementation(async templateId => TEMPLATES[templateId] || null);
+    jest.spyOn(DocumentGenerator.prototype, 'updateTemplateUsage').mockResolvedValue();
+    jest.spyOn(TemplatePartials.prototype, 'loadAll').mockResolvedValue([]);
+    jest.spyOn(DocumentGenerator.prototype, 'saveDocument').mockImplementation(async document => {
+      documents.set(document.id, document);
+    });
+    jest.spyOn(DocumentGenerator.prototype, 'loadDocument').mockImplementation(async documentId => documents.get(documentId) || null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => fs.remove(mockBaseDir));
+
+  describe('POST /:alertId/replay', () => {
+    test('generates a new document linked to the previous one', async () => {
+      const alertId = await ingest('Replay one', 'runbook');
+      const { documentId } = await alertRepository.get(alertId);
+
+      const response = await request(app).post(`/api/alerts/${alertId}/replay`).send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        success: true,
+        previousDocumentId: documentId,
+        document: { replayOf: documentId, content: '# Replay one' },
+        alert: { documentId: response.body.document.id }
+      });
+      expect(documents.get(documentId).supersededBy).toBe(response.body.document.id);
+    });
+
+    test('answers 404 for unknown alerts and 400 when no template applies', async () => {
+      const pending = await ingest('Replay without template');
+
+      const missing = await request(app).post('/api/alerts/nope/replay').send({});
+      const noTemplate = await request(app).post(`/api/alerts/${pending}/replay`).send({});
+      const unknownTemplate = await request(app).post(`/api/alerts/${pending}/replay`).send({ templateId: 'gone' });
+
+      expect(missing.status).toBe(404);
+      expect(noTemplate.status).toBe(400);
+      expect(unknownTemplate.status).toBe(400);
+    });
+  });
+
+  describe('POST /replay', () => {
+    test('requires filters', async () => {
+      const response = await request(app).post('/api/alerts/replay').send({ templateId: 'runbook' });
+
+      expect([response.status, response.body.error]).toEqual([400, 'Filters are required']);
+    });
+
+    test('lists the matching alerts on a dry run without generating anything', async () => {
+      const first = await ingest('Bulk dry run a', 'runbook');
+      const second = await ingest('Bulk dry run b', 'runbook');
+      const generated = documents.size;
+
+      const response = await request(app).post('/api/alerts/replay').send({ filters: { q: 'bulk dry run' }, dryRun: true, limit: 1 });
+
+      expect(response.body).toEqual({ success: true, dryRun: true, matched: 2, alertIds: [expect.any(String)] });
+      expect([first, second]).toContain(response.body.alertIds[0]);
+      expect(documents.size).toBe(generated);
+    });
+
+    test('replays every selected alert and reports failures per alert', async () => {
+      const processed = await ingest('Bulk replay processed', 'runbook');
+      const pending = await ingest('Bulk replay pending');
+
+      const response = await request(app).post('/api/alerts/replay').send({ filters: { alertIds: [processed, pending] } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary).toEqual({ matched: 2, total: 2, replayed: 1, failed: 1 });
+      expect(response.body.results).toEqual(expect.arrayContaining([
+        expect.objectContaining({ alertId: processed, status: 'replayed', templateId: 'runbook' }),
+        expect.objectContaining({ alertId: pending, status: 'failed' })
+      ]));
+    });
+  });
+});
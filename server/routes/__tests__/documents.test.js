@@ -0,0 +1,107 @@
+const express = require('express');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// The router keeps documents under data/documents; send every file access
+// there to a temp dir instead
+const DATA_DIR = path.resolve(__dirname, '../../../data');
+const FS_METHODS = ['ensureDir', 'pathExists', 'readFile', 'readJson', 'readdir', 'remove', 'writeJson'];
+const EXPORT_MAX_DOCUMENTS = 3;
+
+describe('documents API tests', () => {
+  let mockDataDir;
+  let app;
+
+  beforeAll(async () => {
+    mockDataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'documents-api-'));
+    const redirect = target => (typeof target === 'string' && target.startsWith(DATA_DIR)
+      ? path.join(mockDataDir, path.relative(DATA_DIR, target))
+      : target);
+    for (const method of FS_METHODS) {
+      const original = fs[method];
+      jest.spyOn(fs, method).mockImplementation((target, ...args) => original.call(fs, redirect(target), ...args));
+    }
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    process.env.DOCUMENT_EXPORT_MAX_DOCUMENTS = String(EXPORT_MAX_DOCUMENTS);
+    app = express();
+    app.use(express.json());
+    app.use('/api/documents', require('../documents'));
+
+    for (let index = 1; index <= 5; index++) {
+      await fs.outputJson(path.join(mockDataDir, 'documents', `doc-${index}.json`), {
+        id: `doc-${index}`,
+        title: `Document ${index}`,
+        content: `# Document ${index}`,
+        priority: index <= 2 ? 'high' : 'low',
+        alertType: 'error',
+        templateName: 'Runbook',
+        createdAt: `2026-10-0${index}T10:00:00.000Z`
+      });
+    }
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    delete process.env.DOCUMENT_EXPORT_MAX_DOCUMENTS;
+    await fs.remove(mockDataDir);
+  });
+
+  beforeEach(() => fs.readJson.mockClear());
+
+  const exportDocuments = query => request(app).get('/api/documents/export').query(query)
+    .buffer(true)
+    .parse((response, callback) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => callback(null, Buffer.concat(chunks)));
+    });
+
+  const documentReads = () => fs.readJson.mock.calls.filter(([file]) => String(file).includes('documents')).length;
+
+  test('exports the matching documents as a zip', async () => {
+    const response = await exportDocuments({ priority: 'high' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/zip');
+    expect(response.body.subarray(0, 2).toString()).toBe('PK');
+    expect(['Document-1-doc-1.md', 'Document-2-doc-2.md', 'Document-3-doc-3.md', 'manifest.json']
+      .map(file => response.body.includes(file))).toEqual([true, true, false, true]);
+  });
+
+  test('stops reading documents once more than the limit match', async () => {
+    const response = await exportDocuments({ format: 'md' });
+
+    expect(response.status).toBe(400);
+    expect(JSON.parse(response.body)).toEqual({
+      error: 'Too many documents',
+      message: 'More than 3 documents match; narrow the filters to at most 3'
+    });
+    expect(documentReads()).toBe(EXPORT_MAX_DOCUMENTS + 1);
+  });
+
+  test('refuses more IDs than the limit without reading any document', async () => {
+    const response = await exportDocuments({ ids: 'doc-1,doc-2,doc-3,doc-4' });
+
+    expect(response.status).toBe(400);
+    expect(documentReads()).toBe(0);
+  });
+
+  test('reads only the documents with the given IDs', async () => {
+    const response = await exportDocuments({ ids: 'doc-2,../doc-5,missing' });
+
+    expect(response.status).toBe(200);
+    expect(fs.readJson.mock.calls.map(([file]) => path.basename(file))).toEqual(['doc-2.json']);
+  });
+
+  test('responds 404 when nothing matches', async () => {
+    const response = await exportDocuments({ priority: 'medium' });
+
+    expect(response.status).toBe(404);
+    expect(JSON.parse(response.body).error).toBe('No documents to export');
+  });
+});
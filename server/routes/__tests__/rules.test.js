@@ -0,0 +1,109 @@
+const express = require('express');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const mockDirs = {};
+
+// Keep the router's rules and templates in a temp dir instead of data/
+jest.mock('../../services/routingRules', () => {
+  const RoutingRules = jest.requireActual('../../services/routingRules');
+  return class extends RoutingRules {
+    constructor() {
+      super(mockDirs.rules, mockDirs.templates);
+    }
+  };
+});
+
+describe('routing rules API', () => {
+  let app;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rules-api-'));
+    mockDirs.base = baseDir;
+    mockDirs.rules = path.join(baseDir, 'rules');
+    mockDirs.templates = path.join(baseDir, 'templates');
+    await fs.outputJson(path.join(mockDirs.templates, 'runbook.json'), { id: 'runbook', name: 'Runbook', type: 'alert', content: '# {{title}}' });
+
+    jest.isolateModules(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/rules', require('../rules'));
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(mockDirs.base);
+  });
+
+  const createRule = body => request(app).post('/api/rules').send({ templateId: 'runbook', ...body });
+
+  test('rejects a rule for a missing template', async () => {
+    const response = await createRule({ name: 'Ghost', templateId: 'missing', conditions: { env: 'prod' } });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ error: 'Invalid routing rule', errors: ['Template missing does not exist'] });
+  });
+
+  test('does not reach files outside the rules directory', async () => {
+    const templatePath = path.join(mockDirs.templates, 'runbook.json');
+
+    expect((await request(app).get('/api/rules/..%2Ftemplates%2Frunbook')).status).toBe(404);
+    expect((await request(app).put('/api/rules/..%2Ftemplates%2Frunbook').send({ name: 'Hijacked' })).status).toBe(404);
+    expect((await request(app).delete('/api/rules/..%2Ftemplates%2Frunbook')).status).toBe(404);
+    expect(await fs.readJson(templatePath)).toMatchObject({ id: 'runbook', name: 'Runbook' });
+  });
+
+  describe('dry-run', () => {
+    test('reports the matching rule and every evaluation without generating anything', async () => {
+      const { body: { rule } } = await createRule({ name: 'Prod errors', conditions: { env: 'prod', alertType: 'error' } });
+      await createRule({ name: 'Staging', conditions: { env: 'staging' } });
+
+      const response = await request(app).post('/api/rules/dry-run').send({
+        payload: { title: 'CPU high', alert_type: 'error', tags: 'env:prod,service:api' }
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        success: true,
+        matched: true,
+        priority: 'high',
+        rule: { id: rule.id, name: 'Prod errors' }
+      });
+      expect(response.body.evaluations.map(evaluation => [evaluation.name, evaluation.matched]))
+        .toEqual([['Prod errors', true], ['Staging', false]]);
+      expect((await request(app).get(`/api/rules/${rule.id}`)).body.rule.matchCount).toBe(0);
+    });
+
+    test('normalizes the sample with the adapter for its source', async () => {
+      await createRule({ name: 'Critical', conditions: { titlePattern: '^Disk' } });
+
+      const response = await request(app).post('/api/rules/dry-run').send({
+        source: 'alertmanager',
+        payload: {
+          status: 'firing',
+          alerts: [{ status: 'firing', labels: { alertname: 'Disk almost full', severity: 'critical' }, annotations: {} }]
+        }
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.matched).toBe(true);
+    });
+
+    test('reports no match', async () => {
+      await createRule({ name: 'Prod errors', conditions: { env: 'prod' } });
+
+      const response = await request(app).post('/api/rules/dry-run').send({ title: 'CPU high', alert_type: 'error' });
+
+      expect(response.body).toMatchObject({ success: true, matched: false, rule: null });
+    });
+
+    test('rejects unknown sources and unrecognised payloads', async () => {
+      expect((await request(app).post('/api/rules/dry-run').send({ source: 'nope', payload: {} })).status).toBe(400);
+      expect((await request(app).post('/api/rules/dry-run').send({ payload: { foo: 'bar' } })).status).toBe(400);
+    });
+  });
+});
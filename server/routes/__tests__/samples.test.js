@@ -0,0 +1,87 @@
+const express = require('express');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// The router works on the shared service instances; point them at a temp dir
+const mockBaseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'samples-api-'));
+
+jest.mock('../../services/alertRepository', () => {
+  const { AlertRepository } = jest.requireActual('../../services/alertRepository');
+  return new AlertRepository(require('path').join(mockBaseDir, 'alerts'));
+});
+jest.mock('../../services/sampleAlerts', () => {
+  const SampleAlerts = jest.requireActual('../../services/sampleAlerts');
+  return class extends SampleAlerts {
+    constructor() {
+      super(require('path').join(mockBaseDir, 'samples'));
+    }
+  };
+});
+
+const alertRepository = require('../../services/alertRepository');
+
+describe('samples API', () => {
+  let app;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/samples', require('../samples'));
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(mockBaseDir);
+  });
+
+  test('returns a built-in sample with the alert it renders as', async () => {
+    const response = await request(app).get('/api/samples/metric-alert');
+
+    expect(response.status).toBe(200);
+    expect(response.body.sample).toMatchObject({ id: 'metric-alert', builtin: true });
+    expect(response.body.alert).toMatchObject({ source: 'datadog_json', title: '[Triggered on {host:web-01}] High CPU on web-01' });
+  });
+
+  test('saves a received alert as a sample', async () => {
+    const alertData = {
+      id: '6f1c2b7e-0000-4000-8000-000000000001',
+      timestamp: '2026-10-19T10:00:00.000Z',
+      status: 'processed',
+      originalPayload: { source: 'grafana', title: 'Disk usage', alert_type: 'warning' }
+    };
+    await alertRepository.save(alertData);
+
+    const created = await request(app).post(`/api/samples/from-alert/${alertData.id}`).send({ name: 'Grafana disk' });
+    const fetched = await request(app).get(`/api/samples/${created.body.sample.id}`);
+
+    expect(created.status).toBe(201);
+    expect(created.body.sample).toMatchObject({ name: 'Grafana disk', category: 'captured', alertId: alertData.id });
+    expect(fetched.body.alert).toEqual(alertData.originalPayload);
+    expect((await request(app).post('/api/samples/from-alert/unknown').send({})).status).toBe(404);
+  });
+
+  test('rejects invalid samples', async () => {
+    const response = await request(app).post('/api/samples').send({ name: '', payload: 42 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual(['Sample name is required', 'payload must be a Datadog JSON payload or notification text']);
+  });
+
+  test('deletes saved samples but not built-in ones', async () => {
+    const { sample } = (await request(app).post('/api/samples').send({ name: 'Temp', payload: { title: 'Temp' } })).body;
+
+    const builtin = await request(app).delete('/api/samples/metric-alert');
+    const saved = await request(app).delete(`/api/samples/${sample.id}`);
+    const again = await request(app).delete(`/api/samples/${sample.id}`);
+
+    expect([builtin.status, builtin.body.message]).toEqual([400, 'Built-in samples cannot be deleted']);
+    expect(saved.status).toBe(200);
+    expect(again.status).toBe(404);
+    expect((await request(app).get('/api/samples/metric-alert')).status).toBe(200);
+  });
+});
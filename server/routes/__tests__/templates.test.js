@@ -0,0 +1,125 @@
+const express = require('express');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// The router and the services it builds keep templates, versions and samples
+// under data/; send every file access there to a temp dir instead
+const DATA_DIR = path.resolve(__dirname, '../../../data');
+const FS_METHODS = ['ensureDir', 'pathExists', 'readFile', 'readJson', 'readdir', 'remove', 'writeJson'];
+
+describe('templates API tests', () => {
+  let mockDataDir;
+  let app;
+
+  beforeAll(async () => {
+    mockDataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'templates-api-'));
+    const redirect = target => (typeof target === 'string' && target.startsWith(DATA_DIR)
+      ? path.join(mockDataDir, path.relative(DATA_DIR, target))
+      : target);
+    for (const method of FS_METHODS) {
+      const original = fs[method];
+      jest.spyOn(fs, method).mockImplementation((target, ...args) => original.call(fs, redirect(target), ...args));
+    }
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/templates', require('../templates'));
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(mockDataDir);
+  });
+
+  async function createTemplate(body) {
+    const response = await request(app).post('/api/templates').send({ type: 'alert', ...body });
+    expect(response.status).toBe(201);
+    return response.body.template.id;
+  }
+
+  // A template with one golden test recorded from the default sample
+  async function testedTemplate(name, content) {
+    const templateId = await createTemplate({ name, content });
+    const response = await request(app).post(`/api/templates/${templateId}/tests`).send({ name: 'Default sample', sampleId: 'metric-alert' });
+    expect(response.status).toBe(201);
+    return templateId;
+  }
+
+  const storedContent = async templateId => (await request(app).get(`/api/templates/${templateId}`)).body.template.content;
+
+  test('records golden output and runs it against unsaved content', async () => {
+    const templateId = await testedTemplate('Golden', '# {{alert.title}}');
+
+    const { body: tests } = await request(app).get(`/api/templates/${templateId}/tests`);
+    const passing = await request(app).post(`/api/templates/${templateId}/test`).send({});
+    const failing = await request(app).post(`/api/templates/${templateId}/test`).send({ content: '## {{alert.title}}' });
+
+    expect(tests.tests[0].expected).toBe('# [Triggered on {host:web-01}] High CPU on web-01');
+    expect(passing.body).toMatchObject({ success: true, passed: true, total: 1, failed: 0 });
+    expect(failing.body).toMatchObject({ passed: false, failed: 1 });
+    expect(failing.body.results[0].failures[0].diff).toContain('+## [Triggered on {host:web-01}] High CPU on web-01');
+  });
+
+  test('rejects test cases with unsafe matches patterns', async () => {
+    const templateId = await createTemplate({ name: 'Patterns', content: '# {{alert.title}}' });
+
+    const response = await request(app).post(`/api/templates/${templateId}/tests`).send({
+      name: 'Backtracking',
+      sampleId: 'metric-alert',
+      matches: ['^(\\w+\\s?)*$']
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([
+      'Test "Backtracking": matches pattern must not repeat a group that itself contains a repeat, e.g. (a+)+'
+    ]);
+  });
+
+  test('blocks saves that break the template tests', async () => {
+    const templateId = await testedTemplate('Blocked', '# {{alert.title}}');
+
+    const response = await request(app).put(`/api/templates/${templateId}`).send({ content: '# {{alert.title}} ({{alert.priority}})' });
+
+    expect(response.status).toBe(409);
+    expect(response.body).toMatchObject({
+      error: 'Template tests failed',
+      message: 'This change breaks 1 test(s) of "Blocked". Save with force: true to keep it anyway.',
+      reports: [{ templateId, passed: false, failed: 1 }]
+    });
+    expect(await storedContent(templateId)).toBe('# {{alert.title}}');
+  });
+
+  test('saves anyway with force in the body or the query', async () => {
+    const templateId = await testedTemplate('Forced', '# {{alert.title}}');
+
+    const body = await request(app).put(`/api/templates/${templateId}`).send({ content: '# Forced once', force: true });
+    expect(body.status).toBe(200);
+    expect(await storedContent(templateId)).toBe('# Forced once');
+
+    const query = await request(app).put(`/api/templates/${templateId}?force=true`).send({ content: '# Forced twice' });
+    expect(query.status).toBe(200);
+    expect(await storedContent(templateId)).toBe('# Forced twice');
+  });
+
+  test('saves changes that keep the tests passing or do not change the output', async () => {
+    const templateId = await testedTemplate('Passing', '# {{alert.title}}');
+
+    expect((await request(app).put(`/api/templates/${templateId}`).send({ content: '# {{ alert.title }}' })).status).toBe(200);
+    expect((await request(app).put(`/api/templates/${templateId}`).send({ description: 'Only metadata' })).status).toBe(200);
+  });
+
+  test('blocks partial changes that break the templates using them', async () => {
+    const partialId = await createTemplate({ name: 'Signature', type: 'partial', partialName: 'signature', content: 'Team: {{host.team}}' });
+    await testedTemplate('Signed', '# {{alert.title}}\n{{> signature}}');
+
+    const response = await request(app).put(`/api/templates/${partialId}`).send({ content: 'Team: unknown' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.reports.map(report => report.templateName)).toEqual(['Signed']);
+  });
+});
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// The router works on the shared service instances; point them at a temp dir
+const mockBaseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-api-'));
+
+jest.mock('../../services/alertRepository', () => {
+  const { AlertRepository } = jest.requireActual('../../services/alertRepository');
+  return new AlertRepository(require('path').join(mockBaseDir, 'alerts'));
+});
+jest.mock('../../services/alertLifecycle', () => {
+  const { AlertLifecycles } = jest.requireActual('../../services/alertLifecycle');
+  return new AlertLifecycles(require('path').join(mockBaseDir, 'lifecycles'));
+});
+jest.mock('../../services/incidents', () => {
+  const { Incidents } = jest.requireActual('../../services/incidents');
+  return new Incidents(require('path').join(mockBaseDir, 'incidents'));
+});
+jest.mock('../../services/deduplicator', () => {
+  const { Deduplicator } = jest.requireActual('../../services/deduplicator');
+  return new Deduplicator(require('path').join(mockBaseDir, 'dedup'));
+});
+jest.mock('../../services/routingRules', () => {
+  const RoutingRules = jest.requireActual('../../services/routingRules');
+  return class extends RoutingRules {
+    constructor() {
+      super(require('path').join(mockBaseDir, 'rules'), require('path').join(mockBaseDir, 'templates'));
+    }
+  };
+});
+
+const alertRepository = require('../../services/alertRepository');
+
+// A fresh router, reading the given environment when it is created
+function createApp(env = {}) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+
+  const captureRawBody = (req, res, buf) => {
+    req.rawBody = buf;
+  };
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  try {
+    jest.isolateModules(() => {
+      app.use('/api/webhook', require('../webhook'));
+    });
+  } finally {
+    process.env = saved;
+  }
+  return app;
+}
+
+describe('webhook API', () => {
+  let app;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    app = express();
+    app.use(express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
+    app.use('/api/webhook', require('../webhook'));
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(mockBaseDir);
+  });
+
+  describe('duplicates', () => {
+    const payload = { alert_id: 7, title: 'Disk full', alert_type: 'error', tags: 'env:prod' };
+
+    test('point at template selection while the first alert is pending', async () => {
+      const first = await request(app).post('/api/webhook/datadog').send(payload);
+      const duplicate = await request(app).post('/api/webhook/datadog').send(payload);
+
+      expect(duplicate.status).toBe(200);
+      expect(duplicate.body).toMatchObject({
+        alertId: first.body.alertId,
+        duplicate: true,
+        occurrences: 2,
+        nextStep: 'Select a template to generate documentation'
+      });
+      expect(duplicate.body).not.toHaveProperty('documentId');
+    });
+
+    test('return the document once the first alert is processed', async () => {
+      const { alertId } = (await request(app).post('/api/webhook/datadog').send({ ...payload, alert_id: 8 })).body;
+      await alertRepository.markProcessed(alertId, { documentId: 'doc-1', templateId: 'runbook' });
+
+      const duplicate = await request(app).post('/api/webhook/datadog').send({ ...payload, alert_id: 8 });
+
+      expect(duplicate.body).toMatchObject({ alertId, duplicate: true, documentId: 'doc-1' });
+      expect(duplicate.body).not.toHaveProperty('nextStep');
+    });
+  });
+
+  describe('text notifications', () => {
+    test('parses text/plain Datadog bodies', async () => {
+      const response = await request(app)
+        .post('/api/webhook/datadog')
+        .set('Content-Type', 'text/plain')
+        .send('[Triggered] CPU high on web-1\nsystem.cpu.user over host:web-1 was > 90.0 on average during the last 5m.');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, lifecycleEvent: 'triggered' });
+      expect((await alertRepository.get(response.body.alertId)).originalPayload).toMatchObject({
+        source: 'datadog_text',
+        title: 'CPU high on web-1'
+      });
+    });
+
+    test('rejects empty and unreadable bodies', async () => {
+      const empty = await request(app).post('/api/webhook/datadog').set('Content-Type', 'text/plain').send('  ');
+      const unreadable = await request(app).post('/api/webhook/datadog').set('Content-Type', 'application/xml').send('<alert/>');
+
+      expect([empty.status, empty.body.error]).toEqual([400, 'Empty webhook payload']);
+      expect(unreadable.status).toBe(400);
+    });
+  });
+
+  describe('adapters', () => {
+    test('ingests every alert of a grouped notification', async () => {
+      const response = await request(app).post('/api/webhook/alertmanager').send({
+        status: 'firing',
+        alerts: [
+          { status: 'firing', fingerprint: 'aa01', labels: { alertname: 'HighLatency', instance: 'web-1' }, annotations: {} },
+          { status: 'firing', fingerprint: 'aa02', labels: { alertname: 'HighLatency', instance: 'web-2' }, annotations: {} }
+        ]
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, source: 'alertmanager', count: 2 });
+      expect(response.body.results.map(result => result.lifecycleEvent)).toEqual(['triggered', 'triggered']);
+    });
+
+    test('accepts PagerDuty events about other objects without storing anything', async () => {
+      const response = await request(app).post('/api/webhook/pagerduty').send({
+        event: { id: '01DEN', event_type: 'service.updated', data: { id: 'PSVC', type: 'service' } }
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true, source: 'pagerduty', count: 0, results: [] });
+    });
+
+    test('rejects unknown sources and payloads the adapter does not recognise', async () => {
+      expect((await request(app).post('/api/webhook/nagios').send({ state: 'down' })).status).toBe(404);
+      expect((await request(app).post('/api/webhook/opsgenie').send({ alert: {} })).status).toBe(400);
+    });
+  });
+
+  describe('batches', () => {
+    test('report every item of a JSON array, including invalid and duplicate ones', async () => {
+      const cpu = { alert_id: 20, title: 'CPU high', alert_type: 'error' };
+
+      const response = await request(app).post('/api/webhook/datadog/batch').send([cpu, { foo: 'bar' }, cpu]);
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary).toEqual({ total: 3, queued: 1, invalid: 1, duplicate: 1 });
+      expect(response.body.results).toEqual([
+        expect.objectContaining({ index: 0, item: 0, status: 'queued', alertId: expect.any(String) }),
+        { index: 1, item: 1, status: 'invalid', error: 'Item is not a recognised datadog payload' },
+        expect.objectContaining({ index: 2, item: 2, status: 'duplicate', alertId: response.body.results[0].alertId })
+      ]);
+    });
+
+    test('read NDJSON and point at lines that do not parse', async () => {
+      const response = await request(app)
+        .post('/api/webhook/datadog/batch')
+        .set('Content-Type', 'application/x-ndjson')
+        .send('{"alert_id":21,"title":"Disk full"}\n\n{"alert_id":\n{"alert_id":22,"title":"Disk full on db-2"}\n');
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary).toEqual({ total: 3, queued: 2, invalid: 1 });
+      expect(response.body.results[1]).toMatchObject({ index: 1, status: 'invalid', error: expect.stringMatching(/^Line 3: /) });
+    });
+
+    test('map alerts from grouped payloads back to their item', async () => {
+      const group = fingerprints => ({
+        status: 'firing',
+        alerts: fingerprints.map(fingerprint => ({ status: 'firing', fingerprint, labels: { alertname: 'Batch' }, annotations: {} }))
+      });
+
+      const response = await request(app).post('/api/webhook/alertmanager/batch').send([group(['b1', 'b2']), group(['b3'])]);
+
+      expect(response.body.results.map(result => [result.index, result.item])).toEqual([[0, 0], [1, 0], [2, 1]]);
+    });
+
+    test('keep going when one item fails', async () => {
+      jest.spyOn(alertRepository, 'save').mockRejectedValueOnce(new Error('disk full'));
+
+      const response = await request(app).post('/api/webhook/datadog/batch').send([
+        { alert_id: 23, title: 'Queue depth' },
+        { alert_id: 24, title: 'Queue depth on worker-2' }
+      ]);
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary).toEqual({ total: 2, error: 1, queued: 1 });
+      expect(response.body.results[0]).toEqual({ index: 0, item: 0, status: 'error', error: 'disk full' });
+    });
+
+    test('reject bodies that are not a list, unknown sources and oversized batches', async () => {
+      const limited = createApp({ BATCH_MAX_ITEMS: '2' });
+
+      expect((await request(app).post('/api/webhook/datadog/batch').send({ title: 'x' })).status).toBe(400);
+      expect((await request(app).post('/api/webhook/nagios/batch').send([])).status).toBe(404);
+      expect((await request(limited).post('/api/webhook/datadog/batch').send([{}, {}, {}])).status).toBe(413);
+    });
+  });
+
+  describe('event stream import', () => {
+    const events = JSON.stringify({
+      events: [
+        { id: 9001, title: '[Triggered] Import CPU high', text: 'CPU above 90%', alert_type: 'error', date_happened: 1792404000 },
+        { id: 9002, title: '[Recovered] Import CPU high', text: 'CPU back to normal', alert_type: 'success', date_happened: 1792404300 }
+      ]
+    });
+
+    test('ingests every event of an export', async () => {
+      const response = await request(app).post('/api/webhook/import').attach('file', Buffer.from(events), 'events.json');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, filename: 'events.json', summary: { total: 2, queued: 2 } });
+      const stored = await alertRepository.get(response.body.results[0].alertId);
+      expect(stored.originalPayload).toMatchObject({ source: 'datadog_import', title: '[Triggered] Import CPU high' });
+    });
+
+    test('rejects missing and empty files', async () => {
+      const missing = await request(app).post('/api/webhook/import');
+      const empty = await request(app).post('/api/webhook/import').attach('file', Buffer.from('[]'), 'events.json');
+
+      expect([missing.status, missing.body.error]).toEqual([400, 'No file uploaded']);
+      expect([empty.status, empty.body.error]).toEqual([400, 'Empty import']);
+    });
+
+    describe('with signed webhooks', () => {
+      const secret = 'import-secret';
+      let signed;
+
+      beforeAll(() => {
+        signed = createApp({ WEBHOOK_SIGNING_SECRET: secret });
+      });
+
+      const signature = (timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+      test('rejects unsigned imports', async () => {
+        const response = await request(signed).post('/api/webhook/import').attach('file', Buffer.from(events), 'events.json');
+
+        expect(response.status).toBe(401);
+        expect(response.body.error).toBe('Webhook authentication failed');
+      });
+
+      test('accepts imports signed over the file contents', async () => {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const file = events.replace(/Import CPU high/g, 'Signed import');
+
+        const response = await request(signed)
+          .post('/api/webhook/import')
+          .set('X-Webhook-Timestamp', String(timestamp))
+          .set('X-Webhook-Signature', `sha256=${signature(timestamp, file)}`)
+          .attach('file', Buffer.from(file), 'events.json');
+
+        expect(response.status).toBe(200);
+        expect(response.body.summary.total).toBe(2);
+      });
+
+      test('rejects a signature over a different file', async () => {
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        const response = await request(signed)
+          .post('/api/webhook/import')
+          .set('X-Webhook-Timestamp', String(timestamp))
+          .set('X-Webhook-Signature', signature(timestamp, '[]'))
+          .attach('file', Buffer.from(events), 'events.json');
+
+        expect(response.status).toBe(401);
+      });
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const express = require('express');
+const AlertPipeline = require('../services/alertPipeline');
+const alertRepository = require('../services/alertRepository');
+const { renderLocaleFields, validateRenderLocale } = require('../services/renderLocale');
+
+const router = express.Router();
+const alertPipeline = new AlertPipeline();
+
+// Upper bound for one bulk replay request
+const REPLAY_MAX_ALERTS = 500;
+
+function replayErrorStatus(error) {
+  return error.code === 'NO_TEMPLATE' || /Template with ID .* not found/.test(error.message) ? 400 : 500;
+}
+
+// timezone/locale overrides from the body; responds 400 and returns null
+// when one is unknown
+function renderLocaleOverride(req, res) {
+  const settings = renderLocaleFields(req.body);
+  const errors = validateRenderLocale(settings);
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Invalid timezone or locale', message: errors.join('; '), errors });
+    return null;
+  }
+  return settings;
+}
+
+// Alert history from the in-memory index, newest first by default.
+// Query: status, source, alertType, priority, tags, since, until, monitorId,
+// templateId, incidentId, q, sort, limit, cursor
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const page = await alertRepository.query({ ...req.query, limit });
+
+    res.json({
+      success: true,
+      count: page.alerts.length,
+      total: page.total,
+      nextCursor: page.nextCursor,
+      alerts: page.alerts
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        error: 'Invalid alert query',
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error fetching alert history:', error);
+    res.status(500).json({
+      error: 'Failed to fetch alert history',
+      message: error.message
+    });
+  }
+});
+
+// Full stored alert, whatever its status
+router.get('/:alertId', async (req, res) => {
+  try {
+    const alertData = await alertRepository.get(req.params.alertId);
+
+    if (!alertData) {
+      return res.status(404).json({
+        error: 'Alert not found',
+        message: `Alert with ID ${req.params.alertId} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      alert: alertData
+    });
+  } catch (error) {
+    console.error('❌ Error fetching alert:', error);
+    res.status(500).json({
+      error: 'Failed to fetch alert',
+      message: error.message
+    });
+  }
+});
+
+// Replay many stored alerts, e.g. after fixing a template bug.
+// Body: { filters, templateId, timezone, locale, limit, dryRun }; filters
+// are those of GET /api/alerts plus alertIds
+router.post('/replay', async (req, res) => {
+  try {
+    const { filters = {}, templateId, dryRun = false } = req.body;
+    const limit = Math.min(parseInt(req.body.limit, 10) || 100, REPLAY_MAX_ALERTS);
+
+    const settings = renderLocaleOverride(req, res);
+    if (!settings) return;
+
+    if (Object.keys(filters).length === 0) {
+      return res.status(400).json({
+        error: 'Filters are required',
+        message: 'Provide at least one filter (alertIds, since, until, status, source, alertType, priority, tags, monitorId, templateId, incidentId, q)'
+      });
+    }
+
+    // Oldest first so lifecycle documents are replaced in the order they were made
+    let matching = await alertRepository.search(filters);
+    if (Array.isArray(filters.alertIds)) {
+      matching = matching.filter(summary => filters.alertIds.includes(summary.id));
+    }
+    matching.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const selected = matching.slice(0, limit);
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        matched: matching.length,
+        alertIds: selected.map(summary => summary.id)
+      });
+    }
+
+    console.log(`🔁 Replaying ${selected.length} of ${matching.length} matching alert(s)`);
+
+    const results = [];
+    for (const summary of selected) {
+      const alertData = await alertRepository.get(summary.id);
+      if (!alertData) {
+        results.push({ alertId: summary.id, status: 'failed', error: 'Alert file is missing' });
+        continue;
+      }
+
+      try {
+        const replay = await alertPipeline.replay(alertData, { templateId, ...settings });
+        results.push({
+          alertId: alertData.id,
+          status: 'replayed',
+          documentId: replay.document.id,
+          previousDocumentId: replay.previousDocumentId,
+          templateId: replay.templateId
+        });
+      } catch (error) {
+        results.push({ alertId: alertData.id, status: 'failed', error: error.message });
+      }
+    }
+
+    const summary = { matched: matching.length, total: results.length };
+    for (const result of results) {
+      summary[result.status] = (summary[result.status] || 0) + 1;
+    }
+
+    res.json({
+      success: true,
+      summary,
+      results
+    });
+  } catch (error) {
+    console.error('❌ Error replaying alerts:', error);
+    res.status(500).json({
+      error: 'Failed to replay alerts',
+      message: error.message
+    });
+  }
+});
+
+// Re-run normalization, routing and document generation for one alert.
+// Body: { templateId, timezone, locale } to override the template and the
+// zone and locale it renders in
+router.post('/:alertId/replay', async (req, res) => {
+  try {
+    const { alertId } = req.params;
+    const settings = renderLocaleOverride(req, res);
+    if (!settings) return;
+
+    const alertData = await alertRepository.get(alertId);
+
+    if (!alertData) {
+      return res.status(404).json({
+        error: 'Alert not found',
+        message: `Alert with ID ${alertId} not found`
+      });
+    }
+
+    const replay = await alertPipeline.replay(alertData, { templateId: req.body.templateId, ...settings });
+
+    res.json({
+      success: true,
+      message: 'Alert replayed successfully',
+      alert: replay.alertData,
+      document: replay.document,
+      previousDocumentId: replay.previousDocumentId
+    });
+  } catch (error) {
+    console.error('❌ Error replaying alert:', error);
+    res.status(replayErrorStatus(error)).json({
+      error: 'Failed to replay alert',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,185 @@
+const express = require('express');
+const moment = require('moment');
+const CustomSources = require('../services/customSources');
+
+const router = express.Router();
+const customSources = new CustomSources();
+
+// Get all custom JSON sources
+router.get('/', async (req, res) => {
+  try {
+    const sources = await customSources.list();
+
+    res.json({
+      success: true,
+      count: sources.length,
+      fields: CustomSources.MAPPABLE_FIELDS,
+      sources
+    });
+  } catch (error) {
+    console.error('❌ Error fetching custom sources:', error);
+    res.status(500).json({
+      error: 'Failed to fetch custom sources',
+      message: error.message
+    });
+  }
+});
+
+// Apply an (unsaved) mapping to a sample payload without storing anything
+router.post('/test', async (req, res) => {
+  try {
+    const { payload, ...definition } = req.body;
+    const source = customSources.build(definition);
+    const errors = customSources.validate({ ...source, name: source.name || 'Test' });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid custom source',
+        message: errors.join('; '),
+        errors
+      });
+    }
+
+    const alerts = customSources.toAlerts(source, payload, moment().toISOString());
+    if (!alerts) {
+      return res.status(400).json({
+        error: 'Invalid sample payload',
+        message: 'Payload must be a JSON object or array'
+      });
+    }
+
+    res.json({
+      success: true,
+      count: alerts.length,
+      alerts
+    });
+  } catch (error) {
+    console.error('❌ Error testing custom source mapping:', error);
+    res.status(500).json({
+      error: 'Failed to test custom source mapping',
+      message: error.message
+    });
+  }
+});
+
+// Get specific custom source
+router.get('/:sourceId', async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+    const source = await customSources.get(sourceId);
+
+    if (!source) {
+      return res.status(404).json({
+        error: 'Custom source not found',
+        message: `Custom source with ID ${sourceId} does not exist`
+      });
+    }
+
+    res.json({
+      success: true,
+      source
+    });
+  } catch (error) {
+    console.error('❌ Error fetching custom source:', error);
+    res.status(500).json({
+      error: 'Failed to fetch custom source',
+      message: error.message
+    });
+  }
+});
+
+// Create custom source
+router.post('/', async (req, res) => {
+  try {
+    const source = await customSources.create(req.body);
+
+    console.log(`✅ Custom source "${source.name}" created with ID: ${source.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Custom source created successfully',
+      source
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        error: 'Invalid custom source',
+        message: error.message,
+        errors: error.validationErrors
+      });
+    }
+
+    console.error('❌ Error creating custom source:', error);
+    res.status(500).json({
+      error: 'Failed to create custom source',
+      message: error.message
+    });
+  }
+});
+
+// Update custom source
+router.put('/:sourceId', async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+    const source = await customSources.update(sourceId, req.body);
+
+    if (!source) {
+      return res.status(404).json({
+        error: 'Custom source not found',
+        message: `Custom source with ID ${sourceId} does not exist`
+      });
+    }
+
+    console.log(`✅ Custom source ${sourceId} updated successfully`);
+
+    res.json({
+      success: true,
+      message: 'Custom source updated successfully',
+      source
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        error: 'Invalid custom source',
+        message: error.message,
+        errors: error.validationErrors
+      });
+    }
+
+    console.error('❌ Error updating custom source:', error);
+    res.status(500).json({
+      error: 'Failed to update custom source',
+      message: error.message
+    });
+  }
+});
+
+// Delete custom source
+router.delete('/:sourceId', async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+    const source = await customSources.remove(sourceId);
+
+    if (!source) {
+      return res.status(404).json({
+        error: 'Custom source not found',
+        message: `Custom source with ID ${sourceId} does not exist`
+      });
+    }
+
+    console.log(`✅ Custom source "${source.name}" (${sourceId}) deleted successfully`);
+
+    res.json({
+      success: true,
+      message: 'Custom source deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting custom source:', error);
+    res.status(500).json({
+      error: 'Failed to delete custom source',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,46 @@ const express = require('express');
 const fs = require('fs-extra');
 const path = require('path');
 const moment = require('moment');
+const { formatOf, renderContent, htmlPage } = require('../services/documentFormats');
+const { EXPORT_FORMATS, exportFilename, exportDocument, exportArchive } = require('../services/documentExport');
 
 const router = express.Router();
 
+// Most documents one bulk export may include
+const EXPORT_MAX_DOCUMENTS = parseInt(process.env.DOCUMENT_EXPORT_MAX_DOCUMENTS, 10) || 500;
+
+function invalidExportFormatResponse(res, format) {
+  return res.status(400).json({
+    error: 'Invalid export format',
+    message: `Export format "${format}" must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`
+  });
+}
+
+function exportIds(query) {
+  return query.ids ? String(query.ids).split(',').map(id => id.trim()).filter(Boolean) : null;
+}
+
+// Bulk export filters from the query: ids (comma-separated), priority,
+// status, alertType, templateId, incidentId, kind, q (title, content or
+// alert type contains), from/to (created at, ISO dates)
+function exportFilter(query) {
+  const ids = exportIds(query);
+  const equal = ['priority', 'status', 'alertType', 'templateId', 'incidentId'].filter(field => query[field]);
+  const searchTerm = query.q ? String(query.q).toLowerCase() : null;
+  const from = query.from ? moment(query.from) : null;
+  const to = query.to ? moment(query.to) : null;
+
+  return document => {
+    if (ids && !ids.includes(document.id)) return false;
+    if (equal.some(field => document[field] !== query[field])) return false;
+    if (query.kind && (document.kind || 'alert') !== query.kind) return false;
+    if (searchTerm && !`${document.title} ${document.content} ${document.alertType}`.toLowerCase().includes(searchTerm)) return false;
+    if (from && moment(document.createdAt).isBefore(from)) return false;
+    if (to && moment(document.createdAt).isAfter(to)) return false;
+    return true;
+  };
+}
+
 // Get all documents
 router.get('/', async (req, res) => {
   try {
@@ -28,7 +65,8 @@ router.get('/', async (req, res) => {
             templateName: document.templateName,
             createdAt: document.createdAt,
             priority: document.priority,
-            status: document.status
+            status: document.status,
+            format: formatOf(document)
           });
         } catch (error) {
           console.warn(`Failed to read document ${file}:`, error.message);
@@ -54,6 +92,88 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Export a filtered set of documents as a zip, one file per document in
+// the given format (default md). Query: format plus the exportFilter fields
+router.get('/export', async (req, res) => {
+  try {
+    const { format = 'md' } = req.query;
+    if (!EXPORT_FORMATS[format]) {
+      return invalidExportFormatResponse(res, format);
+    }
+
+    for (const field of ['from', 'to']) {
+      if (req.query[field] && !moment(req.query[field], moment.ISO_8601, true).isValid()) {
+        return res.status(400).json({
+          error: 'Invalid date',
+          message: `${field} must be an ISO 8601 date`
+        });
+      }
+    }
+
+    const tooMany = () => res.status(400).json({
+      error: 'Too many documents',
+      message: `More than ${EXPORT_MAX_DOCUMENTS} documents match; narrow the filters to at most ${EXPORT_MAX_DOCUMENTS}`
+    });
+
+    const ids = exportIds(req.query);
+    if (ids && new Set(ids).size > EXPORT_MAX_DOCUMENTS) {
+      return tooMany();
+    }
+
+    const documentsDir = path.join(__dirname, '../../data/documents');
+    await fs.ensureDir(documentsDir);
+
+    // With ids, only those files are read. Otherwise reading stops as soon
+    // as the matches pass the limit, since the export is refused anyway.
+    let files = (await fs.readdir(documentsDir)).filter(file => file.endsWith('.json'));
+    if (ids) {
+      const wanted = new Set(ids.map(id => `${id}.json`));
+      files = files.filter(file => wanted.has(file));
+    }
+
+    const matches = exportFilter(req.query);
+    const documents = [];
+    for (const file of files) {
+      try {
+        const document = await fs.readJson(path.join(documentsDir, file));
+        if (matches(document)) documents.push(document);
+      } catch (error) {
+        console.warn(`Failed to read document ${file}:`, error.message);
+      }
+      if (documents.length > EXPORT_MAX_DOCUMENTS) {
+        return tooMany();
+      }
+    }
+
+    if (documents.length === 0) {
+      return res.status(404).json({
+        error: 'No documents to export',
+        message: 'No documents match the given filters'
+      });
+    }
+
+    documents.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.attachment(`documents-${format}-${moment().format('YYYYMMDD-HHmmss')}.zip`);
+    res.set('Content-Type', 'application/zip');
+    await exportArchive(documents, format, res);
+
+    console.log(`✅ Exported ${documents.length} document(s) as ${format}`);
+
+  } catch (error) {
+    console.error('❌ Error exporting documents:', error);
+    // Once the zip has started streaming, all that is left is to cut it off
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({
+      error: 'Failed to export documents',
+      message: error.message
+    });
+  }
+});
+
 // Get specific document
 router.get('/:documentId', async (req, res) => {
   try {
@@ -83,6 +203,41 @@ router.get('/:documentId', async (req, res) => {
   }
 });
 
+// Download a document as txt, md, html, json, pdf or docx. Query: format
+// (default txt)
+router.get('/:documentId/export', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { format = 'txt' } = req.query;
+    if (!EXPORT_FORMATS[format]) {
+      return invalidExportFormatResponse(res, format);
+    }
+
+    const documentPath = path.join(__dirname, '../../data/documents', `${path.basename(documentId)}.json`);
+    
+    if (!(await fs.pathExists(documentPath))) {
+      return res.status(404).json({
+        error: 'Document not found',
+        message: `Document with ID ${documentId} does not exist`
+      });
+    }
+    
+    const document = await fs.readJson(documentPath);
+    const content = await exportDocument(document, format);
+
+    res.attachment(exportFilename(document, format));
+    res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.send(content);
+    
+  } catch (error) {
+    console.error('❌ Error exporting document:', error);
+    res.status(500).json({
+      error: 'Failed to export document',
+      message: error.message
+    });
+  }
+});
+
 // Get document content as plain text
 router.get('/:documentId/content', async (req, res) => {
   try {
@@ -114,8 +269,9 @@ router.get('/:documentId/content', async (req, res) => {
   }
 });
 
-// Get document content as HTML
-router.get('/:documentId/html', async (req, res) => {
+// Document content rendered for the app's document viewer: { format, html,
+// toc, tocHtml }. Heading ids are prefixed to stay apart from the app's ids.
+router.get('/:documentId/rendered', async (req, res) => {
   try {
     const { documentId } = req.params;
     const documentPath = path.join(__dirname, '../../data/documents', `${documentId}.json`);
@@ -129,66 +285,37 @@ router.get('/:documentId/html', async (req, res) => {
     
     const document = await fs.readJson(documentPath);
     
-    // Convert plain text to HTML with basic formatting
-    const htmlContent = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${document.title}</title>
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            line-height: 1.6;
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 20px;
-            color: #333;
-        }
-        .header {
-            border-bottom: 2px solid #e1e5e9;
-            padding-bottom: 20px;
-            margin-bottom: 30px;
-        }
-        .title {
-            font-size: 2em;
-            margin: 0 0 10px 0;
-            color: #1a1a1a;
-        }
-        .meta {
-            color: #666;
-            font-size: 0.9em;
-        }
-        .content {
-            white-space: pre-wrap;
-            font-family: 'SF Mono', Monaco, 'Cascadia Code', 'Roboto Mono', Consolas, 'Courier New', monospace;
-            background: #f8f9fa;
-            padding: 20px;
-            border-radius: 6px;
-            border-left: 4px solid #0366d6;
-        }
-        .priority-high { border-left-color: #d73a49; }
-        .priority-medium { border-left-color: #f66a0a; }
-        .priority-low { border-left-color: #28a745; }
-    </style>
-</head>
-<body>
-    <div class="header">
-        <h1 class="title">${document.title}</h1>
-        <div class="meta">
-            <strong>Alert Type:</strong> ${document.alertType} | 
-            <strong>Priority:</strong> ${document.priority} | 
-            <strong>Generated:</strong> ${moment(document.createdAt).format('MMMM Do YYYY, h:mm:ss a')} |
-            <strong>Template:</strong> ${document.templateName}
-        </div>
-    </div>
-    <div class="content priority-${document.priority}">${document.content}</div>
-</body>
-</html>`;
+    res.json({
+      success: true,
+      ...renderContent(document.content, formatOf(document), { idPrefix: 'doc-' })
+    });
+    
+  } catch (error) {
+    console.error('❌ Error rendering document:', error);
+    res.status(500).json({
+      error: 'Failed to render document',
+      message: error.message
+    });
+  }
+});
+
+// Get document content as an HTML page; Markdown is rendered and sanitized
+router.get('/:documentId/html', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const documentPath = path.join(__dirname, '../../data/documents', `${documentId}.json`);
+    
+    if (!(await fs.pathExists(documentPath))) {
+      return res.status(404).json({
+        error: 'Document not found',
+        message: `Document with ID ${documentId} does not exist`
+      });
+    }
+    
+    const document = await fs.readJson(documentPath);
     
     res.set('Content-Type', 'text/html');
-    res.send(htmlContent);
+    res.send(htmlPage(document));
     
   } catch (error) {
     console.error('❌ Error fetching document HTML:', error);
@@ -225,6 +352,12 @@ router.put('/:documentId', async (req, res) => {
       status: status || existingDocument.status,
       updatedAt: moment().toISOString()
     };
+
+    // Keep an edit trail (shown on post-mortem timelines)
+    const fields = ['title', 'content', 'status'].filter(field => updatedDocument[field] !== existingDocument[field]);
+    if (fields.length > 0) {
+      updatedDocument.edits = [...(existingDocument.edits || []), { at: updatedDocument.updatedAt, fields }];
+    }
     
     // Save updated document
     await fs.writeJson(documentPath, updatedDocument, { spaces: 2 });
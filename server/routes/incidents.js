@@ -0,0 +1,189 @@
+const express = require('express');
+const AlertPipeline = require('../services/alertPipeline');
+const alertRepository = require('../services/alertRepository');
+const incidents = require('../services/incidents');
+
+const router = express.Router();
+const alertPipeline = new AlertPipeline();
+
+// List incidents, most recently active first. Query: status
+// (open | acknowledged | resolved; open includes acknowledged)
+router.get('/', async (req, res) => {
+  try {
+    const list = await incidents.list({ status: req.query.status });
+
+    res.json({
+      success: true,
+      count: list.length,
+      incidents: list
+    });
+  } catch (error) {
+    console.error('❌ Error fetching incidents:', error);
+    res.status(500).json({
+      error: 'Failed to fetch incidents',
+      message: error.message
+    });
+  }
+});
+
+// Get incident grouping config
+router.get('/config', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      config: await incidents.getConfig()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching incident config:', error);
+    res.status(500).json({
+      error: 'Failed to fetch incident config',
+      message: error.message
+    });
+  }
+});
+
+// Update incident grouping config
+router.put('/config', async (req, res) => {
+  try {
+    const { enabled, groupBy, groupByAggregationKey, windowSeconds, autoResolve } = req.body;
+    const changes = {};
+
+    if (enabled !== undefined) changes.enabled = Boolean(enabled);
+    if (groupBy !== undefined) changes.groupBy = groupBy;
+    if (groupByAggregationKey !== undefined) changes.groupByAggregationKey = Boolean(groupByAggregationKey);
+    if (windowSeconds !== undefined) changes.windowSeconds = Number(windowSeconds);
+    if (autoResolve !== undefined) changes.autoResolve = Boolean(autoResolve);
+
+    const config = await incidents.updateConfig(changes);
+
+    console.log('✅ Incident config updated successfully');
+
+    res.json({
+      success: true,
+      message: 'Incident config updated successfully',
+      config
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        error: 'Invalid incident config',
+        message: error.message,
+        errors: error.validationErrors
+      });
+    }
+
+    console.error('❌ Error updating incident config:', error);
+    res.status(500).json({
+      error: 'Failed to update incident config',
+      message: error.message
+    });
+  }
+});
+
+// Get an incident with summaries of its member alerts
+router.get('/:incidentId', async (req, res) => {
+  try {
+    const { incidentId } = req.params;
+    const incident = await incidents.get(incidentId);
+
+    if (!incident) {
+      return res.status(404).json({
+        error: 'Incident not found',
+        message: `Incident with ID ${incidentId} not found`
+      });
+    }
+
+    const alerts = await alertRepository.search({ incidentId });
+    alerts.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    res.json({
+      success: true,
+      incident,
+      alerts
+    });
+  } catch (error) {
+    console.error('❌ Error fetching incident:', error);
+    res.status(500).json({
+      error: 'Failed to fetch incident',
+      message: error.message
+    });
+  }
+});
+
+// Acknowledge, resolve or reopen an incident. Body: { status }
+router.put('/:incidentId/status', async (req, res) => {
+  try {
+    const { incidentId } = req.params;
+    const incident = await incidents.setStatus(incidentId, req.body.status);
+
+    if (!incident) {
+      return res.status(404).json({
+        error: 'Incident not found',
+        message: `Incident with ID ${incidentId} not found`
+      });
+    }
+
+    console.log(`✅ Incident ${incidentId} marked ${incident.status}`);
+
+    res.json({
+      success: true,
+      message: `Incident marked ${incident.status}`,
+      incident
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        error: 'Invalid incident status',
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error updating incident status:', error);
+    res.status(500).json({
+      error: 'Failed to update incident status',
+      message: error.message
+    });
+  }
+});
+
+// Render one document for the whole incident. Body: { templateId }
+router.post('/:incidentId/document', async (req, res) => {
+  try {
+    const { incidentId } = req.params;
+    const { templateId } = req.body;
+
+    if (!templateId) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'templateId is required'
+      });
+    }
+
+    const incident = await incidents.get(incidentId);
+    if (!incident) {
+      return res.status(404).json({
+        error: 'Incident not found',
+        message: `Incident with ID ${incidentId} not found`
+      });
+    }
+
+    const document = await alertPipeline.documentIncident(incident, templateId);
+
+    console.log(`✅ Incident ${incidentId} documented as ${document.id}`);
+
+    res.json({
+      success: true,
+      message: 'Incident documented successfully',
+      document
+    });
+  } catch (error) {
+    const notFound = /Template with ID .* not found/.test(error.message);
+    console.error('❌ Error documenting incident:', error);
+    res.status(notFound ? 400 : 500).json({
+      error: 'Failed to document incident',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
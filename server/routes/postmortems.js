@@ -0,0 +1,141 @@
+const express = require('express');
+const PostmortemBuilder = require('../services/postmortemBuilder');
+
+const router = express.Router();
+const postmortemBuilder = new PostmortemBuilder();
+
+function errorStatus(error) {
+  if (error.validationErrors) return 400;
+  if (error.code === 'NOT_FOUND') return 404;
+  return 500;
+}
+
+function postmortemNotFound(res, documentId) {
+  return res.status(404).json({
+    error: 'Post-mortem not found',
+    message: `Post-mortem with ID ${documentId} does not exist`
+  });
+}
+
+// List post-mortems
+router.get('/', async (req, res) => {
+  try {
+    const postmortems = await postmortemBuilder.list();
+
+    res.json({
+      success: true,
+      count: postmortems.length,
+      postmortems
+    });
+  } catch (error) {
+    console.error('❌ Error fetching post-mortems:', error);
+    res.status(500).json({
+      error: 'Failed to fetch post-mortems',
+      message: error.message
+    });
+  }
+});
+
+// Generate a post-mortem for an incident or a set of alerts.
+// Body: { incidentId | alertIds, templateId, title, sections, actionItems, owners }
+router.post('/', async (req, res) => {
+  try {
+    const document = await postmortemBuilder.create(req.body);
+
+    console.log(`✅ Post-mortem "${document.title}" created with ID: ${document.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Post-mortem generated successfully',
+      document
+    });
+  } catch (error) {
+    if (errorStatus(error) === 500) {
+      console.error('❌ Error generating post-mortem:', error);
+    }
+    res.status(errorStatus(error)).json({
+      error: 'Failed to generate post-mortem',
+      message: error.message
+    });
+  }
+});
+
+// Get a post-mortem with its timeline, sections and action items
+router.get('/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const document = await postmortemBuilder.get(documentId);
+
+    if (!document) {
+      return postmortemNotFound(res, documentId);
+    }
+
+    res.json({
+      success: true,
+      document
+    });
+  } catch (error) {
+    console.error('❌ Error fetching post-mortem:', error);
+    res.status(500).json({
+      error: 'Failed to fetch post-mortem',
+      message: error.message
+    });
+  }
+});
+
+// Edit sections, action items, owners, title or status and re-render.
+// Body: { title, status, sections: { summary, rootCause, resolution, lessonsLearned }, actionItems, owners }
+router.put('/:documentId', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const document = await postmortemBuilder.update(documentId, req.body);
+
+    if (!document) {
+      return postmortemNotFound(res, documentId);
+    }
+
+    console.log(`✅ Post-mortem ${documentId} updated successfully`);
+
+    res.json({
+      success: true,
+      message: 'Post-mortem updated successfully',
+      document
+    });
+  } catch (error) {
+    if (errorStatus(error) === 500) {
+      console.error('❌ Error updating post-mortem:', error);
+    }
+    res.status(errorStatus(error)).json({
+      error: 'Failed to update post-mortem',
+      message: error.message
+    });
+  }
+});
+
+// Rebuild the timeline and impact from current data, keeping edited sections
+router.post('/:documentId/refresh', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const document = await postmortemBuilder.refresh(documentId);
+
+    if (!document) {
+      return postmortemNotFound(res, documentId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Post-mortem timeline refreshed',
+      document
+    });
+  } catch (error) {
+    if (errorStatus(error) === 500) {
+      console.error('❌ Error refreshing post-mortem:', error);
+    }
+    res.status(errorStatus(error)).json({
+      error: 'Failed to refresh post-mortem',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+const express = require('express');
+const moment = require('moment');
+const RoutingRules = require('../services/routingRules');
+const DocumentGenerator = require('../services/documentGenerator');
+const { getAdapter } = require('../services/adapters');
+
+const router = express.Router();
+const routingRules = new RoutingRules();
+
+// Get all routing rules in evaluation order
+router.get('/', async (req, res) => {
+  try {
+    const rules = await routingRules.list();
+
+    res.json({
+      success: true,
+      count: rules.length,
+      rules
+    });
+  } catch (error) {
+    console.error('❌ Error fetching routing rules:', error);
+    res.status(500).json({
+      error: 'Failed to fetch routing rules',
+      message: error.message
+    });
+  }
+});
+
+// Show which rule would match a sample payload without generating anything
+router.post('/dry-run', async (req, res) => {
+  try {
+    const payload = req.body.payload !== undefined ? req.body.payload : req.body;
+    const source = req.body.source || 'datadog';
+    const adapter = getAdapter(source);
+
+    if (!adapter) {
+      return res.status(400).json({
+        error: 'Unknown webhook source',
+        message: `No adapter registered for "${source}"`
+      });
+    }
+
+    // Grouped payloads are checked against their first alert
+    const alerts = adapter.normalize(payload, moment().toISOString());
+    const alert = alerts && alerts[0];
+
+    if (!alert) {
+      return res.status(400).json({
+        error: 'Invalid sample payload',
+        message: `Payload is not a recognised ${source} webhook`
+      });
+    }
+
+    const { rule, evaluations } = await routingRules.match(alert);
+
+    res.json({
+      success: true,
+      alert,
+      priority: new DocumentGenerator().determinePriority(alert),
+      matched: Boolean(rule),
+      rule,
+      evaluations
+    });
+  } catch (error) {
+    console.error('❌ Error running routing dry-run:', error);
+    res.status(500).json({
+      error: 'Failed to run routing dry-run',
+      message: error.message
+    });
+  }
+});
+
+// Reorder rules by ID
+router.post('/reorder', async (req, res) => {
+  try {
+    const { ruleIds } = req.body;
+
+    if (!Array.isArray(ruleIds)) {
+      return res.status(400).json({
+        error: 'Rule IDs are required',
+        message: 'Please provide a ruleIds array in the request body'
+      });
+    }
+
+    const rules = await routingRules.reorder(ruleIds);
+
+    res.json({
+      success: true,
+      message: 'Routing rules reordered successfully',
+      rules
+    });
+  } catch (error) {
+    console.error('❌ Error reordering routing rules:', error);
+    res.status(500).json({
+      error: 'Failed to reorder routing rules',
+      message: error.message
+    });
+  }
+});
+
+// Get specific routing rule
+router.get('/:ruleId', async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const rule = await routingRules.get(ruleId);
+
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Routing rule not found',
+        message: `Routing rule with ID ${ruleId} does not exist`
+      });
+    }
+
+    res.json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    console.error('❌ Error fetching routing rule:', error);
+    res.status(500).json({
+      error: 'Failed to fetch routing rule',
+      message: error.message
+    });
+  }
+});
+
+// Create routing rule
+router.post('/', async (req, res) => {
+  try {
+    const rule = await routingRules.create(req.body);
+
+    console.log(`✅ Routing rule "${rule.name}" created with ID: ${rule.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Routing rule created successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        error: 'Invalid routing rule',
+        message: error.message,
+        errors: error.validationErrors
+      });
+    }
+
+    console.error('❌ Error creating routing rule:', error);
+    res.status(500).json({
+      error: 'Failed to create routing rule',
+      message: error.message
+    });
+  }
+});
+
+// Update routing rule
+router.put('/:ruleId', async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const rule = await routingRules.update(ruleId, req.body);
+
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Routing rule not found',
+        message: `Routing rule with ID ${ruleId} does not exist`
+      });
+    }
+
+    console.log(`✅ Routing rule ${ruleId} updated successfully`);
+
+    res.json({
+      success: true,
+      message: 'Routing rule updated successfully',
+      rule
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        error: 'Invalid routing rule',
+        message: error.message,
+        errors: error.validationErrors
+      });
+    }
+
+    console.error('❌ Error updating routing rule:', error);
+    res.status(500).json({
+      error: 'Failed to update routing rule',
+      message: error.message
+    });
+  }
+});
+
+// Delete routing rule
+router.delete('/:ruleId', async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const rule = await routingRules.remove(ruleId);
+
+    if (!rule) {
+      return res.status(404).json({
+        error: 'Routing rule not found',
+        message: `Routing rule with ID ${ruleId} does not exist`
+      });
+    }
+
+    console.log(`✅ Routing rule "${rule.name}" (${ruleId}) deleted successfully`);
+
+    res.json({
+      success: true,
+      message: 'Routing rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting routing rule:', error);
+    res.status(500).json({
+      error: 'Failed to delete routing rule',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
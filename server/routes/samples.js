@@ -0,0 +1,160 @@
+const express = require('express');
+const SampleAlerts = require('../services/sampleAlerts');
+const alertRepository = require('../services/alertRepository');
+
+const router = express.Router();
+const sampleAlerts = new SampleAlerts();
+
+function sampleNotFound(res, sampleId) {
+  return res.status(404).json({
+    error: 'Sample not found',
+    message: `Sample with ID ${sampleId} does not exist`
+  });
+}
+
+function invalidSampleResponse(res, error) {
+  return res.status(400).json({
+    error: 'Invalid sample',
+    message: error.message,
+    errors: error.validationErrors
+  });
+}
+
+// List built-in and saved samples. Query: category
+router.get('/', async (req, res) => {
+  try {
+    const samples = await sampleAlerts.list({ category: req.query.category });
+
+    res.json({
+      success: true,
+      count: samples.length,
+      defaultSampleId: SampleAlerts.DEFAULT_SAMPLE_ID,
+      samples
+    });
+  } catch (error) {
+    console.error('❌ Error fetching samples:', error);
+    res.status(500).json({
+      error: 'Failed to fetch samples',
+      message: error.message
+    });
+  }
+});
+
+// Get a sample with the normalized alert templates render it as
+router.get('/:sampleId', async (req, res) => {
+  try {
+    const { sampleId } = req.params;
+    const sample = await sampleAlerts.get(sampleId);
+
+    if (!sample) {
+      return sampleNotFound(res, sampleId);
+    }
+
+    res.json({
+      success: true,
+      sample,
+      alert: sampleAlerts.toAlert(sample)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching sample:', error);
+    res.status(500).json({
+      error: 'Failed to fetch sample',
+      message: error.message
+    });
+  }
+});
+
+// Save a payload as a sample. Body: { name, description, category, payload }
+router.post('/', async (req, res) => {
+  try {
+    const sample = await sampleAlerts.create(req.body);
+
+    console.log(`✅ Sample "${sample.name}" created with ID: ${sample.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Sample created successfully',
+      sample
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return invalidSampleResponse(res, error);
+    }
+
+    console.error('❌ Error creating sample:', error);
+    res.status(500).json({
+      error: 'Failed to create sample',
+      message: error.message
+    });
+  }
+});
+
+// Save a received alert as a sample. Body: { name, description, category }
+router.post('/from-alert/:alertId', async (req, res) => {
+  try {
+    const { alertId } = req.params;
+    const alertData = await alertRepository.get(alertId);
+
+    if (!alertData) {
+      return res.status(404).json({
+        error: 'Alert not found',
+        message: `Alert with ID ${alertId} does not exist`
+      });
+    }
+
+    const sample = await sampleAlerts.createFromAlert(alertData, req.body);
+
+    console.log(`✅ Alert ${alertId} saved as sample "${sample.name}" (${sample.id})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert saved as sample',
+      sample
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return invalidSampleResponse(res, error);
+    }
+
+    console.error('❌ Error saving alert as sample:', error);
+    res.status(500).json({
+      error: 'Failed to save alert as sample',
+      message: error.message
+    });
+  }
+});
+
+// Delete a saved sample; built-in samples cannot be deleted
+router.delete('/:sampleId', async (req, res) => {
+  try {
+    const { sampleId } = req.params;
+    const existing = await sampleAlerts.get(sampleId);
+
+    if (existing && existing.builtin) {
+      return res.status(400).json({
+        error: 'Cannot delete sample',
+        message: 'Built-in samples cannot be deleted'
+      });
+    }
+
+    const sample = await sampleAlerts.remove(sampleId);
+    if (!sample) {
+      return sampleNotFound(res, sampleId);
+    }
+
+    console.log(`✅ Sample "${sample.name}" (${sampleId}) deleted successfully`);
+
+    res.json({
+      success: true,
+      message: 'Sample deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting sample:', error);
+    res.status(500).json({
+      error: 'Failed to delete sample',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
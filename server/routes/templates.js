@@ -3,9 +3,87 @@ const multer = require('multer');
 const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const moment = require('moment');
+const moment = require('moment-timezone');
+const TemplateVersions = require('../services/templateVersions');
+const TemplatePartials = require('../services/templatePartials');
+const TemplateValidator = require('../services/templateValidator');
+const SampleAlerts = require('../services/sampleAlerts');
+const TemplateTests = require('../services/templateTests');
+const TemplateContextSchema = require('../services/templateContextSchema');
+const alertRepository = require('../services/alertRepository');
+const helperRegistry = require('../services/helperRegistry');
+const { DEFAULT_TIMEZONE, DEFAULT_LOCALE, renderLocaleFields, throwIfInvalidRenderLocale } = require('../services/renderLocale');
+const { outputFormatField, throwIfInvalidFormat } = require('../services/documentFormats');
+const { normalizeDatadogPayload } = require('../services/alertNormalizer');
 
 const router = express.Router();
+const templateVersions = new TemplateVersions();
+const templatePartials = new TemplatePartials();
+const templateValidator = new TemplateValidator();
+const sampleAlerts = new SampleAlerts();
+const templateTests = new TemplateTests();
+const templateContextSchema = new TemplateContextSchema();
+
+// Alert templates render single alerts and incidents; post-mortem templates
+// render the context built by server/services/postmortemBuilder.js; partials
+// and layouts are included by other templates as {{> name}} / {{#> name}}
+const TEMPLATE_TYPES = ['alert', 'postmortem', ...TemplatePartials.PARTIAL_TYPES];
+
+function invalidTypeResponse(res, type) {
+  return res.status(400).json({
+    error: 'Invalid template type',
+    message: `Template type "${type}" must be one of ${TEMPLATE_TYPES.join(', ')}`
+  });
+}
+
+function invalidTemplateResponse(res, error) {
+  return res.status(400).json({
+    error: 'Invalid template',
+    message: error.message,
+    errors: error.validationErrors
+  });
+}
+
+// Runs the template tests a save would break (see TemplateTests.checkSave).
+// Unless the request sets force, a failing run is answered with 409 and
+// the failing reports, and true is returned.
+async function blockedByTests(req, res, template) {
+  if (req.body.force === true || req.query.force === 'true') {
+    return false;
+  }
+
+  const check = await templateTests.checkSave(template);
+  if (check.passed) {
+    return false;
+  }
+
+  const reports = check.reports.filter(report => !report.passed);
+  res.status(409).json({
+    error: 'Template tests failed',
+    message: `This change breaks ${reports.map(report => `${report.failed} test(s) of "${report.templateName}"`).join(', ')}. Save with force: true to keep it anyway.`,
+    reports
+  });
+  return true;
+}
+
+// Partials are registered under partialName, by default derived from the template name
+function partialNameFor(type, partialName, name) {
+  if (!TemplatePartials.PARTIAL_TYPES.includes(type)) {
+    return undefined;
+  }
+  if (partialName) {
+    return String(partialName).trim();
+  }
+  return String(name || '').trim().toLowerCase().replace(/[^\w-]+/g, '-').replace(/^[^a-z]+|-+$/g, '');
+}
+
+// Uploads without a format take it from the file extension
+function formatFromFilename(filename) {
+  const extension = path.extname(filename).toLowerCase();
+  if (extension === '.html') return 'html';
+  if (extension === '.txt') return 'plaintext';
+  return undefined;
+}
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -84,6 +162,79 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Fields available to templates of a type, with sample values, plus the
+// registered helpers. Query: type (default alert)
+router.get('/context-schema', async (req, res) => {
+  try {
+    const { type = 'alert' } = req.query;
+    if (!TEMPLATE_TYPES.includes(type)) {
+      return invalidTypeResponse(res, type);
+    }
+
+    res.json({
+      success: true,
+      ...(await templateContextSchema.build(type))
+    });
+  } catch (error) {
+    console.error('❌ Error building template context schema:', error);
+    res.status(500).json({
+      error: 'Failed to build template context schema',
+      message: error.message
+    });
+  }
+});
+
+// Helpers templates can use: Handlebars' own, the built-in ones and those
+// from helper plugins, with any plugin that failed to load
+router.get('/helpers', (req, res) => {
+  try {
+    const helpers = helperRegistry.list();
+
+    res.json({
+      success: true,
+      count: helpers.length,
+      helpers,
+      pluginErrors: helperRegistry.pluginErrors
+    });
+  } catch (error) {
+    console.error('❌ Error listing template helpers:', error);
+    res.status(500).json({
+      error: 'Failed to list template helpers',
+      message: error.message
+    });
+  }
+});
+
+// Time zones and locales templates and routing rules can use, with the
+// system defaults (DOCUMENT_TIMEZONE, DOCUMENT_LOCALE)
+router.get('/render-settings', (req, res) => {
+  res.json({
+    success: true,
+    defaults: { timezone: DEFAULT_TIMEZONE, locale: DEFAULT_LOCALE },
+    timezones: moment.tz.names(),
+    locales: moment.locales()
+  });
+});
+
+// Partial dependency graph: templates as nodes, edges from each template
+// to the partials and layouts it uses
+router.get('/graph', async (req, res) => {
+  try {
+    const graph = await templatePartials.graph();
+
+    res.json({
+      success: true,
+      ...graph
+    });
+  } catch (error) {
+    console.error('❌ Error building template graph:', error);
+    res.status(500).json({
+      error: 'Failed to build template graph',
+      message: error.message
+    });
+  }
+});
+
 // Get specific template
 router.get('/:templateId', async (req, res) => {
   try {
@@ -123,14 +274,20 @@ router.post('/upload', upload.single('template'), async (req, res) => {
       });
     }
     
-    const { name, description, category = 'general' } = req.body;
+    const { name, description, category = 'general', type = 'alert', partialName } = req.body;
     
     if (!name) {
+      await fs.remove(req.file.path);
       return res.status(400).json({
         error: 'Template name is required',
         message: 'Please provide a name for the template'
       });
     }
+
+    if (!TEMPLATE_TYPES.includes(type)) {
+      await fs.remove(req.file.path);
+      return invalidTypeResponse(res, type);
+    }
     
     // Read the uploaded file content
     const templateContent = await fs.readFile(req.file.path, 'utf8');
@@ -142,6 +299,10 @@ router.post('/upload', upload.single('template'), async (req, res) => {
       name: name.trim(),
       description: description?.trim() || '',
       category: category.trim(),
+      type,
+      partialName: partialNameFor(type, partialName, name),
+      ...outputFormatField({ format: req.body.format || formatFromFilename(req.file.originalname) }),
+      ...renderLocaleFields(req.body),
       content: templateContent,
       originalFilename: req.file.originalname,
       fileSize: req.file.size,
@@ -149,6 +310,17 @@ router.post('/upload', upload.single('template'), async (req, res) => {
       updatedAt: moment().toISOString(),
       usageCount: 0
     };
+
+    try {
+      throwIfInvalidFormat(template);
+      throwIfInvalidRenderLocale(template);
+      await templatePartials.validate(template);
+    } catch (error) {
+      if (!error.validationErrors) throw error;
+      await fs.remove(req.file.path);
+      return invalidTemplateResponse(res, error);
+    }
+    await templateVersions.record(template, { reason: 'create' });
     
     // Save template metadata
     const templatesDir = path.join(__dirname, '../../data/templates');
@@ -168,6 +340,12 @@ router.post('/upload', upload.single('template'), async (req, res) => {
         name: template.name,
         description: template.description,
         category: template.category,
+        type: template.type,
+        partialName: template.partialName,
+        format: template.format,
+        timezone: template.timezone,
+        locale: template.locale,
+        version: template.version,
         createdAt: template.createdAt
       }
     });
@@ -191,10 +369,159 @@ router.post('/upload', upload.single('template'), async (req, res) => {
   }
 });
 
+// Unsaved template from a validate/preview request. With templateId the
+// draft is an edit of that stored template, which fills missing fields.
+// Returns null when templateId does not exist.
+async function draftFromRequest(body) {
+  const { templateId, name, type, partialName, content } = body;
+  let existing = null;
+
+  if (templateId) {
+    const templatePath = path.join(__dirname, '../../data/templates', `${path.basename(templateId)}.json`);
+    if (!(await fs.pathExists(templatePath))) {
+      return null;
+    }
+    existing = await fs.readJson(templatePath);
+  }
+
+  const draftType = type || (existing && existing.type) || 'alert';
+  const draft = {
+    id: existing ? existing.id : null,
+    name: name || (existing && existing.name) || '',
+    type: draftType,
+    content: String(content !== undefined ? content : existing.content)
+  };
+  draft.partialName = partialNameFor(draftType, partialName || (existing && existing.partialName), draft.name);
+  Object.assign(draft, renderLocaleFields(body, existing || {}));
+
+  return { draft, existing };
+}
+
+// The alert a validate/preview request renders with: a sample fixture
+// (sampleId), a stored alert (alertId), an inbound payload (alert, JSON or
+// Datadog text) or, without any of those, the default sample. On failure
+// returns { status, error, message }.
+async function alertFromRequest(body) {
+  if (body.sampleId) {
+    const alertData = await sampleAlerts.resolve(body.sampleId);
+    if (!alertData) {
+      return { status: 404, error: 'Sample not found', message: `Sample with ID ${body.sampleId} does not exist` };
+    }
+    return { alertData, sample: { source: 'sample', sampleId: body.sampleId } };
+  }
+
+  if (body.alertId) {
+    const stored = await alertRepository.get(body.alertId);
+    if (!stored) {
+      return { status: 404, error: 'Alert not found', message: `Alert with ID ${body.alertId} does not exist` };
+    }
+    return { alertData: stored.originalPayload, sample: { source: 'alert', alertId: stored.id } };
+  }
+
+  if (body.alert) {
+    const alertData = normalizeDatadogPayload(body.alert);
+    if (!alertData) {
+      return { status: 400, error: 'Invalid alert', message: 'alert must be a Datadog JSON payload or notification text' };
+    }
+    return { alertData, sample: { source: 'payload' } };
+  }
+
+  return {
+    alertData: await sampleAlerts.resolve(),
+    sample: { source: 'sample', sampleId: SampleAlerts.DEFAULT_SAMPLE_ID }
+  };
+}
+
+function validateRequestErrors(body) {
+  if (body.content === undefined && !body.templateId) {
+    return 'Template content or templateId is required';
+  }
+  if (body.type && !TEMPLATE_TYPES.includes(body.type)) {
+    return `Template type "${body.type}" must be one of ${TEMPLATE_TYPES.join(', ')}`;
+  }
+  return null;
+}
+
+// Compile a template without saving it: syntax errors with line/column,
+// referenced context paths that do not exist, and partial problems.
+// Body: { content, type, partialName, timezone, locale, name, templateId,
+//   sampleId | alertId | alert }
+router.post('/validate', async (req, res) => {
+  try {
+    const message = validateRequestErrors(req.body);
+    if (message) {
+      return res.status(400).json({ error: 'Invalid request', message });
+    }
+
+    const loaded = await draftFromRequest(req.body);
+    if (!loaded) {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: `Template with ID ${req.body.templateId} does not exist`
+      });
+    }
+
+    const alert = await alertFromRequest(req.body);
+    if (alert.error) {
+      return res.status(alert.status).json({ error: alert.error, message: alert.message });
+    }
+
+    res.json({
+      success: true,
+      sample: alert.sample,
+      ...(await templateValidator.validate(loaded.draft, { alertData: alert.alertData, existing: loaded.existing }))
+    });
+  } catch (error) {
+    console.error('❌ Error validating template:', error);
+    res.status(500).json({
+      error: 'Failed to validate template',
+      message: error.message
+    });
+  }
+});
+
+// Validate and render a template against a sample, a stored alert or an
+// inbound payload (see alertFromRequest).
+// Body: { content, type, partialName, timezone, locale, name, templateId,
+//   sampleId | alertId | alert }
+router.post('/preview', async (req, res) => {
+  try {
+    const message = validateRequestErrors(req.body);
+    if (message) {
+      return res.status(400).json({ error: 'Invalid request', message });
+    }
+
+    const loaded = await draftFromRequest(req.body);
+    if (!loaded) {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: `Template with ID ${req.body.templateId} does not exist`
+      });
+    }
+
+    const alert = await alertFromRequest(req.body);
+    if (alert.error) {
+      return res.status(alert.status).json({ error: alert.error, message: alert.message });
+    }
+
+    res.json({
+      success: true,
+      sample: alert.sample,
+      ...(await templateValidator.preview(loaded.draft, { alertData: alert.alertData, existing: loaded.existing }))
+    });
+  } catch (error) {
+    console.error('❌ Error previewing template:', error);
+    res.status(500).json({
+      error: 'Failed to preview template',
+      message: error.message
+    });
+  }
+});
+
 // Create template from text content
 router.post('/', async (req, res) => {
   try {
-    const { name, description, category = 'general', content } = req.body;
+    const { name, description, category = 'general', type = 'alert', partialName, content } = req.body;
     
     if (!name || !content) {
       return res.status(400).json({
@@ -202,6 +529,10 @@ router.post('/', async (req, res) => {
         message: 'Template name and content are required'
       });
     }
+
+    if (!TEMPLATE_TYPES.includes(type)) {
+      return invalidTypeResponse(res, type);
+    }
     
     const templateId = uuidv4();
     const template = {
@@ -209,11 +540,25 @@ router.post('/', async (req, res) => {
       name: name.trim(),
       description: description?.trim() || '',
       category: category.trim(),
+      type,
+      partialName: partialNameFor(type, partialName, name),
+      ...outputFormatField(req.body),
+      ...renderLocaleFields(req.body),
       content: content.trim(),
       createdAt: moment().toISOString(),
       updatedAt: moment().toISOString(),
       usageCount: 0
     };
+
+    try {
+      throwIfInvalidFormat(template);
+      throwIfInvalidRenderLocale(template);
+      await templatePartials.validate(template);
+    } catch (error) {
+      if (error.validationErrors) return invalidTemplateResponse(res, error);
+      throw error;
+    }
+    await templateVersions.record(template, { reason: 'create' });
     
     // Save template
     const templatesDir = path.join(__dirname, '../../data/templates');
@@ -230,6 +575,12 @@ router.post('/', async (req, res) => {
         name: template.name,
         description: template.description,
         category: template.category,
+        type: template.type,
+        partialName: template.partialName,
+        format: template.format,
+        timezone: template.timezone,
+        locale: template.locale,
+        version: template.version,
         createdAt: template.createdAt
       }
     });
@@ -247,7 +598,11 @@ router.post('/', async (req, res) => {
 router.put('/:templateId', async (req, res) => {
   try {
     const { templateId } = req.params;
-    const { name, description, category, content } = req.body;
+    const { name, description, category, type, partialName, content } = req.body;
+
+    if (type !== undefined && !TEMPLATE_TYPES.includes(type)) {
+      return invalidTypeResponse(res, type);
+    }
     
     const templatePath = path.join(__dirname, '../../data/templates', `${templateId}.json`);
     
@@ -267,9 +622,33 @@ router.put('/:templateId', async (req, res) => {
       name: name?.trim() || existingTemplate.name,
       description: description?.trim() || existingTemplate.description,
       category: category?.trim() || existingTemplate.category,
+      type: type || existingTemplate.type || 'alert',
       content: content?.trim() || existingTemplate.content,
+      ...outputFormatField(req.body, existingTemplate),
+      ...renderLocaleFields(req.body, existingTemplate),
       updatedAt: moment().toISOString()
     };
+    updatedTemplate.partialName = partialNameFor(updatedTemplate.type, partialName || existingTemplate.partialName, updatedTemplate.name);
+
+    try {
+      throwIfInvalidFormat(updatedTemplate);
+      throwIfInvalidRenderLocale(updatedTemplate);
+      await templatePartials.validate(updatedTemplate, existingTemplate);
+    } catch (error) {
+      if (error.validationErrors) return invalidTemplateResponse(res, error);
+      throw error;
+    }
+
+    const rendersDifferently = ['content', 'type', 'timezone', 'locale']
+      .some(field => (updatedTemplate[field] || null) !== (existingTemplate[field] || null));
+    if (rendersDifferently && (await blockedByTests(req, res, updatedTemplate))) return;
+
+    // Every change becomes a new immutable version; the first edit of a
+    // template saved before versioning also records what it replaces
+    if (templateVersions.changed(existingTemplate, updatedTemplate)) {
+      await templateVersions.ensureInitialVersion(existingTemplate);
+      await templateVersions.record(updatedTemplate, { reason: 'update' });
+    }
     
     // Save updated template
     await fs.writeJson(templatePath, updatedTemplate, { spaces: 2 });
@@ -284,6 +663,12 @@ router.put('/:templateId', async (req, res) => {
         name: updatedTemplate.name,
         description: updatedTemplate.description,
         category: updatedTemplate.category,
+        type: updatedTemplate.type,
+        partialName: updatedTemplate.partialName,
+        format: updatedTemplate.format,
+        timezone: updatedTemplate.timezone,
+        locale: updatedTemplate.locale,
+        version: updatedTemplate.version,
         updatedAt: updatedTemplate.updatedAt
       }
     });
@@ -312,9 +697,19 @@ router.delete('/:templateId', async (req, res) => {
     
     // Read template for logging
     const template = await fs.readJson(templatePath);
+
+    const { usedBy } = await templatePartials.dependencies(template);
+    if (usedBy.length > 0) {
+      return res.status(409).json({
+        error: 'Template is in use',
+        message: `Partial "${template.partialName}" is used by: ${usedBy.map(user => user.name).join(', ')}`,
+        usedBy
+      });
+    }
     
-    // Delete template file
+    // Delete template file and its history
     await fs.remove(templatePath);
+    await templateVersions.removeAll(templateId);
     
     console.log(`✅ Template "${template.name}" (${templateId}) deleted successfully`);
     
@@ -332,4 +727,338 @@ router.delete('/:templateId', async (req, res) => {
   }
 });
 
+async function loadTemplateOr404(req, res) {
+  const { templateId } = req.params;
+  const templatePath = path.join(__dirname, '../../data/templates', `${templateId}.json`);
+
+  if (!(await fs.pathExists(templatePath))) {
+    res.status(404).json({
+      error: 'Template not found',
+      message: `Template with ID ${templateId} does not exist`
+    });
+    return null;
+  }
+
+  return fs.readJson(templatePath);
+}
+
+// Partials a template uses and, for partials, the templates that use it
+router.get('/:templateId/dependencies', async (req, res) => {
+  try {
+    const template = await loadTemplateOr404(req, res);
+    if (!template) return;
+
+    res.json({
+      success: true,
+      partialName: template.partialName || null,
+      ...(await templatePartials.dependencies(template))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching template dependencies:', error);
+    res.status(500).json({
+      error: 'Failed to fetch template dependencies',
+      message: error.message
+    });
+  }
+});
+
+// List template versions, newest first
+router.get('/:templateId/versions', async (req, res) => {
+  try {
+    const template = await loadTemplateOr404(req, res);
+    if (!template) return;
+
+    const versions = await templateVersions.list(template.id);
+
+    res.json({
+      success: true,
+      currentVersion: template.version || (versions[0] ? versions[0].version : null),
+      count: versions.length,
+      versions
+    });
+  } catch (error) {
+    console.error('❌ Error fetching template versions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch template versions',
+      message: error.message
+    });
+  }
+});
+
+// Get one template version including its content
+router.get('/:templateId/versions/:version', async (req, res) => {
+  try {
+    const template = await loadTemplateOr404(req, res);
+    if (!template) return;
+
+    const version = await templateVersions.get(template.id, req.params.version);
+    if (!version) {
+      return res.status(404).json({
+        error: 'Template version not found',
+        message: `Template ${template.id} has no version ${req.params.version}`
+      });
+    }
+
+    res.json({
+      success: true,
+      version
+    });
+  } catch (error) {
+    console.error('❌ Error fetching template version:', error);
+    res.status(500).json({
+      error: 'Failed to fetch template version',
+      message: error.message
+    });
+  }
+});
+
+// Diff two versions. Query: from (default: the one before `to`), to (default: current)
+router.get('/:templateId/diff', async (req, res) => {
+  try {
+    const template = await loadTemplateOr404(req, res);
+    if (!template) return;
+
+    const versions = await templateVersions.list(template.id);
+    if (versions.length === 0) {
+      return res.status(404).json({
+        error: 'Template version not found',
+        message: `Template ${template.id} has no saved versions yet`
+      });
+    }
+
+    const to = req.query.to !== undefined ? Number(req.query.to) : versions[0].version;
+    const from = req.query.from !== undefined ? Number(req.query.from) : Math.max(1, to - 1);
+
+    const diff = await templateVersions.diff(template.id, from, to);
+    if (!diff) {
+      return res.status(404).json({
+        error: 'Template version not found',
+        message: `Template ${template.id} has no version ${from} or ${to}`
+      });
+    }
+
+    res.json({
+      success: true,
+      diff
+    });
+  } catch (error) {
+    console.error('❌ Error diffing template versions:', error);
+    res.status(500).json({
+      error: 'Failed to diff template versions',
+      message: error.message
+    });
+  }
+});
+
+// Roll back to an earlier version. The restored content is saved as a new
+// version, so history is never rewritten. Body: { version }
+router.post('/:templateId/rollback', async (req, res) => {
+  try {
+    const template = await loadTemplateOr404(req, res);
+    if (!template) return;
+
+    const target = await templateVersions.get(template.id, req.body.version);
+    if (!target) {
+      return res.status(404).json({
+        error: 'Template version not found',
+        message: `Template ${template.id} has no version ${req.body.version}`
+      });
+    }
+
+    const restoredTemplate = {
+      ...template,
+      name: target.name,
+      description: target.description,
+      category: target.category,
+      type: target.type || 'alert',
+      partialName: target.partialName || undefined,
+      ...outputFormatField({}, target),
+      timezone: target.timezone || null,
+      locale: target.locale || null,
+      content: target.content,
+      updatedAt: moment().toISOString()
+    };
+
+    // The partials the old version used may have changed or gone since
+    try {
+      await templatePartials.validate(restoredTemplate, template);
+    } catch (error) {
+      if (error.validationErrors) return invalidTemplateResponse(res, error);
+      throw error;
+    }
+    if (await blockedByTests(req, res, restoredTemplate)) return;
+    await templateVersions.record(restoredTemplate, { reason: 'rollback', restoredFrom: target.version });
+
+    const templatePath = path.join(__dirname, '../../data/templates', `${template.id}.json`);
+    await fs.writeJson(templatePath, restoredTemplate, { spaces: 2 });
+
+    console.log(`⏪ Template ${template.id} rolled back to version ${target.version} as version ${restoredTemplate.version}`);
+
+    res.json({
+      success: true,
+      message: `Template rolled back to version ${target.version}`,
+      template: restoredTemplate
+    });
+  } catch (error) {
+    console.error('❌ Error rolling back template:', error);
+    res.status(500).json({
+      error: 'Failed to roll back template',
+      message: error.message
+    });
+  }
+});
+
+async function saveTemplateTests(template, tests) {
+  template.tests = tests;
+  const templatePath = path.join(__dirname, '../../data/templates', `${template.id}.json`);
+  await fs.writeJson(templatePath, template, { spaces: 2 });
+}
+
+function testNotFound(res, template, caseId) {
+  return res.status(404).json({
+    error: 'Test not found',
+    message: `Template ${template.id} has no test ${caseId}`
+  });
+}
+
+// List a template's test cases
+router.get('/:templateId/tests', async (req, res) => {
+  try {
+    const template = await loadTemplateOr404(req, res);
+    if (!template) return;
+
+    res.json({
+      success: true,
+      count: (template.tests || []).length,
+      tests: template.tests || []
+    });
+  } catch (error) {
+    console.error('❌ Error fetching template tests:', error);
+    res.status(500).json({
+      error: 'Failed to fetch template tests',
+      message: error.message
+    });
+  }
+});
+
+// Add a test case. Without expected/contains/matches the current output
+// is recorded as the expected output.
+// Body: { name, sampleId | alert, expected, contains, matches }
+router.post('/:templateId/tests', async (req, res) => {
+  try {
+    const template = await loadTemplateOr404(req, res);
+    if (!template) return;
+
+    const testCase = await templateTests.prepare(template, req.body);
+    await saveTemplateTests(template, [...(template.tests || []), testCase]);
+
+    console.log(`✅ Test "${testCase.name}" added to template ${template.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Test added successfully',
+      test: testCase
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        error: 'Invalid test',
+        message: error.message,
+        errors: error.validationErrors
+      });
+    }
+
+    console.error('❌ Error adding template test:', error);
+    res.status(500).json({
+      error: 'Failed to add template test',
+      message: error.message
+    });
+  }
+});
+
+// Update a test case; record: true replaces expected with the current output.
+// Body: { name, sampleId | alert, expected, contains, matches, record }
+router.put('/:templateId/tests/:caseId', async (req, res) => {
+  try {
+    const template = await loadTemplateOr404(req, res);
+    if (!template) return;
+
+    const tests = template.tests || [];
+    const existing = tests.find(testCase => testCase.id === req.params.caseId);
+    if (!existing) {
+      return testNotFound(res, template, req.params.caseId);
+    }
+
+    const testCase = await templateTests.prepare(template, req.body, existing);
+    await saveTemplateTests(template, tests.map(candidate => (candidate.id === testCase.id ? testCase : candidate)));
+
+    res.json({
+      success: true,
+      message: 'Test updated successfully',
+      test: testCase
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        error: 'Invalid test',
+        message: error.message,
+        errors: error.validationErrors
+      });
+    }
+
+    console.error('❌ Error updating template test:', error);
+    res.status(500).json({
+      error: 'Failed to update template test',
+      message: error.message
+    });
+  }
+});
+
+router.delete('/:templateId/tests/:caseId', async (req, res) => {
+  try {
+    const template = await loadTemplateOr404(req, res);
+    if (!template) return;
+
+    const tests = template.tests || [];
+    if (!tests.some(testCase => testCase.id === req.params.caseId)) {
+      return testNotFound(res, template, req.params.caseId);
+    }
+
+    await saveTemplateTests(template, tests.filter(testCase => testCase.id !== req.params.caseId));
+
+    res.json({
+      success: true,
+      message: 'Test deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting template test:', error);
+    res.status(500).json({
+      error: 'Failed to delete template test',
+      message: error.message
+    });
+  }
+});
+
+// Run a template's tests, against unsaved content when given.
+// Body: { content, type }
+router.post('/:templateId/test', async (req, res) => {
+  try {
+    const template = await loadTemplateOr404(req, res);
+    if (!template) return;
+
+    const report = await templateTests.run(template, { content: req.body.content, type: req.body.type });
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('❌ Error running template tests:', error);
+    res.status(500).json({
+      error: 'Failed to run template tests',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
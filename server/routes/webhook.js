@@ -1,143 +1,284 @@
 const express = require('express');
-const fs = require('fs-extra');
-const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const multer = require('multer');
 const moment = require('moment');
 const DocumentGenerator = require('../services/documentGenerator');
+const alertRepository = require('../services/alertRepository');
+const alertLifecycles = require('../services/alertLifecycle');
+const deduplicator = require('../services/deduplicator');
+const AlertPipeline = require('../services/alertPipeline');
+const WebhookAuthenticator = require('../services/webhookAuth');
+const CustomSources = require('../services/customSources');
+const { getAdapter, listAdapters } = require('../services/adapters');
+const { parseEventExport, parseNdjson } = require('../services/eventImport');
+const { renderLocaleFields, validateRenderLocale } = require('../services/renderLocale');
 
 const router = express.Router();
 
-// Store for pending alerts awaiting template selection
-const pendingAlerts = new Map();
-
-// Function to generate a consistent hash for deduplication
-function generateAlertHash(alert) {
-  const crypto = require('crypto');
-  // Create hash based on key alert properties, but be more flexible
-  const hashData = {
-    alert_type: alert.alert_type,
-    title: alert.title || alert.event_title || 'untitled',
-    // Use timestamp with minute precision to allow new alerts but prevent rapid duplicates
-    timeWindow: Math.floor(Date.now() / (1000 * 60 * 5)) // 5-minute windows
+const webhookAuthenticator = new WebhookAuthenticator();
+const alertPipeline = new AlertPipeline();
+const documentGenerator = new DocumentGenerator();
+const customSources = new CustomSources();
+
+// Largest number of payloads accepted by one batch or import request
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 5000;
+
+// Keep the exact request bytes around so webhook signatures can be verified
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+// NDJSON batches arrive as text
+const ndjsonParser = express.text({
+  type: ['application/x-ndjson', 'application/ndjson', 'application/jsonl', 'text/plain'],
+  limit: '50mb',
+  verify: captureRawBody
+});
+
+// Datadog webhooks configured with a plain-text payload
+const textParser = express.text({
+  type: 'text/plain',
+  limit: '10mb',
+  verify: captureRawBody
+});
+
+// Event exports are read straight from memory and never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024 // 50MB limit
+  }
+});
+
+// Bodies Express could not read (no parser for the content type) arrive as {}
+function isEmptyBody(body) {
+  if (typeof body === 'string') return body.trim() === '';
+  return !body || (typeof body === 'object' && !Array.isArray(body) && Object.keys(body).length === 0);
+}
+
+// Reject inbound webhooks that fail the configured authentication checks
+function requireWebhookAuth(req, res, next) {
+  const result = webhookAuthenticator.verify({
+    headers: req.headers,
+    rawBody: req.rawBody || '',
+    ip: req.ip
+  });
+
+  if (!result.ok) {
+    return res.status(result.status).json({
+      error: 'Webhook authentication failed',
+      message: result.message
+    });
+  }
+
+  next();
+}
+
+// Multipart bodies are parsed by multer, so imports are signed over the
+// uploaded file's bytes instead of the raw request
+function uploadAsRawBody(req, res, next) {
+  req.rawBody = req.file ? req.file.buffer : Buffer.alloc(0);
+  next();
+}
+
+// Shape a pipeline result into the response body sent back to the sender
+function formatIngestResponse(result) {
+  const response = {
+    success: true,
+    alertId: result.alertId
   };
-  
-  // Only include org and id if they exist
-  if (alert.org) hashData.org = alert.org;
-  if (alert.id) hashData.id = alert.id;
-  
-  const hashString = JSON.stringify(hashData, Object.keys(hashData).sort());
-  return crypto.createHash('md5').update(hashString).digest('hex');
+
+  if (result.lifecycle) {
+    response.lifecycleId = result.lifecycle.id;
+    response.lifecycleEvent = result.event;
+  }
+
+  if (result.incident) {
+    response.incidentId = result.incident.id;
+  }
+
+  switch (result.status) {
+    case 'duplicate':
+      response.message = 'Alert already received (duplicate detected)';
+      if (result.documentId) {
+        response.documentId = result.documentId;
+      } else {
+        response.nextStep = 'Select a template to generate documentation';
+      }
+      response.duplicate = true;
+      response.occurrences = result.occurrences;
+      break;
+    case 'updated':
+      response.message = result.incident && result.incident.documentId === result.documentId
+        ? 'Alert received and added to existing incident document'
+        : `Alert received and applied to existing lifecycle document (${result.event})`;
+      response.documentId = result.documentId;
+      break;
+    case 'routed':
+      response.message = 'Alert received and documented by routing rule';
+      response.routed = result.routed;
+      break;
+    default:
+      response.message = 'Alert received and queued for processing';
+      response.nextStep = 'Select a template to generate documentation';
+  }
+
+  return response;
 }
 
-// Datadog webhook endpoint
-router.post('/datadog', async (req, res) => {
+// Run every alert from one notification through the pipeline and reply.
+// `raw` ({ adapter | customSourceId, payload }) is archived for replay.
+// Single-alert notifications keep the flat response shape.
+async function ingestAndRespond(res, source, alerts, raw) {
+  const results = [];
+  for (const [index, alert] of alerts.entries()) {
+    results.push(await alertPipeline.ingest(alert, { raw: { ...raw, index } }));
+  }
+
+  if (results.length === 1) {
+    return res.status(200).json(formatIngestResponse(results[0]));
+  }
+
+  res.status(200).json({
+    success: true,
+    source,
+    count: results.length,
+    results: results.map(formatIngestResponse)
+  });
+}
+
+// Registered inbound sources, each served at POST /api/webhook/<name>
+router.get('/adapters', (req, res) => {
+  res.json({
+    success: true,
+    adapters: listAdapters()
+  });
+});
+
+// Webhook authentication counters
+router.get('/auth/stats', (req, res) => {
+  res.json({
+    success: true,
+    stats: webhookAuthenticator.getStats()
+  });
+});
+
+// Duplicates suppressed by the dedup policy, newest first
+router.get('/duplicates', async (req, res) => {
   try {
-    console.log('📨 Received Datadog webhook:', JSON.stringify(req.body, null, 2));
-    console.log('📨 Content-Type:', req.get('Content-Type'));
-    console.log('📨 Raw body:', req.body);
+    const limit = parseInt(req.query.limit, 10) || undefined;
+    const duplicates = await deduplicator.listSuppressed({
+      survivorId: req.query.alertId,
+      limit
+    });
     
-    let alert;
-    const timestamp = moment().toISOString();
+    res.json({
+      success: true,
+      count: duplicates.length,
+      duplicates
+    });
+  } catch (error) {
+    console.error('❌ Error fetching suppressed duplicates:', error);
+    res.status(500).json({
+      error: 'Failed to fetch suppressed duplicates',
+      message: error.message
+    });
+  }
+});
+
+// Get dedup policy
+router.get('/dedup/config', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      config: await deduplicator.getConfig()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching dedup config:', error);
+    res.status(500).json({
+      error: 'Failed to fetch dedup config',
+      message: error.message
+    });
+  }
+});
+
+// Update dedup policy
+router.put('/dedup/config', async (req, res) => {
+  try {
+    const { enabled, fingerprintFields, defaultWindowSeconds, windows, suppressedLogSize } = req.body;
+    const changes = {};
     
-    // Handle both JSON and text payloads from Datadog
-    if (typeof req.body === 'string') {
-      // Text payload - parse the Datadog message format
-      const textPayload = req.body;
-      const isAlert = textPayload.includes('[Triggered]') || textPayload.includes('Anomaly Detected');
-      const isRecovery = textPayload.includes('Normalized') || textPayload.includes('Recovery');
-      
-      // Extract title from the first line
-      const lines = textPayload.split('\n');
-      const titleLine = lines[0] || 'Datadog Alert';
-      
-      alert = {
-        alert_type: isAlert ? 'error' : (isRecovery ? 'recovery' : 'info'),
-        title: titleLine.replace('[Triggered]', '').replace('[Recovery]', '').trim(),
-        message: textPayload,
-        priority: textPayload.toLowerCase().includes('anomaly') ? 'high' : 'medium',
-        timestamp: timestamp,
-        source: 'datadog_text'
-      };
-    } else if (req.body && typeof req.body === 'object') {
-      // JSON payload - handle real Datadog webhook format
-      const payload = req.body;
-      
-      alert = {
-        alert_type: payload.event_type || payload.alert_type || 'info',
-        title: payload.title || payload.event_title || 'Datadog Alert',
-        message: payload.body || payload.message || JSON.stringify(payload),
-        id: payload.id,
-        date: payload.date,
-        last_updated: payload.last_updated,
-        org: payload.org,
-        priority: 'medium',
-        timestamp: timestamp,
-        source: 'datadog_json',
-        originalPayload: payload
-      };
-    } else {
-      return res.status(400).json({ 
-        error: 'Invalid webhook payload',
-        message: 'Payload must be JSON object or text string'
-      });
-    }
+    if (enabled !== undefined) changes.enabled = Boolean(enabled);
+    if (fingerprintFields !== undefined) changes.fingerprintFields = fingerprintFields;
+    if (defaultWindowSeconds !== undefined) changes.defaultWindowSeconds = Number(defaultWindowSeconds);
+    if (windows !== undefined) changes.windows = windows;
+    if (suppressedLogSize !== undefined) changes.suppressedLogSize = Number(suppressedLogSize);
     
-    // Ensure we have at least a basic alert structure
-    if (!alert.title && !alert.message) {
-      alert.title = 'Datadog Alert';
-    }
+    const config = await deduplicator.updateConfig(changes);
     
-    // Generate hash for deduplication
-    const alertHash = generateAlertHash(alert);
+    console.log('✅ Dedup config updated successfully');
     
-    // Check if we already have this alert (deduplication)
-    const existingAlert = Array.from(pendingAlerts.values()).find(a => a.alertHash === alertHash);
-    if (existingAlert) {
-      console.log(`🔄 Duplicate alert detected (hash: ${alertHash}), returning existing alert ID: ${existingAlert.id}`);
-      return res.status(200).json({
-        success: true,
-        alertId: existingAlert.id,
-        message: 'Alert already received (duplicate detected)',
-        nextStep: 'Select a template to generate documentation',
-        duplicate: true
+    res.json({
+      success: true,
+      message: 'Dedup config updated successfully',
+      config
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({
+        error: 'Invalid dedup config',
+        message: error.message,
+        errors: error.validationErrors
       });
     }
     
-    const alertId = uuidv4();
-    
-    // Store the alert data
-    const alertData = {
-      id: alertId,
-      timestamp,
-      alertHash,
-      originalPayload: alert,
-      status: 'pending_template_selection',
-      processedAt: null,
-      documentId: null
-    };
-    
-    // Save alert to file system
-    const alertsDir = path.join(__dirname, '../../data/alerts');
-    await fs.ensureDir(alertsDir);
-    await fs.writeJson(path.join(alertsDir, `${alertId}.json`), alertData, { spaces: 2 });
+    console.error('❌ Error updating dedup config:', error);
+    res.status(500).json({
+      error: 'Failed to update dedup config',
+      message: error.message
+    });
+  }
+});
+
+// List alert lifecycles (triggered → re-notified → recovered)
+router.get('/lifecycles', async (req, res) => {
+  try {
+    const lifecycles = await alertLifecycles.list({ status: req.query.status });
     
-    // Store in memory for quick access
-    pendingAlerts.set(alertId, alertData);
+    res.json({
+      success: true,
+      count: lifecycles.length,
+      lifecycles
+    });
+  } catch (error) {
+    console.error('❌ Error fetching lifecycles:', error);
+    res.status(500).json({
+      error: 'Failed to fetch lifecycles',
+      message: error.message
+    });
+  }
+});
+
+// Get a single alert lifecycle
+router.get('/lifecycles/:lifecycleId', async (req, res) => {
+  try {
+    const { lifecycleId } = req.params;
+    const lifecycle = await alertLifecycles.get(lifecycleId);
     
-    console.log(`✅ Alert ${alertId} stored and awaiting template selection (hash: ${alertHash})`);
+    if (!lifecycle) {
+      return res.status(404).json({
+        error: 'Lifecycle not found',
+        message: `Lifecycle with ID ${lifecycleId} not found`
+      });
+    }
     
-    // Return success response to Datadog
-    res.status(200).json({
+    res.json({
       success: true,
-      alertId,
-      message: 'Alert received and queued for processing',
-      nextStep: 'Select a template to generate documentation'
+      lifecycle
     });
-    
   } catch (error) {
-    console.error('❌ Error processing webhook:', error);
+    console.error('❌ Error fetching lifecycle:', error);
     res.status(500).json({
-      error: 'Failed to process webhook',
+      error: 'Failed to fetch lifecycle',
       message: error.message
     });
   }
@@ -146,9 +287,7 @@ router.post('/datadog', async (req, res) => {
 // Get pending alerts
 router.get('/pending', async (req, res) => {
   try {
-    const alerts = Array.from(pendingAlerts.values())
-      .filter(alert => alert.status === 'pending_template_selection')
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const alerts = await alertRepository.listPending();
     
     res.json({
       success: true,
@@ -158,7 +297,7 @@ router.get('/pending', async (req, res) => {
         timestamp: alert.timestamp,
         alertType: alert.originalPayload.alert_type,
         title: alert.originalPayload.title || 'Untitled Alert',
-        priority: alert.originalPayload.priority || 'normal',
+        priority: documentGenerator.determinePriority(alert.originalPayload),
         status: alert.status
       }))
     });
@@ -172,20 +311,38 @@ router.get('/pending', async (req, res) => {
 });
 
 // Process alert with selected template
-router.post('/process/:alertId', async (req, res) => {
+async function processAlert(req, res) {
   try {
-    const { alertId } = req.params;
+    const alertId = req.params.alertId || req.body.alertId;
     const { templateId } = req.body;
     
+    if (!alertId) {
+      return res.status(400).json({
+        error: 'Alert ID is required',
+        message: 'Please provide an alertId in the URL or request body'
+      });
+    }
+    
     if (!templateId) {
       return res.status(400).json({
         error: 'Template ID is required',
         message: 'Please provide a templateId in the request body'
       });
     }
+
+    // Optional overrides of the template's timezone and locale
+    const settings = renderLocaleFields(req.body);
+    const localeErrors = validateRenderLocale(settings);
+    if (localeErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid timezone or locale',
+        message: localeErrors.join('; '),
+        errors: localeErrors
+      });
+    }
     
-    // Get alert data
-    const alertData = pendingAlerts.get(alertId);
+    // Get alert data (falls back to disk for alerts received before a restart)
+    const alertData = await alertRepository.getPending(alertId);
     if (!alertData) {
       return res.status(404).json({
         error: 'Alert not found',
@@ -195,22 +352,8 @@ router.post('/process/:alertId', async (req, res) => {
     
     console.log(`🔄 Processing alert ${alertId} with template ${templateId}`);
     
-    // Generate documentation
-    const documentGenerator = new DocumentGenerator();
-    const document = await documentGenerator.generateDocument(alertData.originalPayload, templateId);
-    
-    // Update alert status
-    alertData.status = 'processed';
-    alertData.processedAt = moment().toISOString();
-    alertData.documentId = document.id;
-    alertData.templateId = templateId;
-    
-    // Update stored alert
-    const alertsDir = path.join(__dirname, '../../data/alerts');
-    await fs.writeJson(path.join(alertsDir, `${alertId}.json`), alertData, { spaces: 2 });
-    
-    // Remove from pending alerts
-    pendingAlerts.delete(alertId);
+    // Generate documentation and mark the alert processed
+    const document = await alertPipeline.process(alertData, templateId, settings);
     
     console.log(`✅ Alert ${alertId} processed successfully. Document ID: ${document.id}`);
     
@@ -229,23 +372,20 @@ router.post('/process/:alertId', async (req, res) => {
       message: error.message
     });
   }
-});
+}
+
+router.post('/process/:alertId', processAlert);
+
+// The web client posts the alert ID in the body
+router.post('/process', processAlert);
 
 // Get alert details
 router.get('/alert/:alertId', async (req, res) => {
   try {
     const { alertId } = req.params;
     
-    // Try memory first
-    let alertData = pendingAlerts.get(alertId);
-    
-    // If not in memory, try file system
-    if (!alertData) {
-      const alertPath = path.join(__dirname, '../../data/alerts', `${alertId}.json`);
-      if (await fs.pathExists(alertPath)) {
-        alertData = await fs.readJson(alertPath);
-      }
-    }
+    // Repository checks memory first, then the file system
+    const alertData = await alertRepository.get(alertId);
     
     if (!alertData) {
       return res.status(404).json({
@@ -268,4 +408,217 @@ router.get('/alert/:alertId', async (req, res) => {
   }
 });
 
+// Normalize a list of vendor payloads and run them through the pipeline.
+// `item` in each result is the position of the payload it came from, since
+// one payload may hold several alerts (e.g. an Alertmanager group).
+async function ingestPayloads(adapter, payloads, { source } = {}) {
+  const alerts = [];
+  const items = [];
+  const raws = [];
+  const timestamp = moment().toISOString();
+
+  payloads.forEach((payload, item) => {
+    const normalized = payload && payload.error ? null : adapter.normalize(payload, timestamp);
+    if (!normalized) {
+      alerts.push({ error: (payload && payload.error) || `Item is not a recognised ${adapter.name} payload` });
+      items.push(item);
+      return;
+    }
+    for (const alert of normalized) {
+      if (source) alert.source = source;
+      raws[alerts.length] = { adapter: adapter.name, payload, index: normalized.indexOf(alert) };
+      alerts.push(alert);
+      items.push(item);
+    }
+  });
+
+  const report = await alertPipeline.ingestBatch(alerts, raws);
+  report.results.forEach(result => {
+    result.item = items[result.index];
+  });
+  return report;
+}
+
+function tooManyItems(res, count) {
+  return res.status(413).json({
+    error: 'Too many items',
+    message: `Received ${count} items; the limit is ${BATCH_MAX_ITEMS} (BATCH_MAX_ITEMS)`
+  });
+}
+
+// Import an exported Datadog event stream (JSON, NDJSON or CSV) to backfill
+// documentation for past incidents
+router.post('/import', importUpload.single('file'), uploadAsRawBody, requireWebhookAuth, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        message: 'Please upload an exported event stream in the "file" field'
+      });
+    }
+
+    const payloads = parseEventExport(req.file.buffer.toString('utf8'), req.file.originalname);
+    if (payloads.length === 0) {
+      return res.status(400).json({
+        error: 'Empty import',
+        message: 'No events were found in the uploaded file'
+      });
+    }
+    if (payloads.length > BATCH_MAX_ITEMS) {
+      return tooManyItems(res, payloads.length);
+    }
+
+    console.log(`📦 Importing ${payloads.length} event(s) from ${req.file.originalname}`);
+
+    const report = await ingestPayloads(getAdapter('datadog'), payloads, { source: 'datadog_import' });
+
+    console.log(`✅ Import finished:`, JSON.stringify(report.summary));
+
+    res.json({
+      success: true,
+      filename: req.file.originalname,
+      ...report
+    });
+  } catch (error) {
+    console.error('❌ Error importing events:', error);
+    res.status(500).json({
+      error: 'Failed to import events',
+      message: error.message
+    });
+  }
+});
+
+// Internal tools posting arbitrary JSON, mapped by a stored custom source
+router.post('/custom/:sourceId', requireWebhookAuth, async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+    const source = await customSources.get(sourceId);
+
+    if (!source) {
+      return res.status(404).json({
+        error: 'Custom source not found',
+        message: `Custom source with ID ${sourceId} does not exist`
+      });
+    }
+
+    if (!source.enabled) {
+      return res.status(403).json({
+        error: 'Custom source disabled',
+        message: `Custom source "${source.name}" is not accepting alerts`
+      });
+    }
+
+    console.log(`📨 Received custom webhook for "${source.name}":`, JSON.stringify(req.body, null, 2));
+
+    const alerts = customSources.toAlerts(source, req.body, moment().toISOString());
+    if (!alerts) {
+      return res.status(400).json({
+        error: 'Invalid webhook payload',
+        message: 'Payload must be a JSON object or array'
+      });
+    }
+
+    await customSources.recordReceipt(sourceId, alerts.length);
+    await ingestAndRespond(res, `custom:${sourceId}`, alerts, { customSourceId: sourceId, payload: req.body });
+
+  } catch (error) {
+    console.error('❌ Error processing custom webhook:', error);
+    res.status(500).json({
+      error: 'Failed to process webhook',
+      message: error.message
+    });
+  }
+});
+
+// Several payloads for one adapter in a single request, as a JSON array or
+// NDJSON (one payload per line). Each is reported on separately.
+router.post('/:source/batch', ndjsonParser, requireWebhookAuth, async (req, res) => {
+  const { source } = req.params;
+  const adapter = getAdapter(source);
+
+  if (!adapter) {
+    return res.status(404).json({
+      error: 'Unknown webhook source',
+      message: `No adapter registered for "${source}". Available: ${listAdapters().map(a => a.name).join(', ')}`
+    });
+  }
+
+  try {
+    const payloads = typeof req.body === 'string' ? parseNdjson(req.body) : req.body;
+
+    if (!Array.isArray(payloads)) {
+      return res.status(400).json({
+        error: 'Invalid batch payload',
+        message: 'Send a JSON array of payloads or NDJSON (application/x-ndjson)'
+      });
+    }
+    if (payloads.length > BATCH_MAX_ITEMS) {
+      return tooManyItems(res, payloads.length);
+    }
+
+    console.log(`📨 Received ${source} batch with ${payloads.length} payload(s)`);
+
+    const report = await ingestPayloads(adapter, payloads);
+
+    res.json({
+      success: true,
+      source,
+      ...report
+    });
+  } catch (error) {
+    console.error(`❌ Error processing ${source} batch:`, error);
+    res.status(500).json({
+      error: 'Failed to process batch',
+      message: error.message
+    });
+  }
+});
+
+// Inbound webhook endpoint for every registered adapter (datadog,
+// alertmanager, grafana, pagerduty, opsgenie, ...). Registered last so the
+// fixed routes above take precedence.
+router.post('/:source', textParser, requireWebhookAuth, async (req, res) => {
+  const { source } = req.params;
+  const adapter = getAdapter(source);
+
+  if (!adapter) {
+    return res.status(404).json({
+      error: 'Unknown webhook source',
+      message: `No adapter registered for "${source}". Available: ${listAdapters().map(a => a.name).join(', ')}`
+    });
+  }
+
+  if (isEmptyBody(req.body)) {
+    return res.status(400).json({
+      error: 'Empty webhook payload',
+      message: 'Send the notification as JSON (application/json) or text (text/plain)'
+    });
+  }
+
+  try {
+    console.log(`📨 Received ${source} webhook:`, JSON.stringify(req.body, null, 2));
+    console.log('📨 Content-Type:', req.get('Content-Type'));
+    
+    const timestamp = moment().toISOString();
+    
+    // One vendor notification may carry several alerts (e.g. Alertmanager groups)
+    const alerts = adapter.normalize(req.body, timestamp);
+    if (!alerts) {
+      return res.status(400).json({ 
+        error: 'Invalid webhook payload',
+        message: `Payload is not a recognised ${source} webhook`
+      });
+    }
+    
+    await ingestAndRespond(res, source, alerts, { adapter: source, payload: req.body });
+    
+  } catch (error) {
+    console.error(`❌ Error processing ${source} webhook:`, error);
+    res.status(500).json({
+      error: 'Failed to process webhook',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
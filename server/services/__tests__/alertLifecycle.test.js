@@ -0,0 +1,136 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { AlertLifecycles } = require('../alertLifecycle');
+
+let nextId = 0;
+
+function alertData(alert) {
+  nextId++;
+  return { id: `alert-${nextId}`, timestamp: '2026-10-19T10:00:00.000Z', originalPayload: alert };
+}
+
+describe('AlertLifecycles', () => {
+  let lifecyclesDir;
+  let lifecycles;
+
+  beforeEach(async () => {
+    lifecyclesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'lifecycles-'));
+    lifecycles = new AlertLifecycles(lifecyclesDir);
+  });
+
+  afterEach(() => fs.remove(lifecyclesDir));
+
+  describe('keying', () => {
+    test('groups by monitor ID and scope', () => {
+      const key = alert => lifecycles.identify(alert).key;
+
+      expect(key({ alert_id: 42, scope: 'host:web-1', title: 'CPU high' }))
+        .toBe(key({ monitor_id: '42', alert_scope: 'host:web-1', title: 'Something else' }));
+      expect(key({ alert_id: 42, scope: 'host:web-1' })).not.toBe(key({ alert_id: 42, scope: 'host:web-2' }));
+      expect(key({ alert_id: 42, scope: 'host:web-1' })).not.toBe(key({ alert_id: 43, scope: 'host:web-1' }));
+    });
+
+    test('falls back to the title without Datadog transition prefixes', () => {
+      const key = alert => lifecycles.identify(alert).key;
+
+      expect(key({ title: '[Triggered] CPU high' })).toBe(key({ title: '[Recovered] CPU high' }));
+      expect(key({ title: '[P1] [Re-Triggered on {host:web-1}] cpu HIGH' })).toBe(key({ title: 'CPU high' }));
+      expect(key({ title: 'CPU high' })).not.toBe(key({ title: 'Disk full' }));
+    });
+
+    test('reads monitor ID and scope from the original payload of stored alerts', () => {
+      expect(lifecycles.identify({ title: 'CPU high', originalPayload: { alert_id: 7, alert_scope: 'env:prod' } }))
+        .toMatchObject({ monitorId: '7', scope: 'env:prod', title: 'cpu high' });
+    });
+  });
+
+  describe('transitions', () => {
+    test.each([
+      [{ alert_transition: 'Recovered' }, 'recovered'],
+      [{ alert_type: 'recovery' }, 'recovered'],
+      [{ title: '[Recovered] CPU high' }, 'recovered'],
+      [{ alert_transition: 'Re-Triggered' }, 'renotified'],
+      [{ title: '[Re-Warn] CPU high' }, 'renotified'],
+      [{ alert_transition: 'Triggered' }, 'triggered'],
+      [{ title: 'CPU high' }, 'triggered']
+    ])('%j is %s', (alert, expected) => {
+      expect(lifecycles.transition(alert)).toBe(expected);
+    });
+  });
+
+  describe('recording', () => {
+    const monitor = (overrides = {}) => ({ alert_id: 42, scope: 'host:web-1', title: 'CPU high', ...overrides });
+
+    test('opens on trigger, re-notifies on repeats and closes on recovery', async () => {
+      const first = await lifecycles.record(alertData(monitor({ date: 1760868000 })));
+      expect(first.event).toBe('triggered');
+      expect(first.lifecycle).toMatchObject({ status: 'triggered', triggeredAt: '2025-10-19T10:00:00.000Z', notificationCount: 1 });
+
+      const repeat = await lifecycles.record(alertData(monitor({ alert_transition: 'Triggered' })));
+      expect(repeat.event).toBe('renotified');
+      expect(repeat.lifecycle.id).toBe(first.lifecycle.id);
+
+      const recovery = await lifecycles.record(alertData(monitor({ alert_transition: 'Recovered', date: 1760868000000 + 90 * 1000 })));
+      expect(recovery.event).toBe('recovered');
+      expect(recovery.lifecycle).toMatchObject({
+        id: first.lifecycle.id,
+        status: 'recovered',
+        recoveredAt: '2025-10-19T10:01:30.000Z',
+        durationSeconds: 90,
+        notificationCount: 3
+      });
+      expect(recovery.lifecycle.events.map(event => event.type)).toEqual(['triggered', 'renotified', 'recovered']);
+    });
+
+    test('a trigger after recovery opens a new lifecycle', async () => {
+      const first = await lifecycles.record(alertData(monitor()));
+      await lifecycles.record(alertData(monitor({ alert_transition: 'Recovered' })));
+
+      const next = await lifecycles.record(alertData(monitor()));
+      expect(next.event).toBe('triggered');
+      expect(next.lifecycle.id).not.toBe(first.lifecycle.id);
+    });
+
+    test('a recovery with nothing open is recorded without a trigger time', async () => {
+      const { lifecycle, event } = await lifecycles.record(alertData(monitor({ alert_transition: 'Recovered' })));
+
+      expect(event).toBe('recovered');
+      expect(lifecycle).toMatchObject({ status: 'recovered', triggeredAt: null, durationSeconds: null });
+    });
+
+    test('keeps different scopes of one monitor apart', async () => {
+      const web1 = await lifecycles.record(alertData(monitor()));
+      const web2 = await lifecycles.record(alertData(monitor({ scope: 'host:web-2' })));
+      await lifecycles.record(alertData(monitor({ scope: 'host:web-2', alert_transition: 'Recovered' })));
+
+      expect(web2.lifecycle.id).not.toBe(web1.lifecycle.id);
+      expect((await lifecycles.get(web1.lifecycle.id)).status).toBe('triggered');
+      expect((await lifecycles.list({ status: 'recovered' })).map(lifecycle => lifecycle.id)).toEqual([web2.lifecycle.id]);
+    });
+
+    test('concurrent first triggers share one lifecycle', async () => {
+      const results = await Promise.all([1, 2, 3].map(() => lifecycles.record(alertData(monitor()))));
+
+      expect(new Set(results.map(result => result.lifecycle.id)).size).toBe(1);
+      expect(results.map(result => result.event)).toEqual(['triggered', 'renotified', 'renotified']);
+      expect(await lifecycles.list()).toHaveLength(1);
+      expect((await lifecycles.get(results[0].lifecycle.id)).notificationCount).toBe(3);
+    });
+
+    test('open lifecycles survive a restart', async () => {
+      const first = await lifecycles.record(alertData(monitor()));
+
+      const reloaded = new AlertLifecycles(lifecyclesDir);
+      const recovery = await reloaded.record(alertData(monitor({ alert_transition: 'Recovered' })));
+      expect(recovery.lifecycle.id).toBe(first.lifecycle.id);
+    });
+
+    test('attachDocument links the lifecycle document', async () => {
+      const { lifecycle } = await lifecycles.record(alertData(monitor()));
+      await lifecycles.attachDocument(lifecycle.id, { documentId: 'doc-1', templateId: 'runbook' });
+
+      expect(await lifecycles.get(lifecycle.id)).toMatchObject({ documentId: 'doc-1', templateId: 'runbook' });
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// The pipeline works on the shared service instances; point them at a temp dir
+const mockBaseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-pipeline-'));
+
+jest.mock('../alertRepository', () => {
+  const { AlertRepository } = jest.requireActual('../alertRepository');
+  return new AlertRepository(require('path').join(mockBaseDir, 'alerts'));
+});
+jest.mock('../alertLifecycle', () => {
+  const { AlertLifecycles } = jest.requireActual('../alertLifecycle');
+  return new AlertLifecycles(require('path').join(mockBaseDir, 'lifecycles'));
+});
+jest.mock('../incidents', () => {
+  const { Incidents } = jest.requireActual('../incidents');
+  return new Incidents(require('path').join(mockBaseDir, 'incidents'));
+});
+jest.mock('../deduplicator', () => {
+  const { Deduplicator } = jest.requireActual('../deduplicator');
+  return new Deduplicator(require('path').join(mockBaseDir, 'dedup'));
+});
+
+const AlertPipeline = require('../alertPipeline');
+const RoutingRules = require('../routingRules');
+const alertRepository = require('../alertRepository');
+const alertLifecycles = require('../alertLifecycle');
+const incidents = require('../incidents');
+
+describe('AlertPipeline', () => {
+  let pipeline;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    pipeline = new AlertPipeline();
+    pipeline.routingRules = new RoutingRules(path.join(mockBaseDir, 'rules'), path.join(mockBaseDir, 'templates'));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => fs.remove(mockBaseDir));
+
+  const alert = (overrides = {}) => ({
+    alert_id: 1,
+    scope: 'host:web-1',
+    title: 'CPU high',
+    alert_type: 'error',
+    tags: 'service:api',
+    ...overrides
+  });
+
+  test('stores the alert linked to its lifecycle and incident', async () => {
+    const result = await pipeline.ingest(alert());
+
+    expect(result).toMatchObject({ status: 'queued', event: 'triggered' });
+    const stored = await alertRepository.get(result.alertId);
+    expect(stored).toMatchObject({
+      status: 'pending_template_selection',
+      lifecycleId: result.lifecycle.id,
+      lifecycleEvent: 'triggered',
+      incidentId: result.incident.id
+    });
+    expect((await alertLifecycles.get(result.lifecycle.id)).alertIds).toEqual([result.alertId]);
+    expect((await incidents.get(result.incident.id)).alertIds).toEqual([result.alertId]);
+  });
+
+  test('counts duplicates against the surviving alert', async () => {
+    const first = await pipeline.ingest(alert({ title: 'Disk full', alert_id: 2 }));
+    const duplicate = await pipeline.ingest(alert({ title: 'Disk full', alert_id: 2 }));
+
+    expect(duplicate).toMatchObject({ status: 'duplicate', alertId: first.alertId, occurrences: 2 });
+    expect((await alertRepository.get(first.alertId)).occurrences).toBe(2);
+    expect((await alertLifecycles.get(first.lifecycle.id)).notificationCount).toBe(1);
+  });
+
+  test('a failed save leaves no lifecycle or incident behind and frees the fingerprint', async () => {
+    const lifecyclesBefore = (await alertLifecycles.list()).length;
+    const incidentsBefore = (await incidents.list()).length;
+    jest.spyOn(alertRepository, 'save').mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(pipeline.ingest(alert({ alert_id: 3, title: 'Memory high' }))).rejects.toThrow('disk full');
+
+    expect(await alertLifecycles.list()).toHaveLength(lifecyclesBefore);
+    expect(await incidents.list()).toHaveLength(incidentsBefore);
+
+    const retried = await pipeline.ingest(alert({ alert_id: 3, title: 'Memory high' }));
+    expect(retried.status).toBe('queued');
+    expect(retried.event).toBe('triggered');
+  });
+
+  test('ingestBatch reports every item', async () => {
+    const report = await pipeline.ingestBatch([
+      alert({ alert_id: 4, title: 'Queue depth' }),
+      { error: 'Item is not a recognised datadog payload' },
+      alert({ alert_id: 4, title: 'Queue depth' })
+    ]);
+
+    expect(report.summary).toEqual({ total: 3, queued: 1, invalid: 1, duplicate: 1 });
+    expect(report.results[1]).toEqual({ index: 1, status: 'invalid', error: 'Item is not a recognised datadog payload' });
+  });
+});
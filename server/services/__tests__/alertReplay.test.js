@@ -0,0 +1,242 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// The pipeline works on the shared service instances; point them at a temp dir
+const mockBaseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-replay-'));
+
+jest.mock('../alertRepository', () => {
+  const { AlertRepository } = jest.requireActual('../alertRepository');
+  return new AlertRepository(require('path').join(mockBaseDir, 'alerts'));
+});
+jest.mock('../alertLifecycle', () => {
+  const { AlertLifecycles } = jest.requireActual('../alertLifecycle');
+  return new AlertLifecycles(require('path').join(mockBaseDir, 'lifecycles'));
+});
+jest.mock('../incidents', () => {
+  const { Incidents } = jest.requireActual('../incidents');
+  return new Incidents(require('path').join(mockBaseDir, 'incidents'));
+});
+jest.mock('../deduplicator', () => {
+  const { Deduplicator } = jest.requireActual('../deduplicator');
+  return new Deduplicator(require('path').join(mockBaseDir, 'dedup'));
+});
+
+const AlertPipeline = require('../alertPipeline');
+const RoutingRules = require('../routingRules');
+const CustomSources = require('../customSources');
+const DocumentGenerator = require('../documentGenerator');
+const TemplatePartials = require('../templatePartials');
+const alertRepository = require('../alertRepository');
+const alertLifecycles = require('../alertLifecycle');
+const { DEFAULT_TIMEZONE, DEFAULT_LOCALE } = require('../renderLocale');
+
+const templatesDir = path.join(mockBaseDir, 'templates');
+
+const TEMPLATES = {
+  original: { id: 'original', name: 'Original', type: 'alert', content: 'original: {{alert.title}}' },
+  routed: { id: 'routed', name: 'Routed', type: 'alert', content: 'routed: {{alert.title}}' },
+  chosen: { id: 'chosen', name: 'Chosen', type: 'alert', content: 'chosen: {{alert.title}}' },
+  zoned: { id: 'zoned', name: 'Zoned', type: 'alert', content: 'zoned: {{time.timezone}}', timezone: 'Asia/Tokyo', locale: 'ja' }
+};
+
+describe('AlertPipeline replay', () => {
+  let pipeline;
+  let documents;
+
+  beforeAll(async () => {
+    for (const template of Object.values(TEMPLATES)) {
+      await fs.outputJson(path.join(templatesDir, `${template.id}.json`), template);
+    }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    // Documents stay in memory; templates come from the temp dir
+    documents = new Map();
+    jest.spyOn(DocumentGenerator.prototype, 'loadTemplate').mockImplementation(async templateId => TEMPLATES[templateId] || null);
+    jest.spyOn(DocumentGenerator.prototype, 'updateTemplateUsage').mockResolvedValue();
+    jest.spyOn(TemplatePartials.prototype, 'loadAll').mockResolvedValue([]);
+    jest.spyOn(DocumentGenerator.prototype, 'saveDocument').mockImplementation(async document => {
+      documents.set(document.id, JSON.parse(JSON.stringify(document)));
+    });
+    jest.spyOn(DocumentGenerator.prototype, 'loadDocument').mockImplementation(async documentId => documents.get(documentId) || null);
+
+    pipeline = new AlertPipeline();
+    pipeline.routingRules = new RoutingRules(path.join(mockBaseDir, `rules-${Date.now()}`), templatesDir);
+    pipeline.customSources = new CustomSources(path.join(mockBaseDir, 'custom-sources'));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => fs.remove(mockBaseDir));
+
+  let nextMonitor = 100;
+  async function storedAlert(alert = {}, raw) {
+    nextMonitor++;
+    const { alertId } = await pipeline.ingest({
+      source: 'datadog',
+      alert_id: nextMonitor,
+      title: `Alert ${nextMonitor}`,
+      alert_type: 'error',
+      ...alert
+    }, { raw });
+    return alertRepository.get(alertId);
+  }
+
+  describe('renormalize', () => {
+    test('maps the archived adapter payload again, picking the alert by index', async () => {
+      const payload = {
+        status: 'firing',
+        alerts: [
+          { status: 'firing', fingerprint: 'r1', labels: { alertname: 'First' }, annotations: { summary: 'First alert' } },
+          { status: 'firing', fingerprint: 'r2', labels: { alertname: 'Second', severity: 'warning' }, annotations: { summary: 'Second alert' } }
+        ]
+      };
+      const alertData = await storedAlert({ source: 'alertmanager', title: 'Stale mapping' }, { adapter: 'alertmanager', payload, index: 1 });
+
+      expect(await pipeline.renormalize(alertData)).toMatchObject({
+        source: 'alertmanager',
+        id: 'r2',
+        title: 'Second alert',
+        alert_type: 'warning'
+      });
+    });
+
+    test('applies the current mapping of a custom source', async () => {
+      const source = await pipeline.customSources.create({ name: 'Cron', mapping: { title: '$.job' } });
+      const alertData = await storedAlert({ source: `custom:${source.id}`, title: 'backup' }, {
+        customSourceId: source.id,
+        payload: { job: 'backup', host: 'db-1' }
+      });
+      await pipeline.customSources.update(source.id, { mapping: { title: '{{$.job}} on {{$.host}}' } });
+
+      expect(await pipeline.renormalize(alertData)).toMatchObject({ title: 'backup on db-1' });
+    });
+
+    test('normalizes Datadog alerts stored without an archive from their payload', async () => {
+      const alertData = await storedAlert({ originalPayload: { title: 'From payload', alert_type: 'warning' } });
+
+      expect(await pipeline.renormalize(alertData)).toMatchObject({ source: 'datadog', title: 'From payload', alert_type: 'warning' });
+    });
+
+    test('keeps the stored model when nothing can be normalized again', async () => {
+      const alertData = await storedAlert({ source: 'legacy' }, { adapter: 'nagios', payload: {} });
+
+      expect(await pipeline.renormalize(alertData)).toBe(alertData.originalPayload);
+    });
+  });
+
+  describe('template choice', () => {
+    test('uses the given template first', async () => {
+      await pipeline.routingRules.create({ name: 'All', templateId: 'routed', conditions: { titlePattern: '.' } });
+      const alertData = await storedAlert();
+      await pipeline.process(alertData, 'original');
+
+      const replay = await pipeline.replay(await alertRepository.get(alertData.id), { templateId: 'chosen' });
+
+      expect(replay.templateId).toBe('chosen');
+      expect(replay.routingRuleId).toBeNull();
+      expect(replay.document.content).toBe(`chosen: ${alertData.originalPayload.title}`);
+    });
+
+    test('then the matching routing rule', async () => {
+      const rule = await pipeline.routingRules.create({ name: 'All', templateId: 'routed', conditions: { titlePattern: '.' } });
+      const alertData = await storedAlert();
+      await pipeline.process(alertData, 'original');
+
+      const replay = await pipeline.replay(await alertRepository.get(alertData.id));
+
+      expect([replay.templateId, replay.routingRuleId]).toEqual(['routed', rule.id]);
+      expect((await alertRepository.get(alertData.id)).routingRuleId).toBe(rule.id);
+    });
+
+    test('then the template used last time', async () => {
+      const alertData = await storedAlert();
+      await pipeline.process(alertData, 'original');
+
+      expect((await pipeline.replay(await alertRepository.get(alertData.id))).templateId).toBe('original');
+    });
+
+    test('fails when there is no template to use', async () => {
+      const alertData = await storedAlert();
+
+      await expect(pipeline.replay(alertData)).rejects.toMatchObject({ code: 'NO_TEMPLATE' });
+    });
+  });
+
+  describe('linking', () => {
+    test('supersedes the previous document and links the replay to it', async () => {
+      const alertData = await storedAlert();
+      const first = await pipeline.process(alertData, 'original');
+
+      const replay = await pipeline.replay(await alertRepository.get(alertData.id), { templateId: 'chosen' });
+
+      expect(replay.previousDocumentId).toBe(first.id);
+      expect(documents.get(replay.document.id).replayOf).toBe(first.id);
+      expect(documents.get(first.id)).toMatchObject({ supersededBy: replay.document.id, supersededAt: expect.any(String) });
+
+      const stored = await alertRepository.get(alertData.id);
+      expect(stored).toMatchObject({ status: 'processed', documentId: replay.document.id, templateId: 'chosen' });
+      expect(stored.replays).toEqual([
+        { at: expect.any(String), documentId: replay.document.id, previousDocumentId: first.id, templateId: 'chosen' }
+      ]);
+    });
+
+    test('moves the lifecycle to the new document', async () => {
+      const alertData = await storedAlert();
+      const first = await pipeline.process(alertData, 'original');
+      expect((await alertLifecycles.get(alertData.lifecycleId)).documentId).toBe(first.id);
+
+      const replay = await pipeline.replay(await alertRepository.get(alertData.id), { templateId: 'chosen' });
+
+      expect((await alertLifecycles.get(alertData.lifecycleId)).documentId).toBe(replay.document.id);
+    });
+
+    test('replays a pending alert without superseding anything', async () => {
+      const alertData = await storedAlert();
+
+      const replay = await pipeline.replay(alertData, { templateId: 'chosen' });
+
+      expect(replay.previousDocumentId).toBeNull();
+      expect(documents.get(replay.document.id).replayOf).toBeNull();
+      expect((await alertRepository.get(alertData.id)).status).toBe('processed');
+    });
+  });
+  describe('time zone and locale', () => {
+    const renderLocaleOf = document => ({ timezone: document.timezone, locale: document.locale });
+
+    test('use the system settings when nothing sets them', async () => {
+      const document = await pipeline.process(await storedAlert(), 'original');
+
+      expect(renderLocaleOf(document)).toEqual({ timezone: DEFAULT_TIMEZONE, locale: DEFAULT_LOCALE });
+    });
+
+    test('use the template settings over the system ones', async () => {
+      const document = await pipeline.process(await storedAlert(), 'zoned');
+
+      expect(renderLocaleOf(document)).toEqual({ timezone: 'Asia/Tokyo', locale: 'ja' });
+      expect(document.content).toBe('zoned: Asia/Tokyo');
+    });
+
+    test('use the routing rule settings over the template ones', async () => {
+      await pipeline.routingRules.create({ name: 'All', templateId: 'zoned', conditions: { titlePattern: '.' }, timezone: 'America/New_York' });
+      const alertData = await storedAlert();
+
+      const { document } = await pipeline.replay(alertData);
+
+      expect(renderLocaleOf(document)).toEqual({ timezone: 'America/New_York', locale: 'ja' });
+    });
+
+    test('use the request settings over the routing rule ones', async () => {
+      await pipeline.routingRules.create({ name: 'All', templateId: 'zoned', conditions: { titlePattern: '.' }, timezone: 'America/New_York', locale: 'fr' });
+      const alertData = await storedAlert();
+
+      const { document } = await pipeline.replay(alertData, { timezone: 'UTC' });
+
+      expect(renderLocaleOf(document)).toEqual({ timezone: 'UTC', locale: 'fr' });
+      expect(document.content).toBe('zoned: UTC');
+    });
+  });
+});
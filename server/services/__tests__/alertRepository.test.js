@@ -0,0 +1,146 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { AlertRepository } = require('../alertRepository');
+
+function stored(id, minutes, alert, extra = {}) {
+  return {
+    id,
+    timestamp: new Date(Date.parse('2026-10-19T10:00:00Z') + minutes * 60 * 1000).toISOString(),
+    status: 'pending_template_selection',
+    occurrences: 1,
+    originalPayload: { source: 'datadog', alert_type: 'error', title: `Alert ${id}`, ...alert },
+    ...extra
+  };
+}
+
+describe('AlertRepository', () => {
+  let alertsDir;
+  let repository;
+
+  beforeEach(async () => {
+    alertsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'alerts-'));
+    repository = new AlertRepository(alertsDir);
+  });
+
+  afterEach(() => fs.remove(alertsDir));
+
+  const ids = result => result.alerts.map(alert => alert.id);
+
+  describe('cursor pagination', () => {
+    beforeEach(async () => {
+      for (let index = 1; index <= 7; index++) {
+        await repository.save(stored(`a${index}`, index, { title: `Alert ${8 - index}` }));
+      }
+    });
+
+    async function allPages(options) {
+      const pages = [];
+      let cursor;
+      do {
+        const page = await repository.query({ ...options, cursor });
+        pages.push(ids(page));
+        cursor = page.nextCursor;
+      } while (cursor);
+      return pages;
+    }
+
+    test('pages newest first by default', async () => {
+      const first = await repository.query({ limit: 3 });
+
+      expect(ids(first)).toEqual(['a7', 'a6', 'a5']);
+      expect(first.total).toBe(7);
+      expect(first.nextCursor).toEqual(expect.any(String));
+      expect(await allPages({ limit: 3 })).toEqual([['a7', 'a6', 'a5'], ['a4', 'a3', 'a2'], ['a1']]);
+    });
+
+    test('follows the requested sort', async () => {
+      expect(await allPages({ sort: 'timestamp', limit: 4 })).toEqual([['a1', 'a2', 'a3', 'a4'], ['a5', 'a6', 'a7']]);
+      expect(await allPages({ sort: 'title', limit: 4 })).toEqual([['a7', 'a6', 'a5', 'a4'], ['a3', 'a2', 'a1']]);
+    });
+
+    test('has no next cursor when the page reaches the end', async () => {
+      expect((await repository.query({ limit: 7 })).nextCursor).toBeNull();
+    });
+
+    test('breaks ties by ID so equal values are neither repeated nor skipped', async () => {
+      for (const id of ['b1', 'b2', 'b3', 'b4']) {
+        await repository.save(stored(id, 0, { alert_type: 'warning' }, { occurrences: 5 }));
+      }
+
+      const pages = await allPages({ sort: '-occurrences', limit: 3 });
+      expect(pages.flat()).toEqual(['b4', 'b3', 'b2', 'b1', 'a7', 'a6', 'a5', 'a4', 'a3', 'a2', 'a1']);
+    });
+
+    test('stays stable while new alerts arrive', async () => {
+      const first = await repository.query({ limit: 3 });
+      await repository.save(stored('a8', 8));
+
+      const second = await repository.query({ limit: 3, cursor: first.nextCursor });
+      expect(ids(second)).toEqual(['a4', 'a3', 'a2']);
+      expect(second.total).toBe(8);
+    });
+
+    test('rejects cursors from another sort order and garbage cursors', async () => {
+      const { nextCursor } = await repository.query({ limit: 3 });
+
+      await expect(repository.query({ sort: 'title', cursor: nextCursor })).rejects.toMatchObject({
+        validationErrors: ['Invalid cursor for this sort order']
+      });
+      await expect(repository.query({ cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor for this sort order');
+    });
+
+    test('rejects unknown sort fields', async () => {
+      await expect(repository.query({ sort: '-hostname' })).rejects.toThrow('Unsupported sort "-hostname"');
+    });
+  });
+
+  describe('filters', () => {
+    beforeEach(async () => {
+      await repository.save(stored('cpu', 0, { title: 'CPU high on web-1', alert_id: 11, tags: 'env:prod,service:api', priority: 'P1' }, { incidentId: 'inc-1' }));
+      await repository.save(stored('disk', 10, { title: 'Disk almost full', alert_type: 'warning', tags: ['env:prod', 'service:db'] }));
+      await repository.save(stored('latency', 20, { source: 'alertmanager', title: 'Latency', alert_type: 'info', tags: 'env:staging,service:api' }, {
+        status: 'processed',
+        documentId: 'doc-1',
+        templateId: 'runbook'
+      }));
+    });
+
+    test.each([
+      [{ status: 'processed' }, ['latency']],
+      [{ status: 'pending_template_selection,processed' }, ['latency', 'disk', 'cpu']],
+      [{ source: 'alertmanager' }, ['latency']],
+      [{ alertType: ['error', 'warning'] }, ['disk', 'cpu']],
+      [{ priority: 'high' }, ['cpu']],
+      [{ priority: 'medium' }, ['disk']],
+      [{ tags: 'env:prod,service:api' }, ['cpu']],
+      [{ tags: 'service:api' }, ['latency', 'cpu']],
+      [{ since: '2026-10-19T10:05:00Z' }, ['latency', 'disk']],
+      [{ until: '2026-10-19T10:10:00Z' }, ['disk', 'cpu']],
+      [{ monitorId: 11 }, ['cpu']],
+      [{ templateId: 'runbook' }, ['latency']],
+      [{ incidentId: 'inc-1' }, ['cpu']],
+      [{ q: 'FULL' }, ['disk']],
+      [{ q: 'nothing' }, []]
+    ])('%j', async (filters, expected) => {
+      const result = await repository.query(filters);
+
+      expect(ids(result)).toEqual(expected);
+      expect(result.total).toBe(expected.length);
+    });
+
+    test('pages within the filtered set', async () => {
+      const first = await repository.query({ tags: 'env:prod', limit: 1 });
+      const second = await repository.query({ tags: 'env:prod', limit: 1, cursor: first.nextCursor });
+
+      expect([ids(first), ids(second), second.nextCursor]).toEqual([['disk'], ['cpu'], null]);
+    });
+
+    test('the index is rebuilt from disk', async () => {
+      const reloaded = new AlertRepository(alertsDir);
+
+      expect(ids(await reloaded.query({ status: 'pending_template_selection' }))).toEqual(['disk', 'cpu']);
+      expect((await reloaded.listPending()).map(alert => alert.id).sort()).toEqual(['cpu', 'disk']);
+    });
+  });
+});
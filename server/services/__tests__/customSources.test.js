@@ -0,0 +1,180 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const CustomSources = require('../customSources');
+
+const { evaluatePath } = CustomSources;
+
+const TIMESTAMP = '2026-10-19T10:00:00.000Z';
+
+describe('evaluatePath', () => {
+  const payload = {
+    check: { name: 'disk', 'odd key': 'odd value', zero: 0 },
+    items: [{ name: 'web-1', load: 3 }, { name: 'web-2', load: 5 }],
+    labels: { env: 'prod', team: 'infra' }
+  };
+
+  test.each([
+    ['$', payload],
+    ['$.check.name', 'disk'],
+    ['$.check.zero', 0],
+    ["$.check['odd key']", 'odd value'],
+    ['$.check["odd key"]', 'odd value'],
+    ['$.items[1].name', 'web-2'],
+    ['$.items[*].name', ['web-1', 'web-2']],
+    ['$.labels.*', ['prod', 'infra']],
+    ['$.missing.name', undefined],
+    ['$.items[5].name', undefined],
+    ['$.check.name.length', undefined]
+  ])('%s', (expression, expected) => {
+    expect(evaluatePath(payload, expression)).toEqual(expected);
+  });
+
+  test.each([
+    ['check.name', 'Path "check.name" must start with $'],
+    ['$.items[x]', 'Invalid path "$.items[x]" at position 7'],
+    ['$..name', 'Invalid path "$..name" at position 1']
+  ])('rejects %s', (expression, message) => {
+    expect(() => evaluatePath(payload, expression)).toThrow(message);
+  });
+});
+
+describe('CustomSources', () => {
+  let sourcesDir;
+  let customSources;
+
+  beforeEach(async () => {
+    sourcesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'custom-sources-'));
+    customSources = new CustomSources(sourcesDir);
+  });
+
+  afterEach(() => fs.remove(sourcesDir));
+
+  describe('mapping', () => {
+    const source = {
+      id: 'src-1',
+      name: 'Cron monitor',
+      mapping: {
+        title: '{{$.job.name}} failed on {{$.job.host}}',
+        message: '$.output',
+        alert_type: '$.state',
+        priority: '$.urgency',
+        hostname: '$.job.host',
+        tags: '$.labels',
+        metric_value: '$.duration',
+        date: '$.finishedAt',
+        id: '$.runId'
+      },
+      valueMaps: {
+        alert_type: { FAILED: 'error', Late: 'warning', OK: 'recovery' }
+      }
+    };
+
+    const payload = {
+      runId: 981,
+      job: { name: 'nightly-backup', host: 'db-1' },
+      state: 'failed',
+      urgency: 'high',
+      output: ['disk full', 'exit 1'],
+      labels: { env: 'prod', team: 'data' },
+      duration: '42.5',
+      finishedAt: '2026-10-19T09:55:00Z'
+    };
+
+    test('maps paths, templates and value maps onto alert fields', () => {
+      const [alert] = customSources.toAlerts(source, payload, TIMESTAMP);
+
+      expect(alert).toEqual({
+        source: 'custom:src-1',
+        timestamp: TIMESTAMP,
+        id: '981',
+        alert_type: 'error',
+        priority: 'high',
+        title: 'nightly-backup failed on db-1',
+        message: 'disk full, exit 1',
+        metric_value: 42.5,
+        hostname: 'db-1',
+        tags: ['env:prod', 'team:data'],
+        date: Date.parse('2026-10-19T09:55:00Z') / 1000,
+        originalPayload: payload
+      });
+    });
+
+    test('leaves unmapped and missing values unset', () => {
+      const [alert] = customSources.toAlerts(source, { job: { name: 'sync' } }, TIMESTAMP);
+
+      expect(alert).toMatchObject({ title: 'sync failed on ', alert_type: 'info', message: '', tags: [] });
+      expect(alert).not.toHaveProperty('priority');
+      expect(alert).not.toHaveProperty('hostname');
+    });
+
+    test('falls back to the source name for the title', () => {
+      const [alert] = customSources.toAlerts({ name: 'Cron monitor', mapping: { message: '$.output' } }, { output: 'ok' }, TIMESTAMP);
+
+      expect(alert).toMatchObject({ source: 'custom:test', title: 'Cron monitor Alert', message: 'ok' });
+    });
+
+    test('makes one alert per element selected by alertsPath', () => {
+      const batched = { ...source, alertsPath: '$.runs[*]' };
+      const alerts = customSources.toAlerts(batched, {
+        runs: [
+          { job: { name: 'backup', host: 'db-1' }, state: 'Late' },
+          { job: { name: 'vacuum', host: 'db-2' }, state: 'OK' }
+        ]
+      }, TIMESTAMP);
+
+      expect(alerts.map(alert => [alert.title, alert.alert_type])).toEqual([
+        ['backup failed on db-1', 'warning'],
+        ['vacuum failed on db-2', 'recovery']
+      ]);
+      expect(customSources.toAlerts({ ...source, alertsPath: '$.single' }, { single: { job: { name: 'one' } } }, TIMESTAMP)).toHaveLength(1);
+      expect(customSources.toAlerts(batched, { runs: [] }, TIMESTAMP)).toEqual([]);
+    });
+
+    test('rejects payloads that are not objects', () => {
+      expect(customSources.toAlerts(source, 'failed', TIMESTAMP)).toBeNull();
+      expect(customSources.toAlerts(source, null, TIMESTAMP)).toBeNull();
+    });
+  });
+
+  describe('validation', () => {
+    const rejection = async promise => {
+      try {
+        await promise;
+      } catch (error) {
+        return error.validationErrors;
+      }
+      throw new Error('Expected the source to be rejected');
+    };
+
+    test('checks fields, paths and value maps', async () => {
+      expect(await rejection(customSources.create({
+        name: ' ',
+        alertsPath: 'items',
+        mapping: { message: '{{$.a[}}', severity: '$.level' },
+        valueMaps: { alert_type: ['error'], level: {} }
+      }))).toEqual([
+        'Source name is required',
+        'message: Invalid path "$.a[" at position 3',
+        'Unknown alert field "severity"',
+        'alertsPath: Path "items" must start with $',
+        'valueMaps.alert_type must be an object of input → output values',
+        'Unknown alert field "level" in valueMaps'
+      ]);
+      expect(await rejection(customSources.create({ name: 'Cron', mapping: { hostname: '$.host' } })))
+        .toEqual(['A title or message mapping is required']);
+    });
+
+    test('saves, updates and counts receipts', async () => {
+      const source = await customSources.create({ name: 'Cron', mapping: { title: '$.job', link: ' ' } });
+      expect(source.mapping).toEqual({ title: '$.job' });
+
+      const updated = await customSources.update(source.id, { mapping: { title: '$.name' } });
+      expect(updated).toMatchObject({ name: 'Cron', mapping: { title: '$.name' } });
+
+      await customSources.recordReceipt(source.id, 3);
+      expect(await customSources.get(source.id)).toMatchObject({ receivedCount: 3 });
+      expect(await customSources.get('../etc/passwd')).toBeNull();
+    });
+  });
+});
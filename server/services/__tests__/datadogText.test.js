@@ -0,0 +1,41 @@
+const { normalizeDatadogPayload } = require('../alertNormalizer');
+const fixtures = require('../../fixtures/datadog-text.json');
+
+const TIMESTAMP = '2026-10-19T10:00:00.000Z';
+
+function pickFields(alert, fields) {
+  return Object.fromEntries(fields.map(field => [field, alert[field]]));
+}
+
+describe('Datadog text notifications', () => {
+  test.each(fixtures.map(fixture => [fixture.name, fixture]))('%s', (name, fixture) => {
+    const alert = normalizeDatadogPayload(fixture.body, TIMESTAMP);
+
+    expect(alert.source).toBe('datadog_text');
+    expect(alert.message).toBe(fixture.body);
+    expect(pickFields(alert, Object.keys(fixture.expected))).toEqual(fixture.expected);
+
+    // Without a [P1]-style prefix the priority is left to determinePriority
+    if (!('priority' in fixture.expected)) {
+      expect(alert).not.toHaveProperty('priority');
+    }
+  });
+
+  test('blank bodies are not alerts', () => {
+    expect(normalizeDatadogPayload('', TIMESTAMP)).toBeNull();
+    expect(normalizeDatadogPayload(' \n ', TIMESTAMP)).toBeNull();
+  });
+});
+
+describe('Datadog JSON payloads', () => {
+  test('bodies without any Datadog variable are not alerts', () => {
+    expect(normalizeDatadogPayload({}, TIMESTAMP)).toBeNull();
+    expect(normalizeDatadogPayload({ foo: 'bar' }, TIMESTAMP)).toBeNull();
+    expect(normalizeDatadogPayload({ title: '$EVENT_TITLE' }, TIMESTAMP)).toBeNull();
+  });
+
+  test('priority is only set when the payload sends one', () => {
+    expect(normalizeDatadogPayload({ title: 'x', alert_type: 'error' }, TIMESTAMP)).not.toHaveProperty('priority');
+    expect(normalizeDatadogPayload({ title: 'x', priority: 'P1' }, TIMESTAMP).priority).toBe('P1');
+  });
+});
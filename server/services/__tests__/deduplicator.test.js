@@ -0,0 +1,178 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { Deduplicator } = require('../deduplicator');
+
+describe('Deduplicator', () => {
+  let dedupDir;
+  let deduplicator;
+
+  beforeEach(async () => {
+    dedupDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dedup-'));
+    deduplicator = new Deduplicator(dedupDir);
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await fs.remove(dedupDir);
+  });
+
+  const alert = (overrides = {}) => ({
+    source: 'datadog',
+    alert_type: 'error',
+    title: 'CPU high',
+    org: 'acme',
+    id: 'monitor-1',
+    ...overrides
+  });
+
+  describe('dedup window', () => {
+    test('suppresses a repeat within the window and points at the survivor', async () => {
+      const first = await deduplicator.register(alert(), 'alert-1');
+      const second = await deduplicator.register(alert(), 'alert-2');
+
+      expect(first.duplicate).toBe(false);
+      expect(second).toMatchObject({ duplicate: true, survivorId: 'alert-1', occurrences: 2 });
+      expect(second.fingerprint).toBe(first.fingerprint);
+
+      const suppressed = await deduplicator.listSuppressed({ survivorId: 'alert-1' });
+      expect(suppressed).toHaveLength(1);
+      expect(suppressed[0]).toMatchObject({ survivorId: 'alert-1', source: 'datadog', title: 'CPU high' });
+    });
+
+    test('lets the alert through again once the window has passed', async () => {
+      jest.useFakeTimers({ now: new Date('2026-10-19T10:00:00Z') });
+      await deduplicator.updateConfig({ defaultWindowSeconds: 60 });
+      await deduplicator.register(alert(), 'alert-1');
+
+      jest.setSystemTime(new Date('2026-10-19T10:00:59Z'));
+      expect((await deduplicator.register(alert(), 'alert-2')).duplicate).toBe(true);
+
+      jest.setSystemTime(new Date('2026-10-19T10:01:01Z'));
+      expect((await deduplicator.register(alert(), 'alert-3')).duplicate).toBe(false);
+    });
+
+    test('uses the per-source window over the default', async () => {
+      jest.useFakeTimers({ now: new Date('2026-10-19T10:00:00Z') });
+      await deduplicator.updateConfig({ defaultWindowSeconds: 600, windows: { grafana: 10 } });
+      await deduplicator.register(alert({ source: 'grafana' }), 'alert-1');
+      await deduplicator.register(alert(), 'alert-2');
+
+      jest.setSystemTime(new Date('2026-10-19T10:00:30Z'));
+      expect((await deduplicator.register(alert({ source: 'grafana' }), 'alert-3')).duplicate).toBe(false);
+      expect((await deduplicator.register(alert(), 'alert-4')).duplicate).toBe(true);
+    });
+
+    test('keeps sources apart and ignores fields outside the fingerprint', async () => {
+      await deduplicator.register(alert(), 'alert-1');
+
+      expect((await deduplicator.register(alert({ source: 'grafana' }), 'alert-2')).duplicate).toBe(false);
+      expect((await deduplicator.register(alert({ message: 'other body' }), 'alert-3')).duplicate).toBe(true);
+      expect((await deduplicator.register(alert({ title: 'Disk full' }), 'alert-4')).duplicate).toBe(false);
+    });
+
+    test('does nothing when disabled', async () => {
+      await deduplicator.updateConfig({ enabled: false });
+      await deduplicator.register(alert(), 'alert-1');
+
+      expect((await deduplicator.register(alert(), 'alert-2')).duplicate).toBe(false);
+    });
+
+    test('release frees the fingerprint only for the alert that claimed it', async () => {
+      const { fingerprint } = await deduplicator.register(alert(), 'alert-1');
+
+      await deduplicator.release(fingerprint, 'someone-else');
+      expect((await deduplicator.register(alert(), 'alert-2')).duplicate).toBe(true);
+
+      await deduplicator.release(fingerprint, 'alert-1');
+      expect((await deduplicator.register(alert(), 'alert-3')).duplicate).toBe(false);
+    });
+
+    test('trims the suppressed log to suppressedLogSize', async () => {
+      await deduplicator.updateConfig({ suppressedLogSize: 2 });
+      await deduplicator.register(alert(), 'alert-1');
+      for (let i = 2; i <= 5; i++) {
+        await deduplicator.register(alert(), `alert-${i}`);
+      }
+
+      expect(await deduplicator.listSuppressed()).toHaveLength(2);
+    });
+
+    test('persists fingerprints across instances', async () => {
+      await deduplicator.register(alert(), 'alert-1');
+
+      const reloaded = new Deduplicator(dedupDir);
+      expect(await reloaded.register(alert(), 'alert-2')).toMatchObject({ duplicate: true, survivorId: 'alert-1' });
+    });
+  });
+
+  describe('fingerprint', () => {
+    beforeEach(() => deduplicator.ensureLoaded());
+
+    test('does not depend on key order in nested values', () => {
+      deduplicator.config.fingerprintFields = ['details'];
+
+      const a = deduplicator.fingerprint(alert({ details: { region: 'eu', host: { name: 'web-1', zone: 'a' } } }));
+      const b = deduplicator.fingerprint(alert({ details: { host: { zone: 'a', name: 'web-1' }, region: 'eu' } }));
+      expect(a).toBe(b);
+    });
+
+    test('includes nested values', () => {
+      deduplicator.config.fingerprintFields = ['details'];
+
+      const a = deduplicator.fingerprint(alert({ details: { host: 'web-1' } }));
+      const b = deduplicator.fingerprint(alert({ details: { host: 'web-2' } }));
+      expect(a).not.toBe(b);
+    });
+
+    test('matches tags regardless of order and by tag key', () => {
+      deduplicator.config.fingerprintFields = ['tag:service'];
+
+      const a = deduplicator.fingerprint(alert({ tags: ['env:prod', 'service:api'] }));
+      const b = deduplicator.fingerprint(alert({ tags: 'service:api, env:staging' }));
+      const c = deduplicator.fingerprint(alert({ tags: ['service:web'] }));
+      expect(a).toBe(b);
+      expect(a).not.toBe(c);
+    });
+  });
+
+  describe('config validation', () => {
+    const invalid = async changes => {
+      try {
+        await deduplicator.updateConfig(changes);
+      } catch (error) {
+        return error.validationErrors;
+      }
+      throw new Error('Expected the config to be rejected');
+    };
+
+    test.each([
+      ['empty fingerprintFields', { fingerprintFields: [] }, 'fingerprintFields must be a non-empty array'],
+      ['non-array fingerprintFields', { fingerprintFields: 'title' }, 'fingerprintFields must be a non-empty array'],
+      ['non-string fingerprint field', { fingerprintFields: ['title', 42] }, 'fingerprintFields entries must be non-empty strings'],
+      ['blank fingerprint field', { fingerprintFields: [' '] }, 'fingerprintFields entries must be non-empty strings'],
+      ['negative default window', { defaultWindowSeconds: -1 }, 'defaultWindowSeconds must be a non-negative number'],
+      ['non-numeric default window', { defaultWindowSeconds: '300' }, 'defaultWindowSeconds must be a non-negative number'],
+      ['negative source window', { windows: { grafana: -5 } }, 'Window for source "grafana" must be a non-negative number'],
+      ['NaN suppressedLogSize', { suppressedLogSize: NaN }, 'suppressedLogSize must be a non-negative integer'],
+      ['fractional suppressedLogSize', { suppressedLogSize: 1.5 }, 'suppressedLogSize must be a non-negative integer'],
+      ['negative suppressedLogSize', { suppressedLogSize: -1 }, 'suppressedLogSize must be a non-negative integer']
+    ])('rejects %s', async (name, changes, message) => {
+      expect(await invalid(changes)).toEqual([message]);
+    });
+
+    test('keeps the previous config when an update is rejected', async () => {
+      await invalid({ suppressedLogSize: NaN });
+
+      expect((await deduplicator.getConfig()).suppressedLogSize).toBe(500);
+      expect(await fs.pathExists(path.join(dedupDir, 'config.json'))).toBe(false);
+    });
+
+    test('saves a valid update', async () => {
+      await deduplicator.updateConfig({ fingerprintFields: ['title', 'tag:service'], suppressedLogSize: 0 });
+
+      const saved = await fs.readJson(path.join(dedupDir, 'config.json'));
+      expect(saved).toMatchObject({ fingerprintFields: ['title', 'tag:service'], suppressedLogSize: 0 });
+    });
+  });
+});
@@ -0,0 +1,214 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { EXPORT_FORMATS, exportFilename, exportDocument, exportArchive } = require('../documentExport');
+
+// Entries of a zip by name, read through its central directory
+function unzip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  const entries = {};
+  for (let index = 0; index < count; index++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const local = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + size);
+    entries[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return entries;
+}
+
+// Windows-1252 bytes outside Latin-1 that the tests use
+const WIN_ANSI = { '\x80': '€', '\x93': '“', '\x94': '”', '\x97': '—' };
+
+// Text drawn by a PDF's content streams; the built-in fonts take
+// Windows-1252 bytes
+function pdfText(buffer) {
+  const source = buffer.toString('latin1');
+  const text = [];
+  for (const [, stream] of source.matchAll(/stream\r?\n([\s\S]*?)\r?\nendstream/g)) {
+    const content = zlib.inflateSync(Buffer.from(stream, 'latin1')).toString('latin1');
+    for (const [, run] of content.matchAll(/\[(.*?)\] TJ/g)) {
+      text.push([...run.matchAll(/<([0-9a-f]+)>/g)].map(([, hex]) => Buffer.from(hex, 'hex').toString('latin1')).join('')
+        .replace(/[\x80-\x9f]/g, byte => WIN_ANSI[byte] || byte));
+    }
+  }
+  return text;
+}
+
+function document(overrides = {}) {
+  return {
+    id: '3f2a9c1e-4b7d-4e2a-9f10-6c8d2b1a0e55',
+    title: 'CPU high on web-1',
+    content: '# Summary\n\nLoad is **high** & rising.\n\n- [x] Paged on-call\n- Check [runbook](https://example.com/runbook)\n\n| Host | Load |\n| --- | --- |\n| web-1 | 9.5 |',
+    format: 'markdown',
+    alertType: 'error',
+    priority: 'high',
+    status: 'draft',
+    templateName: 'Incident',
+    timezone: 'UTC',
+    locale: 'en',
+    createdAt: '2026-10-19T10:00:00.000Z',
+    ...overrides
+  };
+}
+
+describe('exportFilename', () => {
+  test.each([
+    ['CPU high on web-1', 'pdf', 'CPU-high-on-web-1-3f2a9c1e.pdf'],
+    ['Café / Überlast: 95%!', 'md', 'Cafe-Uberlast-95-3f2a9c1e.md'],
+    ['../../etc/passwd', 'txt', 'etc-passwd-3f2a9c1e.txt'],
+    ['日本語', 'docx', 'document-3f2a9c1e.docx'],
+    ['', 'json', 'document-3f2a9c1e.json']
+  ])('%j as %s', (title, format, expected) => {
+    expect(exportFilename(document({ title }), format)).toBe(expected);
+  });
+
+  test('caps long titles', () => {
+    const name = exportFilename(document({ title: 'a'.repeat(200) }), 'html');
+
+    expect(name).toBe(`${'a'.repeat(80)}-3f2a9c1e.html`);
+  });
+});
+
+describe('exportDocument', () => {
+  test('md is the source Markdown', async () => {
+    expect(await exportDocument(document(), 'md')).toBe(document().content);
+  });
+
+  test('txt is the content, with HTML documents reduced to text', async () => {
+    expect(await exportDocument(document({ format: 'plaintext', content: 'a <b> c' }), 'txt')).toBe('a <b> c');
+    expect(await exportDocument(document({ format: 'html', content: '<p>Load is <b>high</b> &amp; rising</p><p>Second</p>' }), 'txt'))
+      .toBe('Load is high & rising\n\nSecond');
+  });
+
+  test('html is the standalone page', async () => {
+    const html = await exportDocument(document(), 'html');
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<title>CPU high on web-1</title>');
+    expect(html).toContain('<strong>high</strong> &amp; rising');
+    expect(html).toContain('October 19th 2026, 10:00:00 am');
+  });
+
+  test('json is the whole document', async () => {
+    expect(JSON.parse(await exportDocument(document(), 'json'))).toEqual(document());
+  });
+
+  test('pdf is a PDF file', async () => {
+    const pdf = await exportDocument(document(), 'pdf');
+
+    expect(Buffer.isBuffer(pdf)).toBe(true);
+    expect(pdf.toString('latin1', 0, 5)).toBe('%PDF-');
+    expect(pdf.toString('latin1').trimEnd()).toMatch(/%%EOF$/);
+  });
+
+  test('pdf handles every content format', async () => {
+    for (const format of ['html', 'plaintext']) {
+      const pdf = await exportDocument(document({ format, content: '<p>Text</p>\n\nMore' }), 'pdf');
+      expect(pdf.toString('latin1', 0, 5)).toBe('%PDF-');
+    }
+  });
+
+  // Without PDF_FONT_PATH the built-in fonts only cover Windows-1252; other
+  // characters must not come out as unrelated glyphs
+  test('pdf writes characters the built-in fonts lack as ?', async () => {
+    const pdf = await exportDocument(document({
+      title: 'Café — “Ünïcode” €5',
+      content: '東京 down 🚀\n\n| Host | Zone |\n| --- | --- |\n| web-1 | Москва |'
+    }), 'pdf');
+
+    const text = pdfText(pdf);
+    expect(text[0]).toBe('Café — “Ünïcode” €5');
+    expect(text).toContain('?? down ?');
+    expect(text).toContain('??????');
+  });
+
+  test('docx carries the title, metadata and content as text', async () => {
+    const docx = await exportDocument(document(), 'docx');
+    const body = unzip(docx)['word/document.xml'];
+
+    expect(docx.toString('latin1', 0, 2)).toBe('PK');
+    expect(body).toContain('CPU high on web-1');
+    expect(body).toContain('Generated: October 19th 2026, 10:00:00 am | Template: Incident');
+    expect(body).toContain('Load is high &amp; rising.');
+    expect(body).toContain('☒ Paged on-call');
+    expect(body).toContain('Check runbook (https://example.com/runbook)');
+    expect(body).toContain('<w:tbl>');
+    expect(body).toContain('9.5');
+  });
+
+  test('rejects unknown formats', async () => {
+    await expect(exportDocument(document(), 'rtf')).rejects.toThrow('Unknown export format "rtf"');
+  });
+
+  test('every listed format exports', async () => {
+    for (const format of Object.keys(EXPORT_FORMATS)) {
+      expect((await exportDocument(document(), format)).length).toBeGreaterThan(0);
+    }
+  });
+});
+
+describe('exportArchive', () => {
+  let outputDir;
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'document-export-'));
+  });
+
+  afterEach(() => fs.remove(outputDir));
+
+  async function archive(documents, format) {
+    const file = path.join(outputDir, 'export.zip');
+    await exportArchive(documents, format, fs.createWriteStream(file));
+    return unzip(await fs.readFile(file));
+  }
+
+  test('zips each document with a manifest', async () => {
+    const second = document({ id: 'b7e0d4c2-0000-4000-8000-000000000000', title: 'Disk full', content: 'Disk at 98%', priority: 'medium' });
+
+    const entries = await archive([document(), second], 'md');
+
+    expect(Object.keys(entries).sort()).toEqual(['CPU-high-on-web-1-3f2a9c1e.md', 'Disk-full-b7e0d4c2.md', 'manifest.json']);
+    expect(entries['Disk-full-b7e0d4c2.md']).toBe('Disk at 98%');
+    expect(JSON.parse(entries['manifest.json'])).toEqual({
+      format: 'md',
+      count: 2,
+      documents: [
+        {
+          file: 'CPU-high-on-web-1-3f2a9c1e.md',
+          id: document().id,
+          title: 'CPU high on web-1',
+          alertType: 'error',
+          priority: 'high',
+          status: 'draft',
+          templateName: 'Incident',
+          createdAt: '2026-10-19T10:00:00.000Z'
+        },
+        expect.objectContaining({ file: 'Disk-full-b7e0d4c2.md', priority: 'medium' })
+      ]
+    });
+  });
+
+  test('keeps documents with the same title apart', async () => {
+    const entries = await archive([document(), document({ id: '9d8c7b6a-1111-4000-8000-000000000000' })], 'pdf');
+
+    expect(Object.keys(entries).sort()).toEqual(['CPU-high-on-web-1-3f2a9c1e.pdf', 'CPU-high-on-web-1-9d8c7b6a.pdf', 'manifest.json']);
+  });
+
+  test('an empty selection has only the manifest', async () => {
+    const entries = await archive([], 'txt');
+
+    expect(Object.keys(entries)).toEqual(['manifest.json']);
+    expect(JSON.parse(entries['manifest.json'])).toEqual({ format: 'txt', count: 0, documents: [] });
+  });
+});
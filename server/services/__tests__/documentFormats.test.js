@@ -0,0 +1,137 @@
+const { renderContent, outputFormatField, throwIfInvalidFormat } = require('../documentFormats');
+
+describe('documentFormats', () => {
+  describe('sanitizing', () => {
+    test.each(['markdown', 'html'])('strips script tags from %s', format => {
+      const { html } = renderContent('Before<script>alert(1)</script><SCRIPT src="https://evil.example/x.js"></SCRIPT> after', format);
+
+      expect(html).not.toMatch(/script|alert/i);
+      expect(html).toContain('Before');
+      expect(html).toContain('after');
+    });
+
+    test('strips event handler attributes', () => {
+      const { html } = renderContent(
+        '<img src="https://example.com/a.png" onerror="alert(1)"><b onmouseover="alert(2)">bold</b><a href="https://example.com" onclick="alert(3)">link</a>',
+        'html'
+      );
+
+      expect(html).not.toMatch(/\son\w+=/i);
+      expect(html).toContain('<b>bold</b>');
+      expect(html).toContain('<img src="https://example.com/a.png" />');
+    });
+
+    test.each([
+      ['markdown', '[click](javascript:alert(1))'],
+      ['html', '<a href="javascript:alert(1)">click</a>'],
+      ['html', '<a href="JaVaScRiPt:alert(1)">click</a>'],
+      ['html', '<a href="java&#x09;script:alert(1)">click</a>'],
+      ['html', '<a href=" javascript:alert(1)">click</a>']
+    ])('drops javascript: links from %s %s', (format, content) => {
+      const { html } = renderContent(content, format);
+
+      expect(html).not.toMatch(/javascript/i);
+      expect(html).toContain('<a>click</a>');
+    });
+
+    test('allows data: URLs on images only', () => {
+      const { html } = renderContent(
+        '![chart](data:image/png;base64,iVBORw0KGgo=)\n\n[download](data:text/html;base64,PHNjcmlwdD4=)',
+        'markdown'
+      );
+
+      expect(html).toContain('<img src="data:image/png;base64,iVBORw0KGgo=" alt="chart" />');
+      expect(html).toContain('<a>download</a>');
+    });
+
+    test('opens web links in a new tab without an opener', () => {
+      expect(renderContent('[Monitor](https://app.datadoghq.com/monitors/1)').html).toContain(
+        '<a href="https://app.datadoghq.com/monitors/1" rel="noopener noreferrer" target="_blank">Monitor</a>'
+      );
+      expect(renderContent('[Mail](mailto:oncall@example.com)').html).toContain('<a href="mailto:oncall@example.com">Mail</a>');
+    });
+
+    test('keeps task list checkboxes read-only and drops other inputs', () => {
+      const { html } = renderContent('- [x] done\n- [ ] todo\n\n<input type="text" value="x">');
+
+      expect(html).toContain('<input type="checkbox" disabled checked /> done');
+      expect(html).toContain('<input type="checkbox" disabled /> todo');
+      expect(html).not.toContain('type="text"');
+    });
+
+    test('escapes plain text', () => {
+      expect(renderContent('<b>not bold</b> & more', 'plaintext')).toEqual({
+        format: 'plaintext',
+        html: '<pre class="plaintext">&lt;b&gt;not bold&lt;/b&gt; &amp; more</pre>',
+        toc: [],
+        tocHtml: ''
+      });
+    });
+  });
+
+  describe('headings', () => {
+    const content = '# Intro\n## Intro\n## Intro 1\n## Intro\n### Fish & Chips\n#### Deep\n## !!!';
+
+    test('get unique ids, even when repeated headings meet numbered ones', () => {
+      const { toc } = renderContent(content);
+
+      expect(toc).toEqual([
+        { level: 1, id: 'intro', text: 'Intro' },
+        { level: 2, id: 'intro-1', text: 'Intro' },
+        { level: 2, id: 'intro-1-1', text: 'Intro 1' },
+        { level: 2, id: 'intro-2', text: 'Intro' },
+        { level: 3, id: 'fish-chips', text: 'Fish & Chips' },
+        { level: 2, id: 'section', text: '!!!' }
+      ]);
+    });
+
+    test('get the same ids on every render', () => {
+      expect(renderContent(content)).toEqual(renderContent(content));
+    });
+
+    test('link to themselves, deeper levels included', () => {
+      const { html } = renderContent(content, 'markdown', { idPrefix: 'doc-' });
+      const ids = [...html.matchAll(/<h\d id="([^"]+)">/g)].map(match => match[1]);
+
+      expect(new Set(ids).size).toBe(7);
+      expect(ids.every(id => id.startsWith('doc-'))).toBe(true);
+      expect(html).toContain('<h4 id="doc-deep">Deep <a class="anchor" href="#doc-deep" aria-label="Link to this section">#</a></h4>');
+    });
+
+    test('replace ids and handlers from the content', () => {
+      const { html } = renderContent('<h2 id="login-form" onclick="x()">Main</h2>', 'html');
+
+      expect(html).toBe('<h2 id="main">Main <a class="anchor" href="#main" aria-label="Link to this section">#</a></h2>');
+    });
+  });
+
+  describe('table of contents', () => {
+    test('lists headings down to level 3 with escaped text, indented from the top level', () => {
+      const { tocHtml } = renderContent('## Impact\n### Fish & Chips\n#### Deep');
+
+      expect(tocHtml).toBe(
+        '<nav class="toc"><strong>Contents</strong><ul>' +
+        '<li class="toc-level-1"><a href="#impact">Impact</a></li>' +
+        '<li class="toc-level-2"><a href="#fish-chips">Fish &amp; Chips</a></li>' +
+        '</ul></nav>'
+      );
+    });
+
+    test('is left out for fewer than two headings', () => {
+      expect(renderContent('# Only one\n\ntext').tocHtml).toBe('');
+    });
+  });
+
+  describe('output format field', () => {
+    test('keeps the existing format when missing and defaults when empty', () => {
+      expect(outputFormatField({}, { format: 'html' })).toEqual({ format: 'html' });
+      expect(outputFormatField({ format: '' }, { format: 'html' })).toEqual({ format: 'markdown' });
+      expect(outputFormatField({ format: ' PlainText ' })).toEqual({ format: 'plaintext' });
+    });
+
+    test('rejects unknown formats', () => {
+      expect(() => throwIfInvalidFormat({ format: 'pdf' })).toThrow('Output format "pdf" must be one of markdown, html, plaintext');
+      expect(() => throwIfInvalidFormat({ format: 'html' })).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const { parseEventExport, parseNdjson } = require('../eventImport');
+
+describe('parseNdjson', () => {
+  test('parses one payload per line and skips blank lines', () => {
+    expect(parseNdjson('{"title":"a"}\r\n\n  {"title":"b"}  \n')).toEqual([{ title: 'a' }, { title: 'b' }]);
+  });
+
+  test('keeps unparsable lines as errors with their line number', () => {
+    const [first, broken, last] = parseNdjson('{"title":"a"}\n{"title":\n{"title":"c"}');
+
+    expect(first).toEqual({ title: 'a' });
+    expect(broken.error).toMatch(/^Line 2: /);
+    expect(last).toEqual({ title: 'c' });
+  });
+});
+
+describe('parseEventExport', () => {
+  const v1Event = {
+    id: 7441,
+    title: '[Triggered] CPU high on web-1',
+    text: 'CPU above 90%',
+    date_happened: 1792404000,
+    alert_type: 'error',
+    priority: 'normal',
+    tags: ['env:prod'],
+    host: 'web-1',
+    url: '/event/event?id=7441',
+    source_type_name: 'Monitor Alert'
+  };
+
+  const expectedV1 = {
+    id: 7441,
+    title: '[Triggered] CPU high on web-1',
+    body: 'CPU above 90%',
+    date: 1792404000,
+    alert_type: 'error',
+    priority: 'normal',
+    tags: ['env:prod'],
+    hostname: 'web-1',
+    link: '/event/event?id=7441',
+    alert_id: undefined,
+    source_type_name: 'Monitor Alert'
+  };
+
+  test('reads the Events API v1 response', () => {
+    expect(parseEventExport(JSON.stringify({ events: [v1Event] }), 'events.json')).toEqual([expectedV1]);
+  });
+
+  test('reads a plain array and a single event', () => {
+    expect(parseEventExport(JSON.stringify([v1Event, v1Event]))).toHaveLength(2);
+    expect(parseEventExport(`\uFEFF${JSON.stringify(v1Event)}`)).toEqual([expectedV1]);
+  });
+
+  test('reads the Events API v2 response', () => {
+    const [payload] = parseEventExport(JSON.stringify({
+      data: [{
+        id: 'AAAA',
+        type: 'event',
+        attributes: {
+          timestamp: '2026-10-19T09:58:00Z',
+          message: 'Disk almost full',
+          tags: ['service:db'],
+          attributes: { title: 'Disk usage', status: 'warning', host: 'db-1', monitor: { id: 99 } }
+        }
+      }]
+    }));
+
+    expect(payload).toMatchObject({
+      id: 'AAAA',
+      title: 'Disk usage',
+      body: 'Disk almost full',
+      date: '2026-10-19T09:58:00Z',
+      alert_type: 'warning',
+      tags: ['service:db'],
+      hostname: 'db-1',
+      alert_id: 99
+    });
+  });
+
+  test('reads NDJSON by extension and as a fallback for invalid JSON', () => {
+    const ndjson = `${JSON.stringify(v1Event)}\nnot json\n${JSON.stringify({ event_title: 'Second', status: 'info' })}`;
+
+    for (const filename of ['events.ndjson', 'events.jsonl', 'events.txt']) {
+      const [first, broken, second] = parseEventExport(ndjson, filename);
+      expect(first).toEqual(expectedV1);
+      expect(broken.error).toMatch(/^Line 2: /);
+      expect(second).toMatchObject({ title: 'Second', alert_type: 'info' });
+    }
+  });
+
+  test('reads the Event Explorer CSV export', () => {
+    const csv = [
+      'Date,Title,Message,Status,Host,Tags',
+      '2026-10-19T09:58:00Z,"CPU high, web-1","Line one',
+      'line ""two""",error,web-1,env:prod',
+      '',
+      '2026-10-19T10:05:00Z,Recovered,,success,web-1,'
+    ].join('\r\n');
+
+    const payloads = parseEventExport(csv, 'export.CSV');
+
+    expect(payloads).toHaveLength(2);
+    expect(payloads[0]).toMatchObject({
+      title: 'CPU high, web-1',
+      body: 'Line one\r\nline "two"',
+      date: '2026-10-19T09:58:00Z',
+      alert_type: 'error',
+      hostname: 'web-1',
+      tags: 'env:prod'
+    });
+    expect(payloads[1]).toMatchObject({ title: 'Recovered', body: undefined, alert_type: 'success' });
+  });
+});
@@ -0,0 +1,118 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const Handlebars = require('handlebars');
+const { HelperRegistry } = require('../helperRegistry');
+
+describe('HelperRegistry', () => {
+  let pluginsDir;
+
+  beforeEach(async () => {
+    pluginsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'helper-plugins-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(pluginsDir);
+  });
+
+  const plugin = (file, source) => fs.writeFile(path.join(pluginsDir, file), source);
+
+  test('loads plugins exporting one helper or an array of them', async () => {
+    await plugin('runbook.js', `module.exports = {
+      name: 'runbook',
+      args: [{ name: 'service' }],
+      description: 'Link to the runbook of a service',
+      fn: service => 'https://runbooks.example.com/' + service
+    };`);
+    await plugin('math.js', `module.exports = [
+      { name: 'double', fn: value => value * 2 },
+      { name: 'half', fn: value => value / 2 }
+    ];`);
+    await plugin('notes.txt', 'not a plugin');
+
+    const registry = new HelperRegistry(pluginsDir);
+    const handlebars = Handlebars.create();
+    registry.register(handlebars);
+
+    expect(registry.plugins.map(helper => [helper.name, helper.plugin])).toEqual([
+      ['double', 'math.js'],
+      ['half', 'math.js'],
+      ['runbook', 'runbook.js']
+    ]);
+    expect(registry.pluginFiles).toEqual([path.join(pluginsDir, 'math.js'), path.join(pluginsDir, 'runbook.js')]);
+    expect(registry.pluginErrors).toEqual([]);
+    expect(handlebars.compile('{{runbook "web"}} {{double 4}} {{truncate "abcdef" 4}}')({}))
+      .toBe('https://runbooks.example.com/web 8 abc…');
+  });
+
+  test('lists plugins with their metadata after the built-in helpers', async () => {
+    await plugin('runbook.js', `module.exports = {
+      name: 'runbook',
+      args: [{ name: 'service' }, { name: 'section', optional: true }],
+      description: 'Link to the runbook of a service',
+      examples: ['{{runbook host.service}}'],
+      fn: () => ''
+    };`);
+
+    const list = new HelperRegistry(pluginsDir).list();
+
+    expect(list.map(helper => helper.source)).toEqual([
+      ...list.filter(helper => helper.source === 'handlebars').map(() => 'handlebars'),
+      ...list.filter(helper => helper.source === 'builtin').map(() => 'builtin'),
+      'plugin'
+    ]);
+    expect(list.find(helper => helper.name === 'each')).toMatchObject({ block: true, signature: '{{#each list}}…{{/each}}' });
+    expect(list[list.length - 1]).toEqual({
+      name: 'runbook',
+      source: 'plugin',
+      plugin: 'runbook.js',
+      block: false,
+      signature: '{{runbook service [section]}}',
+      args: [
+        { name: 'service', optional: false, description: '' },
+        { name: 'section', optional: true, description: '' }
+      ],
+      description: 'Link to the runbook of a service',
+      examples: ['{{runbook host.service}}']
+    });
+  });
+
+  test('rejects invalid plugins and keeps loading the others', async () => {
+    await plugin('a-broken.js', "throw new Error('cannot reach the runbook service');");
+    await plugin('b-mixed.js', `module.exports = [
+      { name: 'truncate', fn: () => '' },
+      { name: 'not valid', fn: () => '' },
+      { name: 'noFn' },
+      42,
+      { name: 'shout', fn: text => text + '!' }
+    ];`);
+    await plugin('c-duplicate.js', "module.exports = { name: 'shout', fn: () => '' };");
+    await plugin('d-each.js', "module.exports = { name: 'each', fn: () => '' };");
+
+    const registry = new HelperRegistry(pluginsDir);
+    registry.load();
+
+    expect(registry.plugins.map(helper => helper.name)).toEqual(['shout']);
+    expect(registry.pluginFiles).toEqual([path.join(pluginsDir, 'b-mixed.js')]);
+    expect(registry.pluginErrors).toEqual([
+      { file: 'a-broken.js', message: 'cannot reach the runbook service' },
+      { file: 'b-mixed.js', message: 'helper "truncate" is already defined' },
+      { file: 'b-mixed.js', message: '"not valid" is not a valid helper name' },
+      { file: 'b-mixed.js', message: 'helper "noFn" has no fn' },
+      { file: 'b-mixed.js', message: 'must export a helper definition or an array of them' },
+      { file: 'c-duplicate.js', message: 'helper "shout" is already defined' },
+      { file: 'd-each.js', message: 'helper "each" is already defined' }
+    ]);
+    expect(console.error).toHaveBeenCalledWith('❌ Helper plugin c-duplicate.js: helper "shout" is already defined');
+  });
+
+  test('works without a plugin directory', () => {
+    const registry = new HelperRegistry(path.join(pluginsDir, 'missing'));
+
+    expect(registry.definitions().map(helper => helper.name)).toContain('formatDate');
+    expect(registry.plugins).toEqual([]);
+  });
+});
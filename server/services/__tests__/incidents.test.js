@@ -0,0 +1,190 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { AlertLifecycles } = require('../alertLifecycle');
+const { Incidents } = require('../incidents');
+
+describe('Incidents', () => {
+  let baseDir;
+  let lifecycles;
+  let incidents;
+  let nextId;
+
+  beforeEach(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'incidents-'));
+    lifecycles = new AlertLifecycles(path.join(baseDir, 'lifecycles'));
+    incidents = new Incidents(path.join(baseDir, 'incidents'));
+    nextId = 0;
+  });
+
+  afterEach(() => fs.remove(baseDir));
+
+  // Runs an alert through lifecycle correlation and grouping like the pipeline
+  async function record(alert) {
+    nextId++;
+    const alertData = { id: `alert-${nextId}`, timestamp: alert.timestamp, originalPayload: alert };
+    const { lifecycle, event } = await lifecycles.record(alertData);
+    return incidents.record(alertData, lifecycle, event);
+  }
+
+  const alert = (overrides = {}) => ({
+    alert_id: 1,
+    scope: 'host:web-1',
+    title: 'CPU high',
+    alert_type: 'error',
+    tags: 'service:api,env:prod',
+    timestamp: '2026-10-19T10:00:00.000Z',
+    ...overrides
+  });
+
+  describe('grouping', () => {
+    test('alerts for the same service within the window share an incident', async () => {
+      const first = await record(alert());
+      const second = await record(alert({ alert_id: 2, title: 'Latency high', timestamp: '2026-10-19T10:20:00.000Z' }));
+
+      expect(second.id).toBe(first.id);
+      expect(second).toMatchObject({
+        key: 'tag:service=api',
+        groupedBy: { 'tag:service': 'api' },
+        alertCount: 2,
+        lastAlertAt: '2026-10-19T10:20:00.000Z'
+      });
+      expect(Object.keys(second.lifecycles)).toHaveLength(2);
+      expect(second.members.map(member => member.title)).toEqual(['CPU high', 'Latency high']);
+    });
+
+    test('alerts outside the window open a new incident', async () => {
+      const first = await record(alert());
+      const late = await record(alert({ alert_id: 2, timestamp: '2026-10-19T10:31:00.000Z' }));
+
+      expect(late.id).not.toBe(first.id);
+    });
+
+    test('other services get their own incident', async () => {
+      const api = await record(alert());
+      const web = await record(alert({ alert_id: 2, tags: 'service:web' }));
+
+      expect(web.id).not.toBe(api.id);
+    });
+
+    test('notifications of a lifecycle stay in its incident even outside the window', async () => {
+      const first = await record(alert());
+      const renotified = await record(alert({ timestamp: '2026-10-19T12:00:00.000Z' }));
+
+      expect(renotified.id).toBe(first.id);
+    });
+
+    test('a shared aggregation key joins incidents across services', async () => {
+      const first = await record(alert({ aggreg_key: 'outage-7' }));
+      const other = await record(alert({ alert_id: 2, tags: 'service:web', aggreg_key: 'outage-7' }));
+
+      expect(other.id).toBe(first.id);
+      expect(other.aggregationKeys).toEqual(['outage-7']);
+    });
+
+    test('alerts without any grouping value get an incident per lifecycle', async () => {
+      const first = await record(alert({ tags: '' }));
+      const second = await record(alert({ alert_id: 2, tags: '' }));
+
+      expect(first.key).toMatch(/^lifecycle:/);
+      expect(second.id).not.toBe(first.id);
+    });
+
+    test('groups by several keys', async () => {
+      await incidents.updateConfig({ groupBy: ['tag:service', 'host'] });
+
+      const web1 = await record(alert({ hostname: 'web-1' }));
+      const web1Again = await record(alert({ alert_id: 2, hostname: 'web-1' }));
+      const web2 = await record(alert({ alert_id: 3, tags: 'service:api,host:web-2' }));
+
+      expect(web1.key).toBe('tag:service=api|host=web-1');
+      expect(web1Again.id).toBe(web1.id);
+      expect(web2.id).not.toBe(web1.id);
+    });
+
+    test('concurrent alerts for one group share an incident', async () => {
+      const grouped = await Promise.all([
+        record(alert()),
+        record(alert({ alert_id: 2, title: 'Latency high' })),
+        record(alert({ alert_id: 3, title: 'Errors high' }))
+      ]);
+
+      expect(new Set(grouped.map(incident => incident.id)).size).toBe(1);
+      expect(grouped[2].alertCount).toBe(3);
+      expect(await incidents.list()).toHaveLength(1);
+    });
+
+    test('does nothing when disabled', async () => {
+      await incidents.updateConfig({ enabled: false });
+
+      expect(await record(alert())).toBeNull();
+    });
+  });
+
+  describe('auto-resolve', () => {
+    test('resolves once every member lifecycle has recovered', async () => {
+      await record(alert());
+      await record(alert({ alert_id: 2, timestamp: '2026-10-19T10:05:00.000Z' }));
+
+      const partly = await record(alert({ alert_transition: 'Recovered', timestamp: '2026-10-19T10:10:00.000Z' }));
+      expect(partly.status).toBe('open');
+
+      const resolved = await record(alert({ alert_id: 2, alert_transition: 'Recovered', timestamp: '2026-10-19T10:40:00.000Z' }));
+      expect(resolved).toMatchObject({
+        id: partly.id,
+        status: 'resolved',
+        resolvedAt: '2026-10-19T10:40:00.000Z',
+        durationSeconds: 2400
+      });
+      expect(resolved.history.at(-1)).toEqual({ type: 'resolved', at: '2026-10-19T10:40:00.000Z', by: 'auto' });
+      expect(await incidents.list({ status: 'open' })).toEqual([]);
+    });
+
+    test('a new alert after resolution opens a new incident', async () => {
+      const first = await record(alert());
+      await record(alert({ alert_transition: 'Recovered', timestamp: '2026-10-19T10:05:00.000Z' }));
+
+      const next = await record(alert({ timestamp: '2026-10-19T10:06:00.000Z' }));
+      expect(next.id).not.toBe(first.id);
+      expect(next.status).toBe('open');
+    });
+
+    test('a recovery with no open incident is not grouped', async () => {
+      expect(await record(alert({ alert_transition: 'Recovered' }))).toBeNull();
+    });
+
+    test('leaves incidents open when autoResolve is off', async () => {
+      await incidents.updateConfig({ autoResolve: false });
+      await record(alert());
+
+      const recovered = await record(alert({ alert_transition: 'Recovered', timestamp: '2026-10-19T10:05:00.000Z' }));
+      expect(recovered.status).toBe('open');
+      expect(Object.values(recovered.lifecycles)).toEqual(['recovered']);
+    });
+  });
+
+  describe('status changes', () => {
+    test('resolving and reopening are kept in the history', async () => {
+      const incident = await record(alert());
+
+      await incidents.setStatus(incident.id, 'acknowledged');
+      await incidents.setStatus(incident.id, 'resolved');
+      const reopened = await incidents.setStatus(incident.id, 'open');
+
+      expect(reopened).toMatchObject({ status: 'open', resolvedAt: null, durationSeconds: null });
+      expect(reopened.history.map(entry => entry.type)).toEqual(['opened', 'acknowledged', 'resolved', 'reopened']);
+      await expect(incidents.setStatus(incident.id, 'closed')).rejects.toThrow('Status must be one of open, acknowledged, resolved');
+    });
+  });
+
+  describe('config validation', () => {
+    test('rejects unknown grouping keys and non-positive windows', async () => {
+      await expect(incidents.updateConfig({ groupBy: ['tag:service', 'region'], windowSeconds: 0 })).rejects.toMatchObject({
+        validationErrors: [
+          'Unknown grouping key "region" (use tag:<key>, host, monitor_id or source)',
+          'windowSeconds must be a positive number'
+        ]
+      });
+    });
+  });
+});
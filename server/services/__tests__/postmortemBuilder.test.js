@@ -0,0 +1,245 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// The builder reads the shared service instances; point them at a temp dir
+const mockBaseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'postmortems-'));
+
+jest.mock('../alertRepository', () => {
+  const { AlertRepository } = jest.requireActual('../alertRepository');
+  return new AlertRepository(require('path').join(mockBaseDir, 'alerts'));
+});
+jest.mock('../alertLifecycle', () => {
+  const { AlertLifecycles } = jest.requireActual('../alertLifecycle');
+  return new AlertLifecycles(require('path').join(mockBaseDir, 'lifecycles'));
+});
+jest.mock('../incidents', () => {
+  const { Incidents } = jest.requireActual('../incidents');
+  return new Incidents(require('path').join(mockBaseDir, 'incidents'));
+});
+
+const PostmortemBuilder = require('../postmortemBuilder');
+const DocumentGenerator = require('../documentGenerator');
+const TemplatePartials = require('../templatePartials');
+const alertRepository = require('../alertRepository');
+const alertLifecycles = require('../alertLifecycle');
+const incidents = require('../incidents');
+
+describe('PostmortemBuilder', () => {
+  let builder;
+  let documents;
+  let nextId = 0;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    // Documents stay in memory and no partials are read from disk
+    documents = new Map();
+    jest.spyOn(TemplatePartials.prototype, 'loadAll').mockResolvedValue([]);
+    jest.spyOn(DocumentGenerator.prototype, 'saveDocument').mockImplementation(async document => {
+      documents.set(document.id, JSON.parse(JSON.stringify(document)));
+    });
+    jest.spyOn(DocumentGenerator.prototype, 'loadDocument').mockImplementation(async documentId => {
+      const document = documents.get(documentId);
+      return document ? JSON.parse(JSON.stringify(document)) : null;
+    });
+
+    builder = new PostmortemBuilder();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => fs.remove(mockBaseDir));
+
+  // Store an alert and run it through lifecycle correlation and grouping
+  // like the pipeline does
+  async function store(alert, { group = true } = {}) {
+    nextId++;
+    const alertData = {
+      id: `00000000-0000-4000-8000-${String(nextId).padStart(12, '0')}`,
+      timestamp: alert.timestamp,
+      status: 'pending',
+      originalPayload: { alert_type: 'error', ...alert }
+    };
+    const { lifecycle, event } = await alertLifecycles.record(alertData);
+    alertData.lifecycleId = lifecycle.id;
+    await alertRepository.save(alertData);
+
+    const incident = group ? await incidents.record(alertData, lifecycle, event) : null;
+    return { alertData, lifecycle, incident };
+  }
+
+  describe('timeline', () => {
+    test('puts lifecycle, incident and document events in time order', async () => {
+      const service = 'service:timeline';
+      const cpu = await store({ alert_id: 101, title: 'CPU high', tags: service, timestamp: '2026-10-19T10:00:00.000Z' });
+      await store({ alert_id: 102, title: 'Latency high', tags: service, timestamp: '2026-10-19T10:02:00.000Z' });
+      await store({ alert_id: 101, title: 'CPU high', tags: service, timestamp: '2026-10-19T10:04:00.000Z' });
+      documents.set('doc-cpu', {
+        id: 'doc-cpu',
+        title: 'CPU high runbook',
+        createdAt: '2026-10-19T10:01:00.000Z',
+        updates: [{ at: '2026-10-19T10:04:30.000Z', reason: 'renotified' }],
+        edits: [{ at: '2026-10-19T10:03:00.000Z', fields: ['content'] }]
+      });
+      await alertRepository.markProcessed(cpu.alertData.id, { documentId: 'doc-cpu', templateId: 'runbook' });
+      await incidents.setStatus(cpu.incident.id, 'acknowledged');
+
+      const collected = await builder.collect({ incidentId: cpu.incident.id });
+      const timeline = builder.buildTimeline(collected);
+
+      expect(timeline.map(entry => entry.type)).toEqual([
+        'alert_triggered',
+        'incident_opened',
+        'document_generated',
+        'alert_triggered',
+        'document_edited',
+        'alert_renotified',
+        'document_updated',
+        'incident_acknowledged'
+      ]);
+      expect(timeline.map(entry => entry.label).slice(0, 3)).toEqual([
+        'Alert triggered: CPU high',
+        'Incident opened',
+        'Document generated: CPU high runbook'
+      ]);
+    });
+  });
+
+  describe('impact', () => {
+    test('ends when the incident is resolved', async () => {
+      const service = 'service:impact-incident';
+      const { incident } = await store({ alert_id: 201, title: 'Disk full', tags: service, timestamp: '2026-10-19T11:00:00.000Z' });
+      await store({ alert_id: 201, title: 'Disk full', tags: service, alert_transition: 'Recovered', timestamp: '2026-10-19T11:30:00.000Z' });
+
+      const postmortem = await builder.create({ incidentId: incident.id });
+
+      expect(postmortem.postmortem.impact).toMatchObject({
+        start: '2026-10-19T11:00:00.000Z',
+        end: '2026-10-19T11:30:00.000Z',
+        ongoing: false,
+        durationSeconds: 1800,
+        alertCount: 2,
+        services: ['impact-incident'],
+        monitors: ['Disk full']
+      });
+    });
+
+    test('stays open while the incident is not resolved', async () => {
+      const { incident } = await store({ alert_id: 202, title: 'Queue depth', tags: 'service:impact-open', timestamp: '2026-10-19T11:00:00.000Z' });
+
+      const { impact } = (await builder.create({ incidentId: incident.id })).postmortem;
+
+      expect(impact).toMatchObject({ start: '2026-10-19T11:00:00.000Z', end: null, ongoing: true });
+      expect(impact.durationSeconds).toBeGreaterThan(0);
+    });
+
+    test('ends plain alert sets at the last recovery once every monitor recovered', async () => {
+      const cpu = await store({ alert_id: 203, title: 'CPU high', timestamp: '2026-10-19T12:00:00.000Z' }, { group: false });
+      const disk = await store({ alert_id: 204, title: 'Disk full', timestamp: '2026-10-19T12:05:00.000Z' }, { group: false });
+      const cpuRecovery = await store({ alert_id: 203, title: 'CPU high', alert_transition: 'Recovered', timestamp: '2026-10-19T12:10:00.000Z' }, { group: false });
+      const alertIds = [cpu, disk, cpuRecovery].map(stored => stored.alertData.id);
+
+      const ongoing = (await builder.create({ alertIds })).postmortem.impact;
+      const diskRecovery = await store({ alert_id: 204, title: 'Disk full', alert_transition: 'Recovered', timestamp: '2026-10-19T12:20:00.000Z' }, { group: false });
+      const recovered = (await builder.create({ alertIds: [...alertIds, diskRecovery.alertData.id] })).postmortem.impact;
+
+      expect(ongoing).toMatchObject({ start: '2026-10-19T12:00:00.000Z', end: null, ongoing: true });
+      expect(recovered).toMatchObject({ start: '2026-10-19T12:00:00.000Z', end: '2026-10-19T12:20:00.000Z', ongoing: false, durationSeconds: 1200 });
+    });
+  });
+
+  describe('create', () => {
+    test('titles the post-mortem after the first alert, even without a stored payload', async () => {
+      const { alertData } = await store({ alert_id: 301, title: 'Cache misses', timestamp: '2026-10-19T13:00:00.000Z' }, { group: false });
+      const bare = { id: '00000000-0000-4000-8000-999999999999', timestamp: '2026-10-19T13:01:00.000Z', status: 'pending' };
+      await alertRepository.save(bare);
+
+      expect((await builder.create({ alertIds: [alertData.id] })).title).toBe('Post-mortem: Cache misses');
+      expect((await builder.create({ alertIds: [bare.id] })).title).toBe('Post-mortem: Untitled Alert');
+    });
+
+    test('rejects requests without alerts and unknown incidents or alerts', async () => {
+      await expect(builder.create({})).rejects.toMatchObject({
+        validationErrors: ['Provide an incidentId or a non-empty alertIds array']
+      });
+      await expect(builder.create({ incidentId: 'abc-123' })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+      await expect(builder.create({ alertIds: ['missing'] })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+
+    test('rejects invalid action items', async () => {
+      const { alertData } = await store({ alert_id: 302, title: 'Errors high', timestamp: '2026-10-19T13:00:00.000Z' }, { group: false });
+      const alertIds = [alertData.id];
+
+      await expect(builder.create({ alertIds, actionItems: 'fix it' })).rejects.toMatchObject({
+        validationErrors: ['actionItems must be an array']
+      });
+      await expect(builder.create({ alertIds, actionItems: ['Add alert', { description: ' ' }, { description: 'Scale up', status: 'later' }] })).rejects.toMatchObject({
+        validationErrors: ['Action item 2 needs a description', 'Action item 3 status must be one of open, done']
+      });
+    });
+
+    test('normalizes sections, action items and owners', async () => {
+      const { alertData } = await store({ alert_id: 303, title: 'Memory high', timestamp: '2026-10-19T13:00:00.000Z' }, { group: false });
+
+      const { postmortem, content } = await builder.create({
+        alertIds: [alertData.id],
+        sections: { summary: '  Leak in the worker  ', unknown: 'ignored' },
+        actionItems: ['Add a heap alert', { description: 'Fix the leak', owner: 'jane', status: 'done' }],
+        owners: 'jane, sam ,'
+      });
+
+      expect(postmortem.sections).toEqual({ summary: 'Leak in the worker', rootCause: '', resolution: '', lessonsLearned: '' });
+      expect(postmortem.actionItems).toEqual([
+        { description: 'Add a heap alert', owner: '', due: '', status: 'open' },
+        { description: 'Fix the leak', owner: 'jane', due: '', status: 'done' }
+      ]);
+      expect(postmortem.owners).toEqual(['jane', 'sam']);
+      expect(content).toContain('- [x] Fix the leak (owner: jane)');
+    });
+  });
+
+  describe('update', () => {
+    test('rejects unknown statuses and invalid action items', async () => {
+      const { alertData } = await store({ alert_id: 401, title: 'Swap usage', timestamp: '2026-10-19T14:00:00.000Z' }, { group: false });
+      const { id } = await builder.create({ alertIds: [alertData.id] });
+
+      await expect(builder.update(id, { status: 'published' })).rejects.toMatchObject({
+        validationErrors: ['Status must be one of draft, review, final']
+      });
+      await expect(builder.update(id, { actionItems: [{}] })).rejects.toMatchObject({
+        validationErrors: ['Action item 1 needs a description']
+      });
+      expect(await builder.update('not-a-postmortem', { status: 'final' })).toBeNull();
+    });
+  });
+
+  describe('refresh', () => {
+    test('rebuilds the timeline and impact but keeps edited sections', async () => {
+      const first = await store({ alert_id: 501, title: 'Checkout errors', tags: 'service:refresh', timestamp: '2026-10-19T15:00:00.000Z' });
+      const { id } = await builder.create({ incidentId: first.incident.id });
+      await builder.update(id, {
+        sections: { rootCause: 'Bad deploy' },
+        actionItems: ['Add a canary'],
+        status: 'review'
+      });
+
+      await store({ alert_id: 501, title: 'Checkout errors', tags: 'service:refresh', alert_transition: 'Recovered', timestamp: '2026-10-19T15:45:00.000Z' });
+      const refreshed = await builder.refresh(id);
+
+      expect(refreshed.status).toBe('review');
+      expect(refreshed.postmortem.sections.rootCause).toBe('Bad deploy');
+      expect(refreshed.postmortem.actionItems).toEqual([{ description: 'Add a canary', owner: '', due: '', status: 'open' }]);
+      expect(refreshed.postmortem.alertIds).toHaveLength(2);
+      expect(refreshed.postmortem.incident.status).toBe('resolved');
+      expect(refreshed.postmortem.impact).toMatchObject({ end: '2026-10-19T15:45:00.000Z', durationSeconds: 2700 });
+      expect(refreshed.postmortem.timeline.map(entry => entry.type)).toEqual([
+        'alert_triggered',
+        'incident_opened',
+        'alert_recovered',
+        'incident_resolved'
+      ]);
+      expect(refreshed.content).toContain('Bad deploy');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const {
+  DEFAULT_TIMEZONE,
+  DEFAULT_LOCALE,
+  renderLocaleFields,
+  validateRenderLocale,
+  throwIfInvalidRenderLocale,
+  resolveRenderLocale
+} = require('../renderLocale');
+
+describe('renderLocale', () => {
+  describe('resolveRenderLocale', () => {
+    const request = { timezone: 'UTC', locale: 'de' };
+    const rule = { timezone: 'America/New_York', locale: 'fr' };
+    const template = { timezone: 'Asia/Tokyo', locale: 'ja' };
+
+    // Callers pass the request first, then the routing rule, then the template
+    test('prefers the request, then the routing rule, then the template', () => {
+      expect(resolveRenderLocale(request, rule, template)).toEqual(request);
+      expect(resolveRenderLocale({}, rule, template)).toEqual(rule);
+      expect(resolveRenderLocale({}, { timezone: null, locale: null }, template)).toEqual(template);
+    });
+
+    test('falls back to the system settings', () => {
+      expect(resolveRenderLocale({}, null, {})).toEqual({ timezone: DEFAULT_TIMEZONE, locale: DEFAULT_LOCALE });
+      expect(resolveRenderLocale()).toEqual({ timezone: DEFAULT_TIMEZONE, locale: DEFAULT_LOCALE });
+    });
+
+    test('resolves the zone and the locale separately', () => {
+      expect(resolveRenderLocale({ locale: 'de' }, { timezone: 'America/New_York' }, template))
+        .toEqual({ timezone: 'America/New_York', locale: 'de' });
+      expect(resolveRenderLocale({ timezone: 'UTC' })).toEqual({ timezone: 'UTC', locale: DEFAULT_LOCALE });
+    });
+  });
+
+  describe('system settings', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+      jest.restoreAllMocks();
+    });
+
+    const loadDefaults = () => {
+      let defaults;
+      jest.isolateModules(() => {
+        const { DEFAULT_TIMEZONE: timezone, DEFAULT_LOCALE: locale } = require('../renderLocale');
+        defaults = { timezone, locale };
+      });
+      return defaults;
+    };
+
+    test('come from DOCUMENT_TIMEZONE and DOCUMENT_LOCALE', () => {
+      process.env.DOCUMENT_TIMEZONE = 'Europe/Berlin';
+      process.env.DOCUMENT_LOCALE = 'DE';
+
+      expect(loadDefaults()).toEqual({ timezone: 'Europe/Berlin', locale: 'de' });
+    });
+
+    test('ignore unknown values with a warning', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      process.env.DOCUMENT_TIMEZONE = 'Mars/Olympus';
+      process.env.DOCUMENT_LOCALE = 'klingon';
+
+      const defaults = loadDefaults();
+
+      expect(defaults.locale).toBe('en');
+      expect(defaults.timezone).not.toBe('Mars/Olympus');
+      expect(console.warn).toHaveBeenCalledWith('Unknown DOCUMENT_TIMEZONE "Mars/Olympus", using the server\'s time zone');
+      expect(console.warn).toHaveBeenCalledWith('Unknown DOCUMENT_LOCALE "klingon", using en');
+    });
+  });
+
+  describe('validateRenderLocale', () => {
+    test('accepts IANA zones, known locales and unset values', () => {
+      expect(validateRenderLocale({ timezone: 'Europe/Berlin', locale: 'de' })).toEqual([]);
+      expect(validateRenderLocale({ timezone: 'UTC', locale: 'en-gb' })).toEqual([]);
+      expect(validateRenderLocale({ timezone: null, locale: null })).toEqual([]);
+    });
+
+    test('rejects unknown zones and locales', () => {
+      expect(validateRenderLocale({ timezone: 'Europe/Atlantis', locale: 'xx' })).toEqual([
+        'Unknown time zone "Europe/Atlantis"; use an IANA name such as Europe/Berlin or UTC',
+        'Unknown locale "xx"'
+      ]);
+      expect(validateRenderLocale({ timezone: '+02:00' })).toHaveLength(1);
+    });
+
+    test('throwIfInvalidRenderLocale throws with the validation errors', () => {
+      expect(() => throwIfInvalidRenderLocale({ timezone: 'UTC', locale: 'en' })).not.toThrow();
+
+      let thrown;
+      try {
+        throwIfInvalidRenderLocale({ locale: 'xx' });
+      } catch (error) {
+        thrown = error;
+      }
+      expect(thrown).toMatchObject({ message: 'Unknown locale "xx"', validationErrors: ['Unknown locale "xx"'] });
+    });
+  });
+
+  describe('renderLocaleFields', () => {
+    test('trims values, lower-cases locales and treats empty values as unset', () => {
+      expect(renderLocaleFields({ timezone: ' Asia/Tokyo ', locale: 'JA' })).toEqual({ timezone: 'Asia/Tokyo', locale: 'ja' });
+      expect(renderLocaleFields({ timezone: '', locale: null })).toEqual({ timezone: null, locale: null });
+    });
+
+    test('keeps the existing values of fields that are not given', () => {
+      const existing = { timezone: 'Asia/Tokyo', locale: 'ja' };
+
+      expect(renderLocaleFields({}, existing)).toEqual(existing);
+      expect(renderLocaleFields({ locale: '' }, existing)).toEqual({ timezone: 'Asia/Tokyo', locale: null });
+    });
+  });
+});
@@ -0,0 +1,196 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const RoutingRules = require('../routingRules');
+
+const { titlePatternProblem } = RoutingRules;
+
+describe('RoutingRules', () => {
+  let baseDir;
+  let templatesDir;
+  let routingRules;
+
+  beforeEach(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'routing-rules-'));
+    templatesDir = path.join(baseDir, 'templates');
+    routingRules = new RoutingRules(path.join(baseDir, 'rules'), templatesDir);
+
+    await fs.outputJson(path.join(templatesDir, 'runbook.json'), { id: 'runbook', name: 'Runbook', type: 'alert', content: '# {{title}}' });
+    await fs.outputJson(path.join(templatesDir, 'legacy.json'), { id: 'legacy', name: 'Legacy', content: '# {{title}}' });
+    await fs.outputJson(path.join(templatesDir, 'footer.json'), { id: 'footer', name: 'Footer', type: 'partial', content: '--' });
+  });
+
+  afterEach(() => fs.remove(baseDir));
+
+  const ruleData = (overrides = {}) => ({
+    name: 'Prod API errors',
+    templateId: 'runbook',
+    conditions: { env: 'prod', alertType: 'error' },
+    ...overrides
+  });
+
+  const rejection = async promise => {
+    try {
+      await promise;
+    } catch (error) {
+      return error.validationErrors;
+    }
+    throw new Error('Expected the rule to be rejected');
+  };
+
+  const alert = (overrides = {}) => ({
+    title: 'API 5xx rate high',
+    alert_type: 'error',
+    tags: ['env:prod', 'service:api', 'team:payments'],
+    ...overrides
+  });
+
+  describe('validation', () => {
+    test('accepts alert templates, including ones saved before template types', async () => {
+      await expect(routingRules.create(ruleData())).resolves.toMatchObject({ templateId: 'runbook' });
+      await expect(routingRules.create(ruleData({ templateId: 'legacy' }))).resolves.toMatchObject({ templateId: 'legacy' });
+    });
+
+    test('rejects a template that does not exist', async () => {
+      expect(await rejection(routingRules.create(ruleData({ templateId: 'missing' }))))
+        .toEqual(['Template missing does not exist']);
+      expect(await rejection(routingRules.create(ruleData({ templateId: '../rules/x' }))))
+        .toEqual(['Template ../rules/x does not exist']);
+    });
+
+    test('rejects templates that are not alert templates', async () => {
+      expect(await rejection(routingRules.create(ruleData({ templateId: 'footer' }))))
+        .toEqual(['Template footer is a partial template; rules need an alert template']);
+    });
+
+    test('checks the template again on update', async () => {
+      const rule = await routingRules.create(ruleData());
+      await fs.remove(path.join(templatesDir, 'runbook.json'));
+
+      expect(await rejection(routingRules.update(rule.id, { name: 'Renamed' })))
+        .toEqual(['Template runbook does not exist']);
+    });
+
+    test('requires a name, a template and a condition', async () => {
+      expect(await rejection(routingRules.create({ conditions: {} }))).toEqual([
+        'Rule name is required',
+        'A templateId is required',
+        'At least one condition is required'
+      ]);
+    });
+
+    test('rejects invalid and unsafe title patterns', async () => {
+      const errors = await rejection(routingRules.create(ruleData({ conditions: { titlePattern: '(a+)+$' } })));
+      expect(errors).toEqual(['titlePattern must not repeat a group that itself contains a repeat, e.g. (a+)+']);
+
+      expect((await rejection(routingRules.create(ruleData({ conditions: { titlePattern: '(' } }))))[0])
+        .toMatch(/^Invalid titlePattern/);
+    });
+
+    test('rejects unknown time zones and locales', async () => {
+      expect(await rejection(routingRules.create(ruleData({ timezone: 'Europe/Atlantis', locale: 'xx' })))).toEqual([
+        'Unknown time zone "Europe/Atlantis"; use an IANA name such as Europe/Berlin or UTC',
+        'Unknown locale "xx"'
+      ]);
+
+      const rule = await routingRules.create(ruleData({ timezone: 'Europe/Berlin', locale: 'DE' }));
+      expect(rule).toMatchObject({ timezone: 'Europe/Berlin', locale: 'de' });
+      expect(await rejection(routingRules.update(rule.id, { timezone: 'CEST' })))
+        .toEqual(['Unknown time zone "CEST"; use an IANA name such as Europe/Berlin or UTC']);
+    });
+  });
+
+  describe('titlePatternProblem', () => {
+    test.each([
+      'disk (full|almost full)',
+      '^\\[P[12]\\]',
+      '(?:api|web)-\\d+ down',
+      'cpu.*(high|critical)',
+      '(\\w+)-(\\d+)',
+      '[(+*)]+ literal',
+      '\\(a+\\)+'
+    ])('allows %s', pattern => {
+      expect(titlePatternProblem(pattern)).toBeNull();
+    });
+
+    test.each([
+      '(a+)+',
+      '(\\w*)*x',
+      '(x+x+){2,}',
+      '((ab)*c)+',
+      '(?:\\d+\\s?)+$',
+      '(a|b+)*'
+    ])('rejects %s', pattern => {
+      expect(titlePatternProblem(pattern)).toMatch(/must not repeat a group/);
+    });
+
+    test('limits the length', () => {
+      expect(titlePatternProblem('a'.repeat(201))).toBe('titlePattern must be at most 200 characters');
+    });
+  });
+
+  describe('matching', () => {
+    test('every set condition must match and list conditions match any value', async () => {
+      const rule = await routingRules.create(ruleData({
+        conditions: { env: 'prod, production', service: ['api', 'web'], alertType: 'error', titlePattern: '5xx', tags: 'team:payments' }
+      }));
+
+      expect(routingRules.evaluate(rule, alert()).matched).toBe(true);
+      expect(routingRules.evaluate(rule, alert({ tags: ['environment:production', 'service:web', 'team:payments'] })).matched).toBe(true);
+
+      const miss = routingRules.evaluate(rule, alert({ tags: ['env:staging', 'service:api', 'team:payments'] }));
+      expect(miss.matched).toBe(false);
+      expect(miss.checks.filter(check => !check.passed).map(check => check.condition)).toEqual(['env']);
+    });
+
+    test('matches tags and alert types case-insensitively', async () => {
+      const rule = await routingRules.create(ruleData({ conditions: { env: 'PROD', alertType: 'Error', tags: 'Team:Payments' } }));
+
+      expect(routingRules.evaluate(rule, alert()).matched).toBe(true);
+    });
+
+    test('matches priority through determinePriority', async () => {
+      const rule = await routingRules.create(ruleData({ conditions: { priority: 'high' } }));
+
+      expect(routingRules.evaluate(rule, alert({ priority: 'P1' })).matched).toBe(true);
+      expect(routingRules.evaluate(rule, alert({ alert_type: 'info' })).matched).toBe(false);
+    });
+
+    test('the first enabled rule in order wins', async () => {
+      const broad = await routingRules.create(ruleData({ name: 'Broad', order: 10, conditions: { env: 'prod' } }));
+      const narrow = await routingRules.create(ruleData({ name: 'Narrow', order: 1, conditions: { service: 'api' } }));
+      await routingRules.create(ruleData({ name: 'Disabled', order: 0, enabled: false }));
+
+      let result = await routingRules.match(alert());
+      expect(result.rule.id).toBe(narrow.id);
+      expect(result.evaluations.map(evaluation => [evaluation.name, evaluation.matched]))
+        .toEqual([['Disabled', false], ['Narrow', true], ['Broad', true]]);
+
+      await routingRules.reorder([broad.id]);
+      result = await routingRules.match(alert());
+      expect(result.rule.id).toBe(broad.id);
+    });
+
+    test('returns no rule when nothing matches', async () => {
+      await routingRules.create(ruleData());
+
+      expect((await routingRules.match(alert({ alert_type: 'warning' }))).rule).toBeNull();
+    });
+
+    test('skips unsafe title patterns saved before they were checked', async () => {
+      const rule = await routingRules.create(ruleData({ conditions: { titlePattern: 'API' } }));
+      rule.conditions.titlePattern = '(a+)+$';
+
+      const evaluation = routingRules.evaluate(rule, alert({ title: `${'a'.repeat(40)}!` }));
+      expect(evaluation.matched).toBe(false);
+    });
+
+    test('recordMatch counts matches', async () => {
+      const rule = await routingRules.create(ruleData());
+      await routingRules.recordMatch(rule.id);
+      await routingRules.recordMatch(rule.id);
+
+      expect(await routingRules.get(rule.id)).toMatchObject({ matchCount: 2 });
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const SampleAlerts = require('../sampleAlerts');
+const BUILTIN_SAMPLES = require('../../fixtures/sample-alerts.json');
+
+describe('SampleAlerts', () => {
+  let samplesDir;
+  let samples;
+
+  beforeEach(async () => {
+    samplesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'samples-'));
+    samples = new SampleAlerts(samplesDir);
+  });
+
+  afterEach(() => fs.remove(samplesDir));
+
+  describe('built-in fixtures', () => {
+    test('have unique slug IDs and include the default sample', () => {
+      const ids = BUILTIN_SAMPLES.map(sample => sample.id);
+
+      expect(new Set(ids).size).toBe(ids.length);
+      ids.forEach(id => expect(id).toMatch(/^[a-z][a-z-]*$/));
+      expect(ids).toContain(SampleAlerts.DEFAULT_SAMPLE_ID);
+    });
+
+    test.each(BUILTIN_SAMPLES.map(sample => [sample.id, sample]))('%s is a valid Datadog payload', async (id, fixture) => {
+      expect(samples.validate(fixture)).toEqual([]);
+
+      const alert = await samples.resolve(id);
+      expect(alert).toMatchObject({ source: expect.stringMatching(/^datadog/), title: expect.any(String) });
+      expect(alert.title).not.toBe('');
+    });
+
+    test('resolve the default sample when no ID is given', async () => {
+      expect((await samples.resolve()).title).toBe((await samples.resolve(SampleAlerts.DEFAULT_SAMPLE_ID)).title);
+    });
+
+    test('are listed first, without their payloads, and can be filtered by category', async () => {
+      await samples.create({ name: 'Custom', payload: { title: 'Custom alert' } });
+
+      const all = await samples.list();
+      expect(all).toHaveLength(BUILTIN_SAMPLES.length + 1);
+      expect(all.slice(0, BUILTIN_SAMPLES.length).every(sample => sample.builtin)).toBe(true);
+      expect(all.every(sample => !('payload' in sample) && !('alert' in sample))).toBe(true);
+      expect((await samples.list({ category: 'logs' })).map(sample => sample.id)).toEqual(['log-alert']);
+    });
+
+    test('cannot be removed', async () => {
+      expect(await samples.remove('metric-alert')).toBeNull();
+      expect(await samples.get('metric-alert')).toMatchObject({ builtin: true });
+    });
+  });
+
+  describe('saved samples', () => {
+    test('require a name and a Datadog payload', async () => {
+      await expect(samples.create({ payload: 42 })).rejects.toMatchObject({
+        validationErrors: ['Sample name is required', 'payload must be a Datadog JSON payload or notification text']
+      });
+    });
+
+    test('can be read back, resolved and removed', async () => {
+      const sample = await samples.create({ name: ' Disk ', payload: { title: 'Disk full', alert_type: 'warning' } });
+
+      expect(sample).toMatchObject({ name: 'Disk', category: 'custom', builtin: false });
+      expect(await samples.resolve(sample.id)).toMatchObject({ title: 'Disk full', alert_type: 'warning' });
+      expect(await samples.remove(sample.id)).toMatchObject({ id: sample.id });
+      expect(await samples.get(sample.id)).toBeNull();
+    });
+
+    test('captured from an alert keep the normalized alert as it was received', async () => {
+      const alertData = {
+        id: 'alert-1',
+        timestamp: '2026-10-19T10:00:00.000Z',
+        originalPayload: { source: 'alertmanager', title: 'HighLatency', alert_type: 'error' }
+      };
+
+      const sample = await samples.createFromAlert(alertData);
+
+      expect(sample).toMatchObject({
+        name: 'HighLatency',
+        category: 'captured',
+        alertId: 'alert-1',
+        description: expect.stringMatching(/^Captured from alert received 2026-10-19 /)
+      });
+      expect(await samples.resolve(sample.id)).toEqual(alertData.originalPayload);
+    });
+
+    test('do not read IDs that could leave the samples directory', async () => {
+      expect(await samples.get('../templates/runbook')).toBeNull();
+    });
+  });
+});
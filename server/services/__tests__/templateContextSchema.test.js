@@ -0,0 +1,107 @@
+const DocumentGenerator = require('../documentGenerator');
+const helperRegistry = require('../helperRegistry');
+const TemplateContextSchema = require('../templateContextSchema');
+const SampleAlerts = require('../sampleAlerts');
+
+// The keys of every alert context section. Adding, renaming or removing a
+// key in prepareTemplateContext must update this list, and the schema's
+// descriptions where the key needs one.
+const ALERT_CONTEXT = {
+  alert: ['id', 'monitorId', 'type', 'eventType', 'title', 'message', 'textMessage', 'priority', 'rawPriority', 'status',
+    'statusSummary', 'scope', 'query', 'aggregationKey', 'cycleKey', 'url', 'snapshot', 'source', 'user', 'mentions', 'tags'],
+  time: ['triggered', 'formatted', 'utc', 'iso', 'unix', 'relative', 'lastUpdated', 'timezone'],
+  metric: ['name', 'value', 'unit', 'threshold', 'condition', 'query'],
+  host: ['name', 'ip', 'environment', 'service', 'team', 'region'],
+  org: ['name', 'id'],
+  lifecycle: ['id', 'status', 'triggeredAt', 'recoveredAt', 'recovered', 'durationSeconds', 'duration', 'notificationCount', 'events'],
+  incident: ['id', 'title', 'status', 'groupedBy', 'openedAt', 'lastAlertAt', 'resolvedAt', 'resolved', 'duration', 'alertCount', 'alerts'],
+  raw: null,
+  generated: ['at', 'formatted', 'timezone', 'locale', 'by']
+};
+
+const POSTMORTEM_CONTEXT = ['postmortem', 'incident', 'impact', 'timeline', 'alerts', 'sections', 'actionItems', 'openActionItems', 'owners', 'generated'];
+
+describe('TemplateContextSchema', () => {
+  let schema;
+  let sample;
+
+  beforeEach(async () => {
+    schema = new TemplateContextSchema();
+    sample = await new SampleAlerts().resolve();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  // Sections and their direct keys, as prepareTemplateContext builds them
+  const contextKeys = context => Object.fromEntries(Object.entries(context).map(([name, value]) => [
+    name,
+    name === 'raw' ? null : Object.keys(value)
+  ]));
+
+  // Sections and their direct keys, as the schema lists them
+  const schemaKeys = built => Object.fromEntries(built.sections.map(({ name }) => [
+    name,
+    name === 'raw'
+      ? null
+      : built.fields
+        .filter(field => field.path.startsWith(`${name}.`) && !field.path.slice(name.length + 1).includes('.'))
+        .map(field => field.path.slice(name.length + 1))
+  ]));
+
+  test('lists the sections and keys of prepareTemplateContext', async () => {
+    const context = new DocumentGenerator().prepareTemplateContext(sample, {
+      lifecycle: { id: 'l', status: 'triggered', events: [] },
+      incident: { id: 'i', status: 'open', groupedBy: {} },
+      incidentAlerts: [sample]
+    });
+    const built = await schema.build('alert');
+
+    expect(contextKeys(context)).toEqual(ALERT_CONTEXT);
+    expect(schemaKeys(built)).toEqual(ALERT_CONTEXT);
+  });
+
+  test('lists the alert sections for each incident member', async () => {
+    const { fields } = await schema.build('alert');
+    const members = fields
+      .filter(field => /^incident\.alerts\[\]\.[^.]+$/.test(field.path))
+      .map(field => field.path.split('.').pop());
+
+    expect(members).toEqual(Object.keys(ALERT_CONTEXT));
+  });
+
+  test('follows keys added to or removed from the context', async () => {
+    const prepare = DocumentGenerator.prototype.prepareTemplateContext;
+    jest.spyOn(DocumentGenerator.prototype, 'prepareTemplateContext').mockImplementation(function (...args) {
+      const { org, ...context } = prepare.apply(this, args);
+      return { ...context, team: { name: 'platform' } };
+    });
+
+    const built = await schema.build('alert');
+
+    expect(built.sections.map(section => section.name)).toEqual(expect.arrayContaining(['team']));
+    expect(built.sections.map(section => section.name)).not.toContain('org');
+    expect(built.fields).toContainEqual({ path: 'team.name', type: 'string', example: 'platform' });
+  });
+
+  test('lists the post-mortem sections', async () => {
+    const built = await schema.build('postmortem');
+
+    expect(built.sections.map(section => section.name)).toEqual(POSTMORTEM_CONTEXT);
+  });
+
+  test('describes every section and only fields the context has', async () => {
+    const alert = await schema.build('alert');
+    const postmortem = await schema.build('postmortem');
+    const paths = [...alert.fields, ...postmortem.fields].map(field => field.path);
+
+    alert.sections.forEach(section => expect(section.description).not.toBe(''));
+    expect(Object.keys(TemplateContextSchema.DESCRIPTIONS).filter(path => !paths.includes(path))).toEqual([]);
+  });
+
+  test('lists the helpers of the helper registry', async () => {
+    const { helpers } = await schema.build('alert');
+
+    expect(helpers).toEqual(helperRegistry.list());
+    expect(helpers.map(helper => helper.name)).toEqual(expect.arrayContaining(['formatDate', 'timeIn', 'markdownTable']));
+  });
+});
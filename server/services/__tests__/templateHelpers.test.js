@@ -0,0 +1,101 @@
+const Handlebars = require('handlebars');
+const { registerHelpers } = require('../templateHelpers');
+
+describe('built-in template helpers', () => {
+  const handlebars = Handlebars.create();
+  registerHelpers(handlebars);
+
+  const render = (template, context = {}) => handlebars.compile(template)(context);
+
+  test('truncate cuts text to the length, suffix included', () => {
+    const context = { text: 'Hello wonderful world' };
+
+    expect(render('{{truncate text 10}}', context)).toBe('Hello won…');
+    expect(render('{{truncate text 10 "..."}}', context)).toBe('Hello w...');
+    expect(render('{{truncate text 50}}', context)).toBe('Hello wonderful world');
+    expect(render('{{truncate text "many"}}', context)).toBe('Hello wonderful world');
+    expect(render('{{truncate missing 5}}', context)).toBe('');
+  });
+
+  test('default falls back for missing and empty values only', () => {
+    const context = { empty: '', zero: 0, name: 'web' };
+
+    expect(render('{{default missing "none"}}', context)).toBe('none');
+    expect(render('{{default empty "none"}}', context)).toBe('none');
+    expect(render('{{default zero "none"}}', context)).toBe('0');
+    expect(render('{{default name "none"}}', context)).toBe('web');
+  });
+
+  test('pluralize picks the word by count', () => {
+    expect(render('{{pluralize 1 "alert"}}')).toBe('1 alert');
+    expect(render('{{pluralize 0 "alert"}}')).toBe('0 alerts');
+    expect(render('{{pluralize count "person" "people"}}', { count: 3 })).toBe('3 people');
+  });
+
+  test('tagValue reads key:value tags from lists and comma-separated strings', () => {
+    const context = { tags: ['service:web', 'owner:team:sre'], text: 'env:prod, region:eu' };
+
+    expect(render('{{tagValue tags "service"}}', context)).toBe('web');
+    expect(render('{{tagValue tags "owner"}}', context)).toBe('team:sre');
+    expect(render('{{tagValue text "region"}}', context)).toBe('eu');
+    expect(render('{{tagValue tags "team"}}', context)).toBe('');
+    expect(render('{{tagValue tags "team" "unowned"}}', context)).toBe('unowned');
+    expect(render('{{tagValue missing "team" "unowned"}}', context)).toBe('unowned');
+  });
+
+  test('markdownTable escapes cells and keeps them on one line', () => {
+    const rows = [
+      { title: 'Fix | pipe', owner: 'ann', status: 'open' },
+      { title: '<b>Bold</b>\nnext', owner: null, status: 'done' }
+    ];
+
+    expect(render('{{markdownTable rows "title,owner"}}', { rows })).toBe([
+      '| title | owner |',
+      '| --- | --- |',
+      '| Fix \\| pipe | ann |',
+      '| &lt;b&gt;Bold&lt;/b&gt; next |  |'
+    ].join('\n'));
+    expect(render('{{markdownTable rows}}', { rows }).split('\n')[0]).toBe('| title | owner | status |');
+    expect(render('{{markdownTable rows}}', { rows: [] })).toBe('');
+    expect(render('{{markdownTable rows}}', { rows: 'text' })).toBe('');
+  });
+
+  describe('datadogLink', () => {
+    const site = process.env.DATADOG_SITE;
+    beforeEach(() => delete process.env.DATADOG_SITE);
+    afterAll(() => {
+      if (site === undefined) delete process.env.DATADOG_SITE;
+      else process.env.DATADOG_SITE = site;
+    });
+
+    test('links to Datadog pages with URL-encoded IDs', () => {
+      expect(render('{{datadogLink "monitor" 123}}')).toBe('https://app.datadoghq.com/monitors/123');
+      expect(render('{{datadogLink "logs" query}}', { query: 'service:web status:error' }))
+        .toBe('https://app.datadoghq.com/logs?query=service%3Aweb%20status%3Aerror');
+      expect(render('{{datadogLink "host" name}}', { name: '"><script>' }))
+        .toBe('https://app.datadoghq.com/infrastructure?host=%22%3E%3Cscript%3E');
+    });
+
+    test('uses the site from the hash or DATADOG_SITE', () => {
+      expect(render('{{datadogLink "host" "web-01" site="datadoghq.eu"}}')).toBe('https://app.datadoghq.eu/infrastructure?host=web-01');
+
+      process.env.DATADOG_SITE = 'us5.datadoghq.com';
+      expect(render('{{datadogLink "service" "api"}}')).toBe('https://app.us5.datadoghq.com/apm/services/api');
+    });
+
+    test('renders nothing for unknown kinds, missing IDs and invalid sites', () => {
+      expect(render('{{datadogLink "widget" 1}}')).toBe('');
+      expect(render('{{datadogLink "monitor" missing}}')).toBe('');
+      expect(render('{{datadogLink "monitor" 1 site="evil.example/x?"}}')).toBe('');
+    });
+  });
+
+  test('timeIn formats dates in a time zone', () => {
+    const context = { at: '2026-10-19T10:00:00Z' };
+
+    expect(render('{{timeIn at "Asia/Tokyo" "HH:mm z"}}', context)).toBe('19:00 JST');
+    expect(render('{{timeIn at "America/New_York"}}', context)).toBe('October 19th 2026, 6:00:00 am EDT');
+    expect(render('{{timeIn at "Mars/Olympus"}}', context)).toBe('Unknown time zone: Mars/Olympus');
+    expect(render('{{timeIn at}}', context)).toBe('Unknown time zone: ');
+  });
+});
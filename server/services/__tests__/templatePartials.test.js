@@ -0,0 +1,148 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const TemplatePartials = require('../templatePartials');
+const DocumentGenerator = require('../documentGenerator');
+
+describe('TemplatePartials', () => {
+  let templatesDir;
+  let partials;
+
+  beforeEach(async () => {
+    templatesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'partials-'));
+    partials = new TemplatePartials(templatesDir);
+  });
+
+  afterEach(() => fs.remove(templatesDir));
+
+  async function store(template) {
+    const stored = { type: 'alert', name: template.id, ...template };
+    await fs.writeJson(path.join(templatesDir, `${stored.id}.json`), stored);
+    return stored;
+  }
+
+  const partial = (id, content, overrides = {}) => ({ id, name: id, type: 'partial', partialName: id, content, ...overrides });
+
+  describe('scan', () => {
+    test('lists static partials but not inline or dynamic ones', () => {
+      const content = [
+        '{{#*inline "row"}}{{name}}{{/inline}}',
+        '{{> header}}',
+        '{{> "footer"}}',
+        '{{> row}}',
+        '{{> (lookup . "which")}}',
+        '{{#> layout}}body{{/layout}}'
+      ].join('\n');
+
+      expect(partials.scan(content)).toEqual(['header', 'footer', 'layout']);
+    });
+  });
+
+  describe('validate', () => {
+    test('accepts templates whose partials all exist', async () => {
+      await store(partial('header', '# {{alert.title}}'));
+
+      await expect(partials.validate({ id: 'runbook', content: '{{> header}}' })).resolves.toEqual(['header']);
+    });
+
+    test('reports syntax errors', async () => {
+      await expect(partials.validate({ id: 'runbook', content: '{{#if}}' })).rejects.toMatchObject({
+        validationErrors: [expect.stringMatching(/^Template does not compile: /)]
+      });
+    });
+
+    test('reports missing partials', async () => {
+      await expect(partials.validate({ id: 'runbook', content: '{{> header}}\n{{> footer}}' })).rejects.toMatchObject({
+        validationErrors: ['Missing partial "header"', 'Missing partial "footer"']
+      });
+    });
+
+    test('reports circular references through other partials', async () => {
+      await store(partial('a', '{{> b}}'));
+      await store(partial('b', '{{> c}}'));
+
+      await expect(partials.validate(partial('c', '{{> a}}'))).rejects.toMatchObject({
+        validationErrors: ['Circular partial reference: c → a → b → c']
+      });
+    });
+
+    test('reports a partial that uses itself', async () => {
+      await expect(partials.validate(partial('loop', '{{> loop}}'))).rejects.toMatchObject({
+        validationErrors: ['Circular partial reference: loop → loop']
+      });
+    });
+
+    test('rejects duplicate and invalid partial names', async () => {
+      await store(partial('header', '# Header'));
+
+      await expect(partials.validate(partial('other-header', '# Other', { partialName: 'header' }))).rejects.toMatchObject({
+        validationErrors: ['A partial named "header" already exists']
+      });
+      await expect(partials.validate(partial('bad', '# Bad', { partialName: '1-header' }))).rejects.toMatchObject({
+        validationErrors: ['Partial name must start with a letter and contain only letters, digits, _ and -']
+      });
+    });
+
+    test('lets a partial keep its own name when it is saved again', async () => {
+      const header = await store(partial('header', '# Header'));
+
+      await expect(partials.validate({ ...header, content: '# New header' }, header)).resolves.toEqual([]);
+    });
+
+    test('refuses to rename a partial that is still in use', async () => {
+      const header = await store(partial('header', '# Header'));
+      await store({ id: 'runbook', name: 'Runbook', content: '{{> header}}' });
+
+      await expect(partials.validate({ ...header, partialName: 'title' }, header)).rejects.toMatchObject({
+        validationErrors: ['Partial "header" is still used by: Runbook']
+      });
+      await expect(partials.validate({ ...header, type: 'alert' }, header)).rejects.toMatchObject({
+        validationErrors: ['Partial "header" is still used by: Runbook']
+      });
+    });
+  });
+
+  describe('resolve', () => {
+    test('collects partials used by partials, ending each with a newline', async () => {
+      await store(partial('header', '# {{alert.title}}\n{{> badge}}'));
+      await store(partial('badge', '**{{alert.priority}}**'));
+
+      expect(await partials.resolve('{{> header}}')).toEqual({
+        header: '# {{alert.title}}\n{{> badge}}\n',
+        badge: '**{{alert.priority}}**\n'
+      });
+    });
+
+    test('fails on a missing partial', async () => {
+      await expect(partials.resolve('{{> header}}')).rejects.toThrow('Missing partial "header"');
+    });
+  });
+
+  describe('layouts', () => {
+    test('render the caller block at @partial-block', async () => {
+      await store(partial('page', '<header>{{title}}</header>\n{{> @partial-block}}\n<footer>end</footer>', { type: 'layout' }));
+      const generator = new DocumentGenerator();
+      generator.templatePartials = partials;
+
+      const content = await generator.render('{{#> page}}\nBody for {{title}}\n{{/page}}', { title: 'CPU high' });
+
+      expect(content).toBe('<header>CPU high</header>\nBody for CPU high\n<footer>end</footer>\n');
+    });
+
+    test('count as uses in the dependency graph', async () => {
+      const page = await store(partial('page', '{{> @partial-block}}', { type: 'layout' }));
+      const runbook = await store({ id: 'runbook', name: 'Runbook', content: '{{#> page}}x{{/page}}\n{{> gone}}' });
+
+      expect((await partials.graph()).edges).toEqual([
+        { from: 'runbook', to: 'page', partialName: 'page', missing: false },
+        { from: 'runbook', to: null, partialName: 'gone', missing: true }
+      ]);
+      expect(await partials.dependencies(runbook)).toEqual({
+        uses: [{ id: 'page', name: 'page', type: 'layout' }],
+        missing: ['gone'],
+        usedBy: []
+      });
+      expect((await partials.dependencies(page)).usedBy).toEqual([{ id: 'runbook', name: 'Runbook', type: 'alert' }]);
+    });
+  });
+});
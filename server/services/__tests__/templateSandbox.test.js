@@ -0,0 +1,76 @@
+const { TemplateSandbox } = require('../templateSandbox');
+
+describe('TemplateSandbox', () => {
+  const sandbox = new TemplateSandbox({ timeoutMs: 500, maxMemoryMb: 16, maxOutputBytes: 1000, concurrency: 2 });
+
+  test('renders templates with partials and helper data', async () => {
+    const output = await sandbox.render(
+      '{{> header}}{{#each alerts}}- {{title}}\n{{/each}}',
+      { title: 'Outage', alerts: [{ title: 'CPU high' }, { title: 'Disk full' }] },
+      { header: '# {{title}}\n' }
+    );
+
+    expect(output).toBe('# Outage\n- CPU high\n- Disk full\n');
+  });
+
+  test('passes the render settings to the date helpers', async () => {
+    const output = await sandbox.render('{{formatDate at "YYYY-MM-DD HH:mm"}}', { at: '2026-10-19T10:00:00Z' }, {}, {
+      timezone: 'Asia/Tokyo',
+      locale: 'en'
+    });
+
+    expect(output).toBe('2026-10-19 19:00');
+  });
+
+  test('templates cannot reach prototypes', async () => {
+    expect(await sandbox.render('[{{constructor.name}}][{{title.constructor}}]', { title: 'x' })).toBe('[][]');
+  });
+
+  test('reports template errors', async () => {
+    await expect(sandbox.render('{{#each}}', {})).rejects.toThrow(/Parse error|each/);
+  });
+
+  test('stops renders that run past the time limit', async () => {
+    const items = Array.from({ length: 3000 }, (value, index) => index);
+    const started = Date.now();
+
+    const error = await sandbox.render(
+      '{{#each items}}{{#each ../items}}{{#each ../../items}}{{/each}}{{/each}}{{/each}}',
+      { items }
+    ).catch(caught => caught);
+
+    expect(error).toMatchObject({ code: 'RENDER_LIMIT', limit: 'timeout', message: 'Template rendering exceeded the 500 ms time limit' });
+    expect(Date.now() - started).toBeLessThan(5000);
+  });
+
+  test('stops renders that run out of memory', async () => {
+    // Every piece of output is kept until the render ends
+    const items = Array.from({ length: 2000 }, (value, index) => index);
+    const patient = new TemplateSandbox({ ...sandbox.limits, timeoutMs: 20000 });
+
+    const error = await patient.render(
+      '{{#each items}}{{#each ../items}}{{../../chunk}}{{/each}}{{/each}}',
+      { items, chunk: 'x' }
+    ).catch(caught => caught);
+
+    expect(error).toMatchObject({ code: 'RENDER_LIMIT', limit: 'memory', message: 'Template rendering exceeded the 16 MB memory limit' });
+  });
+
+  test('rejects output over the size limit', async () => {
+    const error = await sandbox.render('{{#each items}}{{../chunk}}{{/each}}', {
+      items: [1, 2, 3],
+      chunk: 'x'.repeat(400)
+    }).catch(caught => caught);
+
+    expect(error).toMatchObject({ code: 'RENDER_LIMIT', limit: 'output', message: 'Rendered output is 1200 bytes, over the 1000 byte limit' });
+  });
+
+  test('queues renders beyond the concurrency limit', async () => {
+    const single = new TemplateSandbox({ ...sandbox.limits, concurrency: 1 });
+
+    const outputs = await Promise.all(['a', 'b', 'c'].map(value => single.render('{{value}}', { value })));
+
+    expect(outputs).toEqual(['a', 'b', 'c']);
+    expect(single.active).toBe(0);
+  });
+});
@@ -0,0 +1,167 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const TemplateTests = require('../templateTests');
+const TemplatePartials = require('../templatePartials');
+
+describe('TemplateTests', () => {
+  let templatesDir;
+  let templateTests;
+
+  beforeEach(async () => {
+    templatesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'template-tests-'));
+    templateTests = new TemplateTests();
+    templateTests.templatePartials = new TemplatePartials(templatesDir);
+    templateTests.templateValidator.templatePartials = templateTests.templatePartials;
+    templateTests.templateValidator.documentGenerator.templatePartials = templateTests.templatePartials;
+  });
+
+  afterEach(() => fs.remove(templatesDir));
+
+  async function store(template) {
+    const stored = { type: 'alert', name: template.id, ...template };
+    await fs.writeJson(path.join(templatesDir, `${stored.id}.json`), stored);
+    return stored;
+  }
+
+  const runbook = (content = '# {{alert.title}}\nPriority: {{alert.priority}}') => ({ id: 'runbook', name: 'Runbook', type: 'alert', content });
+
+  describe('prepare', () => {
+    test('records the current output when a case has no assertion', async () => {
+      const testCase = await templateTests.prepare(runbook(), { name: 'CPU', sampleId: 'metric-alert' });
+
+      expect(testCase).toMatchObject({
+        id: expect.any(String),
+        name: 'CPU',
+        sampleId: 'metric-alert',
+        contains: [],
+        matches: [],
+        expected: '# [Triggered on {host:web-01}] High CPU on web-01\nPriority: high'
+      });
+      expect(testCase).not.toHaveProperty('alert');
+    });
+
+    test('keeps the ID and creation time of the case it replaces', async () => {
+      const first = await templateTests.prepare(runbook(), { name: 'CPU', sampleId: 'metric-alert' });
+      const second = await templateTests.prepare(runbook(), { contains: 'High CPU' }, first);
+
+      expect(second).toMatchObject({ id: first.id, createdAt: first.createdAt, name: 'CPU', contains: ['High CPU'], expected: first.expected });
+    });
+
+    test('rejects cases without a name or alert', async () => {
+      await expect(templateTests.prepare(runbook(), { contains: 'x' })).rejects.toMatchObject({
+        validationErrors: ['Test name is required', 'Test: a sampleId or alert payload is required']
+      });
+    });
+
+    test('rejects invalid and unsafe matches patterns', async () => {
+      const prepare = matches => templateTests.prepare(runbook(), { name: 'CPU', sampleId: 'metric-alert', matches });
+
+      await expect(prepare(['('])).rejects.toMatchObject({
+        validationErrors: [expect.stringMatching(/^Test "CPU": Invalid matches pattern: /)]
+      });
+      await expect(prepare(['^(a+)+$', '(\\w*)*x'])).rejects.toMatchObject({
+        validationErrors: [
+          'Test "CPU": matches pattern must not repeat a group that itself contains a repeat, e.g. (a+)+',
+          'Test "CPU": matches pattern must not repeat a group that itself contains a repeat, e.g. (a+)+'
+        ]
+      });
+      await expect(prepare(['a'.repeat(201)])).rejects.toMatchObject({
+        validationErrors: ['Test "CPU": matches pattern must be at most 200 characters']
+      });
+      await expect(prepare(['^Priority: (high|low)$'])).resolves.toMatchObject({ matches: ['^Priority: (high|low)$'] });
+    });
+  });
+
+  describe('run', () => {
+    test('passes while the output matches the golden output', async () => {
+      const template = runbook();
+      template.tests = [await templateTests.prepare(template, { name: 'CPU', sampleId: 'metric-alert' })];
+
+      expect(await templateTests.run(template)).toMatchObject({ templateId: 'runbook', passed: true, total: 1, failed: 0 });
+    });
+
+    test('reports a diff against the golden output for unsaved content', async () => {
+      const template = runbook();
+      template.tests = [await templateTests.prepare(template, { name: 'CPU', sampleId: 'metric-alert' })];
+
+      const report = await templateTests.run(template, { content: '# {{alert.title}}\nPriority: {{alert.priority}}!' });
+
+      expect(report).toMatchObject({ passed: false, failed: 1 });
+      expect(report.results[0].failures).toEqual([{
+        type: 'expected',
+        message: 'Output differs from the expected output',
+        diff: '--- expected\n+++ actual\n # [Triggered on {host:web-01}] High CPU on web-01\n-Priority: high\n+Priority: high!'
+      }]);
+    });
+
+    test('checks contains and matches, and renders inline payloads at a fixed time', async () => {
+      const template = runbook('{{alert.title}} at {{time.iso}}');
+      template.tests = [await templateTests.prepare(template, {
+        name: 'Inline',
+        alert: { title: 'Disk full', date: 1792404000 },
+        contains: ['Disk full', 'Memory'],
+        matches: ['^Disk', 'at 2027']
+      })];
+
+      const [result] = (await templateTests.run(template)).results;
+
+      expect(result.output).toBe('Disk full at 2026-10-19T10:00:00.000Z');
+      expect(result.failures.map(failure => failure.message)).toEqual([
+        'Output does not contain "Memory"',
+        'Output does not match /at 2027/'
+      ]);
+    });
+
+    test('does not run unsafe patterns saved before they were checked', async () => {
+      const template = runbook();
+      template.tests = [{ id: 'old', name: 'Old', sampleId: 'metric-alert', contains: [], matches: ['(a+)+$'] }];
+
+      const [result] = (await templateTests.run(template)).results;
+
+      expect(result.failures).toEqual([{
+        type: 'matches',
+        message: 'matches pattern must not repeat a group that itself contains a repeat, e.g. (a+)+'
+      }]);
+    });
+
+    test('reports render failures per case', async () => {
+      const template = runbook('{{> missing}}');
+      template.tests = [{ id: 'a', name: 'A', sampleId: 'metric-alert', contains: ['x'], matches: [] }];
+
+      expect((await templateTests.run(template)).results[0].failures).toEqual([
+        { type: 'render', message: 'Render failed: Missing partial "missing"' }
+      ]);
+    });
+  });
+
+  describe('checkSave', () => {
+    test('runs the cases of templates using a partial with its new content', async () => {
+      await store({ id: 'footer', type: 'partial', partialName: 'footer', content: 'Owned by {{host.team}}' });
+      const user = runbook('# {{alert.title}}\n{{> footer}}');
+      user.tests = [await templateTests.prepare(user, { name: 'Footer', sampleId: 'metric-alert', contains: 'Owned by platform' })];
+      await store(user);
+
+      const unchanged = await templateTests.checkSave({ id: 'footer', name: 'footer', type: 'partial', partialName: 'footer', content: 'Owned by {{host.team}}' });
+      const broken = await templateTests.checkSave({ id: 'footer', name: 'footer', type: 'partial', partialName: 'footer', content: 'Owned by nobody' });
+
+      expect(unchanged).toMatchObject({ passed: true, reports: [{ templateId: 'runbook', passed: true }] });
+      expect(broken).toMatchObject({ passed: false, reports: [{ templateId: 'runbook', failed: 1 }] });
+    });
+  });
+
+  describe('runAll', () => {
+    test('runs every template with cases, or only the given ones', async () => {
+      const a = runbook();
+      a.tests = [await templateTests.prepare(a, { name: 'CPU', sampleId: 'metric-alert' })];
+      await store(a);
+      await store({ id: 'other', name: 'Other', content: 'x', tests: [{ id: 'b', name: 'B', sampleId: 'metric-alert', contains: ['y'], matches: [] }] });
+      await store({ id: 'untested', name: 'Untested', content: 'x' });
+
+      const reports = await templateTests.runAll();
+
+      expect(reports.map(report => [report.templateId, report.passed])).toEqual([['other', false], ['runbook', true]]);
+      expect((await templateTests.runAll(['runbook'])).map(report => report.templateId)).toEqual(['runbook']);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const TemplateValidator = require('../templateValidator');
+const TemplatePartials = require('../templatePartials');
+
+describe('TemplateValidator', () => {
+  let templatesDir;
+  let validator;
+
+  beforeEach(async () => {
+    templatesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'validator-'));
+    validator = new TemplateValidator();
+    validator.templatePartials = new TemplatePartials(templatesDir);
+    validator.documentGenerator.templatePartials = validator.templatePartials;
+  });
+
+  afterEach(() => fs.remove(templatesDir));
+
+  // These pin the line/column reporting, which for parse errors depends on
+  // Handlebars.Parser.lexer.yylloc
+  describe('syntax errors', () => {
+    test.each([
+      ['an unclosed mustache', '# Title\n{{alert.title}\n', 2, 14],
+      ['a block without a name', 'Intro\n  {{#each}}', 2, 12],
+      ['a partial without a name', '{{> }}', 1, 5]
+    ])('locate %s', async (name, content, line, column) => {
+      const result = await validator.validate({ content });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([{ message: expect.stringMatching(`^Parse error on line ${line}: `), line, column }]);
+    });
+
+    test('locate mismatched blocks at the opening block', async () => {
+      const result = await validator.validate({ content: 'Intro\n{{#if alert.title}}\nok\n{{/each}}' });
+
+      expect(result.errors).toEqual([{ message: "if doesn't match each - 2:3", line: 2, column: 4 }]);
+    });
+  });
+
+  describe('unknown paths', () => {
+    const warned = result => result.warnings.map(warning => [warning.path, warning.line, warning.column]);
+
+    test('warn about paths missing from the alert context, once each', async () => {
+      const result = await validator.validate({
+        content: '# {{alert.title}}\n{{alert.titel}} on {{host.name}}\n{{metric.nme}} {{alert.titel}}'
+      });
+
+      expect(result.valid).toBe(true);
+      expect(warned(result)).toEqual([['alert.titel', 2, 3], ['metric.nme', 3, 3]]);
+      expect(result.warnings[0].message).toBe('"alert.titel" is not in the template context');
+    });
+
+    test('follow each, with and block params into nested scopes', async () => {
+      const result = await validator.validate({
+        content: [
+          '{{#each alert.tags}}{{this}}{{nope}}{{/each}}',
+          '{{#with host}}{{name}} {{ip2}}{{/with}}',
+          '{{#each incident.alerts as |member|}}{{member.alert.title}} {{member.zz}}{{/each}}',
+          '{{@root.alert.bogus}} {{alert.tags.length}}'
+        ].join('\n')
+      });
+
+      expect(warned(result)).toEqual([
+        ['nope', 1, 31],
+        ['ip2', 2, 26],
+        ['member.zz', 3, 63],
+        ['@root.alert.bogus', 4, 3]
+      ]);
+    });
+
+    test('do not check the raw payload or helper arguments that are not paths', async () => {
+      const result = await validator.validate({
+        content: '{{raw.anything.deep}} {{formatDate time.iso "YYYY"}} {{#if (eq alert.type "error")}}x{{/if}}'
+      });
+
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('check post-mortem templates against the post-mortem context', async () => {
+      const result = await validator.validate({ type: 'postmortem', content: '{{postmortem.title}} {{impact.duration}} {{alert.title}}' });
+
+      expect(warned(result)).toEqual([['alert.title', 1, 44]]);
+    });
+  });
+
+  describe('partials', () => {
+    test('report partial problems as errors without a location', async () => {
+      const result = await validator.validate({ content: '{{> header}}' });
+
+      expect(result).toMatchObject({ valid: false, errors: [{ message: 'Missing partial "header"', line: null, column: null }] });
+    });
+  });
+
+  describe('preview', () => {
+    test('renders valid templates against the sample alert', async () => {
+      const result = await validator.preview({ content: '# {{alert.title}}' });
+
+      expect(result).toMatchObject({ valid: true, content: '# [Triggered on {host:web-01}] High CPU on web-01' });
+    });
+
+    test('does not render invalid templates', async () => {
+      expect(await validator.preview({ content: '{{#if}}' })).toMatchObject({ valid: false, content: null });
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const TemplateVersions = require('../templateVersions');
+
+const { diffLines, unifiedDiff } = TemplateVersions;
+
+const typesOf = changes => changes.map(change => `${change.type}:${change.line}`);
+
+describe('diffLines', () => {
+  test('marks unchanged, removed and added lines with their line numbers', () => {
+    const changes = diffLines('a\nb\nc\nd', 'a\nc\nx\nd');
+
+    expect(changes).toEqual([
+      { type: 'same', line: 'a', from: 1, to: 1 },
+      { type: 'removed', line: 'b', from: 2 },
+      { type: 'same', line: 'c', from: 3, to: 2 },
+      { type: 'added', line: 'x', to: 3 },
+      { type: 'same', line: 'd', from: 4, to: 4 }
+    ]);
+  });
+
+  test('handles empty sides', () => {
+    expect(typesOf(diffLines('', 'one\ntwo'))).toEqual(['removed:', 'added:one', 'added:two']);
+    expect(typesOf(diffLines('same', 'same'))).toEqual(['same:same']);
+  });
+
+  test('keeps the lines after the change numbered on both sides', () => {
+    const changes = diffLines('head\nold\ntail1\ntail2', 'head\nnew\nnew2\ntail1\ntail2');
+
+    expect(changes.slice(-2)).toEqual([
+      { type: 'same', line: 'tail1', from: 3, to: 4 },
+      { type: 'same', line: 'tail2', from: 4, to: 5 }
+    ]);
+  });
+
+  test('falls back to removed and re-added lines for very large rewrites', () => {
+    const lines = count => Array.from({ length: count }, (value, index) => `line ${index}`);
+    const from = ['header', ...lines(3000)].join('\n');
+    const to = ['header', ...lines(3000).reverse()].join('\n');
+
+    const changes = diffLines(from, to);
+
+    expect(changes[0]).toEqual({ type: 'same', line: 'header', from: 1, to: 1 });
+    expect(changes.filter(change => change.type === 'removed')).toHaveLength(3000);
+    expect(changes.filter(change => change.type === 'added')).toHaveLength(3000);
+  });
+
+  test('unifiedDiff prefixes each line', () => {
+    expect(unifiedDiff(diffLines('a\nb', 'a\nc'), 'v1', 'v2')).toBe('--- v1\n+++ v2\n a\n-b\n+c');
+  });
+});
+
+describe('TemplateVersions', () => {
+  let versionsDir;
+  let versions;
+
+  const template = (overrides = {}) => ({
+    id: 'template-1',
+    name: 'CPU runbook',
+    description: '',
+    category: 'general',
+    type: 'alert',
+    format: 'markdown',
+    content: '# {{title}}\nCheck the host.',
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    versionsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'template-versions-'));
+    versions = new TemplateVersions(versionsDir);
+  });
+
+  afterEach(() => fs.remove(versionsDir));
+
+  test('records numbered snapshots and stamps the version on the template', async () => {
+    const current = template();
+    await versions.record(current, { reason: 'create' });
+    expect(current.version).toBe(1);
+
+    const updated = template({ content: '# {{title}}\nCheck the host.\nPage on-call.' });
+    await versions.record(updated);
+    expect(updated.version).toBe(2);
+
+    const list = await versions.list('template-1');
+    expect(list.map(version => [version.version, version.reason, version.lines])).toEqual([[2, 'update', 3], [1, 'create', 2]]);
+    expect(list[0]).not.toHaveProperty('content');
+    expect((await versions.get('template-1', 1)).content).toBe('# {{title}}\nCheck the host.');
+  });
+
+  test('get returns null for unknown versions', async () => {
+    await versions.record(template());
+
+    expect(await versions.get('template-1', 5)).toBeNull();
+    expect(await versions.get('template-1', 'latest')).toBeNull();
+    expect(await versions.get('other', 1)).toBeNull();
+  });
+
+  test('diffs content and changed fields between versions', async () => {
+    await versions.record(template());
+    await versions.record(template({ name: 'CPU playbook', content: '# {{title}}\nPage on-call.' }));
+
+    const diff = await versions.diff('template-1', 1, 2);
+
+    expect(diff).toMatchObject({
+      from: 1,
+      to: 2,
+      approximate: false,
+      stats: { added: 1, removed: 1 },
+      fields: [{ field: 'name', from: 'CPU runbook', to: 'CPU playbook' }]
+    });
+    expect(diff.unified).toBe('--- v1\n+++ v2\n # {{title}}\n-Check the host.\n+Page on-call.');
+    expect(await versions.diff('template-1', 1, 3)).toBeNull();
+  });
+
+  test('a rollback is recorded as a new version with the old content', async () => {
+    await versions.record(template());
+    await versions.record(template({ content: 'broken' }));
+
+    const target = await versions.get('template-1', 1);
+    const restored = template({ content: target.content });
+    await versions.record(restored, { reason: 'rollback', restoredFrom: target.version });
+
+    expect(restored.version).toBe(3);
+    const latest = await versions.get('template-1', 3);
+    expect(latest).toMatchObject({ reason: 'rollback', restoredFrom: 1, content: target.content });
+    expect((await versions.get('template-1', 2)).content).toBe('broken');
+    expect((await versions.diff('template-1', 1, 3)).stats).toEqual({ added: 0, removed: 0 });
+  });
+
+  test('ensureInitialVersion records the current state only when there is no history', async () => {
+    const legacy = template();
+    await versions.ensureInitialVersion(legacy);
+    await versions.ensureInitialVersion(legacy);
+
+    const list = await versions.list('template-1');
+    expect(list).toHaveLength(1);
+    expect(list[0].reason).toBe('initial');
+  });
+
+  test('changed compares only versioned fields', () => {
+    const current = template();
+
+    expect(versions.changed(current, { usageCount: 4 })).toBe(false);
+    expect(versions.changed(current, { content: current.content })).toBe(false);
+    expect(versions.changed(current, { content: 'new' })).toBe(true);
+    expect(versions.changed(current, { timezone: 'Europe/Paris' })).toBe(true);
+  });
+
+  test('removeAll deletes the history', async () => {
+    await versions.record(template());
+    await versions.removeAll('template-1');
+
+    expect(await versions.list('template-1')).toEqual([]);
+  });
+});
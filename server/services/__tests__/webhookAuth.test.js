@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const WebhookAuthenticator = require('../webhookAuth');
+
+const { loadWebhookAuthConfig } = WebhookAuthenticator;
+
+const NOW = Date.parse('2026-10-19T10:00:00Z');
+const BODY = '{"title":"CPU high","alert_type":"error"}';
+
+function authenticator(env) {
+  return new WebhookAuthenticator(loadWebhookAuthConfig(env));
+}
+
+function sign(secret, timestamp, body = BODY) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function signedHeaders(secret, { timestamp = Math.floor(NOW / 1000), body = BODY, prefix = 'sha256=' } = {}) {
+  return {
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': `${prefix}${sign(secret, timestamp, body)}`
+  };
+}
+
+describe('WebhookAuthenticator', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('accepts everything when no method is configured', () => {
+    const auth = authenticator({});
+
+    expect(auth.isEnabled()).toBe(false);
+    expect(auth.verify({ rawBody: BODY, ip: '203.0.113.9' })).toEqual({ ok: true });
+  });
+
+  describe('HMAC signatures', () => {
+    const auth = () => authenticator({ WEBHOOK_SIGNING_SECRET: 's3cret' });
+
+    test('accepts a signature over "<timestamp>.<raw body>" with or without the sha256= prefix', () => {
+      const verifier = auth();
+
+      expect(verifier.verify({ headers: signedHeaders('s3cret'), rawBody: BODY }).ok).toBe(true);
+      expect(verifier.verify({
+        headers: signedHeaders('s3cret', { timestamp: Math.floor(NOW / 1000) - 1, prefix: '' }),
+        rawBody: Buffer.from(BODY)
+      }).ok).toBe(true);
+    });
+
+    test.each([
+      ['a different secret', () => ({ headers: signedHeaders('other'), rawBody: BODY })],
+      ['a modified body', () => ({ headers: signedHeaders('s3cret'), rawBody: `${BODY} ` })],
+      ['a re-parsed body', () => ({ headers: signedHeaders('s3cret'), rawBody: JSON.stringify(JSON.parse(BODY), null, 2) })]
+    ])('rejects %s', (name, request) => {
+      expect(auth().verify(request())).toMatchObject({ ok: false, status: 401, reason: 'invalid_signature' });
+    });
+
+    test('rejects requests without the signature headers', () => {
+      const { 'X-Webhook-Signature': signature } = signedHeaders('s3cret');
+
+      expect(auth().verify({ headers: { 'X-Webhook-Signature': signature }, rawBody: BODY }))
+        .toMatchObject({ ok: false, status: 401, reason: 'missing_signature' });
+    });
+
+    test('reads the header names from the environment', () => {
+      const verifier = authenticator({
+        WEBHOOK_SIGNING_SECRET: 's3cret',
+        WEBHOOK_SIGNATURE_HEADER: 'X-Hub-Signature',
+        WEBHOOK_TIMESTAMP_HEADER: 'X-Hub-Timestamp'
+      });
+      const timestamp = Math.floor(NOW / 1000);
+
+      expect(verifier.verify({
+        headers: { 'x-hub-signature': sign('s3cret', timestamp), 'x-hub-timestamp': String(timestamp) },
+        rawBody: BODY
+      }).ok).toBe(true);
+    });
+  });
+
+  describe('replay window', () => {
+    const auth = () => authenticator({ WEBHOOK_SIGNING_SECRET: 's3cret', WEBHOOK_TOLERANCE_SECONDS: '60' });
+
+    test.each([
+      ['older than the tolerance', -61],
+      ['too far in the future', 61]
+    ])('rejects timestamps %s', (name, offset) => {
+      const timestamp = Math.floor(NOW / 1000) + offset;
+
+      expect(auth().verify({ headers: signedHeaders('s3cret', { timestamp }), rawBody: BODY }))
+        .toMatchObject({ ok: false, status: 401, reason: 'stale_timestamp' });
+    });
+
+    test('accepts timestamps at the edge of the tolerance', () => {
+      const timestamp = Math.floor(NOW / 1000) - 60;
+
+      expect(auth().verify({ headers: signedHeaders('s3cret', { timestamp }), rawBody: BODY }).ok).toBe(true);
+    });
+
+    test('rejects a signature that has already been used', () => {
+      const verifier = auth();
+      const headers = signedHeaders('s3cret');
+
+      expect(verifier.verify({ headers, rawBody: BODY }).ok).toBe(true);
+      expect(verifier.verify({ headers, rawBody: BODY }))
+        .toMatchObject({ ok: false, status: 401, reason: 'replayed_request' });
+    });
+
+    test('forgets used signatures once they are past the window', () => {
+      const verifier = auth();
+      verifier.verify({ headers: signedHeaders('s3cret'), rawBody: BODY });
+
+      jest.setSystemTime(NOW + 120 * 1000);
+      verifier.verify({ headers: signedHeaders('s3cret', { timestamp: Math.floor(NOW / 1000) + 120 }), rawBody: BODY });
+
+      expect(verifier.seenSignatures.size).toBe(1);
+    });
+  });
+
+  describe('IP allowlist', () => {
+    const auth = () => authenticator({ WEBHOOK_IP_ALLOWLIST: '198.51.100.7, 10.0.0.0/8' });
+
+    test.each([
+      ['an exact address', '198.51.100.7'],
+      ['an address in a CIDR range', '10.20.30.40'],
+      ['an IPv4-mapped IPv6 address', '::ffff:10.1.2.3']
+    ])('accepts %s', (name, ip) => {
+      expect(auth().verify({ ip }).ok).toBe(true);
+    });
+
+    test.each([
+      ['an address outside the list', '198.51.100.8'],
+      ['an address just outside the range', '11.0.0.1'],
+      ['an unknown address', '']
+    ])('rejects %s', (name, ip) => {
+      expect(auth().verify({ ip })).toMatchObject({ ok: false, status: 403, reason: 'ip_not_allowed' });
+    });
+
+    test('is checked before the shared secret', () => {
+      const verifier = authenticator({ WEBHOOK_IP_ALLOWLIST: '198.51.100.7', WEBHOOK_SHARED_SECRET: 'abc' });
+
+      expect(verifier.verify({ headers: { 'x-webhook-secret': 'abc' }, ip: '203.0.113.1' }).reason).toBe('ip_not_allowed');
+      expect(verifier.verify({ headers: { 'x-webhook-secret': 'abc' }, ip: '198.51.100.7' }).ok).toBe(true);
+    });
+  });
+
+  describe('shared secret', () => {
+    const auth = () => authenticator({ WEBHOOK_SHARED_SECRET: 'abc', WEBHOOK_SECRET_HEADER: 'X-Token' });
+
+    test('checks the configured header', () => {
+      const verifier = auth();
+
+      expect(verifier.verify({ headers: { 'X-Token': 'abc' } }).ok).toBe(true);
+      expect(verifier.verify({ headers: {} }).reason).toBe('missing_shared_secret');
+      expect(verifier.verify({ headers: { 'x-token': 'abcd' } }).reason).toBe('invalid_shared_secret');
+    });
+  });
+
+  test('counts accepted and rejected requests by reason', () => {
+    const verifier = authenticator({ WEBHOOK_SHARED_SECRET: 'abc' });
+    verifier.verify({ headers: { 'x-webhook-secret': 'abc' } });
+    verifier.verify({ headers: {}, ip: '203.0.113.1' });
+
+    expect(verifier.getStats()).toMatchObject({
+      enabled: true,
+      methods: { sharedSecret: true, signature: false, ipAllowlist: false },
+      accepted: 1,
+      rejected: 1,
+      rejectionsByReason: { missing_shared_secret: 1 },
+      lastRejection: { reason: 'missing_shared_secret', ip: '203.0.113.1' }
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const { getAdapter } = require('..');
+const DocumentGenerator = require('../../documentGenerator');
+
+const TIMESTAMP = '2026-10-19T10:00:00.000Z';
+
+const adapter = getAdapter('alertmanager');
+
+function notification(alerts, overrides = {}) {
+  return {
+    version: '4',
+    groupKey: '{}:{alertname="HighLatency"}',
+    status: 'firing',
+    receiver: 'docs',
+    externalURL: 'http://alertmanager:9093',
+    alerts,
+    ...overrides
+  };
+}
+
+function entry(overrides = {}) {
+  return {
+    status: 'firing',
+    labels: { alertname: 'HighLatency', severity: 'critical', service: 'api', instance: 'web-1:9100' },
+    annotations: { summary: 'API latency above 2s', description: 'p99 latency is 2.4s' },
+    startsAt: '2026-10-19T09:58:00Z',
+    endsAt: '0001-01-01T00:00:00Z',
+    generatorURL: 'http://prometheus:9090/graph?g0.expr=latency',
+    fingerprint: 'c0ffee',
+    ...overrides
+  };
+}
+
+describe('alertmanager adapter', () => {
+  test('is registered', () => {
+    expect(adapter.name).toBe('alertmanager');
+  });
+
+  test('maps a firing alert', () => {
+    const [alert] = adapter.normalize(notification([entry()]), TIMESTAMP);
+
+    expect(alert).toEqual({
+      source: 'alertmanager',
+      timestamp: TIMESTAMP,
+      id: 'c0ffee',
+      alert_id: 'HighLatency',
+      aggreg_key: '{}:{alertname="HighLatency"}',
+      alert_type: 'error',
+      alert_transition: 'Triggered',
+      alert_status: 'firing',
+      priority: 'critical',
+      title: 'API latency above 2s',
+      message: 'p99 latency is 2.4s',
+      scope: 'instance:web-1:9100,service:api',
+      hostname: 'web-1:9100',
+      tags: ['alertname:HighLatency', 'severity:critical', 'service:api', 'instance:web-1:9100'],
+      link: 'http://prometheus:9090/graph?g0.expr=latency',
+      date: Date.parse('2026-10-19T09:58:00Z') / 1000,
+      originalPayload: entry()
+    });
+  });
+
+  test('maps resolved alerts to recoveries dated by endsAt', () => {
+    const [alert] = adapter.normalize(notification([
+      entry({ status: 'resolved', endsAt: '2026-10-19T10:05:00Z' })
+    ], { status: 'resolved' }), TIMESTAMP);
+
+    expect(alert).toMatchObject({
+      alert_type: 'recovery',
+      alert_transition: 'Recovered',
+      alert_status: 'resolved',
+      date: Date.parse('2026-10-19T10:05:00Z') / 1000
+    });
+  });
+
+  test('gives each alert in a group its own entry and scope', () => {
+    const alerts = adapter.normalize(notification([
+      entry(),
+      entry({ fingerprint: 'beef', labels: { alertname: 'HighLatency', severity: 'warning', service: 'api', instance: 'web-2:9100' } })
+    ]), TIMESTAMP);
+
+    expect(alerts.map(alert => [alert.id, alert.alert_type, alert.scope])).toEqual([
+      ['c0ffee', 'error', 'instance:web-1:9100,service:api'],
+      ['beef', 'warning', 'instance:web-2:9100,service:api']
+    ]);
+    expect(new Set(alerts.map(alert => alert.aggreg_key)).size).toBe(1);
+  });
+
+  test.each([
+    ['warning', 'warning'],
+    ['warn', 'warning'],
+    ['info', 'info'],
+    ['none', 'info'],
+    ['page', 'error'],
+    [undefined, 'error']
+  ])('severity %s is alert type %s', (severity, alertType) => {
+    const labels = { alertname: 'DiskFull' };
+    if (severity) labels.severity = severity;
+
+    expect(adapter.normalize(notification([entry({ labels })]), TIMESTAMP)[0].alert_type).toBe(alertType);
+  });
+
+  test('prefers a priority label over severity and leaves priority unset without either', () => {
+    const [labelled] = adapter.normalize(notification([entry({ labels: { alertname: 'A', severity: 'warning', priority: 'P1' } })]), TIMESTAMP);
+    const [bare] = adapter.normalize(notification([entry({ labels: { alertname: 'A' } })]), TIMESTAMP);
+
+    expect(labelled.priority).toBe('P1');
+    expect(bare).not.toHaveProperty('priority');
+    expect(new DocumentGenerator().determinePriority(bare)).toBe('high');
+  });
+
+  test('falls back through title and message annotations', () => {
+    const [alert] = adapter.normalize(notification([
+      entry({ annotations: { title: 'Disk almost full' }, generatorURL: undefined })
+    ]), TIMESTAMP);
+    const [untitled] = adapter.normalize(notification([entry({ labels: {}, annotations: {} })]), TIMESTAMP);
+
+    expect(alert).toMatchObject({ title: 'Disk almost full', message: '', link: 'http://alertmanager:9093' });
+    expect(untitled).toMatchObject({ title: 'Alertmanager Alert', tags: [] });
+    expect(untitled).not.toHaveProperty('scope');
+  });
+
+  test.each([
+    ['null', null],
+    ['a string', 'firing'],
+    ['an object without alerts', { status: 'firing' }]
+  ])('rejects %s', (name, body) => {
+    expect(adapter.normalize(body, TIMESTAMP)).toBeNull();
+  });
+});
@@ -0,0 +1,133 @@
+const { getAdapter } = require('..');
+
+const TIMESTAMP = '2026-10-19T10:00:00.000Z';
+
+const adapter = getAdapter('grafana');
+
+function unified(alerts, overrides = {}) {
+  return {
+    receiver: 'docs',
+    status: 'firing',
+    orgId: 1,
+    groupKey: '{}/{}:{alertname="HighCPU"}',
+    externalURL: 'https://grafana.example.com/',
+    alerts,
+    ...overrides
+  };
+}
+
+function entry(overrides = {}) {
+  return {
+    status: 'firing',
+    labels: { alertname: 'HighCPU', severity: 'warning', instance: 'web-1' },
+    annotations: { summary: 'CPU above 90%' },
+    startsAt: '2026-10-19T09:58:00Z',
+    endsAt: '0001-01-01T00:00:00Z',
+    generatorURL: 'https://grafana.example.com/alerting/grafana/abc/view',
+    fingerprint: 'f00d',
+    values: { B: 93.2 },
+    panelURL: 'https://grafana.example.com/d/cpu?viewPanel=2',
+    imageURL: 'https://grafana.example.com/render/cpu.png',
+    ...overrides
+  };
+}
+
+describe('grafana adapter', () => {
+  test('is registered', () => {
+    expect(adapter.name).toBe('grafana');
+  });
+
+  test('maps a unified alerting notification', () => {
+    const [alert] = adapter.normalize(unified([entry()]), TIMESTAMP);
+
+    expect(alert).toMatchObject({
+      source: 'grafana',
+      timestamp: TIMESTAMP,
+      id: 'f00d',
+      alert_id: 'HighCPU',
+      aggreg_key: '{}/{}:{alertname="HighCPU"}',
+      alert_type: 'warning',
+      alert_transition: 'Triggered',
+      priority: 'warning',
+      title: 'CPU above 90%',
+      scope: 'instance:web-1',
+      hostname: 'web-1',
+      metric_value: 93.2,
+      link: 'https://grafana.example.com/d/cpu?viewPanel=2',
+      snapshot: 'https://grafana.example.com/render/cpu.png',
+      org_id: '1',
+      date: Date.parse('2026-10-19T09:58:00Z') / 1000
+    });
+  });
+
+  test('leaves the metric value unset when several queries report values', () => {
+    const [alert] = adapter.normalize(unified([entry({ values: { A: 1, B: 2 }, panelURL: undefined })]), TIMESTAMP);
+
+    expect(alert).not.toHaveProperty('metric_value');
+    expect(alert.link).toBe('https://grafana.example.com/alerting/grafana/abc/view');
+  });
+
+  test('maps resolved unified alerts to recoveries', () => {
+    const [alert] = adapter.normalize(unified([entry({ status: 'resolved', endsAt: '2026-10-19T10:03:00Z' })]), TIMESTAMP);
+
+    expect(alert).toMatchObject({
+      alert_type: 'recovery',
+      alert_transition: 'Recovered',
+      date: Date.parse('2026-10-19T10:03:00Z') / 1000
+    });
+  });
+
+  test('maps a legacy alerting notification', () => {
+    const body = {
+      ruleId: 12,
+      ruleName: 'Disk usage',
+      ruleUrl: 'https://grafana.example.com/d/disk',
+      state: 'alerting',
+      title: '[Alerting] Disk usage',
+      message: 'Disk is nearly full',
+      imageUrl: 'https://grafana.example.com/render/disk.png',
+      tags: { team: 'infra', severity: 'critical' },
+      evalMatches: [{ metric: 'disk.used', value: '97.5', tags: { host: 'db-1' } }]
+    };
+
+    const [alert] = adapter.normalize(body, TIMESTAMP);
+
+    expect(alert).toEqual({
+      source: 'grafana',
+      timestamp: TIMESTAMP,
+      alert_id: '12',
+      alert_type: 'error',
+      alert_transition: 'Triggered',
+      alert_status: 'alerting',
+      priority: 'critical',
+      title: '[Alerting] Disk usage',
+      message: 'Disk is nearly full',
+      metric: 'disk.used',
+      metric_value: 97.5,
+      tags: ['team:infra', 'severity:critical', 'host:db-1'],
+      link: 'https://grafana.example.com/d/disk',
+      snapshot: 'https://grafana.example.com/render/disk.png',
+      originalPayload: body
+    });
+  });
+
+  test.each([
+    ['ok', 'recovery', 'Recovered'],
+    ['no_data', 'warning', 'No Data'],
+    ['paused', 'info', 'Paused'],
+    ['unknown', 'info', 'unknown']
+  ])('legacy state %s is %s', (state, alertType, transition) => {
+    const [alert] = adapter.normalize({ ruleName: 'Disk usage', state }, TIMESTAMP);
+
+    expect(alert).toMatchObject({ alert_type: alertType, alert_transition: transition, title: 'Disk usage', message: '' });
+    expect(alert).not.toHaveProperty('priority');
+  });
+
+  test.each([
+    ['null', null],
+    ['a string', 'alerting'],
+    ['an object without alerts or a rule', { state: 'alerting' }]
+  ])('rejects %s', (name, body) => {
+    expect(adapter.normalize(body, TIMESTAMP)).toBeNull();
+  });
+});
@@ -0,0 +1,81 @@
+const { getAdapter } = require('..');
+
+const TIMESTAMP = '2026-10-19T10:00:00.000Z';
+
+const adapter = getAdapter('opsgenie');
+
+function webhook(action, overrides = {}) {
+  return {
+    action,
+    alert: {
+      alertId: 'a1b2c3',
+      alias: 'disk-db-1',
+      message: 'Disk almost full on db-1',
+      description: 'Usage at 97%',
+      entity: 'db-1',
+      priority: 'P2',
+      tags: ['storage', 'prod'],
+      details: { team: 'infra' },
+      username: 'jane',
+      createdAt: 1792404000000,
+      updatedAt: 1792404300000,
+      ...overrides
+    }
+  };
+}
+
+describe('opsgenie adapter', () => {
+  test('is registered', () => {
+    expect(adapter.name).toBe('opsgenie');
+  });
+
+  test('maps a created alert', () => {
+    const body = webhook('Create');
+    const [alert] = adapter.normalize(body, TIMESTAMP);
+
+    expect(alert).toEqual({
+      source: 'opsgenie',
+      timestamp: TIMESTAMP,
+      id: 'a1b2c3',
+      alert_id: 'a1b2c3',
+      aggreg_key: 'disk-db-1',
+      alert_type: 'error',
+      event_type: 'Create',
+      alert_transition: 'Triggered',
+      priority: 'P2',
+      title: 'Disk almost full on db-1',
+      message: 'Usage at 97%',
+      hostname: 'db-1',
+      tags: ['storage', 'prod', 'team:infra'],
+      date: 1792404000,
+      user: 'jane',
+      originalPayload: body
+    });
+  });
+
+  test.each([
+    ['Close', 'recovery', 'Recovered'],
+    ['Acknowledge', 'info', 'Acknowledged'],
+    ['Escalate', 'error', 'Re-Triggered'],
+    ['AddNote', 'info', 'AddNote']
+  ])('%s is %s dated by the last update', (action, alertType, transition) => {
+    const [alert] = adapter.normalize(webhook(action), TIMESTAMP);
+
+    expect(alert).toMatchObject({ alert_type: alertType, alert_transition: transition, date: 1792404300 });
+  });
+
+  test('leaves priority unset and falls back for the title and message', () => {
+    const [alert] = adapter.normalize(webhook('Create', { priority: undefined, message: undefined, description: undefined, details: 'n/a' }), TIMESTAMP);
+
+    expect(alert).toMatchObject({ title: 'Opsgenie Alert', message: '', tags: ['storage', 'prod'] });
+    expect(alert).not.toHaveProperty('priority');
+  });
+
+  test.each([
+    ['null', null],
+    ['an object without an action', { alert: {} }],
+    ['an object without an alert', { action: 'Create' }]
+  ])('rejects %s', (name, body) => {
+    expect(adapter.normalize(body, TIMESTAMP)).toBeNull();
+  });
+});
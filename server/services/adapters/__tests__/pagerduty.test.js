@@ -0,0 +1,105 @@
+const { getAdapter } = require('..');
+
+const TIMESTAMP = '2026-10-19T10:00:00.000Z';
+
+const adapter = getAdapter('pagerduty');
+
+function incident(overrides = {}) {
+  return {
+    id: 'PGR0VU2',
+    type: 'incident',
+    title: 'Checkout latency above 2s',
+    status: 'triggered',
+    urgency: 'high',
+    html_url: 'https://acme.pagerduty.com/incidents/PGR0VU2',
+    created_at: '2026-10-19T09:57:00Z',
+    service: { summary: 'checkout-api' },
+    priority: { summary: 'P1' },
+    ...overrides
+  };
+}
+
+function v3(eventType, data = incident()) {
+  return {
+    event: {
+      id: '01DEN',
+      event_type: eventType,
+      occurred_at: '2026-10-19T09:58:00Z',
+      data
+    }
+  };
+}
+
+describe('pagerduty adapter', () => {
+  test('is registered', () => {
+    expect(adapter.name).toBe('pagerduty');
+  });
+
+  test('maps a V3 incident event', () => {
+    const [alert] = adapter.normalize(v3('incident.triggered'), TIMESTAMP);
+
+    expect(alert).toEqual({
+      source: 'pagerduty',
+      timestamp: TIMESTAMP,
+      id: '01DEN',
+      alert_id: 'PGR0VU2',
+      alert_type: 'error',
+      event_type: 'incident.triggered',
+      alert_transition: 'Triggered',
+      alert_status: 'triggered',
+      priority: 'P1',
+      title: 'Checkout latency above 2s',
+      message: 'Checkout latency above 2s',
+      tags: ['service:checkout-api', 'urgency:high'],
+      link: 'https://acme.pagerduty.com/incidents/PGR0VU2',
+      date: Date.parse('2026-10-19T09:58:00Z') / 1000,
+      originalPayload: incident()
+    });
+  });
+
+  test.each([
+    ['incident.resolved', 'recovery', 'Recovered'],
+    ['incident.acknowledged', 'info', 'Acknowledged'],
+    ['incident.escalated', 'error', 'Re-Triggered'],
+    ['incident.annotated', 'info', 'annotated']
+  ])('%s is %s', (eventType, alertType, transition) => {
+    const [alert] = adapter.normalize(v3(eventType), TIMESTAMP);
+
+    expect(alert).toMatchObject({ alert_type: alertType, alert_transition: transition });
+  });
+
+  test('falls back to urgency for priority and leaves it unset for low urgency', () => {
+    const [urgent] = adapter.normalize(v3('incident.triggered', incident({ priority: null })), TIMESTAMP);
+    const [low] = adapter.normalize(v3('incident.triggered', incident({ priority: null, urgency: 'low' })), TIMESTAMP);
+
+    expect(urgent.priority).toBe('high');
+    expect(low).not.toHaveProperty('priority');
+  });
+
+  test('V3 events about other objects carry no alerts', () => {
+    expect(adapter.normalize(v3('service.updated', { id: 'PSVC', type: 'service' }), TIMESTAMP)).toEqual([]);
+  });
+
+  test('maps every incident message of a V2 webhook', () => {
+    const alerts = adapter.normalize({
+      messages: [
+        { id: 'm1', event: 'incident.trigger', created_on: '2026-10-19T09:58:00Z', incident: incident() },
+        { id: 'm2', event: 'incident.resolve', created_on: '2026-10-19T10:05:00Z', incident: incident({ status: 'resolved' }) },
+        { id: 'm3', event: 'ping' }
+      ]
+    }, TIMESTAMP);
+
+    expect(alerts.map(alert => [alert.id, alert.alert_type, alert.date])).toEqual([
+      ['m1', 'error', Date.parse('2026-10-19T09:58:00Z') / 1000],
+      ['m2', 'recovery', Date.parse('2026-10-19T10:05:00Z') / 1000]
+    ]);
+  });
+
+  test.each([
+    ['null', null],
+    ['a string', 'incident'],
+    ['an object without an event or messages', { id: 'x' }]
+  ])('rejects %s', (name, body) => {
+    expect(adapter.normalize(body, TIMESTAMP)).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+const { compactAlert, parseEpochSeconds } = require('../alertNormalizer');
+
+// Labels that describe the alert rule rather than the thing alerting
+const RULE_LABELS = ['alertname', 'severity', 'priority'];
+
+function severityToAlertType(severity) {
+  const s = String(severity || '').toLowerCase();
+  if (['warning', 'warn'].includes(s)) return 'warning';
+  if (['info', 'informational', 'none'].includes(s)) return 'info';
+  // Firing alerts without a recognised severity are treated as errors
+  return 'error';
+}
+
+function labelsToTags(labels = {}) {
+  return Object.entries(labels).map(([key, value]) => `${key}:${value}`);
+}
+
+// Label set minus the rule labels, so each series of one rule gets its own lifecycle
+function labelsToScope(labels = {}) {
+  return Object.keys(labels)
+    .filter(key => !RULE_LABELS.includes(key))
+    .sort()
+    .map(key => `${key}:${labels[key]}`)
+    .join(',');
+}
+
+// Map one entry of an Alertmanager-style alerts[] array. `group` is the
+// surrounding notification; Grafana reuses this for its unified alerting payloads.
+function normalizeGroupedAlert(group, entry, timestamp, source) {
+  const labels = entry.labels || {};
+  const annotations = entry.annotations || {};
+  const resolved = (entry.status || group.status) === 'resolved';
+
+  return compactAlert({
+    source,
+    timestamp,
+    id: entry.fingerprint,
+    alert_id: labels.alertname,
+    aggreg_key: group.groupKey,
+    alert_type: resolved ? 'recovery' : severityToAlertType(labels.severity),
+    alert_transition: resolved ? 'Recovered' : 'Triggered',
+    alert_status: entry.status || group.status,
+    priority: labels.priority || labels.severity,
+    title: annotations.summary || annotations.title || labels.alertname || 'Alertmanager Alert',
+    message: annotations.description || annotations.message || annotations.summary || '',
+    scope: labelsToScope(labels) || undefined,
+    hostname: labels.instance || labels.host || labels.hostname,
+    tags: labelsToTags(labels),
+    link: entry.generatorURL || group.externalURL,
+    date: parseEpochSeconds(resolved ? entry.endsAt : entry.startsAt),
+    originalPayload: entry
+  });
+}
+
+module.exports = {
+  name: 'alertmanager',
+  description: 'Prometheus Alertmanager webhook receiver (one alert per entry in alerts[])',
+
+  normalize(body, timestamp) {
+    if (!body || typeof body !== 'object' || !Array.isArray(body.alerts)) {
+      return null;
+    }
+    return body.alerts.map(entry => normalizeGroupedAlert(body, entry, timestamp, 'alertmanager'));
+  },
+
+  normalizeGroupedAlert,
+  labelsToTags
+};
@@ -0,0 +1,11 @@
+const { normalizeDatadogPayload } = require('../alertNormalizer');
+
+module.exports = {
+  name: 'datadog',
+  description: 'Datadog webhook integration (JSON variables or plain-text notification)',
+
+  normalize(body, timestamp) {
+    const alert = normalizeDatadogPayload(body, timestamp);
+    return alert ? [alert] : null;
+  }
+};
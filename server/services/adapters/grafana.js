@@ -0,0 +1,73 @@
+const { compactAlert, parseNumber } = require('../alertNormalizer');
+const { normalizeGroupedAlert, labelsToTags } = require('./alertmanager');
+
+// Legacy (pre-unified) alerting states
+const LEGACY_STATES = {
+  alerting: { alert_type: 'error', alert_transition: 'Triggered' },
+  ok: { alert_type: 'recovery', alert_transition: 'Recovered' },
+  no_data: { alert_type: 'warning', alert_transition: 'No Data' },
+  pending: { alert_type: 'warning', alert_transition: 'Warn' },
+  paused: { alert_type: 'info', alert_transition: 'Paused' }
+};
+
+// Unified alerting sends `values` as { B: 93.2 }; only a single value is unambiguous
+function singleValue(values) {
+  const entries = Object.values(values || {});
+  return entries.length === 1 ? parseNumber(entries[0]) : undefined;
+}
+
+function normalizeUnified(body, timestamp) {
+  return body.alerts.map(entry => {
+    const alert = normalizeGroupedAlert(body, entry, timestamp, 'grafana');
+
+    return compactAlert({
+      ...alert,
+      metric_value: singleValue(entry.values),
+      link: entry.panelURL || entry.dashboardURL || alert.link,
+      snapshot: entry.imageURL,
+      org_id: body.orgId !== undefined ? String(body.orgId) : undefined
+    });
+  });
+}
+
+function normalizeLegacy(body, timestamp) {
+  const state = LEGACY_STATES[body.state] || { alert_type: 'info', alert_transition: body.state };
+  const match = (body.evalMatches || [])[0] || {};
+  const tags = labelsToTags({ ...(body.tags || {}), ...(match.tags || {}) });
+
+  return [compactAlert({
+    source: 'grafana',
+    timestamp,
+    alert_id: body.ruleId !== undefined ? String(body.ruleId) : undefined,
+    ...state,
+    alert_status: body.state,
+    priority: body.tags ? (body.tags.priority || body.tags.severity) : undefined,
+    title: body.title || body.ruleName || 'Grafana Alert',
+    message: body.message || '',
+    metric: match.metric,
+    metric_value: parseNumber(match.value),
+    tags,
+    link: body.ruleUrl,
+    snapshot: body.imageUrl,
+    org_id: body.orgId !== undefined ? String(body.orgId) : undefined,
+    originalPayload: body
+  })];
+}
+
+module.exports = {
+  name: 'grafana',
+  description: 'Grafana alerting webhook contact point (unified and legacy alerting)',
+
+  normalize(body, timestamp) {
+    if (!body || typeof body !== 'object') {
+      return null;
+    }
+    if (Array.isArray(body.alerts)) {
+      return normalizeUnified(body, timestamp);
+    }
+    if (body.state && (body.ruleName || body.title)) {
+      return normalizeLegacy(body, timestamp);
+    }
+    return null;
+  }
+};
@@ -0,0 +1,46 @@
+// Registry of inbound webhook adapters. Each adapter turns one vendor's
+// webhook body into normalized alerts (see the Alert typedef in
+// alertNormalizer.js) and is exposed as POST /api/webhook/<name>.
+//
+// An adapter module exports:
+//   name        - URL-safe source name
+//   description - shown by GET /api/webhook/adapters
+//   normalize(body, timestamp) - returns an array of alerts, or null when
+//                                the body is not a payload it understands
+const adapters = new Map();
+
+function registerAdapter(adapter) {
+  if (!adapter || !/^[a-z0-9_-]+$/.test(adapter.name || '')) {
+    throw new Error('Adapter name must be lowercase letters, digits, "-" or "_"');
+  }
+  if (typeof adapter.normalize !== 'function') {
+    throw new Error(`Adapter "${adapter.name}" must provide a normalize(body, timestamp) function`);
+  }
+
+  adapters.set(adapter.name, adapter);
+  return adapter;
+}
+
+function getAdapter(name) {
+  return adapters.get(name) || null;
+}
+
+function listAdapters() {
+  return Array.from(adapters.values()).map(adapter => ({
+    name: adapter.name,
+    description: adapter.description || ''
+  }));
+}
+
+// Built-in sources
+registerAdapter(require('./datadog'));
+registerAdapter(require('./alertmanager'));
+registerAdapter(require('./grafana'));
+registerAdapter(require('./pagerduty'));
+registerAdapter(require('./opsgenie'));
+
+module.exports = {
+  registerAdapter,
+  getAdapter,
+  listAdapters
+};
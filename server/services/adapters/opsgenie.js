@@ -0,0 +1,46 @@
+const { compactAlert, parseEpochSeconds } = require('../alertNormalizer');
+
+const ACTIONS = {
+  Create: { alert_type: 'error', alert_transition: 'Triggered' },
+  Close: { alert_type: 'recovery', alert_transition: 'Recovered' },
+  Acknowledge: { alert_type: 'info', alert_transition: 'Acknowledged' },
+  Escalate: { alert_type: 'error', alert_transition: 'Re-Triggered' }
+};
+
+module.exports = {
+  name: 'opsgenie',
+  description: 'Opsgenie outgoing webhook integration',
+
+  normalize(body, timestamp) {
+    if (!body || typeof body !== 'object' || !body.alert || !body.action) {
+      return null;
+    }
+
+    const alert = body.alert;
+    const mapped = ACTIONS[body.action] || { alert_type: 'info', alert_transition: body.action };
+    const details = alert.details && typeof alert.details === 'object' ? alert.details : {};
+    const tags = [
+      ...(Array.isArray(alert.tags) ? alert.tags.map(String) : []),
+      ...Object.entries(details).map(([key, value]) => `${key}:${value}`)
+    ];
+
+    return [compactAlert({
+      source: 'opsgenie',
+      timestamp,
+      id: alert.alertId,
+      alert_id: alert.alertId,
+      aggreg_key: alert.alias,
+      alert_type: mapped.alert_type,
+      event_type: body.action,
+      alert_transition: mapped.alert_transition,
+      priority: alert.priority,
+      title: alert.message || 'Opsgenie Alert',
+      message: alert.description || alert.message || '',
+      hostname: alert.entity,
+      tags,
+      date: parseEpochSeconds(body.action === 'Create' ? alert.createdAt : (alert.updatedAt || alert.createdAt)),
+      user: alert.username,
+      originalPayload: body
+    })];
+  }
+};
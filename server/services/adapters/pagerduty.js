@@ -0,0 +1,82 @@
+const { compactAlert, parseEpochSeconds } = require('../alertNormalizer');
+
+// Incident events, keyed without the "incident." prefix. V3 webhooks use the
+// past tense (triggered), V2 the imperative (trigger).
+const EVENTS = {
+  triggered: { alert_type: 'error', alert_transition: 'Triggered' },
+  trigger: { alert_type: 'error', alert_transition: 'Triggered' },
+  resolved: { alert_type: 'recovery', alert_transition: 'Recovered' },
+  resolve: { alert_type: 'recovery', alert_transition: 'Recovered' },
+  acknowledged: { alert_type: 'info', alert_transition: 'Acknowledged' },
+  acknowledge: { alert_type: 'info', alert_transition: 'Acknowledged' },
+  escalated: { alert_type: 'error', alert_transition: 'Re-Triggered' },
+  escalate: { alert_type: 'error', alert_transition: 'Re-Triggered' }
+};
+
+function incidentAlert({ eventId, eventType, occurredAt, incident }, timestamp) {
+  const action = String(eventType || '').replace(/^incident\./, '');
+  const mapped = EVENTS[action] || { alert_type: 'info', alert_transition: action || 'Updated' };
+  const service = incident.service || {};
+  const serviceName = service.summary || service.name;
+  const priority = incident.priority && (incident.priority.summary || incident.priority.name);
+
+  const tags = [];
+  if (serviceName) tags.push(`service:${serviceName}`);
+  if (incident.urgency) tags.push(`urgency:${incident.urgency}`);
+
+  return compactAlert({
+    source: 'pagerduty',
+    timestamp,
+    id: eventId,
+    alert_id: incident.id,
+    alert_type: mapped.alert_type,
+    event_type: eventType,
+    alert_transition: mapped.alert_transition,
+    alert_status: incident.status,
+    priority: priority || (incident.urgency === 'high' ? 'high' : undefined),
+    title: incident.title || incident.summary || 'PagerDuty Incident',
+    message: incident.description || incident.summary || incident.title || '',
+    tags,
+    link: incident.html_url,
+    date: parseEpochSeconds(occurredAt || incident.created_at),
+    originalPayload: incident
+  });
+}
+
+module.exports = {
+  name: 'pagerduty',
+  description: 'PagerDuty incident webhooks (V3 event subscriptions and V2 messages[])',
+
+  normalize(body, timestamp) {
+    if (!body || typeof body !== 'object') {
+      return null;
+    }
+
+    // V3: { event: { id, event_type, occurred_at, data: <incident> } }
+    if (body.event && body.event.data) {
+      if (body.event.data.type && body.event.data.type !== 'incident') {
+        return [];
+      }
+      return [incidentAlert({
+        eventId: body.event.id,
+        eventType: body.event.event_type,
+        occurredAt: body.event.occurred_at,
+        incident: body.event.data
+      }, timestamp)];
+    }
+
+    // V2: { messages: [{ id, event, created_on, incident }] }
+    if (Array.isArray(body.messages)) {
+      return body.messages
+        .filter(message => message.incident)
+        .map(message => incidentAlert({
+          eventId: message.id,
+          eventType: message.event,
+          occurredAt: message.created_on,
+          incident: message.incident
+        }, timestamp));
+    }
+
+    return null;
+  }
+};
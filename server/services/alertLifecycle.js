@@ -0,0 +1,225 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const moment = require('moment');
+
+// Datadog's $ALERT_TRANSITION values (plus the prefixes used in text
+// notification titles) mapped onto lifecycle events
+const RECOVERY_TRANSITIONS = ['recovered', 'recovery', 'normalized', 'ok', 'resolved'];
+const RENOTIFY_TRANSITIONS = ['re-triggered', 're-warn', 're-no data', 'renotify', 're-notify'];
+
+// Title prefixes Datadog adds per notification, removed so that trigger and
+// recovery notifications of the same monitor share a key
+const TITLE_PREFIX = /^(\s*\[(triggered|re-triggered|recovered|recovery|warn|re-warn|no data|re-no data|p\d)[^\]]*\]\s*)+/i;
+
+function eventTime(alert) {
+  const date = Number(alert.date);
+  if (date) {
+    // Datadog sends $DATE in milliseconds; older payloads use seconds
+    return (date > 1e12 ? moment(date) : moment.unix(date)).toISOString();
+  }
+  return alert.timestamp || moment().toISOString();
+}
+
+class AlertLifecycles {
+  constructor(lifecyclesDir = path.join(__dirname, '../../data/lifecycles')) {
+    this.lifecyclesDir = lifecyclesDir;
+    // Lifecycles that have not recovered yet, keyed by monitor/scope key
+    this.openLifecycles = null;
+    this.loadingPromise = null;
+    // Last record() per key, so notifications for one key apply in turn
+    this.recording = new Map();
+  }
+
+  lifecyclePath(lifecycleId) {
+    return path.join(this.lifecyclesDir, `${lifecycleId}.json`);
+  }
+
+  async ensureLoaded() {
+    if (this.openLifecycles) return;
+
+    if (!this.loadingPromise) {
+      this.loadingPromise = this.load().finally(() => {
+        this.loadingPromise = null;
+      });
+    }
+    return this.loadingPromise;
+  }
+
+  async load() {
+    await fs.ensureDir(this.lifecyclesDir);
+    const openLifecycles = new Map();
+
+    for (const file of await fs.readdir(this.lifecyclesDir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const lifecycle = await fs.readJson(path.join(this.lifecyclesDir, file));
+        if (lifecycle.status !== 'recovered') {
+          openLifecycles.set(lifecycle.key, lifecycle);
+        }
+      } catch (error) {
+        console.warn(`Failed to read lifecycle ${file}:`, error.message);
+      }
+    }
+
+    this.openLifecycles = openLifecycles;
+  }
+
+  // Group notifications by monitor ID and scope; fall back to the title
+  // with its transition prefix removed when the payload has no monitor ID
+  identify(alert) {
+    const payload = alert.originalPayload || {};
+    const monitorId = alert.monitor_id || alert.alert_id || payload.alert_id || payload.monitor_id || '';
+    const scope = alert.scope || alert.alert_scope || payload.alert_scope || payload.scope || '';
+    const title = String(alert.title || '').replace(TITLE_PREFIX, '').trim().toLowerCase();
+
+    const keySource = monitorId ? `monitor:${monitorId}|${scope}` : `title:${title}|${scope}`;
+
+    return {
+      key: crypto.createHash('sha1').update(keySource).digest('hex'),
+      monitorId: monitorId ? String(monitorId) : null,
+      scope,
+      title
+    };
+  }
+
+  transition(alert) {
+    const payload = alert.originalPayload || {};
+    const transition = String(alert.alert_transition || payload.alert_transition || '').toLowerCase();
+    const title = String(alert.title || payload.title || '');
+
+    if (RECOVERY_TRANSITIONS.includes(transition) || alert.alert_type === 'recovery' || /^\s*\[(recovered|recovery)/i.test(title)) {
+      return 'recovered';
+    }
+    if (RENOTIFY_TRANSITIONS.includes(transition) || /^\s*\[re-/i.test(title)) {
+      return 'renotified';
+    }
+    return 'triggered';
+  }
+
+  async get(lifecycleId) {
+    const lifecyclePath = this.lifecyclePath(lifecycleId);
+    if (!(await fs.pathExists(lifecyclePath))) {
+      return null;
+    }
+    return fs.readJson(lifecyclePath);
+  }
+
+  async list({ status } = {}) {
+    await fs.ensureDir(this.lifecyclesDir);
+    const lifecycles = [];
+
+    for (const file of await fs.readdir(this.lifecyclesDir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const lifecycle = await fs.readJson(path.join(this.lifecyclesDir, file));
+        if (!status || lifecycle.status === status) {
+          lifecycles.push(lifecycle);
+        }
+      } catch (error) {
+        console.warn(`Failed to read lifecycle ${file}:`, error.message);
+      }
+    }
+
+    return lifecycles.sort((a, b) => new Date(b.triggeredAt || b.createdAt) - new Date(a.triggeredAt || a.createdAt));
+  }
+
+  async save(lifecycle) {
+    await fs.ensureDir(this.lifecyclesDir);
+    lifecycle.updatedAt = moment().toISOString();
+    await fs.writeJson(this.lifecyclePath(lifecycle.id), lifecycle, { spaces: 2 });
+
+    if (lifecycle.status === 'recovered') {
+      this.openLifecycles.delete(lifecycle.key);
+    } else {
+      this.openLifecycles.set(lifecycle.key, lifecycle);
+    }
+    return lifecycle;
+  }
+
+  // Attach a stored alert to its lifecycle, opening a new one for first
+  // triggers and closing the open one on recovery. Calls for the same key
+  // are serialized, so concurrent first triggers share one lifecycle.
+  // Returns { lifecycle, event }.
+  async record(alertData) {
+    await this.ensureLoaded();
+
+    const { key } = this.identify(alertData.originalPayload);
+    const previous = this.recording.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(() => this.apply(alertData));
+    this.recording.set(key, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.recording.get(key) === current) {
+        this.recording.delete(key);
+      }
+    }
+  }
+
+  async apply(alertData) {
+    const alert = alertData.originalPayload;
+    const identity = this.identify(alert);
+    const at = eventTime(alert);
+    let event = this.transition(alert);
+    let lifecycle = this.openLifecycles.get(identity.key);
+
+    if (lifecycle && event === 'triggered') {
+      // A second trigger for an open lifecycle is a re-notification
+      event = 'renotified';
+    }
+
+    if (!lifecycle) {
+      lifecycle = {
+        id: uuidv4(),
+        key: identity.key,
+        monitorId: identity.monitorId,
+        scope: identity.scope,
+        title: String(alert.title || '').replace(TITLE_PREFIX, '').trim() || 'Untitled Alert',
+        status: 'triggered',
+        triggeredAt: event === 'recovered' ? null : at,
+        recoveredAt: null,
+        durationSeconds: null,
+        notificationCount: 0,
+        alertIds: [],
+        events: [],
+        documentId: null,
+        templateId: null,
+        createdAt: moment().toISOString()
+      };
+    }
+
+    lifecycle.events.push({ type: event, alertId: alertData.id, at });
+    lifecycle.alertIds.push(alertData.id);
+    lifecycle.notificationCount++;
+
+    if (event === 'recovered') {
+      lifecycle.status = 'recovered';
+      lifecycle.recoveredAt = at;
+      if (lifecycle.triggeredAt) {
+        lifecycle.durationSeconds = Math.max(0, moment(at).diff(moment(lifecycle.triggeredAt), 'seconds'));
+      }
+    } else if (event === 'renotified') {
+      lifecycle.status = 'renotified';
+    }
+
+    await this.save(lifecycle);
+    return { lifecycle, event };
+  }
+
+  async attachDocument(lifecycleId, { documentId, templateId }) {
+    await this.ensureLoaded();
+
+    const lifecycle = await this.get(lifecycleId);
+    if (!lifecycle) return null;
+
+    lifecycle.documentId = documentId;
+    lifecycle.templateId = templateId;
+    return this.save(lifecycle);
+  }
+}
+
+module.exports = new AlertLifecycles();
+module.exports.AlertLifecycles = AlertLifecycles;
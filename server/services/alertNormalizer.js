@@ -0,0 +1,247 @@
+const moment = require('moment');
+const { parseDatadogText } = require('./datadogTextParser');
+
+/**
+ * Normalized alert model shared by every inbound endpoint and consumed by
+ * DocumentGenerator.prepareTemplateContext. Field names follow the Datadog
+ * webhook variables they come from.
+ *
+ * @typedef {Object} Alert
+ * @property {string} source             Origin of the alert, e.g. datadog_json or datadog_text
+ * @property {string} timestamp          ISO time the webhook was received
+ * @property {string} [id]               Event ID ($ID)
+ * @property {string} [alert_id]         Monitor ID ($ALERT_ID)
+ * @property {string} [alert_cycle_key]  ID shared by every notification of one alert cycle ($ALERT_CYCLE_KEY)
+ * @property {string} [aggreg_key]       Aggregation key ($AGGREG_KEY)
+ * @property {string} alert_type         error | warning | info | success | recovery, else the event type
+ * @property {string} [event_type]       Event type ($EVENT_TYPE), e.g. metric_alert_monitor
+ * @property {string} [alert_transition] Triggered, Recovered, Re-Triggered, Warn, No Data… ($ALERT_TRANSITION)
+ * @property {string} [alert_status]     Monitor status summary ($ALERT_STATUS)
+ * @property {string} [priority]         Raw priority ($ALERT_PRIORITY, e.g. P1, or $PRIORITY); when absent,
+ *                                       DocumentGenerator.determinePriority falls back to alert_type
+ * @property {string} title              Event title ($EVENT_TITLE / $ALERT_TITLE)
+ * @property {string} message            Event body ($EVENT_MSG)
+ * @property {string} [text_only_message] Body without markdown ($TEXT_ONLY_MSG)
+ * @property {string} [metric]           Metric name ($ALERT_METRIC)
+ * @property {number|string} [metric_value] Observed value, when the payload provides one
+ * @property {number|string} [threshold] Threshold, from the payload or parsed from the query
+ * @property {string} [comparator]       Comparison operator parsed from the query, e.g. >
+ * @property {string} [query]            Monitor query ($ALERT_QUERY)
+ * @property {string} [scope]            Group/scope that triggered ($ALERT_SCOPE)
+ * @property {string} [hostname]         Host ($HOSTNAME)
+ * @property {string[]} tags             Tags ($TAGS), always an array
+ * @property {string[]} [mentions]       @-handles notified by a plain-text notification
+ * @property {string} [link]             Event or monitor link ($LINK)
+ * @property {string} [snapshot]         Graph snapshot URL ($SNAPSHOT)
+ * @property {number} [date]             Event time in Unix seconds ($DATE)
+ * @property {number} [last_updated]     Last update in Unix seconds ($LAST_UPDATED)
+ * @property {{id: string, name: string}} [org] Organization ($ORG_ID, $ORG_NAME)
+ * @property {string} [org_id]
+ * @property {string} [org_name]
+ * @property {string} [user]             User who caused the event ($USER / $USERNAME)
+ * @property {string} [email]            Email of that user ($EMAIL)
+ * @property {string} [logs_sample]      Log sample for log monitors ($LOGS_SAMPLE)
+ * @property {Object} [originalPayload]  The untouched inbound payload
+ */
+
+// Keys a field may arrive under. Webhook payloads are user-defined in
+// Datadog, so accept the conventional lowercase names, the bare variable
+// names and a few common aliases.
+const FIELD_SOURCES = {
+  id: ['id', 'ID', 'event_id'],
+  alert_id: ['alert_id', 'ALERT_ID', 'monitor_id', 'monitorId'],
+  alert_cycle_key: ['alert_cycle_key', 'ALERT_CYCLE_KEY'],
+  aggreg_key: ['aggreg_key', 'AGGREG_KEY', 'aggregation_key'],
+  event_type: ['event_type', 'EVENT_TYPE'],
+  alert_type: ['alert_type', 'ALERT_TYPE'],
+  alert_transition: ['alert_transition', 'ALERT_TRANSITION', 'transition'],
+  alert_status: ['alert_status', 'ALERT_STATUS'],
+  priority: ['alert_priority', 'ALERT_PRIORITY', 'priority', 'PRIORITY'],
+  title: ['title', 'event_title', 'EVENT_TITLE', 'alert_title', 'ALERT_TITLE'],
+  message: ['body', 'message', 'event_msg', 'EVENT_MSG', 'text'],
+  text_only_message: ['text_only_msg', 'TEXT_ONLY_MSG', 'text_only_message'],
+  metric: ['alert_metric', 'ALERT_METRIC', 'metric', 'metric_name'],
+  metric_value: ['metric_value', 'value', 'alert_value'],
+  threshold: ['threshold', 'alert_threshold'],
+  query: ['alert_query', 'ALERT_QUERY', 'query'],
+  scope: ['alert_scope', 'ALERT_SCOPE', 'scope'],
+  hostname: ['hostname', 'HOSTNAME', 'host'],
+  tags: ['tags', 'TAGS'],
+  link: ['link', 'LINK', 'url', 'alert_url'],
+  snapshot: ['snapshot', 'SNAPSHOT', 'snapshot_url'],
+  date: ['date', 'DATE'],
+  last_updated: ['last_updated', 'LAST_UPDATED'],
+  org_id: ['org_id', 'ORG_ID'],
+  org_name: ['org_name', 'ORG_NAME'],
+  user: ['user', 'USER', 'username', 'USERNAME'],
+  email: ['email', 'EMAIL'],
+  logs_sample: ['logs_sample', 'LOGS_SAMPLE']
+};
+
+const ALERT_TYPES = ['error', 'warning', 'info', 'success', 'recovery'];
+
+function pick(payload, field) {
+  for (const key of FIELD_SOURCES[field]) {
+    const value = payload[key];
+    // Datadog leaves unset variables empty or as the literal "$VARIABLE"
+    if (value !== undefined && value !== null && value !== '' && !/^\$[A-Z_]+$/.test(String(value))) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+function parseTags(tags) {
+  if (Array.isArray(tags)) {
+    return tags.map(tag => String(tag).trim()).filter(Boolean);
+  }
+  if (typeof tags === 'string') {
+    return tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+  return [];
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : value;
+}
+
+// Datadog sends $DATE and $LAST_UPDATED as epoch milliseconds
+function parseEpochSeconds(value) {
+  if (value === undefined) return undefined;
+
+  const number = Number(value);
+  if (Number.isFinite(number)) {
+    return number > 1e12 ? Math.floor(number / 1000) : number;
+  }
+
+  const date = moment(value, moment.ISO_8601, true);
+  return date.isValid() ? date.unix() : undefined;
+}
+
+// Pull "<comparator> <threshold>" off the end of a monitor query such as
+// avg(last_5m):avg:system.cpu.user{host:web-01} > 90
+function parseQueryThreshold(query) {
+  if (typeof query !== 'string') return {};
+
+  const match = query.match(/(>=|<=|==|!=|>|<)\s*(-?\d+(?:\.\d+)?)\s*$/);
+  if (!match) return {};
+
+  return { comparator: match[1], threshold: Number(match[2]) };
+}
+
+// Drop fields the payload did not provide so stored alerts stay readable
+function compactAlert(alert) {
+  for (const key of Object.keys(alert)) {
+    if (alert[key] === undefined) {
+      delete alert[key];
+    }
+  }
+  return alert;
+}
+
+function normalizeAlertType(payload) {
+  const alertType = pick(payload, 'alert_type');
+  if (alertType && ALERT_TYPES.includes(String(alertType).toLowerCase())) {
+    return String(alertType).toLowerCase();
+  }
+  return alertType || pick(payload, 'event_type') || 'info';
+}
+
+function normalizeJsonPayload(payload, timestamp) {
+  const org = payload.org && typeof payload.org === 'object' ? payload.org : {};
+  const orgId = pick(payload, 'org_id') || org.id;
+  const orgName = pick(payload, 'org_name') || org.name;
+  const query = pick(payload, 'query');
+  const parsedQuery = parseQueryThreshold(query);
+  const threshold = pick(payload, 'threshold');
+
+  const alert = {
+    source: 'datadog_json',
+    timestamp,
+    id: pick(payload, 'id'),
+    alert_id: pick(payload, 'alert_id'),
+    alert_cycle_key: pick(payload, 'alert_cycle_key'),
+    aggreg_key: pick(payload, 'aggreg_key'),
+    alert_type: normalizeAlertType(payload),
+    event_type: pick(payload, 'event_type'),
+    alert_transition: pick(payload, 'alert_transition'),
+    alert_status: pick(payload, 'alert_status'),
+    priority: pick(payload, 'priority'),
+    title: pick(payload, 'title') || 'Datadog Alert',
+    message: pick(payload, 'message') || JSON.stringify(payload),
+    text_only_message: pick(payload, 'text_only_message'),
+    metric: pick(payload, 'metric'),
+    metric_value: parseNumber(pick(payload, 'metric_value')),
+    threshold: threshold !== undefined ? parseNumber(threshold) : parsedQuery.threshold,
+    comparator: parsedQuery.comparator,
+    query,
+    scope: pick(payload, 'scope'),
+    hostname: pick(payload, 'hostname'),
+    tags: parseTags(pick(payload, 'tags')),
+    link: pick(payload, 'link'),
+    snapshot: pick(payload, 'snapshot'),
+    date: parseEpochSeconds(pick(payload, 'date')),
+    last_updated: parseEpochSeconds(pick(payload, 'last_updated')),
+    org: orgId || orgName ? { id: orgId || '', name: orgName || '' } : undefined,
+    org_id: orgId,
+    org_name: orgName,
+    user: pick(payload, 'user'),
+    email: pick(payload, 'email'),
+    logs_sample: pick(payload, 'logs_sample'),
+    originalPayload: payload
+  };
+
+  compactAlert(alert);
+
+  // Fall back to a host: tag when no hostname variable was sent
+  if (!alert.hostname) {
+    const hostTag = alert.tags.find(tag => tag.startsWith('host:'));
+    if (hostTag) alert.hostname = hostTag.slice('host:'.length);
+  }
+
+  return alert;
+}
+
+function normalizeTextPayload(textPayload, timestamp) {
+  const parsed = parseDatadogText(textPayload);
+
+  return compactAlert({
+    source: 'datadog_text',
+    timestamp,
+    ...parsed,
+    alert_type: parsed.alert_type || 'info',
+    title: parsed.title || 'Datadog Alert',
+    message: textPayload
+  });
+}
+
+// A JSON body that sets none of the known variables is not a Datadog webhook
+function hasDatadogFields(payload) {
+  return Object.keys(FIELD_SOURCES).some(field => pick(payload, field) !== undefined);
+}
+
+// Convert an inbound Datadog webhook body (JSON object or plain-text
+// notification) into the normalized alert model.
+// Returns null when the body is empty or cannot be interpreted.
+function normalizeDatadogPayload(body, timestamp = moment().toISOString()) {
+  if (typeof body === 'string') {
+    return body.trim() ? normalizeTextPayload(body, timestamp) : null;
+  }
+
+  if (body && typeof body === 'object' && !Array.isArray(body) && hasDatadogFields(body)) {
+    return normalizeJsonPayload(body, timestamp);
+  }
+
+  return null;
+}
+
+module.exports = {
+  normalizeDatadogPayload,
+  compactAlert,
+  parseTags,
+  parseNumber,
+  parseEpochSeconds,
+  parseQueryThreshold
+};
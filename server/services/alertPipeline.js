@@ -0,0 +1,421 @@
+const { v4: uuidv4 } = require('uuid');
+const moment = require('moment');
+const DocumentGenerator = require('./documentGenerator');
+const RoutingRules = require('./routingRules');
+const CustomSources = require('./customSources');
+const { getAdapter } = require('./adapters');
+const { normalizeDatadogPayload } = require('./alertNormalizer');
+const alertRepository = require('./alertRepository');
+const alertLifecycles = require('./alertLifecycle');
+const incidents = require('./incidents');
+const deduplicator = require('./deduplicator');
+
+// Takes a normalized alert from any inbound endpoint through deduplication,
+// storage, lifecycle correlation, incident grouping and automatic routing.
+class AlertPipeline {
+  constructor() {
+    this.documentGenerator = new DocumentGenerator();
+    this.routingRules = new RoutingRules();
+    this.customSources = new CustomSources();
+    // Recovery, re-notification and new incident members update the existing
+    // lifecycle or incident document instead of waiting for a new one;
+    // set LIFECYCLE_UPDATE_DOCUMENTS=false to opt out
+    this.updateLifecycleDocuments = process.env.LIFECYCLE_UPDATE_DOCUMENTS !== 'false';
+  }
+
+  // `options.raw` archives the inbound payload the alert came from so it can
+  // be replayed later: { adapter | customSourceId, payload, index }.
+  // Returns { status, alertId, ... } where status is one of
+  // duplicate | updated | routed | queued
+  async ingest(alert, options = {}) {
+    const timestamp = alert.timestamp || moment().toISOString();
+
+    // Ensure we have at least a basic alert structure
+    if (!alert.title && !alert.message) {
+      alert.title = 'Datadog Alert';
+    }
+
+    const alertId = uuidv4();
+
+    // Check if we already have this alert (deduplication). Survives restarts
+    // and applies whether or not the first occurrence was already processed.
+    const dedup = await deduplicator.register(alert, alertId);
+    if (dedup.duplicate) {
+      console.log(`🔄 Duplicate alert suppressed (fingerprint: ${dedup.fingerprint}), surviving alert ID: ${dedup.survivorId}`);
+      const survivor = await alertRepository.recordOccurrence(dedup.survivorId);
+      return {
+        status: 'duplicate',
+        alertId: dedup.survivorId,
+        alertHash: dedup.fingerprint,
+        occurrences: dedup.occurrences,
+        documentId: (survivor && survivor.documentId) || null
+      };
+    }
+    const alertHash = dedup.fingerprint;
+
+    // Store the alert data
+    const alertData = {
+      id: alertId,
+      timestamp,
+      alertHash,
+      originalPayload: alert,
+      status: 'pending_template_selection',
+      processedAt: null,
+      documentId: null,
+      occurrences: 1,
+      lastOccurrenceAt: timestamp,
+      raw: options.raw || null,
+      lifecycleId: null,
+      lifecycleEvent: null,
+      incidentId: null
+    };
+
+    // Save alert to file system and index it for quick access. This comes
+    // before correlation, so a failed write leaves no lifecycle or incident
+    // pointing at an alert that was never stored.
+    try {
+      await alertRepository.save(alertData);
+    } catch (error) {
+      await deduplicator.release(alertHash, alertId);
+      throw error;
+    }
+
+    // Correlate with earlier notifications for the same monitor/scope
+    const { lifecycle, event } = await alertLifecycles.record(alertData);
+    alertData.lifecycleId = lifecycle.id;
+    alertData.lifecycleEvent = event;
+
+    // Group with related alerts, e.g. from the same service during an outage
+    const incident = await incidents.record(alertData, lifecycle, event);
+    alertData.incidentId = incident ? incident.id : null;
+
+    await alertRepository.save(alertData);
+
+    const incidentUpdate = await this.updateIncidentDocument(alertData, incident);
+    if (incidentUpdate) {
+      console.log(`✅ Alert ${alertId} stored and applied to incident document ${incidentUpdate.documentId}`);
+      return { status: 'updated', alertId, alertHash, lifecycle, event, incident, ...incidentUpdate };
+    }
+
+    const updated = await this.updateLifecycleDocument(alertData, lifecycle, event);
+    if (updated) {
+      console.log(`✅ Alert ${alertId} stored and applied to lifecycle document ${updated.documentId} (${event})`);
+      return { status: 'updated', alertId, alertHash, lifecycle, event, ...updated };
+    }
+
+    const routed = await this.autoRoute(alertData, lifecycle);
+    if (routed) {
+      console.log(`✅ Alert ${alertId} stored and documented automatically (hash: ${alertHash})`);
+      return { status: 'routed', alertId, alertHash, lifecycle, event, incident, routed };
+    }
+
+    console.log(`✅ Alert ${alertId} stored and awaiting template selection (hash: ${alertHash})`);
+    return { status: 'queued', alertId, alertHash, lifecycle, event, incident };
+  }
+
+  // Ingest several alerts one after another (so dedup sees earlier items)
+  // and report on each. Entries that are null or { error } could not be
+  // normalized and are reported as invalid. `raws[i]` is archived with alerts[i].
+  // Returns { summary: { <status>: count }, results: [{ index, status, ... }] }
+  async ingestBatch(alerts, raws = []) {
+    const results = [];
+
+    for (const [index, alert] of alerts.entries()) {
+      if (!alert || alert.error) {
+        results.push({ index, status: 'invalid', error: (alert && alert.error) || 'Payload could not be normalized' });
+        continue;
+      }
+
+      try {
+        const result = await this.ingest(alert, { raw: raws[index] });
+        results.push({
+          index,
+          status: result.status,
+          alertId: result.alertId,
+          lifecycleId: result.lifecycle ? result.lifecycle.id : undefined,
+          incidentId: result.incident ? result.incident.id : undefined,
+          documentId: result.documentId || (result.routed && result.routed.documentId) || undefined,
+          occurrences: result.occurrences
+        });
+      } catch (error) {
+        console.error(`❌ Batch item ${index} failed:`, error.message);
+        results.push({ index, status: 'error', error: error.message });
+      }
+    }
+
+    const summary = { total: results.length };
+    for (const result of results) {
+      summary[result.status] = (summary[result.status] || 0) + 1;
+    }
+
+    return { summary, results };
+  }
+
+  // When the alert's incident already has a document, re-render it with the
+  // new member. Returns null when the alert still needs its own document.
+  async updateIncidentDocument(alertData, incident) {
+    if (!this.updateLifecycleDocuments || !incident || !incident.documentId) {
+      return null;
+    }
+
+    try {
+      const incidentAlerts = await this.incidentAlerts(incident);
+      const document = await this.documentGenerator.updateDocumentForAlert(incident.documentId, incidentAlerts[0], {
+        incident,
+        incidentAlerts,
+        reason: 'incident_alert'
+      });
+
+      await alertRepository.markProcessed(alertData.id, {
+        documentId: document.id,
+        templateId: document.templateId
+      });
+
+      return { documentId: document.id, templateId: document.templateId };
+    } catch (error) {
+      console.error(`❌ Failed to update incident document for alert ${alertData.id}:`, error.message);
+      return null;
+    }
+  }
+
+  // Normalized alerts of an incident's members, oldest first
+  async incidentAlerts(incident) {
+    const alerts = [];
+    for (const alertId of incident.alertIds) {
+      const alertData = await alertRepository.get(alertId);
+      if (alertData) alerts.push(alertData.originalPayload);
+    }
+    return alerts;
+  }
+
+  // Render one document for a whole incident. The first member alert fills
+  // the usual alert sections; every member is in incident.alerts. Members
+  // still pending are marked processed with the incident document.
+  async documentIncident(incident, templateId) {
+    const incidentAlerts = await this.incidentAlerts(incident);
+    if (incidentAlerts.length === 0) {
+      throw new Error(`Incident ${incident.id} has no stored alerts`);
+    }
+
+    const document = await this.documentGenerator.generateDocument(incidentAlerts[0], templateId, {
+      incident,
+      incidentAlerts,
+      replayOf: incident.documentId || null
+    });
+
+    if (incident.documentId) {
+      await this.documentGenerator.markSuperseded(incident.documentId, document.id);
+    }
+    await incidents.attachDocument(incident.id, { documentId: document.id, templateId });
+
+    for (const alertId of incident.alertIds) {
+      if (await alertRepository.getPending(alertId)) {
+        await alertRepository.markProcessed(alertId, { documentId: document.id, templateId });
+      }
+    }
+
+    return document;
+  }
+
+  // When a lifecycle already has a document, fold follow-up notifications
+  // into it. Returns null when the alert still needs its own document.
+  async updateLifecycleDocument(alertData, lifecycle, event) {
+    if (!this.updateLifecycleDocuments || event === 'triggered' || !lifecycle.documentId) {
+      return null;
+    }
+
+    try {
+      const document = await this.documentGenerator.updateDocumentForAlert(lifecycle.documentId, alertData.originalPayload, {
+        lifecycle,
+        reason: event
+      });
+
+      await alertRepository.markProcessed(alertData.id, {
+        documentId: document.id,
+        templateId: document.templateId
+      });
+
+      return { documentId: document.id, templateId: document.templateId };
+    } catch (error) {
+      // Leave the alert pending so it can still be documented by hand
+      console.error(`❌ Failed to update lifecycle document for alert ${alertData.id}:`, error.message);
+      return null;
+    }
+  }
+
+  // Generate a document straight away when a routing rule matches the alert.
+  // Returns null when the alert should stay in the manual queue.
+  async autoRoute(alertData, lifecycle) {
+    try {
+      const { rule } = await this.routingRules.match(alertData.originalPayload);
+      if (!rule) {
+        return null;
+      }
+
+      console.log(`🧭 Alert ${alertData.id} matched routing rule "${rule.name}", using template ${rule.templateId}`);
+
+      const document = await this.documentGenerator.generateDocument(alertData.originalPayload, rule.templateId, {
+        lifecycle,
+        timezone: rule.timezone,
+        locale: rule.locale
+      });
+
+      await alertRepository.markProcessed(alertData.id, {
+        documentId: document.id,
+        templateId: rule.templateId,
+        routingRuleId: rule.id
+      });
+      await this.routingRules.recordMatch(rule.id);
+      await this.linkLifecycleDocument(lifecycle, document);
+
+      return {
+        ruleId: rule.id,
+        ruleName: rule.name,
+        templateId: rule.templateId,
+        documentId: document.id
+      };
+    } catch (error) {
+      // Fall back to manual template selection rather than losing the alert
+      console.error(`❌ Automatic routing failed for alert ${alertData.id}:`, error.message);
+      return null;
+    }
+  }
+
+  // Generate documentation for a pending alert with a hand-picked template.
+  // `timezone` and `locale` override the template's.
+  async process(alertData, templateId, { timezone, locale } = {}) {
+    const lifecycle = alertData.lifecycleId ? await alertLifecycles.get(alertData.lifecycleId) : null;
+
+    const document = await this.documentGenerator.generateDocument(alertData.originalPayload, templateId, { lifecycle, timezone, locale });
+
+    // Update alert status; this also removes it from the pending index
+    await alertRepository.markProcessed(alertData.id, {
+      documentId: document.id,
+      templateId
+    });
+    await this.linkLifecycleDocument(lifecycle, document);
+
+    return document;
+  }
+
+  // Normalize a stored alert again from its archived raw payload, so fixes to
+  // adapters and mappings apply. Alerts stored before the archive existed
+  // fall back to their Datadog payload, or to the stored model as-is.
+  async renormalize(alertData) {
+    const stored = alertData.originalPayload || {};
+    const raw = alertData.raw;
+    const timestamp = stored.timestamp || alertData.timestamp;
+    let alerts = null;
+
+    if (raw && raw.customSourceId) {
+      const source = await this.customSources.get(raw.customSourceId);
+      alerts = source ? this.customSources.toAlerts(source, raw.payload, timestamp) : null;
+    } else if (raw && raw.adapter) {
+      const adapter = getAdapter(raw.adapter);
+      alerts = adapter ? adapter.normalize(raw.payload, timestamp) : null;
+    } else if (String(stored.source || '').startsWith('datadog')) {
+      const payload = stored.source === 'datadog_text' ? stored.message : stored.originalPayload;
+      const alert = payload ? normalizeDatadogPayload(payload, timestamp) : null;
+      alerts = alert ? [alert] : null;
+    }
+
+    const alert = alerts && alerts[(raw && raw.index) || 0];
+    if (!alert) {
+      return stored;
+    }
+
+    // Keep a source set at ingest time, e.g. datadog_import
+    if (stored.source) alert.source = stored.source;
+    return alert;
+  }
+
+  // Re-run normalization, routing and document generation for a stored
+  // alert, whatever its status. The template is, in order: the one given,
+  // the matching routing rule's, or the one used last time. The new
+  // document records the one it replaces. `timezone` and `locale` override
+  // those of the rule and template, e.g. to get a copy in UTC.
+  // Returns { alertData, document, previousDocumentId, templateId, routingRuleId }
+  async replay(alertData, { templateId, timezone, locale } = {}) {
+    const alert = await this.renormalize(alertData);
+
+    let routingRuleId = null;
+    let chosenTemplateId = templateId;
+    let ruleLocale = {};
+    if (!chosenTemplateId) {
+      const { rule } = await this.routingRules.match(alert);
+      if (rule) {
+        chosenTemplateId = rule.templateId;
+        routingRuleId = rule.id;
+        ruleLocale = { timezone: rule.timezone, locale: rule.locale };
+      }
+    }
+    chosenTemplateId = chosenTemplateId || alertData.templateId;
+
+    if (!chosenTemplateId) {
+      const error = new Error('No template given, no routing rule matches and the alert was never documented');
+      error.code = 'NO_TEMPLATE';
+      throw error;
+    }
+
+    const lifecycle = alertData.lifecycleId ? await alertLifecycles.get(alertData.lifecycleId) : null;
+    const previousDocumentId = alertData.documentId || null;
+
+    const document = await this.documentGenerator.generateDocument(alert, chosenTemplateId, {
+      lifecycle,
+      replayOf: previousDocumentId,
+      timezone: timezone || ruleLocale.timezone,
+      locale: locale || ruleLocale.locale
+    });
+
+    if (previousDocumentId) {
+      await this.documentGenerator.markSuperseded(previousDocumentId, document.id);
+    }
+
+    // Later notifications should update the replacement, not the old document
+    if (lifecycle && (!lifecycle.documentId || lifecycle.documentId === previousDocumentId)) {
+      await alertLifecycles.attachDocument(lifecycle.id, {
+        documentId: document.id,
+        templateId: chosenTemplateId
+      });
+    }
+
+    alertData.originalPayload = alert;
+    alertData.replays = alertData.replays || [];
+    alertData.replays.push({
+      at: moment().toISOString(),
+      documentId: document.id,
+      previousDocumentId,
+      templateId: chosenTemplateId
+    });
+    await alertRepository.save(alertData);
+
+    const updated = await alertRepository.markProcessed(alertData.id, {
+      documentId: document.id,
+      templateId: chosenTemplateId,
+      routingRuleId
+    });
+
+    console.log(`🔁 Alert ${alertData.id} replayed into document ${document.id} (template ${chosenTemplateId})`);
+
+    return {
+      alertData: updated,
+      document,
+      previousDocumentId,
+      templateId: chosenTemplateId,
+      routingRuleId
+    };
+  }
+
+  // The first document produced for a lifecycle becomes the one that later
+  // notifications update
+  async linkLifecycleDocument(lifecycle, document) {
+    if (lifecycle && !lifecycle.documentId) {
+      await alertLifecycles.attachDocument(lifecycle.id, {
+        documentId: document.id,
+        templateId: document.templateId
+      });
+    }
+  }
+}
+
+module.exports = AlertPipeline;
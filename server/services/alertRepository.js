@@ -0,0 +1,296 @@
+const fs = require('fs-extra');
+const path = require('path');
+const moment = require('moment');
+const DocumentGenerator = require('./documentGenerator');
+const { parseTags, parseEpochSeconds } = require('./alertNormalizer');
+
+const PENDING_STATUS = 'pending_template_selection';
+
+// Sort keys accepted by query(); prefix with "-" for descending
+const SORT_FIELDS = ['timestamp', 'date', 'title', 'priority', 'occurrences'];
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+class AlertRepository {
+  constructor(alertsDir = path.join(__dirname, '../../data/alerts')) {
+    this.alertsDir = alertsDir;
+    // In-memory index of alerts still awaiting template selection
+    this.pendingAlerts = new Map();
+    // Summary of every stored alert, so history queries never touch the files
+    this.alertIndex = new Map();
+    this.documentGenerator = new DocumentGenerator();
+    this.loaded = false;
+    this.loadingPromise = null;
+  }
+
+  alertPath(alertId) {
+    return path.join(this.alertsDir, `${alertId}.json`);
+  }
+
+  // Rebuild the pending index from the alert files on disk. Safe to call
+  // more than once; concurrent callers share the same load.
+  async load() {
+    if (!this.loadingPromise) {
+      this.loadingPromise = this.rehydrate().finally(() => {
+        this.loadingPromise = null;
+      });
+    }
+    return this.loadingPromise;
+  }
+
+  async rehydrate() {
+    await fs.ensureDir(this.alertsDir);
+
+    const alertFiles = await fs.readdir(this.alertsDir);
+    const pendingAlerts = new Map();
+    const alertIndex = new Map();
+
+    for (const file of alertFiles) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        const alertData = await fs.readJson(path.join(this.alertsDir, file));
+        if (!alertData || !alertData.id) continue;
+
+        alertIndex.set(alertData.id, this.summarize(alertData));
+        if (alertData.status === PENDING_STATUS) {
+          pendingAlerts.set(alertData.id, alertData);
+        }
+      } catch (error) {
+        console.warn(`Failed to read alert ${file}:`, error.message);
+      }
+    }
+
+    this.pendingAlerts = pendingAlerts;
+    this.alertIndex = alertIndex;
+    this.loaded = true;
+
+    if (alertIndex.size > 0) {
+      console.log(`📥 Rehydrated ${pendingAlerts.size} pending alert(s) and indexed ${alertIndex.size} alert(s) from ${this.alertsDir}`);
+    }
+    return pendingAlerts.size;
+  }
+
+  async ensureLoaded() {
+    if (!this.loaded) {
+      await this.load();
+    }
+  }
+
+  async listPending() {
+    await this.ensureLoaded();
+
+    return Array.from(this.pendingAlerts.values())
+      .filter(alert => alert.status === PENDING_STATUS)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  async findPending(predicate) {
+    await this.ensureLoaded();
+    return Array.from(this.pendingAlerts.values()).find(predicate) || null;
+  }
+
+  // Look up an alert by ID, preferring the in-memory index but always
+  // falling back to disk so alerts written by another process are found.
+  async get(alertId) {
+    await this.ensureLoaded();
+
+    if (this.pendingAlerts.has(alertId)) {
+      return this.pendingAlerts.get(alertId);
+    }
+
+    const alertPath = this.alertPath(alertId);
+    if (!(await fs.pathExists(alertPath))) {
+      return null;
+    }
+
+    const alertData = await fs.readJson(alertPath);
+    this.index(alertData);
+    return alertData;
+  }
+
+  async getPending(alertId) {
+    const alertData = await this.get(alertId);
+    if (!alertData || alertData.status !== PENDING_STATUS) {
+      return null;
+    }
+    return alertData;
+  }
+
+  // Persist an alert and keep the in-memory index in step with the file.
+  // The file is written first so a crash never leaves a memory-only alert.
+  async save(alertData) {
+    await this.ensureLoaded();
+    await fs.ensureDir(this.alertsDir);
+    await fs.writeJson(this.alertPath(alertData.id), alertData, { spaces: 2 });
+    this.index(alertData);
+    return alertData;
+  }
+
+  async markProcessed(alertId, { documentId, templateId, routingRuleId = null }) {
+    const alertData = await this.get(alertId);
+    if (!alertData) {
+      throw new Error(`Alert with ID ${alertId} not found`);
+    }
+
+    alertData.status = 'processed';
+    alertData.processedAt = moment().toISOString();
+    alertData.documentId = documentId;
+    alertData.templateId = templateId;
+    alertData.routingRuleId = routingRuleId;
+
+    return this.save(alertData);
+  }
+
+  // Count a suppressed duplicate against the alert that survived dedup
+  async recordOccurrence(alertId) {
+    const alertData = await this.get(alertId);
+    if (!alertData) {
+      return null;
+    }
+
+    alertData.occurrences = (alertData.occurrences || 1) + 1;
+    alertData.lastOccurrenceAt = moment().toISOString();
+
+    return this.save(alertData);
+  }
+
+  // Filter the alert index. Filters: status, source, alertType, priority
+  // (high | medium | low), tags (all required), since, until, monitorId,
+  // templateId, incidentId and q (title substring). Returns summaries, unsorted.
+  async search(filters = {}) {
+    await this.ensureLoaded();
+
+    const toList = value => (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean);
+
+    const statuses = filters.status ? toList(filters.status) : null;
+    const sources = filters.source ? toList(filters.source) : null;
+    const alertTypes = filters.alertType ? toList(filters.alertType) : null;
+    const priorities = filters.priority ? toList(filters.priority) : null;
+    const tags = filters.tags ? toList(filters.tags) : null;
+    const since = filters.since ? moment(filters.since) : null;
+    const until = filters.until ? moment(filters.until) : null;
+    const text = filters.q ? String(filters.q).toLowerCase() : null;
+
+    return Array.from(this.alertIndex.values()).filter(summary => {
+      if (statuses && !statuses.includes(summary.status)) return false;
+      if (sources && !sources.includes(summary.source)) return false;
+      if (alertTypes && !alertTypes.includes(summary.alertType)) return false;
+      if (priorities && !priorities.includes(summary.priority)) return false;
+      if (tags && !tags.every(tag => summary.tags.includes(tag))) return false;
+      if (since && moment(summary.timestamp).isBefore(since)) return false;
+      if (until && moment(summary.timestamp).isAfter(until)) return false;
+      if (filters.monitorId && summary.monitorId !== String(filters.monitorId)) return false;
+      if (filters.templateId && summary.templateId !== filters.templateId) return false;
+      if (filters.incidentId && summary.incidentId !== filters.incidentId) return false;
+      if (text && !summary.title.toLowerCase().includes(text)) return false;
+      return true;
+    });
+  }
+
+  // One page of alert summaries. `sort` is one of SORT_FIELDS, "-" prefixed
+  // for descending (default -timestamp). The cursor carries the sort value
+  // and ID of the last item, so pages stay stable while new alerts arrive.
+  // Returns { alerts, total, nextCursor }.
+  async query({ sort = '-timestamp', limit = 50, cursor, ...filters } = {}) {
+    const descending = sort.startsWith('-');
+    const field = descending ? sort.slice(1) : sort;
+    if (!SORT_FIELDS.includes(field)) {
+      const error = new Error(`Unsupported sort "${sort}". Use one of: ${SORT_FIELDS.join(', ')}`);
+      error.validationErrors = [error.message];
+      throw error;
+    }
+
+    const sortValue = summary => {
+      if (field === 'priority') return PRIORITY_RANK[summary.priority] || 0;
+      if (field === 'timestamp' || field === 'date') return new Date(summary[field] || 0).getTime();
+      return summary[field] === undefined || summary[field] === null ? '' : summary[field];
+    };
+    const compare = (a, b) => {
+      const valueA = a.value;
+      const valueB = b.value;
+      const byValue = valueA < valueB ? -1 : (valueA > valueB ? 1 : 0);
+      const result = byValue || (a.id < b.id ? -1 : (a.id > b.id ? 1 : 0));
+      return descending ? -result : result;
+    };
+
+    const matches = (await this.search(filters))
+      .map(summary => ({ summary, id: summary.id, value: sortValue(summary) }))
+      .sort(compare);
+
+    let start = 0;
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (!position || position.sort !== sort) {
+        const error = new Error('Invalid cursor for this sort order');
+        error.validationErrors = [error.message];
+        throw error;
+      }
+      start = matches.findIndex(entry => compare(entry, position) > 0);
+      if (start === -1) start = matches.length;
+    }
+
+    const page = matches.slice(start, start + limit);
+    const last = page[page.length - 1];
+    const hasMore = start + limit < matches.length;
+
+    return {
+      alerts: page.map(entry => entry.summary),
+      total: matches.length,
+      nextCursor: hasMore && last ? encodeCursor({ sort, value: last.value, id: last.id }) : null
+    };
+  }
+
+  summarize(alertData) {
+    const alert = alertData.originalPayload || {};
+    const date = parseEpochSeconds(alert.date);
+
+    return {
+      id: alertData.id,
+      timestamp: alertData.timestamp,
+      date: date ? moment.unix(date).toISOString() : alertData.timestamp,
+      status: alertData.status,
+      source: alert.source || 'unknown',
+      alertType: alert.alert_type || 'unknown',
+      priority: this.documentGenerator.determinePriority(alert),
+      title: alert.title || 'Untitled Alert',
+      tags: parseTags(alert.tags),
+      monitorId: alert.alert_id ? String(alert.alert_id) : null,
+      lifecycleId: alertData.lifecycleId || null,
+      incidentId: alertData.incidentId || null,
+      documentId: alertData.documentId || null,
+      templateId: alertData.templateId || null,
+      occurrences: alertData.occurrences || 1,
+      processedAt: alertData.processedAt || null
+    };
+  }
+
+  index(alertData) {
+    this.alertIndex.set(alertData.id, this.summarize(alertData));
+
+    if (alertData.status === PENDING_STATUS) {
+      this.pendingAlerts.set(alertData.id, alertData);
+    } else {
+      this.pendingAlerts.delete(alertData.id);
+    }
+  }
+}
+
+AlertRepository.PENDING_STATUS = PENDING_STATUS;
+AlertRepository.SORT_FIELDS = SORT_FIELDS;
+
+module.exports = new AlertRepository();
+module.exports.AlertRepository = AlertRepository;
@@ -0,0 +1,341 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const moment = require('moment');
+const { compactAlert, parseTags, parseNumber, parseEpochSeconds } = require('./alertNormalizer');
+
+// Alert fields a custom source may map (see the Alert typedef in alertNormalizer.js)
+const MAPPABLE_FIELDS = [
+  'title', 'message', 'alert_type', 'alert_transition', 'priority', 'tags',
+  'hostname', 'scope', 'link', 'snapshot', 'date', 'id', 'alert_id',
+  'aggreg_key', 'metric', 'metric_value', 'threshold', 'user'
+];
+
+const WILDCARD = Symbol('wildcard');
+
+// Parse a JSONPath-style expression: $.a.b, $.items[0].name, $['odd key'],
+// $.items[*].name and $.labels.* are supported.
+function parsePath(expression) {
+  if (typeof expression !== 'string' || !expression.startsWith('$')) {
+    throw new Error(`Path "${expression}" must start with $`);
+  }
+
+  const tokens = [];
+  const pattern = /\.([^.[\]]+)|\[(\d+)\]|\[\*\]|\[(['"])(.*?)\3\]/y;
+  let index = 1;
+
+  while (index < expression.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(expression);
+    if (!match) {
+      throw new Error(`Invalid path "${expression}" at position ${index}`);
+    }
+
+    if (match[1] !== undefined) {
+      tokens.push(match[1] === '*' ? WILDCARD : match[1]);
+    } else if (match[2] !== undefined) {
+      tokens.push(Number(match[2]));
+    } else if (match[4] !== undefined) {
+      tokens.push(match[4]);
+    } else {
+      tokens.push(WILDCARD);
+    }
+    index = pattern.lastIndex;
+  }
+
+  return tokens;
+}
+
+// Returns the value at the path, or an array of values when it contains a wildcard
+function evaluatePath(data, expression) {
+  let values = [data];
+  let multiple = false;
+
+  for (const token of parsePath(expression)) {
+    const next = [];
+    for (const value of values) {
+      if (value === null || typeof value !== 'object') continue;
+
+      if (token === WILDCARD) {
+        multiple = true;
+        next.push(...(Array.isArray(value) ? value : Object.values(value)));
+      } else if (value[token] !== undefined) {
+        next.push(value[token]);
+      }
+    }
+    values = next;
+  }
+
+  return multiple ? values : values[0];
+}
+
+// A mapping expression is a path ($.host), a literal ("error"), or a literal
+// with embedded paths ("{{$.service}} is down")
+function evaluateExpression(data, expression) {
+  if (typeof expression !== 'string') {
+    return expression;
+  }
+  if (expression.startsWith('$')) {
+    return evaluatePath(data, expression);
+  }
+  return expression.replace(/\{\{\s*(\$[^}]*?)\s*\}\}/g, (match, pathExpression) => {
+    const value = evaluatePath(data, pathExpression);
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+function expressionPaths(expression) {
+  if (typeof expression !== 'string') return [];
+  if (expression.startsWith('$')) return [expression];
+  return Array.from(expression.matchAll(/\{\{\s*(\$[^}]*?)\s*\}\}/g), match => match[1]);
+}
+
+function toTags(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.entries(value).map(([key, tagValue]) => `${key}:${tagValue}`);
+  }
+  return parseTags(value);
+}
+
+function toText(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (Array.isArray(value)) return value.join(', ');
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+class CustomSources {
+  constructor(sourcesDir = path.join(__dirname, '../../data/custom-sources')) {
+    this.sourcesDir = sourcesDir;
+  }
+
+  sourcePath(sourceId) {
+    return path.join(this.sourcesDir, `${sourceId}.json`);
+  }
+
+  async list() {
+    await fs.ensureDir(this.sourcesDir);
+
+    const sourceFiles = await fs.readdir(this.sourcesDir);
+    const sources = [];
+
+    for (const file of sourceFiles) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        sources.push(await fs.readJson(path.join(this.sourcesDir, file)));
+      } catch (error) {
+        console.warn(`Failed to read custom source ${file}:`, error.message);
+      }
+    }
+
+    return sources.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async get(sourceId) {
+    // IDs end up in file paths, so only accept what create() generates
+    if (!/^[0-9a-f-]+$/i.test(sourceId)) {
+      return null;
+    }
+
+    const sourcePath = this.sourcePath(sourceId);
+    if (!(await fs.pathExists(sourcePath))) {
+      return null;
+    }
+    return fs.readJson(sourcePath);
+  }
+
+  validate(source) {
+    const errors = [];
+
+    if (!source.name || !String(source.name).trim()) {
+      errors.push('Source name is required');
+    }
+
+    const mapping = source.mapping || {};
+    if (!mapping.title && !mapping.message) {
+      errors.push('A title or message mapping is required');
+    }
+
+    for (const [field, expression] of Object.entries(mapping)) {
+      if (!MAPPABLE_FIELDS.includes(field)) {
+        errors.push(`Unknown alert field "${field}"`);
+        continue;
+      }
+      for (const pathExpression of expressionPaths(expression)) {
+        try {
+          parsePath(pathExpression);
+        } catch (error) {
+          errors.push(`${field}: ${error.message}`);
+        }
+      }
+    }
+
+    if (source.alertsPath) {
+      try {
+        parsePath(source.alertsPath);
+      } catch (error) {
+        errors.push(`alertsPath: ${error.message}`);
+      }
+    }
+
+    for (const [field, map] of Object.entries(source.valueMaps || {})) {
+      if (!MAPPABLE_FIELDS.includes(field)) {
+        errors.push(`Unknown alert field "${field}" in valueMaps`);
+      } else if (!map || typeof map !== 'object' || Array.isArray(map)) {
+        errors.push(`valueMaps.${field} must be an object of input → output values`);
+      }
+    }
+
+    return errors;
+  }
+
+  sanitizeMapping(mapping = {}) {
+    const sanitized = {};
+    for (const [field, expression] of Object.entries(mapping)) {
+      if (expression !== undefined && expression !== null && String(expression).trim() !== '') {
+        sanitized[field] = String(expression).trim();
+      }
+    }
+    return sanitized;
+  }
+
+  // Build an unsaved source from request data; used by create() and the test panel
+  build(data, existingSource = {}) {
+    return {
+      ...existingSource,
+      name: data.name !== undefined ? String(data.name).trim() : existingSource.name,
+      description: data.description !== undefined ? String(data.description).trim() : (existingSource.description || ''),
+      enabled: data.enabled !== undefined ? Boolean(data.enabled) : existingSource.enabled !== false,
+      alertsPath: data.alertsPath !== undefined ? String(data.alertsPath || '').trim() : (existingSource.alertsPath || ''),
+      mapping: data.mapping ? this.sanitizeMapping(data.mapping) : (existingSource.mapping || {}),
+      valueMaps: data.valueMaps || existingSource.valueMaps || {}
+    };
+  }
+
+  throwIfInvalid(source) {
+    const errors = this.validate(source);
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+  }
+
+  async create(data) {
+    const now = moment().toISOString();
+    const source = {
+      id: uuidv4(),
+      ...this.build(data),
+      receivedCount: 0,
+      lastReceivedAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.throwIfInvalid(source);
+
+    await fs.ensureDir(this.sourcesDir);
+    await fs.writeJson(this.sourcePath(source.id), source, { spaces: 2 });
+    return source;
+  }
+
+  async update(sourceId, data) {
+    const existingSource = await this.get(sourceId);
+    if (!existingSource) {
+      return null;
+    }
+
+    const updatedSource = {
+      ...this.build(data, existingSource),
+      updatedAt: moment().toISOString()
+    };
+
+    this.throwIfInvalid(updatedSource);
+
+    await fs.writeJson(this.sourcePath(sourceId), updatedSource, { spaces: 2 });
+    return updatedSource;
+  }
+
+  async remove(sourceId) {
+    const source = await this.get(sourceId);
+    if (!source) {
+      return null;
+    }
+    await fs.remove(this.sourcePath(sourceId));
+    return source;
+  }
+
+  mapValue(source, field, value) {
+    const map = (source.valueMaps || {})[field];
+    if (!map || value === undefined || value === null) return value;
+
+    const key = String(value);
+    if (map[key] !== undefined) return map[key];
+
+    const lowerKey = key.toLowerCase();
+    const match = Object.keys(map).find(candidate => candidate.toLowerCase() === lowerKey);
+    return match !== undefined ? map[match] : value;
+  }
+
+  // Apply a source's mapping to one payload item
+  mapItem(source, item, timestamp) {
+    const raw = {};
+    for (const [field, expression] of Object.entries(source.mapping || {})) {
+      raw[field] = this.mapValue(source, field, evaluateExpression(item, expression));
+    }
+
+    return compactAlert({
+      source: `custom:${source.id || 'test'}`,
+      timestamp,
+      id: toText(raw.id),
+      alert_id: toText(raw.alert_id),
+      aggreg_key: toText(raw.aggreg_key),
+      alert_type: toText(raw.alert_type) || 'info',
+      alert_transition: toText(raw.alert_transition),
+      priority: toText(raw.priority),
+      title: toText(raw.title) || `${source.name || 'Custom'} Alert`,
+      message: toText(raw.message) || '',
+      metric: toText(raw.metric),
+      metric_value: parseNumber(raw.metric_value),
+      threshold: parseNumber(raw.threshold),
+      scope: toText(raw.scope),
+      hostname: toText(raw.hostname),
+      tags: toTags(raw.tags),
+      link: toText(raw.link),
+      snapshot: toText(raw.snapshot),
+      date: parseEpochSeconds(raw.date),
+      user: toText(raw.user),
+      originalPayload: item
+    });
+  }
+
+  // Turn a payload into normalized alerts. With alertsPath set, each element
+  // it selects becomes one alert and expressions are evaluated against it.
+  toAlerts(source, payload, timestamp = moment().toISOString()) {
+    if (!payload || typeof payload !== 'object') {
+      return null;
+    }
+
+    let items = [payload];
+    if (source.alertsPath) {
+      const selected = evaluatePath(payload, source.alertsPath);
+      items = Array.isArray(selected) ? selected : (selected !== undefined ? [selected] : []);
+    }
+
+    return items.map(item => this.mapItem(source, item, timestamp));
+  }
+
+  async recordReceipt(sourceId, count) {
+    const source = await this.get(sourceId);
+    if (!source) return;
+
+    source.receivedCount = (source.receivedCount || 0) + count;
+    source.lastReceivedAt = moment().toISOString();
+    await fs.writeJson(this.sourcePath(sourceId), source, { spaces: 2 });
+  }
+}
+
+CustomSources.MAPPABLE_FIELDS = MAPPABLE_FIELDS;
+CustomSources.evaluatePath = evaluatePath;
+
+module.exports = CustomSources;
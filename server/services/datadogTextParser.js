@@ -0,0 +1,160 @@
+const moment = require('moment');
+
+// Prefix → transition for Datadog notification titles, e.g. "[Re-Triggered] [P2] ..."
+const TRANSITIONS = {
+  'triggered': { alert_transition: 'Triggered', alert_type: 'error' },
+  're-triggered': { alert_transition: 'Re-Triggered', alert_type: 'error' },
+  'warn': { alert_transition: 'Warn', alert_type: 'warning' },
+  're-warn': { alert_transition: 'Re-Warn', alert_type: 'warning' },
+  'no data': { alert_transition: 'No Data', alert_type: 'warning' },
+  're-no data': { alert_transition: 'Re-No Data', alert_type: 'warning' },
+  'recovered': { alert_transition: 'Recovered', alert_type: 'recovery' },
+  'recovery': { alert_transition: 'Recovered', alert_type: 'recovery' }
+};
+
+const COMPARATOR = '(>=|<=|==|!=|>|<)';
+const NUMBER = '(-?\\d+(?:\\.\\d+)?)';
+
+// avg(last_5m):avg:system.cpu.user{host:web-01} > 90
+const QUERY = new RegExp(`\\b((?:avg|sum|min|max|change|pct_change|percentile|count|logs|events|error_budget)\\([^)]*\\):[^\\n]*?${COMPARATOR}\\s*${NUMBER})`, 'i');
+// metric and scope inside a query: avg:system.cpu.user{host:web-01}
+const QUERY_METRIC = /:(?:avg|sum|min|max|count):([\w.]+)\{([^}]*)\}/;
+// Event text: "system.cpu.user over host:web-01 was > 90.0 on average during the last 5m."
+const OVER_WAS = new RegExp(`\\**([\\w.]+)\\** over \\**([^*\\n]+?)\\** was \\**${COMPARATOR}\\s*${NUMBER}\\**`, 'i');
+const VALUE = new RegExp(`\\b(?:metric value|current value|observed value|value)(?:\\s*[:=]|\\s+(?:of|was|is))\\s*\\**${NUMBER}`, 'i');
+const THRESHOLD = new RegExp(`\\b(?:alert threshold|threshold)\\s*[:=]\\s*\\**${COMPARATOR}?\\s*${NUMBER}`, 'i');
+const HOST = /\bhost\s*[:=]\s*\**([\w.-]+)/i;
+const TAGS_LINE = /^\s*tags\s*:\s*(.+)$/im;
+const SCOPE_LINE = /^\s*scope\s*:\s*(.+)$/im;
+const DATADOG_URL = /https?:\/\/[\w.-]*(?:datadoghq\.(?:com|eu)|ddog-gov\.com)[^\s)\]>]*/gi;
+const MONITOR_ID = /\/monitors[#/](\d+)/;
+const MENTION = /(?:^|[\s(])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+const TRIGGERED_AT = /last triggered at ([A-Z][a-z]{2} [A-Z][a-z]{2} \d{1,2} \d{4} \d{2}:\d{2}:\d{2}) UTC/;
+
+function splitScope(scope) {
+  return scope.split(',').map(part => part.trim()).filter(part => part && part !== '*');
+}
+
+// Strip "[Triggered]", "[P2]" and similar prefixes off the first line.
+// Multi-alert monitors name the group: "[Triggered on {host:web-03}]".
+function parseTitle(firstLine) {
+  const result = {};
+  let title = firstLine.trim();
+  let prefix;
+
+  while ((prefix = title.match(/^\[([^\]]+)\]\s*/))) {
+    const label = prefix[1].trim().toLowerCase();
+    const group = prefix[1].trim().match(/^(.+?)\s+on\s+\{([^}]*)\}$/);
+    if (TRANSITIONS[label]) {
+      Object.assign(result, TRANSITIONS[label]);
+    } else if (group && TRANSITIONS[group[1].toLowerCase()]) {
+      Object.assign(result, TRANSITIONS[group[1].toLowerCase()]);
+      result.scope = group[2].trim();
+    } else if (/^p[1-5]$/.test(label)) {
+      result.priority = label.toUpperCase();
+    } else {
+      break;
+    }
+    title = title.slice(prefix[0].length);
+  }
+
+  result.title = title.replace(/\*\*/g, '').trim();
+  return result;
+}
+
+// Pull the structured fields Datadog embeds in a plain-text notification
+// (see server/fixtures/datadog-text.json for the formats covered). Only
+// fields that were found are returned.
+function parseDatadogText(text) {
+  const lines = text.split('\n').map(line => line.trim());
+  // %%% lines wrap markdown bodies and are not part of the title
+  const fields = parseTitle(lines.find(line => line && line !== '%%%') || '');
+  const tags = new Set(fields.scope ? splitScope(fields.scope) : []);
+
+  // Older formats without a transition prefix
+  if (!fields.alert_type) {
+    if (text.includes('Anomaly Detected')) {
+      fields.alert_type = 'error';
+    } else if (text.includes('Normalized') || text.includes('Recovery')) {
+      fields.alert_type = 'recovery';
+      fields.alert_transition = 'Recovered';
+    }
+  }
+
+  const query = text.match(QUERY);
+  if (query) {
+    fields.query = query[1].trim();
+    fields.comparator = query[2];
+    fields.threshold = Number(query[3]);
+
+    const metric = fields.query.match(QUERY_METRIC);
+    if (metric) {
+      const scopeTags = splitScope(metric[2]);
+      fields.metric = metric[1];
+      scopeTags.forEach(tag => tags.add(tag));
+      if (scopeTags.length > 0 && !fields.scope) fields.scope = metric[2].trim();
+    }
+  }
+
+  const overWas = text.match(OVER_WAS);
+  if (overWas) {
+    fields.metric = fields.metric || overWas[1];
+    fields.scope = fields.scope || overWas[2].trim();
+    fields.comparator = fields.comparator || overWas[3];
+    if (fields.threshold === undefined) fields.threshold = Number(overWas[4]);
+    splitScope(overWas[2]).forEach(tag => tags.add(tag));
+  }
+
+  const scopeLine = text.match(SCOPE_LINE);
+  if (scopeLine && !fields.scope) {
+    fields.scope = scopeLine[1].trim();
+    splitScope(scopeLine[1]).forEach(tag => tags.add(tag));
+  }
+
+  const value = text.match(VALUE);
+  if (value) fields.metric_value = Number(value[1]);
+
+  const threshold = text.match(THRESHOLD);
+  if (threshold) {
+    fields.threshold = Number(threshold[2]);
+    if (threshold[1]) fields.comparator = threshold[1];
+  }
+
+  const host = text.match(HOST);
+  if (host) {
+    fields.hostname = host[1];
+    tags.add(`host:${host[1]}`);
+  }
+
+  const tagsLine = text.match(TAGS_LINE);
+  if (tagsLine) {
+    tagsLine[1].split(',').map(tag => tag.trim()).filter(Boolean).forEach(tag => tags.add(tag));
+  }
+
+  const urls = text.match(DATADOG_URL) || [];
+  const monitorUrl = urls.find(url => MONITOR_ID.test(url));
+  if (monitorUrl) {
+    fields.link = monitorUrl;
+    fields.alert_id = monitorUrl.match(MONITOR_ID)[1];
+  } else if (urls.length > 0) {
+    fields.link = urls[0];
+  }
+  const snapshot = urls.find(url => /\/snapshot\/|\.png\b/.test(url));
+  if (snapshot) fields.snapshot = snapshot;
+
+  const mentions = Array.from(text.matchAll(MENTION), match => match[1].replace(/[.]+$/, ''));
+  if (mentions.length > 0) fields.mentions = Array.from(new Set(mentions));
+
+  const triggeredAt = text.match(TRIGGERED_AT);
+  if (triggeredAt) {
+    const date = moment.utc(triggeredAt[1], 'ddd MMM D YYYY HH:mm:ss', true);
+    if (date.isValid()) fields.date = date.unix();
+  }
+
+  fields.tags = Array.from(tags);
+  return fields;
+}
+
+module.exports = {
+  parseDatadogText
+};
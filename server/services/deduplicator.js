@@ -0,0 +1,268 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const moment = require('moment');
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  // Alert fields hashed into the fingerprint. Besides plain alert fields
+  // (looked up on the alert, then on its original payload) these accept:
+  //   tags       - the full, sorted tag list
+  //   tag:<key>  - the values of one tag, e.g. tag:service
+  //   scope      - the monitor scope ($ALERT_SCOPE)
+  //   monitor_id - the monitor ID ($ALERT_ID)
+  fingerprintFields: ['alert_type', 'title', 'org', 'id'],
+  // Duplicates are suppressed for this long after the first occurrence
+  defaultWindowSeconds: 300,
+  // Per-source overrides, keyed by the alert's `source`
+  windows: {},
+  // How many suppressed duplicates to keep for the API
+  suppressedLogSize: 500
+};
+
+function normalizeTags(tags) {
+  if (Array.isArray(tags)) return tags.map(String);
+  if (typeof tags === 'string') return tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  return [];
+}
+
+// JSON with object keys sorted at every level, so equal values always
+// serialize the same way however their keys were ordered
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+class Deduplicator {
+  constructor(dedupDir = path.join(__dirname, '../../data/dedup')) {
+    this.dedupDir = dedupDir;
+    this.configPath = path.join(dedupDir, 'config.json');
+    this.fingerprintsPath = path.join(dedupDir, 'fingerprints.json');
+    this.suppressedPath = path.join(dedupDir, 'suppressed.json');
+
+    this.config = null;
+    this.fingerprints = null;
+    this.suppressed = null;
+    this.loadingPromise = null;
+  }
+
+  async ensureLoaded() {
+    if (this.fingerprints) return;
+
+    if (!this.loadingPromise) {
+      this.loadingPromise = this.load().finally(() => {
+        this.loadingPromise = null;
+      });
+    }
+    return this.loadingPromise;
+  }
+
+  async load() {
+    await fs.ensureDir(this.dedupDir);
+
+    const readOr = async (filePath, fallback) => {
+      try {
+        return (await fs.pathExists(filePath)) ? await fs.readJson(filePath) : fallback;
+      } catch (error) {
+        console.warn(`Failed to read ${filePath}:`, error.message);
+        return fallback;
+      }
+    };
+
+    this.config = { ...DEFAULT_CONFIG, ...(await readOr(this.configPath, {})) };
+    this.suppressed = await readOr(this.suppressedPath, []);
+    this.fingerprints = new Map(Object.entries(await readOr(this.fingerprintsPath, {})));
+
+    this.prune();
+  }
+
+  async getConfig() {
+    await this.ensureLoaded();
+    return this.config;
+  }
+
+  validateConfig(config) {
+    const errors = [];
+
+    if (!Array.isArray(config.fingerprintFields) || config.fingerprintFields.length === 0) {
+      errors.push('fingerprintFields must be a non-empty array');
+    } else if (config.fingerprintFields.some(field => typeof field !== 'string' || !field.trim())) {
+      errors.push('fingerprintFields entries must be non-empty strings');
+    }
+    if (!Number.isFinite(config.defaultWindowSeconds) || config.defaultWindowSeconds < 0) {
+      errors.push('defaultWindowSeconds must be a non-negative number');
+    }
+    if (!Number.isInteger(config.suppressedLogSize) || config.suppressedLogSize < 0) {
+      errors.push('suppressedLogSize must be a non-negative integer');
+    }
+    for (const [source, seconds] of Object.entries(config.windows || {})) {
+      if (!Number.isFinite(seconds) || seconds < 0) {
+        errors.push(`Window for source "${source}" must be a non-negative number`);
+      }
+    }
+
+    return errors;
+  }
+
+  async updateConfig(changes) {
+    await this.ensureLoaded();
+
+    const config = {
+      ...this.config,
+      ...changes,
+      windows: changes.windows !== undefined ? { ...changes.windows } : this.config.windows
+    };
+
+    const errors = this.validateConfig(config);
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    this.config = config;
+    await fs.writeJson(this.configPath, config, { spaces: 2 });
+    return config;
+  }
+
+  windowFor(source) {
+    const windows = this.config.windows || {};
+    return windows[source] !== undefined ? windows[source] : this.config.defaultWindowSeconds;
+  }
+
+  resolveField(alert, field) {
+    const payload = alert.originalPayload || {};
+    const tags = normalizeTags(alert.tags !== undefined ? alert.tags : payload.tags);
+
+    if (field === 'tags') {
+      return [...tags].sort();
+    }
+    if (field.startsWith('tag:')) {
+      const prefix = `${field.slice(4)}:`;
+      return tags.filter(tag => tag.startsWith(prefix)).sort();
+    }
+    if (field === 'scope') {
+      return alert.scope || payload.alert_scope || payload.scope;
+    }
+    if (field === 'monitor_id') {
+      return alert.alert_id || alert.monitor_id || payload.alert_id || payload.monitor_id;
+    }
+    if (field === 'title') {
+      return alert.title || alert.event_title || 'untitled';
+    }
+
+    return alert[field] !== undefined ? alert[field] : payload[field];
+  }
+
+  fingerprint(alert) {
+    const fingerprintData = {};
+
+    for (const field of this.config.fingerprintFields) {
+      const value = this.resolveField(alert, field);
+      // Skip absent fields so optional values do not split fingerprints
+      if (value !== undefined && value !== null && value !== '') {
+        fingerprintData[field] = value;
+      }
+    }
+
+    const fingerprintString = canonicalJson(fingerprintData);
+    return crypto.createHash('sha256').update(`${alert.source || 'unknown'}|${fingerprintString}`).digest('hex');
+  }
+
+  // Check the alert against recent fingerprints and claim the fingerprint
+  // for `alertId` when it is new. The check-and-claim happens without
+  // yielding, so concurrent deliveries of the same alert cannot both win.
+  // Returns { duplicate, fingerprint, survivorId }.
+  async register(alert, alertId) {
+    await this.ensureLoaded();
+
+    const fingerprint = this.fingerprint(alert);
+
+    if (!this.config.enabled) {
+      return { duplicate: false, fingerprint };
+    }
+
+    const now = moment();
+    const record = this.fingerprints.get(fingerprint);
+
+    if (record && moment(record.expiresAt).isAfter(now)) {
+      record.occurrences++;
+      record.lastSeenAt = now.toISOString();
+
+      this.suppressed.unshift({
+        fingerprint,
+        survivorId: record.alertId,
+        source: alert.source || 'unknown',
+        title: alert.title || 'Untitled Alert',
+        alertType: alert.alert_type || 'unknown',
+        receivedAt: now.toISOString()
+      });
+      this.suppressed.length = Math.min(this.suppressed.length, this.config.suppressedLogSize);
+
+      await this.persist();
+      return { duplicate: true, fingerprint, survivorId: record.alertId, occurrences: record.occurrences };
+    }
+
+    const windowSeconds = this.windowFor(alert.source);
+    this.fingerprints.set(fingerprint, {
+      alertId,
+      source: alert.source || 'unknown',
+      firstSeenAt: now.toISOString(),
+      lastSeenAt: now.toISOString(),
+      expiresAt: now.clone().add(windowSeconds, 'seconds').toISOString(),
+      occurrences: 1
+    });
+
+    this.prune();
+    await this.persist();
+    return { duplicate: false, fingerprint };
+  }
+
+  // Give the fingerprint back when the alert it was claimed for could not be stored
+  async release(fingerprint, alertId) {
+    await this.ensureLoaded();
+
+    const record = this.fingerprints.get(fingerprint);
+    if (record && record.alertId === alertId) {
+      this.fingerprints.delete(fingerprint);
+      await this.persist();
+    }
+  }
+
+  async listSuppressed({ survivorId, limit } = {}) {
+    await this.ensureLoaded();
+
+    let entries = this.suppressed;
+    if (survivorId) {
+      entries = entries.filter(entry => entry.survivorId === survivorId);
+    }
+    return limit ? entries.slice(0, limit) : entries;
+  }
+
+  prune() {
+    const now = moment();
+    for (const [fingerprint, record] of this.fingerprints) {
+      if (!moment(record.expiresAt).isAfter(now)) {
+        this.fingerprints.delete(fingerprint);
+      }
+    }
+  }
+
+  async persist() {
+    await fs.ensureDir(this.dedupDir);
+    await fs.writeJson(this.fingerprintsPath, Object.fromEntries(this.fingerprints), { spaces: 2 });
+    await fs.writeJson(this.suppressedPath, this.suppressed, { spaces: 2 });
+  }
+}
+
+module.exports = new Deduplicator();
+module.exports.Deduplicator = Deduplicator;
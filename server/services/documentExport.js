@@ -0,0 +1,349 @@
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const PDFDocument = require('pdfkit');
+const docx = require('docx');
+const archiver = require('archiver');
+const { formatOf, htmlPage } = require('./documentFormats');
+const { DATE_FORMAT, resolveRenderLocale, localize } = require('./renderLocale');
+
+const EXPORT_FORMATS = {
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' }
+};
+
+// PDFs use the built-in Helvetica and Courier, which only cover Windows-1252
+// (Western European) text. Point PDF_FONT_PATH, and PDF_BOLD_FONT_PATH for
+// headings, at TrueType fonts such as Noto Sans to export other scripts;
+// without them, characters outside Windows-1252 (CJK, Cyrillic, emoji, ...)
+// are written as "?" instead of as unrelated glyphs.
+const PDF_FONT_PATH = process.env.PDF_FONT_PATH || null;
+const PDF_BOLD_FONT_PATH = process.env.PDF_BOLD_FONT_PATH || PDF_FONT_PATH;
+
+// Windows-1252 characters outside Latin-1
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Rendered values are HTML-escaped by Handlebars; PDF and DOCX want the text
+function decodeEntities(text) {
+  return String(text)
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+    .replace(/&([a-z]+);/gi, (match, name) => NAMED_ENTITIES[name.toLowerCase()] ?? match);
+}
+
+function htmlText(html) {
+  const text = sanitizeHtml(
+    String(html).replace(/<br\s*\/?>/gi, '\n').replace(/<\/(p|div|h[1-6]|li|tr|pre|blockquote|table|ul|ol)>/gi, '$&\n\n'),
+    { allowedTags: [], allowedAttributes: {} }
+  );
+  return decodeEntities(text).replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Text of inline Markdown tokens; links keep their target
+function inlineText(tokens = []) {
+  return tokens.map(token => {
+    if (token.type === 'link') {
+      const label = inlineText(token.tokens);
+      return /^https?:/i.test(token.href) && label !== token.href ? `${label} (${token.href})` : label;
+    }
+    if (token.type === 'image') return token.text ? `[${decodeEntities(token.text)}]` : '';
+    if (token.type === 'br') return '\n';
+    if (token.type === 'html') return htmlText(token.text);
+    if (token.tokens) return inlineText(token.tokens);
+    return decodeEntities(token.text || '');
+  }).join('');
+}
+
+function listItems(list, level = 0) {
+  const items = [];
+  list.items.forEach((item, index) => {
+    const text = item.tokens
+      .filter(token => token.type === 'text' || token.type === 'paragraph')
+      .map(token => inlineText(token.tokens || [token]))
+      .join('\n');
+    items.push({
+      text,
+      level,
+      marker: list.ordered ? `${(Number(list.start) || 1) + index}.` : null,
+      checked: item.task ? Boolean(item.checked) : null
+    });
+    for (const nested of item.tokens.filter(token => token.type === 'list')) {
+      items.push(...listItems(nested, level + 1));
+    }
+  });
+  return items;
+}
+
+function markdownBlocks(tokens) {
+  const blocks = [];
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'heading':
+        blocks.push({ type: 'heading', level: token.depth, text: inlineText(token.tokens) });
+        break;
+      case 'paragraph':
+      case 'text':
+        blocks.push({ type: 'paragraph', text: inlineText(token.tokens || [token]) });
+        break;
+      case 'list':
+        blocks.push({ type: 'list', items: listItems(token) });
+        break;
+      case 'code':
+        blocks.push({ type: 'code', text: decodeEntities(token.text) });
+        break;
+      case 'blockquote':
+        blocks.push(...markdownBlocks(token.tokens).map(block => ({ ...block, quote: true })));
+        break;
+      case 'table':
+        blocks.push({
+          type: 'table',
+          header: token.header.map(cell => inlineText(cell.tokens)),
+          rows: token.rows.map(row => row.map(cell => inlineText(cell.tokens)))
+        });
+        break;
+      case 'hr':
+        blocks.push({ type: 'rule' });
+        break;
+      case 'html': {
+        const text = htmlText(token.text);
+        if (text) blocks.push({ type: 'paragraph', text });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return blocks;
+}
+
+// Document content as blocks for the PDF and DOCX writers: headings,
+// paragraphs, lists, code, tables and rules, with inline markup as text
+function contentBlocks(document) {
+  const format = formatOf(document);
+  if (format === 'markdown') {
+    return markdownBlocks(marked.lexer(String(document.content || ''), { gfm: true }));
+  }
+
+  const text = format === 'html' ? htmlText(document.content || '') : String(document.content || '');
+  return text.split(/\n{2,}/)
+    .filter(paragraph => paragraph.trim())
+    .map(paragraph => ({ type: format === 'plaintext' ? 'code' : 'paragraph', text: paragraph }));
+}
+
+function metaLine(document) {
+  const generated = localize(document.createdAt, resolveRenderLocale(document)).format(DATE_FORMAT);
+  return `Alert Type: ${document.alertType} | Priority: ${document.priority} | Generated: ${generated} | Template: ${document.templateName}`;
+}
+
+function winAnsiText(text) {
+  return Array.from(String(text), char => {
+    const code = char.codePointAt(0);
+    return code < 0x80 || (code >= 0xa0 && code <= 0xff) || WIN_ANSI_EXTRAS.includes(char) ? char : '?';
+  }).join('');
+}
+
+// Font names for pdf, and how to prepare text for them
+function pdfFonts(pdf) {
+  if (!PDF_FONT_PATH) {
+    return { regular: 'Helvetica', bold: 'Helvetica-Bold', mono: 'Courier', text: winAnsiText };
+  }
+  pdf.registerFont('Unicode', PDF_FONT_PATH);
+  pdf.registerFont('Unicode-Bold', PDF_BOLD_FONT_PATH);
+  return { regular: 'Unicode', bold: 'Unicode-Bold', mono: 'Unicode', text: String };
+}
+
+function pdfBuffer(document) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({
+      margin: 50,
+      info: { Title: document.title, Creator: 'Datadog Alert Docs' }
+    });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    const left = pdf.page.margins.left;
+    const width = pdf.page.width - pdf.page.margins.left - pdf.page.margins.right;
+    const headingSizes = [20, 16, 14, 12, 11, 11];
+    const fonts = pdfFonts(pdf);
+    const { text } = fonts;
+
+    pdf.font(fonts.bold).fontSize(22).text(text(document.title));
+    pdf.font(fonts.regular).fontSize(9).fillColor('#666666').text(text(metaLine(document))).fillColor('black');
+    pdf.moveDown();
+
+    for (const block of contentBlocks(document)) {
+      const indent = block.quote ? 20 : 0;
+      switch (block.type) {
+        case 'heading':
+          pdf.moveDown(0.5).font(fonts.bold).fontSize(headingSizes[block.level - 1]).text(text(block.text), left + indent);
+          break;
+        case 'paragraph':
+          pdf.font(fonts.regular).fontSize(11).text(text(block.text), left + indent, undefined, { width: width - indent });
+          break;
+        case 'list':
+          pdf.font(fonts.regular).fontSize(11);
+          for (const item of block.items) {
+            const checkbox = item.checked === null ? '' : (item.checked ? '[x] ' : '[ ] ');
+            const itemIndent = indent + 15 + item.level * 15;
+            pdf.text(text(`${item.marker || '•'} ${checkbox}${item.text}`), left + itemIndent, undefined, { width: width - itemIndent });
+          }
+          break;
+        case 'code':
+          pdf.font(fonts.mono).fontSize(9).text(text(block.text), left + indent + 10, undefined, { width: width - indent - 10 });
+          break;
+        case 'table':
+          pdf.font(fonts.regular).fontSize(10);
+          pdf.table({ data: [block.header, ...block.rows].map(row => row.map(text)) });
+          break;
+        case 'rule':
+          pdf.moveTo(left, pdf.y).lineTo(left + width, pdf.y).strokeColor('#cccccc').stroke().strokeColor('black');
+          break;
+        default:
+          break;
+      }
+      pdf.moveDown(0.5);
+      pdf.x = left;
+    }
+
+    pdf.end();
+  });
+}
+
+function docxBuffer(document) {
+  const { Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType } = docx;
+  const headings = [HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3,
+    HeadingLevel.HEADING_4, HeadingLevel.HEADING_5, HeadingLevel.HEADING_6];
+  // Line breaks in a text become breaks within one paragraph
+  const runs = (text, options = {}) => String(text).split('\n')
+    .map((line, index) => new TextRun({ text: line, break: index > 0 ? 1 : 0, ...options }));
+  const cell = (text, bold) => new TableCell({ children: [new Paragraph({ children: runs(text, { bold }) })] });
+
+  const children = [
+    new Paragraph({ text: document.title, heading: HeadingLevel.TITLE }),
+    new Paragraph({ children: runs(metaLine(document), { size: 18, color: '666666' }) })
+  ];
+
+  for (const block of contentBlocks(document)) {
+    const indent = block.quote ? { left: 720 } : undefined;
+    switch (block.type) {
+      case 'heading':
+        children.push(new Paragraph({ children: runs(block.text), heading: headings[block.level - 1], indent }));
+        break;
+      case 'paragraph':
+        children.push(new Paragraph({ children: runs(block.text), indent }));
+        break;
+      case 'list':
+        for (const item of block.items) {
+          const checkbox = item.checked === null ? '' : (item.checked ? '☒ ' : '☐ ');
+          children.push(item.marker
+            ? new Paragraph({ children: runs(`${item.marker} ${checkbox}${item.text}`), indent: { left: 360 * (item.level + 1) } })
+            : new Paragraph({ children: runs(`${checkbox}${item.text}`), bullet: { level: item.level } }));
+        }
+        break;
+      case 'code':
+        children.push(new Paragraph({ children: runs(block.text, { font: 'Courier New', size: 18 }), indent }));
+        break;
+      case 'table':
+        children.push(new Table({
+          width: { size: 100, type: WidthType.PERCENTAGE },
+          rows: [
+            new TableRow({ tableHeader: true, children: block.header.map(text => cell(text, true)) }),
+            ...block.rows.map(row => new TableRow({ children: row.map(text => cell(text, false)) }))
+          ]
+        }));
+        children.push(new Paragraph({ text: '' }));
+        break;
+      case 'rule':
+        children.push(new Paragraph({ text: '', border: { bottom: { style: 'single', size: 6, color: 'CCCCCC', space: 1 } } }));
+        break;
+      default:
+        break;
+    }
+  }
+
+  return Packer.toBuffer(new Document({
+    title: document.title,
+    creator: 'Datadog Alert Docs',
+    sections: [{ children }]
+  }));
+}
+
+// File name from the title, ASCII only, with the start of the ID so titles
+// that repeat (the same alert firing again) stay apart
+function exportFilename(document, format) {
+  const base = String(document.title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9_-]+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-+/, '')
+    .slice(0, 80)
+    .replace(/-+$/, '') || 'document';
+  return `${base}-${String(document.id).slice(0, 8)}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// The exported file's content, a string or a Buffer
+async function exportDocument(document, format) {
+  switch (format) {
+    case 'txt':
+      return formatOf(document) === 'html' ? htmlText(document.content || '') : String(document.content || '');
+    case 'md':
+      return String(document.content || '');
+    case 'html':
+      return htmlPage(document);
+    case 'json':
+      return JSON.stringify(document, null, 2);
+    case 'pdf':
+      return pdfBuffer(document);
+    case 'docx':
+      return docxBuffer(document);
+    default:
+      throw new Error(`Unknown export format "${format}"`);
+  }
+}
+
+// Streams a zip of the documents in one format to output, with a
+// manifest.json listing what each file is
+async function exportArchive(documents, format, output) {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const finished = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    output.on('error', reject);
+    output.on('finish', resolve);
+  });
+  archive.pipe(output);
+
+  const manifest = [];
+  for (const document of documents) {
+    const file = exportFilename(document, format);
+    archive.append(await exportDocument(document, format), { name: file });
+    manifest.push({
+      file,
+      id: document.id,
+      title: document.title,
+      alertType: document.alertType,
+      priority: document.priority,
+      status: document.status,
+      templateName: document.templateName,
+      createdAt: document.createdAt
+    });
+  }
+  archive.append(JSON.stringify({ format, count: manifest.length, documents: manifest }, null, 2), { name: 'manifest.json' });
+
+  await archive.finalize();
+  return finished;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportFilename,
+  exportDocument,
+  exportArchive
+};
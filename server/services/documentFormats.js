@@ -0,0 +1,240 @@
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const { DATE_FORMAT, resolveRenderLocale, localize } = require('./renderLocale');
+
+// What a template's output is written in. Documents keep the format of the
+// template that rendered them; documents from before formats are Markdown.
+const OUTPUT_FORMATS = ['markdown', 'html', 'plaintext'];
+const DEFAULT_FORMAT = 'markdown';
+
+// Headings down to this level are listed in the table of contents
+const TOC_DEPTH = 3;
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    'h1', 'img', 'input', 'del', 'ins', 'details', 'summary'
+  ],
+  allowedAttributes: {
+    a: ['href', 'name', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    input: ['type', 'checked', 'disabled'],
+    code: ['class'],
+    th: ['align', 'colspan', 'rowspan'],
+    td: ['align', 'colspan', 'rowspan'],
+    ol: ['start']
+  },
+  allowedClasses: {
+    code: ['language-*']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https', 'data']
+  },
+  transformTags: {
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: /^https?:/i.test(attribs.href || '')
+        ? { ...attribs, rel: 'noopener noreferrer', target: '_blank' }
+        : attribs
+    }),
+    // Task list checkboxes only; they can't be ticked from the document
+    input: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.checked !== undefined
+        ? { type: attribs.type, disabled: '', checked: '' }
+        : { type: attribs.type, disabled: '' }
+    })
+  },
+  exclusiveFilter: frame => frame.tag === 'input' && frame.attribs.type !== 'checkbox'
+};
+
+function formatOf(source) {
+  return (source && OUTPUT_FORMATS.includes(source.format)) ? source.format : DEFAULT_FORMAT;
+}
+
+// { format } from request data: missing keeps existing, empty is the default
+function outputFormatField(data, existing = {}) {
+  if (data.format === undefined) return { format: formatOf(existing) };
+  const format = String(data.format || '').trim().toLowerCase();
+  return { format: format || DEFAULT_FORMAT };
+}
+
+function throwIfInvalidFormat({ format }) {
+  if (format && !OUTPUT_FORMATS.includes(format)) {
+    const message = `Output format "${format}" must be one of ${OUTPUT_FORMATS.join(', ')}`;
+    const error = new Error(message);
+    error.validationErrors = [message];
+    throw error;
+  }
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function textOf(html) {
+  return html
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .trim()
+    .replace(/\s+/g, '-') || 'section';
+}
+
+// Gives every heading of sanitized HTML an id and a # anchor link, and
+// collects the table of contents entries: [{ level, id, text }]
+function anchorHeadings(html, idPrefix) {
+  const toc = [];
+  const used = new Set();
+
+  const anchored = html.replace(/<h([1-6])>([\s\S]*?)<\/h\1>/g, (match, level, inner) => {
+    const text = textOf(inner);
+    const slug = `${idPrefix}${slugify(text)}`;
+    // Repeated headings get -1, -2, ...; skip suffixes another heading's
+    // text already produced, e.g. "Intro", "Intro 1", "Intro"
+    let id = slug;
+    for (let count = 1; used.has(id); count++) id = `${slug}-${count}`;
+    used.add(id);
+
+    if (Number(level) <= TOC_DEPTH) toc.push({ level: Number(level), id, text });
+    return `<h${level} id="${id}">${inner} <a class="anchor" href="#${id}" aria-label="Link to this section">#</a></h${level}>`;
+  });
+
+  return { html: anchored, toc };
+}
+
+// Nested list of the entries; shown when there are at least two headings
+function tocHtml(toc) {
+  if (toc.length < 2) return '';
+
+  const top = Math.min(...toc.map(entry => entry.level));
+  const items = toc.map(entry => `<li class="toc-level-${entry.level - top + 1}"><a href="#${entry.id}">${escapeHtml(entry.text)}</a></li>`);
+  return `<nav class="toc"><strong>Contents</strong><ul>${items.join('')}</ul></nav>`;
+}
+
+// Renders document content to safe HTML: { format, html, toc, tocHtml }.
+// idPrefix keeps heading ids apart from the ids of the page it is shown in.
+function renderContent(content, format = DEFAULT_FORMAT, { idPrefix = '' } = {}) {
+  const source = String(content || '');
+
+  if (format === 'plaintext') {
+    return { format, html: `<pre class="plaintext">${escapeHtml(source)}</pre>`, toc: [], tocHtml: '' };
+  }
+
+  const raw = format === 'html' ? source : marked.parse(source, { gfm: true, breaks: false });
+  const { html, toc } = anchorHeadings(sanitizeHtml(raw, SANITIZE_OPTIONS), idPrefix);
+  return { format, html, toc, tocHtml: tocHtml(toc) };
+}
+
+const PAGE_STYLE = `
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            line-height: 1.6;
+            max-width: 800px;
+            margin: 0 auto;
+            padding: 20px;
+            color: #333;
+        }
+        .header {
+            border-bottom: 2px solid #e1e5e9;
+            padding-bottom: 20px;
+            margin-bottom: 30px;
+        }
+        .title {
+            font-size: 2em;
+            margin: 0 0 10px 0;
+            color: #1a1a1a;
+        }
+        .meta {
+            color: #666;
+            font-size: 0.9em;
+        }
+        .content {
+            padding: 0 20px;
+            border-left: 4px solid #0366d6;
+        }
+        .priority-high { border-left-color: #d73a49; }
+        .priority-medium { border-left-color: #f66a0a; }
+        .priority-low { border-left-color: #28a745; }
+        .content h1, .content h2, .content h3 { border-bottom: 1px solid #eaecef; padding-bottom: 0.3em; }
+        .content .anchor { color: #aaa; text-decoration: none; font-size: 0.8em; visibility: hidden; }
+        .content h1:hover .anchor, .content h2:hover .anchor, .content h3:hover .anchor,
+        .content h4:hover .anchor, .content h5:hover .anchor, .content h6:hover .anchor { visibility: visible; }
+        .content a { color: #0366d6; }
+        .content table { border-collapse: collapse; margin: 1em 0; }
+        .content th, .content td { border: 1px solid #dfe2e5; padding: 6px 13px; }
+        .content th { background: #f6f8fa; }
+        .content code { background: #f3f4f6; padding: 0.2em 0.4em; border-radius: 3px; font-size: 0.9em; }
+        .content pre { background: #f6f8fa; padding: 16px; border-radius: 6px; overflow: auto; }
+        .content pre code { background: none; padding: 0; }
+        .content pre, .content code {
+            font-family: 'SF Mono', Monaco, 'Cascadia Code', 'Roboto Mono', Consolas, 'Courier New', monospace;
+        }
+        .content pre.plaintext { white-space: pre-wrap; }
+        .content blockquote { margin: 0; padding: 0 1em; color: #666; border-left: 4px solid #dfe2e5; }
+        .content li > input[type="checkbox"] { margin-right: 0.5em; }
+        .content img { max-width: 100%; }
+        .toc { background: #f8f9fa; border-radius: 6px; padding: 12px 20px; margin-bottom: 30px; }
+        .toc ul { list-style: none; padding-left: 0; margin: 8px 0 0 0; }
+        .toc a { color: #0366d6; text-decoration: none; }
+        .toc-level-2 { padding-left: 1.2em; }
+        .toc-level-3 { padding-left: 2.4em; }`;
+
+// A document as a standalone HTML page, with a table of contents
+function htmlPage(document) {
+  const rendered = renderContent(document.content, formatOf(document));
+  const generated = localize(document.createdAt, resolveRenderLocale(document)).format(DATE_FORMAT);
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(document.locale || 'en')}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(document.title)}</title>
+    <style>${PAGE_STYLE}
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1 class="title">${escapeHtml(document.title)}</h1>
+        <div class="meta">
+            <strong>Alert Type:</strong> ${escapeHtml(document.alertType)} |
+            <strong>Priority:</strong> ${escapeHtml(document.priority)} |
+            <strong>Generated:</strong> ${escapeHtml(generated)} |
+            <strong>Template:</strong> ${escapeHtml(document.templateName)}
+        </div>
+    </div>
+    ${rendered.tocHtml}
+    <div class="content priority-${escapeHtml(document.priority)}">
+${rendered.html}
+    </div>
+</body>
+</html>`;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  DEFAULT_FORMAT,
+  formatOf,
+  outputFormatField,
+  throwIfInvalidFormat,
+  escapeHtml,
+  renderContent,
+  htmlPage
+};
@@ -1,95 +1,35 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const moment = require('moment');
+const moment = require('moment-timezone');
 const Handlebars = require('handlebars');
+const { parseTags } = require('./alertNormalizer');
+const TemplatePartials = require('./templatePartials');
+const templateSandbox = require('./templateSandbox');
+const helperRegistry = require('./helperRegistry');
+const { formatDuration } = require('./templateHelpers');
+const { DATE_FORMAT, resolveRenderLocale, localize } = require('./renderLocale');
+const { formatOf } = require('./documentFormats');
 
 class DocumentGenerator {
   constructor() {
+    this.templatePartials = new TemplatePartials();
+    this.templateSandbox = templateSandbox;
     this.setupHandlebarsHelpers();
   }
 
   setupHandlebarsHelpers() {
-    // Register custom Handlebars helpers
-    Handlebars.registerHelper('formatDate', (date, format = 'MMMM Do YYYY, h:mm:ss a') => {
-      return moment(date).format(format);
-    });
-
-    Handlebars.registerHelper('formatDuration', (seconds) => {
-      const duration = moment.duration(seconds, 'seconds');
-      if (duration.asHours() >= 1) {
-        return `${Math.floor(duration.asHours())}h ${duration.minutes()}m`;
-      } else if (duration.asMinutes() >= 1) {
-        return `${Math.floor(duration.asMinutes())}m ${duration.seconds()}s`;
-      } else {
-        return `${duration.seconds()}s`;
-      }
-    });
-
-    Handlebars.registerHelper('capitalize', (str) => {
-      if (!str) return '';
-      return str.charAt(0).toUpperCase() + str.slice(1);
-    });
-
-    Handlebars.registerHelper('upper', (str) => {
-      if (!str) return '';
-      return str.toUpperCase();
-    });
-
-    Handlebars.registerHelper('lower', (str) => {
-      if (!str) return '';
-      return str.toLowerCase();
-    });
-
-    Handlebars.registerHelper('json', (obj) => {
-      return JSON.stringify(obj, null, 2);
-    });
-
-    Handlebars.registerHelper('eq', (a, b) => {
-      return a === b;
-    });
-
-    Handlebars.registerHelper('ne', (a, b) => {
-      return a !== b;
-    });
-
-    Handlebars.registerHelper('gt', (a, b) => {
-      return a > b;
-    });
-
-    Handlebars.registerHelper('lt', (a, b) => {
-      return a < b;
-    });
+    // Built-in and plugin helpers (see helperRegistry). The global
+    // environment is used for validation; rendering happens in the sandbox
+    // with its own environment.
+    helperRegistry.register(Handlebars);
+  }
 
-    Handlebars.registerHelper('ifCond', function(v1, operator, v2, options) {
-      switch (operator) {
-        case '==':
-          return (v1 == v2) ? options.fn(this) : options.inverse(this);
-        case '===':
-          return (v1 === v2) ? options.fn(this) : options.inverse(this);
-        case '!=':
-          return (v1 != v2) ? options.fn(this) : options.inverse(this);
-        case '!==':
-          return (v1 !== v2) ? options.fn(this) : options.inverse(this);
-        case '<':
-          return (v1 < v2) ? options.fn(this) : options.inverse(this);
-        case '<=':
-          return (v1 <= v2) ? options.fn(this) : options.inverse(this);
-        case '>':
-          return (v1 > v2) ? options.fn(this) : options.inverse(this);
-        case '>=':
-          return (v1 >= v2) ? options.fn(this) : options.inverse(this);
-        case '&&':
-          return (v1 && v2) ? options.fn(this) : options.inverse(this);
-        case '||':
-          return (v1 || v2) ? options.fn(this) : options.inverse(this);
-        default:
-          return options.inverse(this);
-      }
-    });
+  formatDuration(seconds) {
+    return formatDuration(seconds);
   }
 
-  async generateDocument(alertData, templateId) {
+  async generateDocument(alertData, templateId, options = {}) {
     try {
       console.log(`🔄 Generating document for alert using template ${templateId}`);
 
@@ -99,12 +39,25 @@ class DocumentGenerator {
         throw new Error(`Template with ID ${templateId} not found`);
       }
 
-      // Prepare context data for template
-      const context = this.prepareTemplateContext(alertData);
+      // Zone and locale: the caller's (request or routing rule), else the
+      // template's, else the system default
+      const settings = resolveRenderLocale(options, template);
 
-      // Compile and render template
-      const compiledTemplate = Handlebars.compile(template.content);
-      const renderedContent = compiledTemplate(context);
+      // Prepare context data for template
+      const context = this.prepareTemplateContext(alertData, { ...options, ...settings });
+
+      // Compile and render template. A template over its render limits
+      // still gets a document, explaining what went wrong.
+      let renderedContent;
+      let renderError = null;
+      try {
+        renderedContent = await this.render(template.content, context, {}, settings);
+      } catch (error) {
+        if (error.code !== 'RENDER_LIMIT') throw error;
+        console.warn(`⚠️ Template ${templateId} exceeded its render limits: ${error.message}`);
+        renderError = { limit: error.limit, message: error.message };
+        renderedContent = this.renderLimitContent(template, error);
+      }
 
       // Create document
       const documentId = uuidv4();
@@ -114,10 +67,18 @@ class DocumentGenerator {
         content: renderedContent,
         alertType: alertData.alert_type || 'unknown',
         priority: this.determinePriority(alertData),
-        status: 'generated',
+        status: renderError ? 'render_failed' : 'generated',
+        renderError,
         templateId: templateId,
         templateName: template.name,
+        templateVersion: template.version || null,
+        format: formatOf(template),
+        timezone: settings.timezone,
+        locale: settings.locale,
         originalAlert: alertData,
+        lifecycleId: options.lifecycle ? options.lifecycle.id : null,
+        incidentId: options.incident ? options.incident.id : null,
+        replayOf: options.replayOf || null,
         createdAt: moment().toISOString(),
         updatedAt: moment().toISOString()
       };
@@ -137,6 +98,120 @@ class DocumentGenerator {
     }
   }
 
+  // Re-render an existing document in place from a newer alert in the same
+  // lifecycle (e.g. the recovery notification), keeping its ID and template
+  async updateDocumentForAlert(documentId, alertData, options = {}) {
+    try {
+      const document = await this.loadDocument(documentId);
+      if (!document) {
+        throw new Error(`Document with ID ${documentId} not found`);
+      }
+
+      console.log(`🔄 Updating document ${documentId} for alert using template ${document.templateId}`);
+
+      const template = await this.loadTemplate(document.templateId);
+      if (!template) {
+        throw new Error(`Template with ID ${document.templateId} not found`);
+      }
+
+      // Keep the zone and locale the document was first rendered in
+      const settings = resolveRenderLocale(options, document, template);
+      const context = this.prepareTemplateContext(alertData, { ...options, ...settings });
+
+      // Over the render limits, keep the current content and record why
+      let content = document.content;
+      let renderError = null;
+      try {
+        content = await this.render(template.content, context, {}, settings);
+      } catch (error) {
+        if (error.code !== 'RENDER_LIMIT') throw error;
+        console.warn(`⚠️ Template ${document.templateId} exceeded its render limits: ${error.message}`);
+        renderError = { limit: error.limit, message: error.message };
+      }
+
+      const updatedDocument = {
+        ...document,
+        content,
+        renderError,
+        format: formatOf(template),
+        timezone: settings.timezone,
+        locale: settings.locale,
+        templateVersion: template.version || null,
+        status: (options.lifecycle && options.lifecycle.status === 'recovered') ||
+          (options.incident && options.incident.status === 'resolved') ? 'resolved' : document.status,
+        latestAlert: alertData,
+        lifecycleId: options.lifecycle ? options.lifecycle.id : document.lifecycleId,
+        incidentId: options.incident ? options.incident.id : document.incidentId,
+        updates: [
+          ...(document.updates || []),
+          {
+            at: moment().toISOString(),
+            reason: options.reason || 'alert_update',
+            alertType: alertData.alert_type || 'unknown',
+            ...(renderError ? { renderError } : {})
+          }
+        ],
+        updatedAt: moment().toISOString()
+      };
+
+      await this.saveDocument(updatedDocument);
+
+      console.log(`✅ Document updated successfully: ${documentId}`);
+      return updatedDocument;
+
+    } catch (error) {
+      console.error('❌ Error updating document:', error);
+      throw error;
+    }
+  }
+
+  // Render template content against a context with the shared helpers, in
+  // the sandbox (see templateSandbox for the limits). Partials and layouts
+  // it uses are resolved from the template store; `partialOverrides`
+  // ({ name: content }) replaces stored partials. `settings` ({ timezone,
+  // locale }) are the defaults of the date helpers.
+  async render(templateContent, context, partialOverrides = {}, settings = resolveRenderLocale()) {
+    const partials = await this.templatePartials.resolve(templateContent, partialOverrides);
+    return this.templateSandbox.render(templateContent, context, partials, settings);
+  }
+
+  // Content of a document whose template exceeded its render limits
+  renderLimitContent(template, error) {
+    const { timeoutMs, maxOutputBytes, maxMemoryMb } = this.templateSandbox.limits;
+    return [
+      '# Document could not be rendered',
+      '',
+      `Template "${template.name}" (${template.id}${template.version ? `, version ${template.version}` : ''}) exceeded its render limits:`,
+      '',
+      error.message,
+      '',
+      `Limits: ${timeoutMs} ms, ${maxMemoryMb} MB memory, ${maxOutputBytes} bytes of output.`,
+      'The original alert is stored with this document; fix the template and process the alert again.'
+    ].join('\n');
+  }
+
+  async loadDocument(documentId) {
+    const documentPath = path.join(__dirname, '../../data/documents', `${documentId}.json`);
+
+    if (!(await fs.pathExists(documentPath))) {
+      return null;
+    }
+
+    return fs.readJson(documentPath);
+  }
+
+  // Point a document at the replayed document that supersedes it
+  async markSuperseded(documentId, supersededBy) {
+    const document = await this.loadDocument(documentId);
+    if (!document) return null;
+
+    document.supersededBy = supersededBy;
+    document.supersededAt = moment().toISOString();
+    document.updatedAt = document.supersededAt;
+    await this.saveDocument(document);
+    return document;
+  }
+
   async loadTemplate(templateId) {
     try {
       const templatePath = path.join(__dirname, '../../data/templates', `${templateId}.json`);
@@ -152,55 +227,114 @@ class DocumentGenerator {
     }
   }
 
-  prepareTemplateContext(alertData) {
-    const now = moment();
+  // Build the template context from a normalized alert (see the Alert
+  // typedef in alertNormalizer.js). Older stored alerts that predate the
+  // normalizer are still accepted through the fallback field names.
+  // `options.incident` with `options.incidentAlerts` (the member alerts)
+  // fills the incident section. `options.now` pins the current time, so
+  // template tests render the same output on every run. Dates are in
+  // `options.timezone` and `options.locale`, by default the system's.
+  prepareTemplateContext(alertData, options = {}) {
+    const settings = resolveRenderLocale(options);
+    const format = value => localize(value, settings).format(DATE_FORMAT);
+    const now = localize(options.now || undefined, settings);
+    const lifecycle = options.lifecycle || null;
+    const incident = options.incident || null;
+    const tags = parseTags(alertData.tags);
+    const triggered = alertData.date ? localize(moment.unix(alertData.date), settings) : null;
     
     // Extract common Datadog alert fields
     const context = {
       // Alert basic info
       alert: {
         id: alertData.id || 'unknown',
+        monitorId: alertData.alert_id || '',
         type: alertData.alert_type || 'unknown',
+        eventType: alertData.event_type || '',
         title: alertData.title || 'Untitled Alert',
         message: alertData.body || alertData.message || '',
+        textMessage: alertData.text_only_message || '',
         priority: this.determinePriority(alertData),
+        rawPriority: alertData.priority || '',
         status: alertData.alert_transition || alertData.status || 'unknown',
+        statusSummary: alertData.alert_status || '',
+        scope: alertData.scope || '',
+        query: alertData.query || '',
+        aggregationKey: alertData.aggreg_key || '',
+        cycleKey: alertData.alert_cycle_key || '',
         url: alertData.link || '',
-        tags: alertData.tags || []
+        snapshot: alertData.snapshot || '',
+        source: alertData.source || '',
+        user: alertData.user || '',
+        mentions: alertData.mentions || [],
+        tags
       },
 
       // Timing information
       time: {
-        triggered: alertData.date ? moment.unix(alertData.date) : now,
-        formatted: alertData.date ? moment.unix(alertData.date).format('MMMM Do YYYY, h:mm:ss a') : now.format('MMMM Do YYYY, h:mm:ss a'),
-        iso: alertData.date ? moment.unix(alertData.date).toISOString() : now.toISOString(),
+        triggered: triggered || now,
+        formatted: (triggered || now).format(DATE_FORMAT),
+        utc: (triggered || now).clone().utc().format(`${DATE_FORMAT} [UTC]`),
+        iso: (triggered || now).toISOString(),
         unix: alertData.date || now.unix(),
-        relative: alertData.date ? moment.unix(alertData.date).fromNow() : 'now'
+        relative: triggered ? triggered.from(now) : 'now',
+        lastUpdated: alertData.last_updated ? format(moment.unix(alertData.last_updated)) : '',
+        timezone: settings.timezone
       },
 
       // Metric information
       metric: {
         name: alertData.metric_name || alertData.metric || '',
-        value: alertData.metric_value || alertData.value || '',
+        value: this.valueOrEmpty(alertData.metric_value !== undefined ? alertData.metric_value : alertData.value),
         unit: alertData.unit || '',
-        threshold: alertData.threshold || '',
-        condition: alertData.condition || ''
+        threshold: this.valueOrEmpty(alertData.threshold),
+        condition: alertData.comparator || alertData.condition || '',
+        query: alertData.query || ''
       },
 
       // Host/Service information
       host: {
-        name: alertData.hostname || alertData.host || '',
+        name: alertData.hostname || alertData.host || this.extractTag(tags, 'host') || '',
         ip: alertData.host_ip || '',
-        environment: this.extractTag(alertData.tags, 'env') || this.extractTag(alertData.tags, 'environment') || '',
-        service: this.extractTag(alertData.tags, 'service') || '',
-        team: this.extractTag(alertData.tags, 'team') || '',
-        region: this.extractTag(alertData.tags, 'region') || ''
+        environment: this.extractTag(tags, 'env') || this.extractTag(tags, 'environment') || '',
+        service: this.extractTag(tags, 'service') || '',
+        team: this.extractTag(tags, 'team') || '',
+        region: this.extractTag(tags, 'region') || ''
       },
 
       // Organization info
       org: {
-        name: alertData.org_name || '',
-        id: alertData.org_id || ''
+        name: alertData.org_name || (alertData.org && alertData.org.name) || '',
+        id: alertData.org_id || (alertData.org && alertData.org.id) || ''
+      },
+
+      // Trigger → re-notify → recovery history for the alert's monitor/scope
+      lifecycle: {
+        id: lifecycle ? lifecycle.id : '',
+        status: lifecycle ? lifecycle.status : '',
+        triggeredAt: lifecycle && lifecycle.triggeredAt ? format(lifecycle.triggeredAt) : '',
+        recoveredAt: lifecycle && lifecycle.recoveredAt ? format(lifecycle.recoveredAt) : '',
+        recovered: Boolean(lifecycle && lifecycle.status === 'recovered'),
+        durationSeconds: lifecycle && lifecycle.durationSeconds !== null ? lifecycle.durationSeconds : '',
+        duration: lifecycle && lifecycle.durationSeconds !== null ? this.formatDuration(lifecycle.durationSeconds) : '',
+        notificationCount: lifecycle ? lifecycle.notificationCount : 0,
+        events: lifecycle ? lifecycle.events : []
+      },
+
+      // Related alerts grouped into one incident; each entry of
+      // incident.alerts has the alert, time, metric and host sections
+      incident: {
+        id: incident ? incident.id : '',
+        title: incident ? incident.title : '',
+        status: incident ? incident.status : '',
+        groupedBy: incident ? incident.groupedBy : {},
+        openedAt: incident ? format(incident.openedAt) : '',
+        lastAlertAt: incident ? format(incident.lastAlertAt) : '',
+        resolvedAt: incident && incident.resolvedAt ? format(incident.resolvedAt) : '',
+        resolved: Boolean(incident && incident.status === 'resolved'),
+        duration: incident && incident.durationSeconds !== null ? this.formatDuration(incident.durationSeconds) : '',
+        alertCount: incident ? incident.alertCount : 0,
+        alerts: (options.incidentAlerts || []).map(member => this.prepareTemplateContext(member, { now: options.now, ...settings }))
       },
 
       // Raw alert data for advanced templating
@@ -209,7 +343,9 @@ class DocumentGenerator {
       // Generation metadata
       generated: {
         at: now.toISOString(),
-        formatted: now.format('MMMM Do YYYY, h:mm:ss a'),
+        formatted: now.format(DATE_FORMAT),
+        timezone: settings.timezone,
+        locale: settings.locale,
         by: 'Datadog Alert Documentation Generator'
       }
     };
@@ -227,7 +363,12 @@ class DocumentGenerator {
       return false;
     });
 
-    return tag ? tag.split(':')[1] : '';
+    return tag ? tag.slice(key.length + 1) : '';
+  }
+
+  // Keep legitimate zero values while blanking missing ones
+  valueOrEmpty(value) {
+    return value === undefined || value === null ? '' : value;
   }
 
   determinePriority(alertData) {
@@ -236,6 +377,13 @@ class DocumentGenerator {
     
     if (typeof priority === 'string') {
       const p = priority.toLowerCase();
+
+      // Datadog monitor priorities ($ALERT_PRIORITY)
+      const level = p.match(/^p([1-5])$/);
+      if (level) {
+        return level[1] <= 2 ? 'high' : (level[1] === '3' ? 'medium' : 'low');
+      }
+
       if (p.includes('critical') || p.includes('high') || p.includes('error')) {
         return 'high';
       } else if (p.includes('warning') || p.includes('medium') || p.includes('warn')) {
@@ -260,7 +408,10 @@ class DocumentGenerator {
     // Generate a meaningful title for the document
     const alertTitle = alertData.title || alertData.message || 'Alert Documentation';
     const timestamp = moment().format('YYYY-MM-DD HH:mm');
-    
+
+    if (context.incident.id) {
+      return `Incident: ${context.incident.title} (${context.incident.alertCount} alerts) - ${timestamp}`;
+    }
     return `${alertTitle} - ${timestamp}`;
   }
 
@@ -300,8 +451,7 @@ class DocumentGenerator {
   async previewTemplate(templateContent, alertData) {
     try {
       const context = this.prepareTemplateContext(alertData);
-      const compiledTemplate = Handlebars.compile(templateContent);
-      const renderedContent = compiledTemplate(context);
+      const renderedContent = await this.render(templateContent, context);
       
       return {
         success: true,
@@ -0,0 +1,142 @@
+const path = require('path');
+
+// Parse newline-delimited JSON; blank lines are skipped and unparsable lines
+// are kept as { error } so batch reports can point at them
+function parseNdjson(content) {
+  return content
+    .split(/\r?\n/)
+    .map((line, lineIndex) => ({ line: line.trim(), lineNumber: lineIndex + 1 }))
+    .filter(({ line }) => line)
+    .map(({ line, lineNumber }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return { error: `Line ${lineNumber}: ${error.message}` };
+      }
+    });
+}
+
+// Minimal RFC 4180 reader: quoted fields, "" escapes and newlines in quotes
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim()));
+  const keys = header.map(name => name.trim().toLowerCase());
+
+  return records.map(cells => Object.fromEntries(keys.map((key, index) => [key, cells[index]])));
+}
+
+function first(object, keys) {
+  for (const key of keys) {
+    if (object[key] !== undefined && object[key] !== null && object[key] !== '') {
+      return object[key];
+    }
+  }
+  return undefined;
+}
+
+// Map one exported event (Events API v1, Events API v2 or an Event Explorer
+// CSV row) onto the Datadog webhook payload shape the normalizer expects
+function toWebhookPayload(event) {
+  if (!event || typeof event !== 'object' || event.error) {
+    return event;
+  }
+
+  // v2: { id, type: 'event', attributes: { timestamp, message, tags, attributes: {...} } }
+  if (event.type === 'event' && event.attributes) {
+    const outer = event.attributes;
+    const inner = outer.attributes || {};
+    return toWebhookPayload({
+      id: event.id,
+      title: inner.title || outer.title,
+      text: outer.message,
+      date_happened: outer.timestamp || inner.timestamp,
+      alert_type: inner.status || inner.alert_type,
+      priority: inner.priority,
+      tags: outer.tags,
+      host: inner.host,
+      url: inner.url,
+      monitor_id: inner.monitor_id || (inner.monitor && inner.monitor.id)
+    });
+  }
+
+  return {
+    id: first(event, ['id', 'event_id']),
+    title: first(event, ['title', 'event_title']),
+    body: first(event, ['text', 'message', 'body']),
+    date: first(event, ['date_happened', 'date', 'timestamp', 'time']),
+    alert_type: first(event, ['alert_type', 'status']),
+    priority: first(event, ['priority']),
+    tags: first(event, ['tags']),
+    hostname: first(event, ['host', 'hostname']),
+    link: first(event, ['url', 'link']),
+    alert_id: first(event, ['monitor_id', 'alert_id']),
+    source_type_name: first(event, ['source_type_name', 'source'])
+  };
+}
+
+// Read an exported Datadog event stream file into webhook-shaped payloads.
+// Accepts the v1 `{ events: [...] }` and v2 `{ data: [...] }` API responses,
+// a plain JSON array, NDJSON, or the Event Explorer CSV export.
+function parseEventExport(content, filename = '') {
+  const text = String(content).replace(/^\uFEFF/, '').trim();
+  const extension = path.extname(filename).toLowerCase();
+  let events;
+
+  if (extension === '.csv') {
+    events = parseCsv(text);
+  } else if (extension === '.ndjson' || extension === '.jsonl') {
+    events = parseNdjson(text);
+  } else {
+    try {
+      const parsed = JSON.parse(text);
+      events = Array.isArray(parsed) ? parsed : (parsed.events || parsed.data || [parsed]);
+    } catch (error) {
+      // Not a single JSON document; try one event per line
+      events = parseNdjson(text);
+    }
+  }
+
+  return events.map(toWebhookPayload);
+}
+
+module.exports = {
+  parseEventExport,
+  parseNdjson
+};
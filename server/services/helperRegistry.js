@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const { BUILTIN_HELPERS, registerHelpers } = require('./templateHelpers');
+
+// Helper plugins are .js files in this directory. Each exports one helper
+// definition or an array of them:
+//   module.exports = {
+//     name: 'runbook',
+//     args: [{ name: 'service' }],
+//     description: 'Link to the runbook of a service',
+//     examples: ['{{runbook host.service}}'],
+//     fn: service => `https://runbooks.example.com/${service}`
+//   };
+const PLUGINS_DIR = process.env.TEMPLATE_HELPER_PLUGINS_DIR ||
+  path.join(__dirname, '../../plugins/helpers');
+
+const HELPER_NAME = /^[A-Za-z_$][\w$]*$/;
+
+// Helpers that come with Handlebars, documented for template authors
+const HANDLEBARS_HELPERS = [
+  { name: 'if', block: true, args: [{ name: 'value' }], description: 'Renders the block when value is truthy (empty arrays are falsy)', examples: ['{{#if host.name}}Host: {{host.name}}{{else}}No host{{/if}}'] },
+  { name: 'unless', block: true, args: [{ name: 'value' }], description: 'Renders the block when value is falsy', examples: ['{{#unless lifecycle.recovered}}Still firing{{/unless}}'] },
+  { name: 'each', block: true, args: [{ name: 'list' }], description: 'Renders the block for every item; {{this}}, {{@index}} and {{@key}} refer to the item', examples: ['{{#each alert.tags}}- {{this}}\n{{/each}}'] },
+  { name: 'with', block: true, args: [{ name: 'object' }], description: 'Renders the block with object as the context', examples: ['{{#with host}}{{name}} ({{environment}}){{/with}}'] },
+  { name: 'lookup', args: [{ name: 'object' }, { name: 'key' }], description: 'Looks up a property or array item by a dynamic key', examples: ['{{lookup alert.tags 0}}'] },
+  { name: 'log', args: [{ name: 'value' }], description: 'Logs value on the server while rendering', examples: ['{{log alert}}'] }
+];
+
+function signatureOf(helper) {
+  const args = (helper.args || [])
+    .map(arg => (arg.optional ? `[${arg.name}]` : arg.name))
+    .join(' ');
+  const open = [helper.name, args].filter(Boolean).join(' ');
+  return helper.block ? `{{#${open}}}…{{/${helper.name}}}` : `{{${open}}}`;
+}
+
+// Built-in helpers plus the plugins found in the plugin directory. The
+// server process registers them on the global Handlebars instance; render
+// workers register the same set on their own environment from pluginFiles.
+class HelperRegistry {
+  constructor(pluginsDir = PLUGINS_DIR) {
+    this.pluginsDir = pluginsDir;
+    this.plugins = null;
+    this.pluginFiles = [];
+    this.pluginErrors = [];
+  }
+
+  // Plugins are loaded once, on first use
+  load() {
+    if (this.plugins) return;
+
+    let files = [];
+    if (fs.existsSync(this.pluginsDir)) {
+      files = fs.readdirSync(this.pluginsDir)
+        .filter(file => file.endsWith('.js'))
+        .sort()
+        .map(file => path.join(this.pluginsDir, file));
+    }
+
+    this.loadFiles(files);
+
+    for (const error of this.pluginErrors) {
+      console.error(`❌ Helper plugin ${error.file}: ${error.message}`);
+    }
+    if (this.plugins.length > 0) {
+      console.log(`✅ Loaded ${this.plugins.length} helper plugin(s) from ${this.pluginsDir}`);
+    }
+  }
+
+  loadFiles(files) {
+    const reserved = new Set([...HANDLEBARS_HELPERS, ...BUILTIN_HELPERS].map(helper => helper.name));
+    this.plugins = [];
+    this.pluginFiles = [];
+    this.pluginErrors = [];
+
+    for (const file of files) {
+      const name = path.basename(file);
+      let exported;
+      try {
+        exported = require(file);
+      } catch (error) {
+        this.pluginErrors.push({ file: name, message: error.message });
+        continue;
+      }
+
+      let loaded = false;
+      for (const helper of Array.isArray(exported) ? exported : [exported]) {
+        const error = this.validate(helper, reserved);
+        if (error) {
+          this.pluginErrors.push({ file: name, message: error });
+          continue;
+        }
+        reserved.add(helper.name);
+        this.plugins.push({ ...helper, plugin: name });
+        loaded = true;
+      }
+      if (loaded) this.pluginFiles.push(file);
+    }
+  }
+
+  validate(helper, reserved) {
+    if (!helper || typeof helper !== 'object') {
+      return 'must export a helper definition or an array of them';
+    }
+    if (typeof helper.name !== 'string' || !HELPER_NAME.test(helper.name)) {
+      return `"${helper.name}" is not a valid helper name`;
+    }
+    if (typeof helper.fn !== 'function') {
+      return `helper "${helper.name}" has no fn`;
+    }
+    if (reserved.has(helper.name)) {
+      return `helper "${helper.name}" is already defined`;
+    }
+    return null;
+  }
+
+  definitions() {
+    this.load();
+    return [...BUILTIN_HELPERS, ...this.plugins];
+  }
+
+  register(handlebars) {
+    registerHelpers(handlebars, this.definitions());
+  }
+
+  // Metadata for template authors, without the functions
+  list() {
+    const describe = (helper, source) => ({
+      name: helper.name,
+      source,
+      block: Boolean(helper.block),
+      signature: signatureOf(helper),
+      args: (helper.args || []).map(arg => ({
+        name: arg.name,
+        optional: Boolean(arg.optional),
+        description: arg.description || ''
+      })),
+      description: helper.description || '',
+      examples: helper.examples || []
+    });
+
+    return [
+      ...HANDLEBARS_HELPERS.map(helper => describe(helper, 'handlebars')),
+      ...BUILTIN_HELPERS.map(helper => describe(helper, 'builtin')),
+      ...this.definitions()
+        .filter(helper => helper.plugin)
+        .map(helper => ({ ...describe(helper, 'plugin'), plugin: helper.plugin }))
+    ];
+  }
+}
+
+module.exports = new HelperRegistry();
+module.exports.HelperRegistry = HelperRegistry;
@@ -0,0 +1,347 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const moment = require('moment');
+const { parseTags } = require('./alertNormalizer');
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  // Alerts with equal values for all of these keys share an incident:
+  //   tag:<key>  - the first value of a tag, e.g. tag:service or tag:team
+  //   host       - the alert's hostname (or host: tag)
+  //   monitor_id - the monitor ID ($ALERT_ID)
+  //   source     - the inbound source, e.g. datadog or alertmanager
+  // Alerts missing every key get an incident of their own.
+  groupBy: ['tag:service'],
+  // Alerts sharing an aggregation key ($AGGREG_KEY) always join the same open incident
+  groupByAggregationKey: true,
+  // An alert only joins an incident that received an alert this recently
+  windowSeconds: 1800,
+  // Resolve the incident once every member monitor/scope has recovered
+  autoResolve: true
+};
+
+const STATUSES = ['open', 'acknowledged', 'resolved'];
+
+class Incidents {
+  constructor(incidentsDir = path.join(__dirname, '../../data/incidents')) {
+    this.incidentsDir = incidentsDir;
+    this.configPath = path.join(incidentsDir, 'config.json');
+    this.config = null;
+    // Incidents that are not resolved yet, keyed by ID
+    this.openIncidents = null;
+    this.loadingPromise = null;
+    // Last record(), so alerts join incidents one at a time: an alert can
+    // match an incident by lifecycle, aggregation key or grouping, so no
+    // single key covers every incident it could land in
+    this.recording = Promise.resolve();
+  }
+
+  incidentPath(incidentId) {
+    return path.join(this.incidentsDir, `${incidentId}.json`);
+  }
+
+  async readAll() {
+    await fs.ensureDir(this.incidentsDir);
+    const incidents = [];
+
+    for (const file of await fs.readdir(this.incidentsDir)) {
+      if (!file.endsWith('.json') || file === 'config.json') continue;
+      try {
+        incidents.push(await fs.readJson(path.join(this.incidentsDir, file)));
+      } catch (error) {
+        console.warn(`Failed to read incident ${file}:`, error.message);
+      }
+    }
+
+    return incidents;
+  }
+
+  async ensureLoaded() {
+    if (this.openIncidents) return;
+
+    if (!this.loadingPromise) {
+      this.loadingPromise = this.load().finally(() => {
+        this.loadingPromise = null;
+      });
+    }
+    return this.loadingPromise;
+  }
+
+  async load() {
+    let stored = {};
+    await fs.ensureDir(this.incidentsDir);
+    if (await fs.pathExists(this.configPath)) {
+      try {
+        stored = await fs.readJson(this.configPath);
+      } catch (error) {
+        console.warn(`Failed to read ${this.configPath}:`, error.message);
+      }
+    }
+
+    const openIncidents = new Map();
+    for (const incident of await this.readAll()) {
+      if (incident.status !== 'resolved') {
+        openIncidents.set(incident.id, incident);
+      }
+    }
+
+    this.config = { ...DEFAULT_CONFIG, ...stored };
+    this.openIncidents = openIncidents;
+  }
+
+  async getConfig() {
+    await this.ensureLoaded();
+    return this.config;
+  }
+
+  validateConfig(config) {
+    const errors = [];
+
+    if (!Array.isArray(config.groupBy)) {
+      errors.push('groupBy must be an array');
+    } else {
+      for (const key of config.groupBy) {
+        if (!/^tag:.+$/.test(key) && !['host', 'monitor_id', 'source'].includes(key)) {
+          errors.push(`Unknown grouping key "${key}" (use tag:<key>, host, monitor_id or source)`);
+        }
+      }
+    }
+    if (!Number.isFinite(config.windowSeconds) || config.windowSeconds <= 0) {
+      errors.push('windowSeconds must be a positive number');
+    }
+
+    return errors;
+  }
+
+  async updateConfig(changes) {
+    await this.ensureLoaded();
+
+    const config = { ...this.config, ...changes };
+
+    const errors = this.validateConfig(config);
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    this.config = config;
+    await fs.writeJson(this.configPath, config, { spaces: 2 });
+    return config;
+  }
+
+  resolveKey(alert, key) {
+    const tags = parseTags(alert.tags);
+
+    if (key.startsWith('tag:')) {
+      const prefix = `${key.slice(4)}:`;
+      const tag = tags.find(candidate => candidate.startsWith(prefix));
+      return tag ? tag.slice(prefix.length) : null;
+    }
+    if (key === 'host') {
+      const hostTag = tags.find(candidate => candidate.startsWith('host:'));
+      return alert.hostname || (hostTag ? hostTag.slice(5) : null);
+    }
+    if (key === 'monitor_id') {
+      return alert.alert_id ? String(alert.alert_id) : null;
+    }
+    return alert[key] ? String(alert[key]) : null;
+  }
+
+  // Values of the configured grouping keys, or null when the alert has none
+  groupingFor(alert) {
+    const groupedBy = {};
+    for (const key of this.config.groupBy) {
+      const value = this.resolveKey(alert, key);
+      if (value) groupedBy[key] = value;
+    }
+    if (Object.keys(groupedBy).length === 0) {
+      return null;
+    }
+
+    return {
+      groupedBy,
+      key: this.config.groupBy.map(key => `${key}=${groupedBy[key] || ''}`).join('|')
+    };
+  }
+
+  async get(incidentId) {
+    if (!/^[0-9a-f-]+$/i.test(incidentId)) {
+      return null;
+    }
+
+    const incidentPath = this.incidentPath(incidentId);
+    if (!(await fs.pathExists(incidentPath))) {
+      return null;
+    }
+    return fs.readJson(incidentPath);
+  }
+
+  // `status: 'open'` lists every incident that is not resolved
+  async list({ status } = {}) {
+    const incidents = (await this.readAll()).filter(incident => {
+      if (!status) return true;
+      return status === 'open' ? incident.status !== 'resolved' : incident.status === status;
+    });
+
+    return incidents.sort((a, b) => new Date(b.lastAlertAt) - new Date(a.lastAlertAt));
+  }
+
+  async save(incident) {
+    await fs.ensureDir(this.incidentsDir);
+    incident.updatedAt = moment().toISOString();
+    await fs.writeJson(this.incidentPath(incident.id), incident, { spaces: 2 });
+
+    if (incident.status === 'resolved') {
+      this.openIncidents.delete(incident.id);
+    } else {
+      this.openIncidents.set(incident.id, incident);
+    }
+    return incident;
+  }
+
+  // Find the open incident an alert belongs to: the one already holding its
+  // lifecycle, then one with the same aggregation key, then one with the
+  // same grouping values that had an alert within the window
+  findOpenIncident(alert, lifecycle, grouping, at) {
+    const open = Array.from(this.openIncidents.values());
+
+    const byLifecycle = open.find(incident => incident.lifecycles[lifecycle.id]);
+    if (byLifecycle) return byLifecycle;
+
+    if (this.config.groupByAggregationKey && alert.aggreg_key) {
+      const byAggregationKey = open.find(incident => incident.aggregationKeys.includes(alert.aggreg_key));
+      if (byAggregationKey) return byAggregationKey;
+    }
+
+    if (!grouping) return null;
+
+    return open
+      .filter(incident => incident.key === grouping.key)
+      .find(incident => Math.abs(moment(at).diff(moment(incident.lastAlertAt), 'seconds')) <= this.config.windowSeconds) || null;
+  }
+
+  // Add a stored alert to its incident, opening one when none matches.
+  // Recoveries only ever close out an existing incident.
+  // Returns the incident, or null when grouping is disabled or a recovery
+  // has no open incident.
+  async record(alertData, lifecycle, event) {
+    const current = this.recording.catch(() => {}).then(() => this.apply(alertData, lifecycle, event));
+    this.recording = current;
+    return current;
+  }
+
+  async apply(alertData, lifecycle, event) {
+    await this.ensureLoaded();
+    if (!this.config.enabled) return null;
+
+    const alert = alertData.originalPayload;
+    const lifecycleEvent = lifecycle.events.find(candidate => candidate.alertId === alertData.id);
+    const at = lifecycleEvent ? lifecycleEvent.at : alertData.timestamp;
+    const grouping = this.groupingFor(alert);
+    let incident = this.findOpenIncident(alert, lifecycle, grouping, at);
+
+    if (!incident) {
+      if (event === 'recovered') return null;
+
+      incident = {
+        id: uuidv4(),
+        key: grouping ? grouping.key : `lifecycle:${lifecycle.id}`,
+        groupedBy: grouping ? grouping.groupedBy : {},
+        title: lifecycle.title || alert.title || 'Untitled Alert',
+        status: 'open',
+        openedAt: at,
+        lastAlertAt: at,
+        resolvedAt: null,
+        durationSeconds: null,
+        alertCount: 0,
+        alertIds: [],
+        lifecycles: {},
+        aggregationKeys: [],
+        members: [],
+        history: [{ type: 'opened', at }],
+        documentId: null,
+        templateId: null,
+        createdAt: moment().toISOString()
+      };
+    }
+
+    incident.alertIds.push(alertData.id);
+    incident.alertCount++;
+    incident.lifecycles[lifecycle.id] = lifecycle.status;
+    if (alert.aggreg_key && !incident.aggregationKeys.includes(alert.aggreg_key)) {
+      incident.aggregationKeys.push(alert.aggreg_key);
+    }
+    if (moment(at).isAfter(incident.lastAlertAt)) {
+      incident.lastAlertAt = at;
+    }
+    incident.members.push({
+      alertId: alertData.id,
+      lifecycleId: lifecycle.id,
+      title: alert.title || 'Untitled Alert',
+      alertType: alert.alert_type || 'unknown',
+      event,
+      at
+    });
+
+    const recovered = Object.values(incident.lifecycles).every(status => status === 'recovered');
+    if (this.config.autoResolve && recovered) {
+      this.resolve(incident, at, 'auto');
+    }
+
+    return this.save(incident);
+  }
+
+  resolve(incident, at = moment().toISOString(), by = 'user') {
+    incident.status = 'resolved';
+    incident.resolvedAt = at;
+    incident.durationSeconds = Math.max(0, moment(at).diff(moment(incident.openedAt), 'seconds'));
+    this.addHistory(incident, 'resolved', at, by);
+  }
+
+  // Status changes, kept for post-mortem timelines
+  addHistory(incident, type, at, by) {
+    incident.history = incident.history || [];
+    incident.history.push({ type, at, by });
+  }
+
+  async setStatus(incidentId, status) {
+    await this.ensureLoaded();
+
+    if (!STATUSES.includes(status)) {
+      const error = new Error(`Status must be one of ${STATUSES.join(', ')}`);
+      error.validationErrors = [error.message];
+      throw error;
+    }
+
+    const incident = await this.get(incidentId);
+    if (!incident) return null;
+
+    if (status === 'resolved') {
+      this.resolve(incident);
+    } else {
+      const reopened = incident.status === 'resolved';
+      incident.status = status;
+      incident.resolvedAt = null;
+      incident.durationSeconds = null;
+      this.addHistory(incident, reopened && status === 'open' ? 'reopened' : status, moment().toISOString(), 'user');
+    }
+    return this.save(incident);
+  }
+
+  async attachDocument(incidentId, { documentId, templateId }) {
+    await this.ensureLoaded();
+
+    const incident = await this.get(incidentId);
+    if (!incident) return null;
+
+    incident.documentId = documentId;
+    incident.templateId = templateId;
+    return this.save(incident);
+  }
+}
+
+module.exports = new Incidents();
+module.exports.Incidents = Incidents;
+module.exports.STATUSES = STATUSES;
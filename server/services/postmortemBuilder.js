@@ -0,0 +1,503 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const moment = require('moment');
+const DocumentGenerator = require('./documentGenerator');
+const { parseTags } = require('./alertNormalizer');
+const { DATE_FORMAT, resolveRenderLocale, localize } = require('./renderLocale');
+const { formatOf } = require('./documentFormats');
+const alertRepository = require('./alertRepository');
+const alertLifecycles = require('./alertLifecycle');
+const incidents = require('./incidents');
+
+// Free-text sections that stay editable after the post-mortem is generated
+const SECTIONS = ['summary', 'rootCause', 'resolution', 'lessonsLearned'];
+const ACTION_ITEM_STATUSES = ['open', 'done'];
+const STATUSES = ['draft', 'review', 'final'];
+
+// Used when no post-mortem template is given
+const DEFAULT_TEMPLATE = {
+  id: null,
+  name: 'Default Post-mortem',
+  content: `# {{postmortem.title}}
+
+Status: {{postmortem.status}}
+{{#if impact.start}}Impact window: {{formatDate impact.start "YYYY-MM-DD HH:mm:ss"}} → {{#if impact.ongoing}}ongoing{{else}}{{formatDate impact.end "YYYY-MM-DD HH:mm:ss"}}{{/if}}
+Impact duration: {{formatDuration impact.durationSeconds}}{{#if impact.ongoing}} (so far){{/if}}
+{{/if}}Alerts: {{impact.alertCount}}
+{{#if impact.services.length}}Services: {{#each impact.services}}{{this}}{{#unless @last}}, {{/unless}}{{/each}}
+{{/if}}{{#if impact.hosts.length}}Hosts: {{#each impact.hosts}}{{this}}{{#unless @last}}, {{/unless}}{{/each}}
+{{/if}}{{#if owners.length}}Owners: {{#each owners}}{{this}}{{#unless @last}}, {{/unless}}{{/each}}
+{{/if}}
+
+## Summary
+{{#if sections.summary}}{{sections.summary}}{{else}}To be written.{{/if}}
+
+## Timeline
+{{#each timeline}}
+- {{formatDate at "YYYY-MM-DD HH:mm:ss"}} {{label}}
+{{/each}}
+
+## Root Cause
+{{#if sections.rootCause}}{{sections.rootCause}}{{else}}To be written.{{/if}}
+
+## Resolution
+{{#if sections.resolution}}{{sections.resolution}}{{else}}To be written.{{/if}}
+
+## Action Items
+{{#each actionItems}}
+- [{{#if (eq status "done")}}x{{else}} {{/if}}] {{description}}{{#if owner}} (owner: {{owner}}){{/if}}{{#if due}}, due {{due}}{{/if}}
+{{else}}
+- None yet.
+{{/each}}
+
+## Lessons Learned
+{{#if sections.lessonsLearned}}{{sections.lessonsLearned}}{{else}}To be written.{{/if}}
+`
+};
+
+const LIFECYCLE_LABELS = {
+  triggered: 'Alert triggered',
+  renotified: 'Alert re-notified',
+  recovered: 'Alert recovered'
+};
+
+function notFound(message) {
+  const error = new Error(message);
+  error.code = 'NOT_FOUND';
+  return error;
+}
+
+function invalid(errors) {
+  const error = new Error(errors.join('; '));
+  error.validationErrors = errors;
+  return error;
+}
+
+function tagValues(alerts, key) {
+  const prefix = `${key}:`;
+  const values = new Set();
+  for (const alert of alerts) {
+    for (const tag of parseTags(alert.tags)) {
+      if (tag.startsWith(prefix)) values.add(tag.slice(prefix.length));
+    }
+  }
+  return Array.from(values).sort();
+}
+
+// Builds post-mortem documents for an incident or a set of alerts: a
+// chronological timeline, the impact window and editable sections, rendered
+// through a post-mortem template. Post-mortems are stored as documents with
+// kind "postmortem" and their structured data under `postmortem`.
+class PostmortemBuilder {
+  constructor() {
+    this.documentGenerator = new DocumentGenerator();
+    this.documentsDir = path.join(__dirname, '../../data/documents');
+  }
+
+  // Load everything the timeline is built from
+  async collect({ incidentId, alertIds }) {
+    let incident = null;
+    let ids = Array.isArray(alertIds) ? alertIds : [];
+
+    if (incidentId) {
+      incident = await incidents.get(incidentId);
+      if (!incident) {
+        throw notFound(`Incident with ID ${incidentId} not found`);
+      }
+      ids = incident.alertIds;
+    }
+
+    if (ids.length === 0) {
+      throw invalid(['Provide an incidentId or a non-empty alertIds array']);
+    }
+
+    const alerts = [];
+    for (const alertId of ids) {
+      const alertData = await alertRepository.get(alertId);
+      if (alertData) alerts.push(alertData);
+    }
+    if (alerts.length === 0) {
+      throw notFound('None of the given alerts were found');
+    }
+
+    const lifecycles = [];
+    for (const lifecycleId of new Set(alerts.map(alertData => alertData.lifecycleId).filter(Boolean))) {
+      const lifecycle = await alertLifecycles.get(lifecycleId);
+      if (lifecycle) lifecycles.push(lifecycle);
+    }
+
+    const documentIds = new Set([
+      ...alerts.map(alertData => alertData.documentId),
+      ...lifecycles.map(lifecycle => lifecycle.documentId),
+      incident && incident.documentId
+    ].filter(Boolean));
+
+    const documents = [];
+    for (const documentId of documentIds) {
+      const document = await this.documentGenerator.loadDocument(documentId);
+      if (document && document.kind !== 'postmortem') documents.push(document);
+    }
+
+    return { incident, alerts, lifecycles, documents };
+  }
+
+  // Trigger / re-notify / recovery events, incident status changes
+  // (acknowledgements, resolution) and document generation and edits, oldest first
+  buildTimeline({ incident, lifecycles, documents }) {
+    const timeline = [];
+
+    for (const lifecycle of lifecycles) {
+      for (const event of lifecycle.events) {
+        timeline.push({
+          at: event.at,
+          type: `alert_${event.type}`,
+          label: `${LIFECYCLE_LABELS[event.type] || event.type}: ${lifecycle.title}`,
+          alertId: event.alertId,
+          lifecycleId: lifecycle.id
+        });
+      }
+    }
+
+    for (const entry of (incident && incident.history) || []) {
+      timeline.push({
+        at: entry.at,
+        type: `incident_${entry.type}`,
+        label: `Incident ${entry.type}${entry.by === 'auto' ? ' (all alerts recovered)' : ''}`,
+        incidentId: incident.id
+      });
+    }
+
+    for (const document of documents) {
+      timeline.push({
+        at: document.createdAt,
+        type: 'document_generated',
+        label: `Document generated: ${document.title}`,
+        documentId: document.id
+      });
+      for (const update of document.updates || []) {
+        timeline.push({
+          at: update.at,
+          type: 'document_updated',
+          label: `Document updated (${update.reason})`,
+          documentId: document.id
+        });
+      }
+      for (const edit of document.edits || []) {
+        timeline.push({
+          at: edit.at,
+          type: 'document_edited',
+          label: `Document edited (${edit.fields.join(', ')})`,
+          documentId: document.id
+        });
+      }
+    }
+
+    return timeline.sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+
+  // Impact runs from the first trigger to the incident's resolution or, for
+  // plain alert sets, the last recovery once every monitor has recovered
+  computeImpact({ incident, alerts, lifecycles }, timeline) {
+    const triggers = timeline.filter(entry => entry.type === 'alert_triggered' || entry.type === 'alert_renotified');
+    const recoveries = timeline.filter(entry => entry.type === 'alert_recovered');
+    const start = (incident && incident.openedAt) || (triggers[0] && triggers[0].at) || null;
+
+    let end = null;
+    if (incident) {
+      end = incident.status === 'resolved' ? incident.resolvedAt : null;
+    } else if (lifecycles.length > 0 && lifecycles.every(lifecycle => lifecycle.status === 'recovered')) {
+      end = recoveries.length > 0 ? recoveries[recoveries.length - 1].at : null;
+    }
+
+    const durationSeconds = start ? Math.max(0, moment(end || undefined).diff(moment(start), 'seconds')) : null;
+    const payloads = alerts.map(alertData => alertData.originalPayload || {});
+
+    return {
+      start,
+      end,
+      ongoing: !end,
+      durationSeconds,
+      duration: durationSeconds !== null ? this.documentGenerator.formatDuration(durationSeconds) : '',
+      alertCount: alerts.length,
+      services: tagValues(payloads, 'service'),
+      hosts: Array.from(new Set(payloads.map(alert => alert.hostname).filter(Boolean).concat(tagValues(payloads, 'host')))).sort(),
+      monitors: Array.from(new Set(lifecycles.map(lifecycle => lifecycle.title))).sort()
+    };
+  }
+
+  summarizeAlerts(alerts) {
+    return alerts.map(alertData => {
+      const alert = alertData.originalPayload || {};
+      return {
+        id: alertData.id,
+        title: alert.title || 'Untitled Alert',
+        alertType: alert.alert_type || 'unknown',
+        priority: this.documentGenerator.determinePriority(alert),
+        host: alert.hostname || '',
+        tags: parseTags(alert.tags),
+        at: alertData.timestamp
+      };
+    });
+  }
+
+  normalizeSections(sections = {}, existing = {}) {
+    const normalized = { ...existing };
+    for (const key of SECTIONS) {
+      if (sections[key] !== undefined) normalized[key] = String(sections[key] || '').trim();
+      if (normalized[key] === undefined) normalized[key] = '';
+    }
+    return normalized;
+  }
+
+  // Action items are { description, owner, due, status }; plain strings are
+  // taken as descriptions
+  normalizeActionItems(actionItems) {
+    if (!Array.isArray(actionItems)) {
+      throw invalid(['actionItems must be an array']);
+    }
+
+    const errors = [];
+    const normalized = actionItems.map((item, index) => {
+      const entry = typeof item === 'string' ? { description: item } : (item || {});
+      const status = entry.status || 'open';
+      if (!String(entry.description || '').trim()) {
+        errors.push(`Action item ${index + 1} needs a description`);
+      }
+      if (!ACTION_ITEM_STATUSES.includes(status)) {
+        errors.push(`Action item ${index + 1} status must be one of ${ACTION_ITEM_STATUSES.join(', ')}`);
+      }
+      return {
+        description: String(entry.description || '').trim(),
+        owner: String(entry.owner || '').trim(),
+        due: String(entry.due || '').trim(),
+        status
+      };
+    });
+
+    if (errors.length > 0) throw invalid(errors);
+    return normalized;
+  }
+
+  normalizeOwners(owners) {
+    const list = Array.isArray(owners) ? owners : String(owners || '').split(',');
+    return list.map(owner => String(owner).trim()).filter(Boolean);
+  }
+
+  async loadTemplate(templateId) {
+    if (!templateId) {
+      return DEFAULT_TEMPLATE;
+    }
+
+    const template = await this.documentGenerator.loadTemplate(templateId);
+    if (!template) {
+      throw invalid([`Template with ID ${templateId} not found`]);
+    }
+    if (template.type !== 'postmortem') {
+      throw invalid([`Template "${template.name}" is not a post-mortem template`]);
+    }
+    return template;
+  }
+
+  prepareContext(document, settings = resolveRenderLocale(document)) {
+    const { postmortem } = document;
+    const now = localize(undefined, settings);
+
+    return {
+      postmortem: {
+        id: document.id,
+        title: document.title,
+        status: document.status,
+        createdAt: document.createdAt,
+        updatedAt: document.updatedAt
+      },
+      incident: postmortem.incident || {},
+      impact: postmortem.impact,
+      timeline: postmortem.timeline,
+      alerts: postmortem.alerts,
+      sections: postmortem.sections,
+      actionItems: postmortem.actionItems,
+      openActionItems: postmortem.actionItems.filter(item => item.status !== 'done').length,
+      owners: postmortem.owners,
+      generated: {
+        at: now.toISOString(),
+        formatted: now.format(DATE_FORMAT),
+        timezone: settings.timezone,
+        locale: settings.locale,
+        by: 'Datadog Alert Documentation Generator'
+      }
+    };
+  }
+
+  async render(document) {
+    const template = await this.loadTemplate(document.templateId);
+    // The zone and locale of the first render stick with the document
+    const settings = resolveRenderLocale(document, template);
+    document.content = await this.documentGenerator.render(template.content, this.prepareContext(document, settings), {}, settings);
+    document.format = formatOf(template);
+    document.timezone = settings.timezone;
+    document.locale = settings.locale;
+    document.templateVersion = template.version || null;
+    return document;
+  }
+
+  // Gather, build and store a new post-mortem.
+  // Request: { incidentId | alertIds, templateId, title, sections, actionItems, owners }
+  async create(request) {
+    const template = await this.loadTemplate(request.templateId);
+    const collected = await this.collect(request);
+    const timeline = this.buildTimeline(collected);
+    const { incident, alerts } = collected;
+
+    const priorities = alerts.map(alertData => this.documentGenerator.determinePriority(alertData.originalPayload || {}));
+    const priority = ['high', 'medium', 'low'].find(level => priorities.includes(level)) || 'medium';
+    const title = String(request.title || '').trim() ||
+      `Post-mortem: ${incident ? incident.title : ((alerts[0].originalPayload || {}).title || 'Untitled Alert')}`;
+    const now = moment().toISOString();
+
+    const document = {
+      id: uuidv4(),
+      kind: 'postmortem',
+      title,
+      content: '',
+      alertType: 'postmortem',
+      priority,
+      status: 'draft',
+      templateId: template.id,
+      templateName: template.name,
+      incidentId: incident ? incident.id : null,
+      postmortem: {
+        alertIds: alerts.map(alertData => alertData.id),
+        incident: incident ? {
+          id: incident.id,
+          title: incident.title,
+          status: incident.status,
+          groupedBy: incident.groupedBy
+        } : null,
+        timeline,
+        impact: this.computeImpact(collected, timeline),
+        alerts: this.summarizeAlerts(alerts),
+        sections: this.normalizeSections(request.sections),
+        actionItems: this.normalizeActionItems(request.actionItems || []),
+        owners: this.normalizeOwners(request.owners)
+      },
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.render(document);
+    await this.documentGenerator.saveDocument(document);
+    if (template.id) {
+      await this.documentGenerator.updateTemplateUsage(template.id);
+    }
+
+    console.log(`📝 Post-mortem ${document.id} generated from ${alerts.length} alert(s)`);
+    return document;
+  }
+
+  async get(documentId) {
+    const document = await this.documentGenerator.loadDocument(documentId);
+    return document && document.kind === 'postmortem' ? document : null;
+  }
+
+  async list() {
+    await fs.ensureDir(this.documentsDir);
+    const postmortems = [];
+
+    for (const file of await fs.readdir(this.documentsDir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const document = await fs.readJson(path.join(this.documentsDir, file));
+        if (document.kind === 'postmortem') {
+          postmortems.push({
+            id: document.id,
+            title: document.title,
+            status: document.status,
+            incidentId: document.incidentId,
+            alertCount: document.postmortem.alertIds.length,
+            openActionItems: document.postmortem.actionItems.filter(item => item.status !== 'done').length,
+            createdAt: document.createdAt,
+            updatedAt: document.updatedAt
+          });
+        }
+      } catch (error) {
+        console.warn(`Failed to read document ${file}:`, error.message);
+      }
+    }
+
+    return postmortems.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  // Edit the title, status, sections, action items or owners and re-render.
+  // Returns null when the document is not a post-mortem.
+  async update(documentId, changes) {
+    const document = await this.get(documentId);
+    if (!document) return null;
+
+    const fields = [];
+    if (changes.title !== undefined && String(changes.title).trim()) {
+      document.title = String(changes.title).trim();
+      fields.push('title');
+    }
+    if (changes.status !== undefined) {
+      if (!STATUSES.includes(changes.status)) {
+        throw invalid([`Status must be one of ${STATUSES.join(', ')}`]);
+      }
+      document.status = changes.status;
+      fields.push('status');
+    }
+    if (changes.sections) {
+      document.postmortem.sections = this.normalizeSections(changes.sections, document.postmortem.sections);
+      fields.push(...SECTIONS.filter(key => changes.sections[key] !== undefined));
+    }
+    if (changes.actionItems !== undefined) {
+      document.postmortem.actionItems = this.normalizeActionItems(changes.actionItems);
+      fields.push('actionItems');
+    }
+    if (changes.owners !== undefined) {
+      document.postmortem.owners = this.normalizeOwners(changes.owners);
+      fields.push('owners');
+    }
+
+    document.updatedAt = moment().toISOString();
+    if (fields.length > 0) {
+      document.edits = [...(document.edits || []), { at: document.updatedAt, fields }];
+    }
+
+    await this.render(document);
+    await this.documentGenerator.saveDocument(document);
+    return document;
+  }
+
+  // Rebuild the timeline and impact from current alert, lifecycle, incident
+  // and document data, keeping the edited sections
+  async refresh(documentId) {
+    const document = await this.get(documentId);
+    if (!document) return null;
+
+    const collected = await this.collect({
+      incidentId: document.incidentId,
+      alertIds: document.postmortem.alertIds
+    });
+    const timeline = this.buildTimeline(collected);
+
+    document.postmortem.alertIds = collected.alerts.map(alertData => alertData.id);
+    document.postmortem.timeline = timeline;
+    document.postmortem.impact = this.computeImpact(collected, timeline);
+    document.postmortem.alerts = this.summarizeAlerts(collected.alerts);
+    if (collected.incident) {
+      document.postmortem.incident.status = collected.incident.status;
+    }
+    document.updatedAt = moment().toISOString();
+
+    await this.render(document);
+    await this.documentGenerator.saveDocument(document);
+    return document;
+  }
+}
+
+PostmortemBuilder.SECTIONS = SECTIONS;
+PostmortemBuilder.STATUSES = STATUSES;
+PostmortemBuilder.DEFAULT_TEMPLATE = DEFAULT_TEMPLATE;
+
+module.exports = PostmortemBuilder;
@@ -0,0 +1,63 @@
+// User-supplied regular expressions (routing title patterns, template test
+// `matches`) run against alert data and rendered output, so they are kept
+// short and free of nested quantifiers such as (a+)+ or (\w*)*, which can
+// backtrack exponentially on input that almost matches
+
+// Length of the quantifier at `index` ('*', '+', '?' or '{n,m}'), or 0
+function quantifierLength(pattern, index) {
+  if ('*+?'.includes(pattern[index])) return 1;
+  const bounded = /^\{\d+(,\d*)?\}/.exec(pattern.slice(index));
+  return bounded ? bounded[0].length : 0;
+}
+
+// Explains why a pattern is not allowed, or returns null. `name` is how
+// messages refer to the pattern; `flags` are those it will run with.
+function patternProblem(pattern, { name, maxLength, flags = '' }) {
+  if (pattern.length > maxLength) {
+    return `${name} must be at most ${maxLength} characters`;
+  }
+
+  try {
+    new RegExp(pattern, flags);
+  } catch (error) {
+    return `Invalid ${name}: ${error.message}`;
+  }
+
+  // One entry per open group: whether anything inside it repeats
+  const groups = [];
+  let inClass = false;
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '\\') {
+      index++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const repeats = groups.pop();
+      const quantifier = quantifierLength(pattern, index + 1);
+      if (repeats && quantifier > 0) {
+        return `${name} must not repeat a group that itself contains a repeat, e.g. (a+)+`;
+      }
+      if ((repeats || quantifier > 0) && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    } else {
+      const quantifier = quantifierLength(pattern, index);
+      // '?' right after '(' starts (?:, (?= and so on rather than repeating
+      if (quantifier > 0 && !(char === '?' && pattern[index - 1] === '(')) {
+        if (groups.length > 0) groups[groups.length - 1] = true;
+        index += quantifier - 1;
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  patternProblem
+};
@@ -0,0 +1,102 @@
+const moment = require('moment-timezone');
+// Registers every moment locale on the shared moment instance
+require('moment/min/locales');
+
+const DATE_FORMAT = 'MMMM Do YYYY, h:mm:ss a';
+
+function isTimezone(timezone) {
+  return typeof timezone === 'string' && Boolean(moment.tz.zone(timezone));
+}
+
+function isLocale(locale) {
+  return typeof locale === 'string' && moment.locales().includes(locale.toLowerCase());
+}
+
+function systemTimezone() {
+  const configured = process.env.DOCUMENT_TIMEZONE;
+  if (configured && !isTimezone(configured)) {
+    console.warn(`Unknown DOCUMENT_TIMEZONE "${configured}", using the server's time zone`);
+  }
+  if (isTimezone(configured)) return configured;
+
+  const server = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return isTimezone(server) ? server : moment.tz.guess();
+}
+
+function systemLocale() {
+  const configured = process.env.DOCUMENT_LOCALE;
+  if (configured && !isLocale(configured)) {
+    console.warn(`Unknown DOCUMENT_LOCALE "${configured}", using en`);
+  }
+  return isLocale(configured) ? configured.toLowerCase() : 'en';
+}
+
+// System-wide defaults. Templates and routing rules may set their own
+// timezone and locale; a request may override both.
+const DEFAULT_TIMEZONE = systemTimezone();
+const DEFAULT_LOCALE = systemLocale();
+
+// { timezone, locale } fields from request data: trimmed, locales lower-cased,
+// empty values as null (inherit). Fields missing from data keep `existing`.
+function renderLocaleFields(data, existing = {}) {
+  const field = (key, normalize) => {
+    if (data[key] === undefined) return existing[key] || null;
+    const value = String(data[key] || '').trim();
+    return value ? normalize(value) : null;
+  };
+  return {
+    timezone: field('timezone', value => value),
+    locale: field('locale', value => value.toLowerCase())
+  };
+}
+
+function validateRenderLocale({ timezone, locale }) {
+  const errors = [];
+  if (timezone && !isTimezone(timezone)) {
+    errors.push(`Unknown time zone "${timezone}"; use an IANA name such as Europe/Berlin or UTC`);
+  }
+  if (locale && !isLocale(locale)) {
+    errors.push(`Unknown locale "${locale}"`);
+  }
+  return errors;
+}
+
+function throwIfInvalidRenderLocale(settings) {
+  const errors = validateRenderLocale(settings);
+  if (errors.length > 0) {
+    const error = new Error(errors.join('; '));
+    error.validationErrors = errors;
+    throw error;
+  }
+}
+
+// The zone and locale to render with: for each, the first source that sets
+// it, e.g. resolveRenderLocale(request, rule, template), else the defaults
+function resolveRenderLocale(...sources) {
+  const pick = key => {
+    const source = sources.find(candidate => candidate && candidate[key]);
+    return source ? source[key] : null;
+  };
+  return {
+    timezone: pick('timezone') || DEFAULT_TIMEZONE,
+    locale: pick('locale') || DEFAULT_LOCALE
+  };
+}
+
+// A date as a moment in the render's zone and locale
+function localize(value, { timezone, locale }) {
+  return moment(value).tz(timezone).locale(locale);
+}
+
+module.exports = {
+  DATE_FORMAT,
+  DEFAULT_TIMEZONE,
+  DEFAULT_LOCALE,
+  isTimezone,
+  isLocale,
+  renderLocaleFields,
+  validateRenderLocale,
+  throwIfInvalidRenderLocale,
+  resolveRenderLocale,
+  localize
+};
@@ -0,0 +1,334 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const moment = require('moment');
+const DocumentGenerator = require('./documentGenerator');
+const { patternProblem } = require('./regexSafety');
+const { renderLocaleFields, validateRenderLocale } = require('./renderLocale');
+
+// Conditions a rule may declare. Every condition that is set must match
+// (AND); list-valued conditions match when any of their values does.
+const TAG_CONDITIONS = {
+  env: ['env', 'environment'],
+  service: ['service'],
+  team: ['team']
+};
+
+// titlePattern runs against the title of every incoming alert, see
+// regexSafety for what is allowed
+const TITLE_PATTERN_MAX_LENGTH = parseInt(process.env.ROUTING_TITLE_PATTERN_MAX_LENGTH, 10) || 200;
+
+// Explains why a title pattern is not allowed, or returns null
+function titlePatternProblem(pattern) {
+  return patternProblem(pattern, { name: 'titlePattern', maxLength: TITLE_PATTERN_MAX_LENGTH, flags: 'i' });
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+function normalizeTags(tags) {
+  if (Array.isArray(tags)) {
+    return tags.filter(tag => typeof tag === 'string').map(tag => tag.trim());
+  }
+  if (typeof tags === 'string') {
+    return toList(tags);
+  }
+  return [];
+}
+
+function tagValues(tags, key) {
+  const prefix = `${key.toLowerCase()}:`;
+  return tags
+    .filter(tag => tag.toLowerCase().startsWith(prefix))
+    .map(tag => tag.slice(prefix.length).toLowerCase());
+}
+
+class RoutingRules {
+  constructor(
+    rulesDir = path.join(__dirname, '../../data/routing-rules'),
+    templatesDir = path.join(__dirname, '../../data/templates')
+  ) {
+    this.rulesDir = rulesDir;
+    this.templatesDir = templatesDir;
+    this.documentGenerator = new DocumentGenerator();
+  }
+
+  rulePath(ruleId) {
+    return path.join(this.rulesDir, `${ruleId}.json`);
+  }
+
+  async list() {
+    await fs.ensureDir(this.rulesDir);
+
+    const ruleFiles = await fs.readdir(this.rulesDir);
+    const rules = [];
+
+    for (const file of ruleFiles) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        rules.push(await fs.readJson(path.join(this.rulesDir, file)));
+      } catch (error) {
+        console.warn(`Failed to read routing rule ${file}:`, error.message);
+      }
+    }
+
+    // Lowest order wins; ties go to the oldest rule
+    return rules.sort((a, b) => (a.order - b.order) || (new Date(a.createdAt) - new Date(b.createdAt)));
+  }
+
+  async get(ruleId) {
+    // IDs end up in file paths, so only accept what create() generates
+    if (!/^[0-9a-f-]+$/i.test(ruleId)) {
+      return null;
+    }
+
+    const rulePath = this.rulePath(ruleId);
+    if (!(await fs.pathExists(rulePath))) {
+      return null;
+    }
+    return fs.readJson(rulePath);
+  }
+
+  // Rules can only document alerts with an alert template
+  async templateProblem(templateId) {
+    const templatePath = path.join(this.templatesDir, `${path.basename(String(templateId))}.json`);
+    if (!(await fs.pathExists(templatePath))) {
+      return `Template ${templateId} does not exist`;
+    }
+
+    const template = await fs.readJson(templatePath);
+    const type = template.type || 'alert';
+    return type === 'alert' ? null : `Template ${templateId} is a ${type} template; rules need an alert template`;
+  }
+
+  async validate(rule) {
+    const errors = [];
+
+    if (!rule.name || !String(rule.name).trim()) {
+      errors.push('Rule name is required');
+    }
+    if (!rule.templateId) {
+      errors.push('A templateId is required');
+    } else {
+      const problem = await this.templateProblem(rule.templateId);
+      if (problem) errors.push(problem);
+    }
+
+    const conditions = rule.conditions || {};
+    if (conditions.titlePattern) {
+      const problem = titlePatternProblem(conditions.titlePattern);
+      if (problem) errors.push(problem);
+    }
+
+    const hasCondition = Object.values(conditions).some(value => toList(value).length > 0);
+    if (!hasCondition) {
+      errors.push('At least one condition is required');
+    }
+
+    errors.push(...validateRenderLocale(rule));
+
+    return errors;
+  }
+
+  sanitizeConditions(conditions = {}) {
+    return {
+      env: toList(conditions.env),
+      service: toList(conditions.service),
+      team: toList(conditions.team),
+      alertType: toList(conditions.alertType),
+      priority: toList(conditions.priority),
+      tags: toList(conditions.tags),
+      titlePattern: conditions.titlePattern ? String(conditions.titlePattern) : ''
+    };
+  }
+
+  async create(data) {
+    const rules = await this.list();
+    const now = moment().toISOString();
+    const order = Number(data.order);
+
+    const rule = {
+      id: uuidv4(),
+      name: String(data.name || '').trim(),
+      description: data.description?.trim() || '',
+      enabled: data.enabled !== false,
+      // New rules go last unless an explicit position is given
+      order: data.order !== undefined && data.order !== '' && Number.isFinite(order) ? order : rules.length,
+      templateId: data.templateId,
+      conditions: this.sanitizeConditions(data.conditions),
+      // Zone and locale of the documents this rule generates; null uses
+      // the template's
+      ...renderLocaleFields(data),
+      matchCount: 0,
+      lastMatchedAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const errors = await this.validate(rule);
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    await fs.ensureDir(this.rulesDir);
+    await fs.writeJson(this.rulePath(rule.id), rule, { spaces: 2 });
+    return rule;
+  }
+
+  async update(ruleId, data) {
+    const existingRule = await this.get(ruleId);
+    if (!existingRule) {
+      return null;
+    }
+
+    const updatedRule = {
+      ...existingRule,
+      name: data.name?.trim() || existingRule.name,
+      description: data.description !== undefined ? String(data.description).trim() : existingRule.description,
+      enabled: data.enabled !== undefined ? Boolean(data.enabled) : existingRule.enabled,
+      order: data.order !== undefined && Number.isFinite(Number(data.order)) ? Number(data.order) : existingRule.order,
+      templateId: data.templateId || existingRule.templateId,
+      conditions: data.conditions ? this.sanitizeConditions(data.conditions) : existingRule.conditions,
+      ...renderLocaleFields(data, existingRule),
+      updatedAt: moment().toISOString()
+    };
+
+    const errors = await this.validate(updatedRule);
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    await fs.writeJson(this.rulePath(ruleId), updatedRule, { spaces: 2 });
+    return updatedRule;
+  }
+
+  async remove(ruleId) {
+    const rule = await this.get(ruleId);
+    if (!rule) {
+      return null;
+    }
+    await fs.remove(this.rulePath(ruleId));
+    return rule;
+  }
+
+  // Rewrite rule order to follow the given list of IDs. Rules missing from
+  // the list keep their relative order after the listed ones.
+  async reorder(ruleIds) {
+    const rules = await this.list();
+    const position = new Map(ruleIds.map((id, index) => [id, index]));
+
+    const ordered = [...rules].sort((a, b) => {
+      const posA = position.has(a.id) ? position.get(a.id) : ruleIds.length + a.order;
+      const posB = position.has(b.id) ? position.get(b.id) : ruleIds.length + b.order;
+      return posA - posB;
+    });
+
+    for (const [index, rule] of ordered.entries()) {
+      if (rule.order !== index) {
+        rule.order = index;
+        rule.updatedAt = moment().toISOString();
+        await fs.writeJson(this.rulePath(rule.id), rule, { spaces: 2 });
+      }
+    }
+
+    return ordered;
+  }
+
+  // Check a single rule against an alert and explain which conditions
+  // passed or failed.
+  evaluate(rule, alert) {
+    const conditions = rule.conditions || {};
+    const tags = normalizeTags(alert.tags);
+    const checks = [];
+
+    for (const [condition, tagKeys] of Object.entries(TAG_CONDITIONS)) {
+      const expected = toList(conditions[condition]).map(value => value.toLowerCase());
+      if (expected.length === 0) continue;
+
+      const actual = tagKeys.flatMap(key => tagValues(tags, key));
+      checks.push({
+        condition,
+        expected,
+        actual,
+        passed: actual.some(value => expected.includes(value))
+      });
+    }
+
+    const alertTypes = toList(conditions.alertType).map(value => value.toLowerCase());
+    if (alertTypes.length > 0) {
+      const actual = String(alert.alert_type || '').toLowerCase();
+      checks.push({ condition: 'alertType', expected: alertTypes, actual, passed: alertTypes.includes(actual) });
+    }
+
+    const priorities = toList(conditions.priority).map(value => value.toLowerCase());
+    if (priorities.length > 0) {
+      const actual = this.documentGenerator.determinePriority(alert);
+      checks.push({ condition: 'priority', expected: priorities, actual, passed: priorities.includes(actual) });
+    }
+
+    if (conditions.titlePattern) {
+      const actual = alert.title || '';
+      let passed = false;
+      // Rules saved before patterns were checked may still hold unsafe ones
+      if (!titlePatternProblem(conditions.titlePattern)) {
+        passed = new RegExp(conditions.titlePattern, 'i').test(actual);
+      }
+      checks.push({ condition: 'titlePattern', expected: conditions.titlePattern, actual, passed });
+    }
+
+    const requiredTags = toList(conditions.tags).map(tag => tag.toLowerCase());
+    if (requiredTags.length > 0) {
+      const actual = tags.map(tag => tag.toLowerCase());
+      checks.push({
+        condition: 'tags',
+        expected: requiredTags,
+        actual,
+        passed: requiredTags.every(tag => actual.includes(tag))
+      });
+    }
+
+    return {
+      ruleId: rule.id,
+      name: rule.name,
+      enabled: rule.enabled,
+      matched: rule.enabled && checks.length > 0 && checks.every(check => check.passed),
+      checks
+    };
+  }
+
+  // Find the first enabled rule, in order, that matches the alert
+  async match(alert) {
+    const rules = await this.list();
+    const evaluations = rules.map(rule => this.evaluate(rule, alert));
+    const matchIndex = evaluations.findIndex(evaluation => evaluation.matched);
+
+    return {
+      rule: matchIndex >= 0 ? rules[matchIndex] : null,
+      evaluations
+    };
+  }
+
+  async recordMatch(ruleId) {
+    try {
+      const rule = await this.get(ruleId);
+      if (rule) {
+        rule.matchCount = (rule.matchCount || 0) + 1;
+        rule.lastMatchedAt = moment().toISOString();
+        await fs.writeJson(this.rulePath(ruleId), rule, { spaces: 2 });
+      }
+    } catch (error) {
+      console.warn('Failed to update routing rule match count:', error.message);
+    }
+  }
+}
+
+RoutingRules.titlePatternProblem = titlePatternProblem;
+
+module.exports = RoutingRules;
@@ -0,0 +1,160 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const moment = require('moment');
+const { normalizeDatadogPayload } = require('./alertNormalizer');
+
+// Built-in fixtures ship with the app; their IDs are readable slugs
+const BUILTIN_SAMPLES = require('../fixtures/sample-alerts.json');
+const DEFAULT_SAMPLE_ID = 'metric-alert';
+
+// Sample alerts for template development. Built-in samples hold a Datadog
+// webhook payload; saved samples hold either a payload or, when captured
+// from a received alert, the normalized alert itself. Saved samples are
+// stored as data/samples/<uuid>.json.
+class SampleAlerts {
+  constructor(samplesDir = path.join(__dirname, '../../data/samples')) {
+    this.samplesDir = samplesDir;
+  }
+
+  samplePath(sampleId) {
+    return path.join(this.samplesDir, `${sampleId}.json`);
+  }
+
+  builtin() {
+    return BUILTIN_SAMPLES.map(sample => ({ ...sample, builtin: true }));
+  }
+
+  async readSaved() {
+    await fs.ensureDir(this.samplesDir);
+    const samples = [];
+
+    for (const file of await fs.readdir(this.samplesDir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        samples.push(await fs.readJson(path.join(this.samplesDir, file)));
+      } catch (error) {
+        console.warn(`Failed to read sample ${file}:`, error.message);
+      }
+    }
+
+    return samples.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Sample summaries, built-in first
+  async list({ category } = {}) {
+    const samples = [...this.builtin(), ...(await this.readSaved())];
+    return samples
+      .filter(sample => !category || sample.category === category)
+      .map(({ payload, alert, ...summary }) => summary);
+  }
+
+  async get(sampleId) {
+    const builtin = this.builtin().find(sample => sample.id === sampleId);
+    if (builtin) return builtin;
+
+    // IDs end up in file paths, so only accept what create() generates
+    if (!/^[0-9a-f-]+$/i.test(sampleId)) {
+      return null;
+    }
+
+    const samplePath = this.samplePath(sampleId);
+    if (!(await fs.pathExists(samplePath))) {
+      return null;
+    }
+    return fs.readJson(samplePath);
+  }
+
+  // The normalized alert a sample renders as, or null when it does not exist
+  async resolve(sampleId = DEFAULT_SAMPLE_ID) {
+    const sample = await this.get(sampleId);
+    if (!sample) return null;
+    return this.toAlert(sample);
+  }
+
+  // Built-in payloads are received "at" their event date so that rendering
+  // a sample always gives the same output
+  toAlert(sample) {
+    if (sample.alert) return sample.alert;
+    const date = sample.payload && sample.payload.date;
+    const timestamp = sample.createdAt || (date ? moment.unix(date).toISOString() : moment().toISOString());
+    return normalizeDatadogPayload(sample.payload, timestamp);
+  }
+
+  validate(sample) {
+    const errors = [];
+
+    if (!sample.name || !String(sample.name).trim()) {
+      errors.push('Sample name is required');
+    }
+    if (!sample.alert && !normalizeDatadogPayload(sample.payload)) {
+      errors.push('payload must be a Datadog JSON payload or notification text');
+    }
+
+    return errors;
+  }
+
+  throwIfInvalid(sample) {
+    const errors = this.validate(sample);
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.validationErrors = errors;
+      throw error;
+    }
+  }
+
+  async save(sample) {
+    this.throwIfInvalid(sample);
+
+    await fs.ensureDir(this.samplesDir);
+    await fs.writeJson(this.samplePath(sample.id), sample, { spaces: 2 });
+    return sample;
+  }
+
+  // Data: { name, description, category, payload }
+  async create(data) {
+    const now = moment().toISOString();
+    return this.save({
+      id: uuidv4(),
+      name: String(data.name || '').trim(),
+      description: String(data.description || '').trim(),
+      category: String(data.category || 'custom').trim(),
+      builtin: false,
+      payload: data.payload,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  // Capture a stored alert (see alertRepository) as a sample
+  async createFromAlert(alertData, data = {}) {
+    const alert = alertData.originalPayload;
+    const now = moment().toISOString();
+
+    return this.save({
+      id: uuidv4(),
+      name: String(data.name || alert.title || 'Untitled Alert').trim(),
+      description: String(data.description || `Captured from alert received ${moment(alertData.timestamp).format('YYYY-MM-DD HH:mm')}`).trim(),
+      category: String(data.category || 'captured').trim(),
+      builtin: false,
+      alertId: alertData.id,
+      alert,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  // Built-in samples cannot be removed; returns null for them
+  async remove(sampleId) {
+    const sample = await this.get(sampleId);
+    if (!sample || sample.builtin) {
+      return null;
+    }
+    await fs.remove(this.samplePath(sampleId));
+    return sample;
+  }
+}
+
+SampleAlerts.DEFAULT_SAMPLE_ID = DEFAULT_SAMPLE_ID;
+
+module.exports = SampleAlerts;
@@ -0,0 +1,135 @@
+const moment = require('moment');
+const helperRegistry = require('./helperRegistry');
+const TemplateValidator = require('./templateValidator');
+const SampleAlerts = require('./sampleAlerts');
+
+// Descriptions for the sections and less obvious fields. Every other field
+// is still listed, with its type and the default sample's value.
+const DESCRIPTIONS = {
+  alert: 'The alert being documented',
+  'alert.id': 'Event ID ($ID)',
+  'alert.monitorId': 'Monitor ID ($ALERT_ID)',
+  'alert.type': 'error, warning, info, success or recovery',
+  'alert.priority': 'high, medium or low, derived from the priority and alert type',
+  'alert.rawPriority': 'Priority as sent, e.g. P1',
+  'alert.status': 'Transition such as Triggered, Recovered or Warn',
+  'alert.statusSummary': 'Monitor status summary ($ALERT_STATUS)',
+  'alert.aggregationKey': 'Aggregation key shared by related alerts ($AGGREG_KEY)',
+  'alert.cycleKey': 'ID shared by every notification of one alert cycle',
+  'alert.mentions': '@-handles notified by the alert',
+  'alert.tags': 'Tags as key:value strings',
+  time: 'When the alert triggered',
+  'time.triggered': 'moment.js date; pass it to formatDate',
+  'time.relative': 'e.g. "5 minutes ago"',
+  'time.unix': 'Unix seconds',
+  'time.utc': 'The trigger time in UTC, next to formatted in the document\'s time zone',
+  'time.timezone': 'Time zone the document renders in (template, routing rule or system setting)',
+  'generated.locale': 'Locale of month and day names',
+  metric: 'The metric the monitor evaluates',
+  'metric.condition': 'Comparison operator from the monitor query, e.g. >',
+  host: 'Host and service, mostly from tags',
+  'host.environment': 'env: or environment: tag',
+  'host.service': 'service: tag',
+  'host.team': 'team: tag',
+  'host.region': 'region: tag',
+  org: 'Datadog organization',
+  lifecycle: 'Trigger → re-notify → recovery history of the monitor and scope; blank outside a lifecycle',
+  'lifecycle.durationSeconds': 'Seconds from trigger to recovery; pass to formatDuration',
+  'lifecycle.events': 'Notifications received for the lifecycle',
+  incident: 'Related alerts grouped into one incident; blank for single-alert documents',
+  'incident.groupedBy': 'Grouping keys and values, e.g. { "tag:service": "web" }',
+  'incident.alerts': 'Member alerts, each with the alert, time, metric, host and org sections',
+  raw: 'The normalized alert as received, including fields not mapped above',
+  generated: 'When and by what the document was generated',
+  postmortem: 'The post-mortem document',
+  impact: 'Impact window: start, end, durationSeconds, affected services and hosts',
+  timeline: 'Timeline entries with at, type and description',
+  alerts: 'Summaries of the alerts covered',
+  sections: 'Editable sections: summary, rootCause, resolution, lessonsLearned',
+  actionItems: 'Action items with title, owner, dueDate and status',
+  openActionItems: 'Number of action items not done',
+  owners: 'Post-mortem owners'
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (moment.isMoment(value)) return 'date';
+  if (value === null || value === undefined) return 'any';
+  return typeof value;
+}
+
+function exampleOf(value) {
+  if (moment.isMoment(value)) return value.toISOString();
+  if (value === null || value === undefined || typeof value === 'object') return undefined;
+  const text = String(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+// Describes the template context (from prepareTemplateContext, rendered
+// for the default sample) and the registered helpers, for the editor's
+// autocomplete and reference panel
+class TemplateContextSchema {
+  constructor() {
+    this.templateValidator = new TemplateValidator();
+    this.sampleAlerts = new SampleAlerts();
+  }
+
+  // Flattened fields: { path, type, example, description, items }. Array
+  // item fields are listed under "<path>[]".
+  fields(context) {
+    const fields = [];
+
+    const walk = (value, path, key) => {
+      const field = { path, type: typeOf(value) };
+      const example = exampleOf(value);
+      if (example !== undefined) field.example = example;
+      if (DESCRIPTIONS[key]) field.description = DESCRIPTIONS[key];
+      fields.push(field);
+
+      // The raw payload varies per source; do not list its fields
+      if (key === 'raw') return;
+
+      if (Array.isArray(value)) {
+        if (value.length > 0) {
+          field.items = typeOf(value[0]);
+          if (field.items === 'object') walk(value[0], `${path}[]`, `${key}[]`);
+        }
+      } else if (field.type === 'object') {
+        for (const [child, childValue] of Object.entries(value)) {
+          walk(childValue, `${path}.${child}`, `${key}.${child}`);
+        }
+      }
+    };
+
+    for (const [key, value] of Object.entries(context)) {
+      walk(value, key, key);
+    }
+
+    // Item fields of arrays get the descriptions of their top-level twins,
+    // e.g. incident.alerts[].alert.title as alert.title
+    for (const field of fields) {
+      const inner = field.path.split('[].').slice(-1)[0];
+      if (!field.description && inner !== field.path && DESCRIPTIONS[inner]) {
+        field.description = DESCRIPTIONS[inner];
+      }
+    }
+    return fields.filter(field => !field.path.endsWith('[]'));
+  }
+
+  async build(type = 'alert') {
+    const sample = await this.sampleAlerts.resolve();
+    const context = this.templateValidator.contextFor(type, sample, { incidentAlerts: [sample] });
+
+    return {
+      type,
+      sampleId: SampleAlerts.DEFAULT_SAMPLE_ID,
+      sections: Object.keys(context).map(name => ({ name, description: DESCRIPTIONS[name] || '' })),
+      fields: this.fields(context),
+      helpers: helperRegistry.list()
+    };
+  }
+}
+
+TemplateContextSchema.DESCRIPTIONS = DESCRIPTIONS;
+
+module.exports = TemplateContextSchema;
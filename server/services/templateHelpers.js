@@ -0,0 +1,307 @@
+const Handlebars = require('handlebars');
+const moment = require('moment-timezone');
+// Registers every moment locale, for the locale of the date helpers
+require('moment/min/locales');
+
+// Built-in template helpers, shared by the server (see helperRegistry) and
+// the Netlify functions. Each definition carries the metadata served to
+// template authors: args ({ name, description, optional }), description and
+// examples. Block helpers are marked `block`.
+
+const DEFAULT_DATE_FORMAT = 'MMMM Do YYYY, h:mm:ss a';
+
+function formatDuration(seconds) {
+  const duration = moment.duration(seconds, 'seconds');
+  if (duration.asHours() >= 1) {
+    return `${Math.floor(duration.asHours())}h ${duration.minutes()}m`;
+  } else if (duration.asMinutes() >= 1) {
+    return `${Math.floor(duration.asMinutes())}m ${duration.seconds()}s`;
+  } else {
+    return `${duration.seconds()}s`;
+  }
+}
+
+// Handlebars passes its options object as the last argument, so optional
+// arguments that were left out arrive as that object
+function given(value) {
+  return value !== undefined && value !== null && !(typeof value === 'object' && value.hash && value.data);
+}
+
+// A date in the zone and locale given as tz=… and locale=…, else in those
+// the document renders with (@timezone and @locale), else as it is
+function inZone(date, options, zone) {
+  const hash = (options && options.hash) || {};
+  const data = (options && options.data) || {};
+  let value = moment(date);
+  const timezone = zone || hash.tz || data.timezone;
+  const locale = hash.locale || data.locale;
+  if (timezone && moment.tz.zone(timezone)) value = value.tz(timezone);
+  if (locale) value = value.locale(locale);
+  return value;
+}
+
+function tagList(tags) {
+  if (Array.isArray(tags)) return tags.map(String);
+  if (typeof tags === 'string') return tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  return [];
+}
+
+function markdownCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return Handlebars.escapeExpression(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+const DATADOG_PATHS = {
+  monitor: id => `/monitors/${id}`,
+  event: id => `/event/event?id=${id}`,
+  dashboard: id => `/dashboard/${id}`,
+  host: id => `/infrastructure?host=${id}`,
+  service: id => `/apm/services/${id}`,
+  logs: query => `/logs?query=${query}`
+};
+
+const BUILTIN_HELPERS = [
+  {
+    name: 'formatDate',
+    args: [{ name: 'date' }, { name: 'format', optional: true, description: `moment.js format, by default "${DEFAULT_DATE_FORMAT}"` }],
+    description: 'Formats a date in the document\'s time zone and locale; tz=… and locale=… override them',
+    examples: ['{{formatDate time.iso "YYYY-MM-DD HH:mm"}}', '{{formatDate time.iso "LLLL" tz="UTC" locale="de"}}'],
+    fn: (date, ...args) => {
+      const options = args.pop();
+      const format = args[0];
+      return inZone(date, options).format(given(format) ? format : DEFAULT_DATE_FORMAT);
+    }
+  },
+  {
+    name: 'timeIn',
+    args: [{ name: 'date' }, { name: 'zone', description: 'IANA time zone, e.g. Europe/Berlin' }, { name: 'format', optional: true }],
+    description: 'Formats a date in a time zone, with its abbreviation by default; locale=… overrides the document\'s locale',
+    examples: ['{{timeIn time.iso "America/New_York"}}', '{{timeIn time.iso "Asia/Tokyo" "HH:mm z"}}'],
+    fn: (date, zone, ...args) => {
+      const options = args.pop();
+      const format = args[0];
+      if (!given(zone) || !moment.tz.zone(zone)) {
+        return `Unknown time zone: ${given(zone) ? zone : ''}`;
+      }
+      return inZone(date, options, zone).format(given(format) ? format : `${DEFAULT_DATE_FORMAT} z`);
+    }
+  },
+  {
+    name: 'formatDuration',
+    args: [{ name: 'seconds' }],
+    description: 'Formats a number of seconds as e.g. 1h 5m, 3m 20s or 45s',
+    examples: ['{{formatDuration lifecycle.durationSeconds}}'],
+    fn: seconds => formatDuration(seconds)
+  },
+  {
+    name: 'capitalize',
+    args: [{ name: 'text' }],
+    description: 'Upper-cases the first character',
+    examples: ['{{capitalize alert.priority}}'],
+    fn: str => {
+      if (!str) return '';
+      return str.charAt(0).toUpperCase() + str.slice(1);
+    }
+  },
+  {
+    name: 'upper',
+    args: [{ name: 'text' }],
+    description: 'Upper-cases the text',
+    examples: ['{{upper alert.type}}'],
+    fn: str => {
+      if (!str) return '';
+      return str.toUpperCase();
+    }
+  },
+  {
+    name: 'lower',
+    args: [{ name: 'text' }],
+    description: 'Lower-cases the text',
+    examples: ['{{lower alert.status}}'],
+    fn: str => {
+      if (!str) return '';
+      return str.toLowerCase();
+    }
+  },
+  {
+    name: 'truncate',
+    args: [{ name: 'text' }, { name: 'length' }, { name: 'suffix', optional: true, description: 'Appended when cut, by default "…"' }],
+    description: 'Cuts text to at most length characters, suffix included',
+    examples: ['{{truncate alert.message 120}}', '{{truncate alert.title 40 "..."}}'],
+    fn: (str, length, suffix) => {
+      const text = given(str) ? String(str) : '';
+      const max = parseInt(length, 10);
+      const end = given(suffix) ? String(suffix) : '…';
+      if (!Number.isFinite(max) || text.length <= max) return text;
+      return text.slice(0, Math.max(0, max - end.length)) + end;
+    }
+  },
+  {
+    name: 'default',
+    args: [{ name: 'value' }, { name: 'fallback' }],
+    description: 'The value, or fallback when it is empty, null or undefined',
+    examples: ['{{default host.team "unassigned"}}'],
+    fn: (value, fallback) => (given(value) && value !== '' ? value : fallback)
+  },
+  {
+    name: 'pluralize',
+    args: [{ name: 'count' }, { name: 'singular' }, { name: 'plural', optional: true, description: 'By default singular + "s"' }],
+    description: 'The count followed by the singular or plural word',
+    examples: ['{{pluralize incident.alertCount "alert"}}', '{{pluralize lifecycle.notificationCount "notification"}}'],
+    fn: (count, singular, plural) => {
+      const word = Number(count) === 1 ? singular : (given(plural) ? plural : `${singular}s`);
+      return `${count} ${word}`;
+    }
+  },
+  {
+    name: 'tagValue',
+    args: [{ name: 'tags', description: 'Tag list such as alert.tags' }, { name: 'key' }, { name: 'fallback', optional: true }],
+    description: 'Value of the first key:value tag with the given key',
+    examples: ['{{tagValue alert.tags "service"}}', '{{tagValue alert.tags "owner" "unknown"}}'],
+    fn: (tags, key, fallback) => {
+      const prefix = `${key}:`;
+      const tag = tagList(tags).find(candidate => candidate.startsWith(prefix));
+      if (tag) return tag.slice(prefix.length);
+      return given(fallback) ? fallback : '';
+    }
+  },
+  {
+    name: 'markdownTable',
+    args: [{ name: 'rows', description: 'Array of objects' }, { name: 'columns', optional: true, description: 'Comma-separated keys, by default those of the first row' }],
+    description: 'A Markdown table of rows',
+    examples: ['{{markdownTable actionItems "title,owner,status"}}'],
+    fn: (rows, columns) => {
+      const list = Array.isArray(rows) ? rows.filter(row => row && typeof row === 'object') : [];
+      if (list.length === 0) return '';
+
+      const keys = given(columns)
+        ? String(columns).split(',').map(column => column.trim()).filter(Boolean)
+        : Object.keys(list[0]);
+      const lines = [
+        `| ${keys.map(markdownCell).join(' | ')} |`,
+        `| ${keys.map(() => '---').join(' | ')} |`,
+        ...list.map(row => `| ${keys.map(key => markdownCell(row[key])).join(' | ')} |`)
+      ];
+      // Cells are escaped above
+      return new Handlebars.SafeString(lines.join('\n'));
+    }
+  },
+  {
+    name: 'datadogLink',
+    args: [
+      { name: 'kind', description: Object.keys(DATADOG_PATHS).join(', ') },
+      { name: 'id' }
+    ],
+    description: 'Link to a Datadog page; the site comes from site=… or DATADOG_SITE (default datadoghq.com)',
+    examples: ['{{datadogLink "monitor" alert.monitorId}}', '{{datadogLink "host" host.name site="datadoghq.eu"}}'],
+    fn: (kind, id, options) => {
+      const path = DATADOG_PATHS[kind];
+      if (!path || !given(id) || id === '') return '';
+      const site = (options && options.hash && options.hash.site) || process.env.DATADOG_SITE || 'datadoghq.com';
+      if (!/^[\w.-]+$/.test(site)) return '';
+      // Not HTML-escaped, so the query string stays usable; every part is
+      // either fixed or URL-encoded
+      return new Handlebars.SafeString(`https://app.${site}${path(encodeURIComponent(id))}`);
+    }
+  },
+  {
+    name: 'json',
+    args: [{ name: 'value' }],
+    description: 'Pretty-printed JSON of a value',
+    examples: ['{{{json raw}}}'],
+    fn: obj => JSON.stringify(obj, null, 2)
+  },
+  {
+    name: 'eq',
+    args: [{ name: 'a' }, { name: 'b' }],
+    description: 'True when a === b; use as a subexpression',
+    examples: ['{{#if (eq alert.priority "high")}}Page on-call{{/if}}'],
+    fn: (a, b) => a === b
+  },
+  {
+    name: 'ne',
+    args: [{ name: 'a' }, { name: 'b' }],
+    description: 'True when a !== b',
+    examples: ['{{#if (ne alert.type "success")}}Firing{{/if}}'],
+    fn: (a, b) => a !== b
+  },
+  {
+    name: 'gt',
+    args: [{ name: 'a' }, { name: 'b' }],
+    description: 'True when a > b',
+    examples: ['{{#if (gt metric.value metric.threshold)}}Over threshold{{/if}}'],
+    fn: (a, b) => a > b
+  },
+  {
+    name: 'lt',
+    args: [{ name: 'a' }, { name: 'b' }],
+    description: 'True when a < b',
+    examples: ['{{#if (lt metric.value 10)}}Low{{/if}}'],
+    fn: (a, b) => a < b
+  },
+  {
+    name: 'and',
+    args: [{ name: 'a' }, { name: 'b' }],
+    description: 'True when both a and b are truthy',
+    examples: ['{{#if (and lifecycle.recovered incident.resolved)}}All clear{{/if}}'],
+    fn: (a, b) => Boolean(a && b)
+  },
+  {
+    name: 'or',
+    args: [{ name: 'a' }, { name: 'b' }],
+    description: 'True when a or b is truthy',
+    examples: ['{{#if (or host.team host.service)}}Owner: {{default host.team host.service}}{{/if}}'],
+    fn: (a, b) => Boolean(a || b)
+  },
+  {
+    name: 'not',
+    args: [{ name: 'value' }],
+    description: 'True when value is falsy',
+    examples: ['{{#if (not lifecycle.recovered)}}Still firing{{/if}}'],
+    fn: value => !value
+  },
+  {
+    name: 'ifCond',
+    block: true,
+    args: [{ name: 'a' }, { name: 'operator', description: '==, ===, !=, !==, <, <=, >, >=, && or ||' }, { name: 'b' }],
+    description: 'Renders the block when a operator b holds',
+    examples: ['{{#ifCond incident.alertCount ">" 1}}{{incident.alertCount}} alerts{{/ifCond}}'],
+    fn: function(v1, operator, v2, options) {
+      switch (operator) {
+        case '==':
+          return (v1 == v2) ? options.fn(this) : options.inverse(this);
+        case '===':
+          return (v1 === v2) ? options.fn(this) : options.inverse(this);
+        case '!=':
+          return (v1 != v2) ? options.fn(this) : options.inverse(this);
+        case '!==':
+          return (v1 !== v2) ? options.fn(this) : options.inverse(this);
+        case '<':
+          return (v1 < v2) ? options.fn(this) : options.inverse(this);
+        case '<=':
+          return (v1 <= v2) ? options.fn(this) : options.inverse(this);
+        case '>':
+          return (v1 > v2) ? options.fn(this) : options.inverse(this);
+        case '>=':
+          return (v1 >= v2) ? options.fn(this) : options.inverse(this);
+        case '&&':
+          return (v1 && v2) ? options.fn(this) : options.inverse(this);
+        case '||':
+          return (v1 || v2) ? options.fn(this) : options.inverse(this);
+        default:
+          return options.inverse(this);
+      }
+    }
+  }
+];
+
+// Register helper definitions (by default the built-in ones) on a
+// Handlebars environment
+function registerHelpers(handlebars, helpers = BUILTIN_HELPERS) {
+  for (const helper of helpers) {
+    handlebars.registerHelper(helper.name, helper.fn);
+  }
+}
+
+module.exports = { BUILTIN_HELPERS, registerHelpers, formatDuration };
@@ -0,0 +1,266 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Handlebars = require('handlebars');
+
+// Template types that register as partials. A layout is a partial that
+// renders the caller's block with {{> @partial-block}}, used as {{#> layout}}.
+const PARTIAL_TYPES = ['partial', 'layout'];
+const PARTIAL_NAME = /^[A-Za-z][\w-]*$/;
+
+// Collects the static partial names a template references, and the inline
+// partials ({{#*inline "name"}}) it defines itself
+class PartialScanner extends Handlebars.Visitor {
+  constructor() {
+    super();
+    this.referenced = new Set();
+    this.inline = new Set();
+  }
+
+  addPartial(name) {
+    // Dynamic partials ({{> (lookup ...)}}) cannot be resolved ahead of time
+    if (name.type === 'PathExpression' && name.original !== '@partial-block') {
+      this.referenced.add(name.original);
+    } else if (name.type === 'StringLiteral') {
+      this.referenced.add(name.value);
+    }
+  }
+
+  PartialStatement(partial) {
+    this.addPartial(partial.name);
+    return super.PartialStatement(partial);
+  }
+
+  PartialBlockStatement(partial) {
+    this.addPartial(partial.name);
+    return super.PartialBlockStatement(partial);
+  }
+
+  DecoratorBlock(block) {
+    const [name] = block.params;
+    if (block.path.original === 'inline' && name && name.type === 'StringLiteral') {
+      this.inline.add(name.value);
+    }
+    return super.DecoratorBlock(block);
+  }
+}
+
+function invalid(errors) {
+  const error = new Error(errors.join('; '));
+  error.validationErrors = errors;
+  return error;
+}
+
+// Resolves partials and layouts from the template store and keeps track of
+// which templates use which partials
+class TemplatePartials {
+  constructor(templatesDir = path.join(__dirname, '../../data/templates')) {
+    this.templatesDir = templatesDir;
+  }
+
+  isPartial(template) {
+    return PARTIAL_TYPES.includes(template.type);
+  }
+
+  // Partial names referenced by template content, minus inline partials.
+  // Throws on Handlebars syntax errors.
+  scan(content) {
+    const scanner = new PartialScanner();
+    scanner.accept(Handlebars.parse(String(content || '')));
+    return Array.from(scanner.referenced).filter(name => !scanner.inline.has(name));
+  }
+
+  async loadAll() {
+    await fs.ensureDir(this.templatesDir);
+    const templates = [];
+
+    for (const file of await fs.readdir(this.templatesDir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        templates.push(await fs.readJson(path.join(this.templatesDir, file)));
+      } catch (error) {
+        console.warn(`Failed to read template ${file}:`, error.message);
+      }
+    }
+
+    return templates;
+  }
+
+  partialsByName(templates) {
+    return new Map(templates.filter(template => this.isPartial(template)).map(template => [template.partialName, template]));
+  }
+
+  // Dependency graph: nodes are templates, edges point from a template to
+  // each partial it uses. Edges to missing partials have `missing: true`.
+  graphFor(templates) {
+    const partials = this.partialsByName(templates);
+    const nodes = templates.map(template => ({
+      id: template.id,
+      name: template.name,
+      type: template.type || 'alert',
+      partialName: this.isPartial(template) ? template.partialName : null
+    }));
+    const edges = [];
+
+    for (const template of templates) {
+      let uses = [];
+      try {
+        uses = this.scan(template.content);
+      } catch (error) {
+        // Unparsable templates have no usable edges
+      }
+      for (const partialName of uses) {
+        const partial = partials.get(partialName);
+        edges.push({ from: template.id, to: partial ? partial.id : null, partialName, missing: !partial });
+      }
+    }
+
+    return { nodes, edges };
+  }
+
+  async graph() {
+    return this.graphFor(await this.loadAll());
+  }
+
+  // Partials a template uses (directly or through other partials) and the
+  // templates that use it, when it is a partial
+  async dependencies(template) {
+    const templates = await this.loadAll();
+    const { edges } = this.graphFor(templates);
+    const byId = new Map(templates.map(candidate => [candidate.id, candidate]));
+    const summary = id => ({ id, name: byId.get(id).name, type: byId.get(id).type || 'alert' });
+
+    const walk = (start, next) => {
+      const seen = new Set();
+      const queue = [start];
+      while (queue.length > 0) {
+        for (const id of next(queue.shift())) {
+          if (id && !seen.has(id) && id !== start) {
+            seen.add(id);
+            queue.push(id);
+          }
+        }
+      }
+      return Array.from(seen).map(summary);
+    };
+
+    return {
+      uses: walk(template.id, id => edges.filter(edge => edge.from === id).map(edge => edge.to)),
+      missing: edges.filter(edge => edge.from === template.id && edge.missing).map(edge => edge.partialName),
+      usedBy: walk(template.id, id => edges.filter(edge => edge.to === id).map(edge => edge.from))
+    };
+  }
+
+  // Check a template about to be saved against the rest of the store:
+  // syntax, partial name, missing partials and circular references. Pass
+  // the stored version as `existing` so renaming a partial in use fails.
+  // Throws with validationErrors.
+  async validate(candidate, existing = null) {
+    const errors = [];
+
+    let uses = [];
+    try {
+      uses = this.scan(candidate.content);
+    } catch (error) {
+      throw invalid([`Template does not compile: ${error.message}`]);
+    }
+
+    const others = (await this.loadAll()).filter(template => template.id !== candidate.id);
+    const templates = [...others, candidate];
+    const partials = this.partialsByName(templates);
+
+    if (this.isPartial(candidate)) {
+      if (!PARTIAL_NAME.test(candidate.partialName || '')) {
+        errors.push('Partial name must start with a letter and contain only letters, digits, _ and -');
+      } else if (others.some(template => this.isPartial(template) && template.partialName === candidate.partialName)) {
+        errors.push(`A partial named "${candidate.partialName}" already exists`);
+      }
+    }
+
+    if (existing && this.isPartial(existing) && !partials.has(existing.partialName)) {
+      const users = others.filter(template => {
+        try {
+          return this.scan(template.content).includes(existing.partialName);
+        } catch (error) {
+          return false;
+        }
+      });
+      if (users.length > 0) {
+        errors.push(`Partial "${existing.partialName}" is still used by: ${users.map(template => template.name).join(', ')}`);
+      }
+    }
+
+    const missing = uses.filter(name => !partials.has(name));
+    for (const name of missing) {
+      errors.push(`Missing partial "${name}"`);
+    }
+
+    const cycle = this.findCycle(candidate, partials);
+    if (cycle) {
+      errors.push(`Circular partial reference: ${cycle.join(' → ')}`);
+    }
+
+    if (errors.length > 0) throw invalid(errors);
+    return uses;
+  }
+
+  // Depth-first search from the candidate through the partials it uses.
+  // Returns the partial names forming a cycle, or null.
+  findCycle(candidate, partials) {
+    const usesOf = template => {
+      try {
+        return this.scan(template.content);
+      } catch (error) {
+        return [];
+      }
+    };
+    const label = template => (this.isPartial(template) ? template.partialName : template.name);
+
+    const visit = (template, trail) => {
+      for (const name of usesOf(template)) {
+        const partial = partials.get(name);
+        if (!partial) continue;
+        if (trail.includes(partial)) {
+          return [...trail.slice(trail.indexOf(partial)), partial].map(label);
+        }
+        const cycle = visit(partial, [...trail, partial]);
+        if (cycle) return cycle;
+      }
+      return null;
+    };
+
+    return visit(candidate, [candidate]);
+  }
+
+  // Partial contents a template needs at render time, keyed by partial
+  // name, including partials used by those partials. `overrides` maps
+  // partial names to unsaved content that replaces the stored partial.
+  async resolve(content, overrides = {}) {
+    const partials = this.partialsByName(await this.loadAll());
+    for (const [name, override] of Object.entries(overrides)) {
+      partials.set(name, { ...partials.get(name), content: override });
+    }
+    const resolved = {};
+    const queue = this.scan(content);
+
+    while (queue.length > 0) {
+      const name = queue.shift();
+      if (resolved[name] !== undefined) continue;
+
+      const partial = partials.get(name);
+      if (!partial) {
+        throw new Error(`Missing partial "${name}"`);
+      }
+      // Template content is stored trimmed, but a standalone {{> partial}}
+      // line drops its own newline and relies on the partial ending in one,
+      // as a partial file would
+      resolved[name] = partial.content.endsWith('\n') ? partial.content : `${partial.content}\n`;
+      queue.push(...this.scan(partial.content));
+    }
+
+    return resolved;
+  }
+}
+
+TemplatePartials.PARTIAL_TYPES = PARTIAL_TYPES;
+
+module.exports = TemplatePartials;
@@ -0,0 +1,38 @@
+// Renders one template for templateSandbox and exits. Runs in a worker
+// thread with workerData: { content, context, partials, data,
+// pluginFiles, maxOutputBytes }.
+const { parentPort, workerData } = require('worker_threads');
+const Handlebars = require('handlebars');
+const { HelperRegistry } = require('./helperRegistry');
+const { fromTransferable } = require('./templateSandbox');
+
+const { content, context, partials, data, pluginFiles, maxOutputBytes } = workerData;
+
+// Isolated from the global environment the server registers helpers on;
+// the same built-in and plugin helpers as the server
+const handlebars = Handlebars.create();
+const helperRegistry = new HelperRegistry();
+helperRegistry.loadFiles(pluginFiles);
+helperRegistry.register(handlebars);
+
+try {
+  const output = handlebars.compile(content)(fromTransferable(context), {
+    partials,
+    data,
+    // Templates only see own properties of the context, never prototypes
+    allowProtoPropertiesByDefault: false,
+    allowProtoMethodsByDefault: false
+  });
+  const bytes = Buffer.byteLength(output);
+
+  if (bytes > maxOutputBytes) {
+    parentPort.postMessage({
+      limit: 'output',
+      error: `Rendered output is ${bytes} bytes, over the ${maxOutputBytes} byte limit`
+    });
+  } else {
+    parentPort.postMessage({ output });
+  }
+} catch (error) {
+  parentPort.postMessage({ error: error.message });
+}
@@ -0,0 +1,172 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const moment = require('moment-timezone');
+const helperRegistry = require('./helperRegistry');
+
+const WORKER_PATH = path.join(__dirname, 'templateRenderWorker.js');
+const MOMENT_KEY = '$moment';
+
+// Limits for one render. Templates are uploaded by anyone on the team, so a
+// template that loops over a huge payload must not hang or bloat the server.
+const RENDER_LIMITS = {
+  timeoutMs: parseInt(process.env.TEMPLATE_RENDER_TIMEOUT_MS, 10) || 2000,
+  maxOutputBytes: parseInt(process.env.TEMPLATE_RENDER_MAX_OUTPUT_BYTES, 10) || 1024 * 1024,
+  maxMemoryMb: parseInt(process.env.TEMPLATE_RENDER_MAX_MEMORY_MB, 10) || 64,
+  concurrency: parseInt(process.env.TEMPLATE_RENDER_CONCURRENCY, 10) || 2
+};
+
+function limitError(limit, message) {
+  const error = new Error(message);
+  error.code = 'RENDER_LIMIT';
+  error.limit = limit;
+  return error;
+}
+
+// Contexts are copied into the worker as plain data, which also drops any
+// prototype a template could reach through. Moments are the only class
+// instances templates get; they are marked here and rebuilt in the worker.
+function toTransferable(value) {
+  if (moment.isMoment(value)) {
+    return { [MOMENT_KEY]: value.toISOString(true), zone: value.tz() || null, local: value.isLocal(), locale: value.locale() };
+  }
+  if (value instanceof Date) return value;
+  if (Array.isArray(value)) return value.map(toTransferable);
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const [key, child] of Object.entries(value)) {
+      if (typeof child !== 'function') copy[key] = toTransferable(child);
+    }
+    return copy;
+  }
+  return typeof value === 'function' ? undefined : value;
+}
+
+function fromTransferable(value) {
+  if (Array.isArray(value)) return value.map(fromTransferable);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    if (typeof value[MOMENT_KEY] === 'string') {
+      const iso = value[MOMENT_KEY];
+      let revived;
+      if (value.zone) {
+        revived = moment.tz(iso, value.zone);
+      } else {
+        revived = value.local ? moment(iso) : moment.parseZone(iso);
+      }
+      return revived.locale(value.locale);
+    }
+    const copy = {};
+    for (const [key, child] of Object.entries(value)) {
+      copy[key] = fromTransferable(child);
+    }
+    return copy;
+  }
+  return value;
+}
+
+// Renders templates in a worker thread per render, with its own Handlebars
+// environment, a time limit, a heap limit and an output size limit. A render
+// over a limit rejects with an error whose code is RENDER_LIMIT and whose
+// `limit` is timeout, memory or output.
+class TemplateSandbox {
+  constructor(limits = {}) {
+    this.limits = { ...RENDER_LIMITS, ...limits };
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  // `data` ({ timezone, locale }) is passed to helpers as @data
+  async render(content, context, partials = {}, data = {}) {
+    await this.acquire();
+    try {
+      return await this.run(content, context, partials, data);
+    } finally {
+      this.release();
+    }
+  }
+
+  // At most `concurrency` workers at once; the rest wait their turn
+  acquire() {
+    if (this.active < this.limits.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  run(content, context, partials, data) {
+    const { timeoutMs, maxOutputBytes, maxMemoryMb } = this.limits;
+    helperRegistry.load();
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_PATH, {
+        workerData: {
+          content,
+          context: toTransferable(context),
+          partials,
+          data,
+          pluginFiles: helperRegistry.pluginFiles,
+          maxOutputBytes
+        },
+        resourceLimits: {
+          maxOldGenerationSizeMb: maxMemoryMb,
+          maxYoungGenerationSizeMb: Math.max(4, Math.floor(maxMemoryMb / 4))
+        }
+      });
+      let timer = null;
+      let settled = false;
+
+      const finish = (error, output) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        worker.terminate();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(output);
+        }
+      };
+
+      // Start the clock once the worker runs, so a busy server does not
+      // count its startup against the template
+      worker.once('online', () => {
+        timer = setTimeout(() => {
+          finish(limitError('timeout', `Template rendering exceeded the ${timeoutMs} ms time limit`));
+        }, timeoutMs);
+      });
+      worker.once('message', message => {
+        if (message.limit) {
+          finish(limitError(message.limit, message.error));
+        } else if (message.error) {
+          finish(new Error(message.error));
+        } else {
+          finish(null, message.output);
+        }
+      });
+      worker.once('error', error => {
+        if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+          finish(limitError('memory', `Template rendering exceeded the ${maxMemoryMb} MB memory limit`));
+        } else {
+          finish(error);
+        }
+      });
+      worker.once('exit', code => {
+        finish(new Error(`Template render worker exited with code ${code}`));
+      });
+    });
+  }
+}
+
+module.exports = new TemplateSandbox();
+module.exports.TemplateSandbox = TemplateSandbox;
+module.exports.RENDER_LIMITS = RENDER_LIMITS;
+module.exports.fromTransferable = fromTransferable;
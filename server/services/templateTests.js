@@ -0,0 +1,240 @@
+const { v4: uuidv4 } = require('uuid');
+const moment = require('moment');
+const TemplateValidator = require('./templateValidator');
+const TemplatePartials = require('./templatePartials');
+const TemplateVersions = require('./templateVersions');
+const SampleAlerts = require('./sampleAlerts');
+const { normalizeDatadogPayload } = require('./alertNormalizer');
+const { patternProblem } = require('./regexSafety');
+const { resolveRenderLocale } = require('./renderLocale');
+
+// Every test renders "now" as this instant, so relative times and
+// generated timestamps do not change between runs. Templates without a
+// timezone or locale render in UTC and English, whatever the server's.
+const TEST_NOW = '2026-01-01T12:00:00.000Z';
+const TEST_RENDER_LOCALE = { timezone: 'UTC', locale: 'en' };
+
+// `matches` patterns run against the whole rendered output
+const MATCH_PATTERN_MAX_LENGTH = 200;
+
+function matchPatternProblem(pattern) {
+  return patternProblem(pattern, { name: 'matches pattern', maxLength: MATCH_PATTERN_MAX_LENGTH, flags: 'm' });
+}
+
+function normalizeOutput(output) {
+  return String(output).replace(/\r\n/g, '\n');
+}
+
+function invalid(errors) {
+  const error = new Error(errors.join('; '));
+  error.validationErrors = errors;
+  return error;
+}
+
+// Golden-output regression tests stored on each template as `tests`.
+// A case renders a sample alert (sampleId, or an inline payload as
+// `alert`) and checks the output against any of:
+//   expected - the exact rendered output
+//   contains - substrings the output must include
+//   matches  - regular expressions the output must match
+class TemplateTests {
+  constructor() {
+    this.templateValidator = new TemplateValidator();
+    this.templatePartials = new TemplatePartials();
+    this.sampleAlerts = new SampleAlerts();
+  }
+
+  validateCase(testCase) {
+    const errors = [];
+    const label = testCase.name ? `Test "${testCase.name}"` : 'Test';
+
+    if (!testCase.name || !String(testCase.name).trim()) {
+      errors.push('Test name is required');
+    }
+    if (!testCase.sampleId && !testCase.alert) {
+      errors.push(`${label}: a sampleId or alert payload is required`);
+    } else if (!testCase.sampleId && !normalizeDatadogPayload(testCase.alert)) {
+      errors.push(`${label}: alert must be a Datadog JSON payload or notification text`);
+    }
+    if (testCase.expected === undefined && testCase.contains.length === 0 && testCase.matches.length === 0) {
+      errors.push(`${label}: expected, contains or matches is required`);
+    }
+    for (const pattern of testCase.matches) {
+      const problem = matchPatternProblem(pattern);
+      if (problem) errors.push(`${label}: ${problem}`);
+    }
+
+    return errors;
+  }
+
+  // Build a case from request data, keeping the ID and creation time of the
+  // case it replaces
+  build(data, existing = {}) {
+    const list = value => (Array.isArray(value) ? value : (value ? [value] : [])).map(String);
+    const testCase = {
+      id: existing.id || uuidv4(),
+      name: String(data.name !== undefined ? data.name : existing.name || '').trim(),
+      sampleId: data.sampleId !== undefined ? data.sampleId || null : existing.sampleId || null,
+      alert: data.alert !== undefined ? data.alert || null : existing.alert || null,
+      contains: list(data.contains !== undefined ? data.contains : existing.contains),
+      matches: list(data.matches !== undefined ? data.matches : existing.matches),
+      createdAt: existing.createdAt || moment().toISOString(),
+      updatedAt: moment().toISOString()
+    };
+
+    const expected = data.expected !== undefined ? data.expected : existing.expected;
+    if (expected !== undefined && expected !== null) {
+      testCase.expected = normalizeOutput(expected);
+    }
+    if (testCase.sampleId) {
+      delete testCase.alert;
+    } else {
+      delete testCase.sampleId;
+    }
+
+    return testCase;
+  }
+
+  async alertFor(testCase) {
+    if (testCase.sampleId) {
+      return this.sampleAlerts.resolve(testCase.sampleId);
+    }
+    return normalizeDatadogPayload(testCase.alert, TEST_NOW);
+  }
+
+  async render(template, testCase, partialOverrides = {}) {
+    const alertData = await this.alertFor(testCase);
+    if (!alertData) {
+      throw new Error(`Sample ${testCase.sampleId} does not exist`);
+    }
+
+    const settings = resolveRenderLocale(template, TEST_RENDER_LOCALE);
+    const context = this.templateValidator.contextFor(template.type || 'alert', alertData, { now: TEST_NOW, ...settings });
+    return normalizeOutput(await this.templateValidator.documentGenerator.render(template.content, context, partialOverrides, settings));
+  }
+
+  // Validate a case from request data. Without any assertion the current
+  // output is recorded as `expected`, which makes it a golden snapshot.
+  async prepare(template, data, existing = {}) {
+    const testCase = this.build(data, existing);
+    const record = data.record === true || (testCase.expected === undefined && testCase.contains.length === 0 && testCase.matches.length === 0);
+
+    if (record && (testCase.sampleId || testCase.alert)) {
+      try {
+        testCase.expected = await this.render(template, testCase);
+      } catch (error) {
+        throw invalid([`Test "${testCase.name}": cannot record output: ${error.message}`]);
+      }
+    }
+
+    const errors = this.validateCase(testCase);
+    if (errors.length > 0) throw invalid(errors);
+    return testCase;
+  }
+
+  async runCase(template, testCase, partialOverrides = {}) {
+    const result = { id: testCase.id, name: testCase.name, passed: false, failures: [], output: null };
+
+    try {
+      result.output = await this.render(template, testCase, partialOverrides);
+    } catch (error) {
+      result.failures.push({ type: 'render', message: `Render failed: ${error.message}` });
+      return result;
+    }
+
+    if (testCase.expected !== undefined && testCase.expected !== result.output) {
+      const changes = TemplateVersions.diffLines(testCase.expected, result.output);
+      result.failures.push({
+        type: 'expected',
+        message: 'Output differs from the expected output',
+        diff: TemplateVersions.unifiedDiff(changes, 'expected', 'actual')
+      });
+    }
+    for (const substring of testCase.contains || []) {
+      if (!result.output.includes(substring)) {
+        result.failures.push({ type: 'contains', message: `Output does not contain "${substring}"` });
+      }
+    }
+    for (const pattern of testCase.matches || []) {
+      // Cases saved before patterns were checked may still hold unsafe ones
+      const problem = matchPatternProblem(pattern);
+      if (problem) {
+        result.failures.push({ type: 'matches', message: problem });
+      } else if (!new RegExp(pattern, 'm').test(result.output)) {
+        result.failures.push({ type: 'matches', message: `Output does not match /${pattern}/` });
+      }
+    }
+
+    result.passed = result.failures.length === 0;
+    return result;
+  }
+
+  // Run a template's cases. `content` runs them against unsaved content.
+  async run(template, { content, type, partialOverrides = {} } = {}) {
+    const candidate = {
+      ...template,
+      content: content !== undefined ? content : template.content,
+      type: type || template.type
+    };
+    const results = [];
+    for (const testCase of template.tests || []) {
+      results.push(await this.runCase(candidate, testCase, partialOverrides));
+    }
+
+    const failed = results.filter(result => !result.passed).length;
+    return {
+      templateId: template.id,
+      templateName: template.name,
+      passed: failed === 0,
+      total: results.length,
+      failed,
+      results
+    };
+  }
+
+  // Tests a save would break: the template's own cases and, for a partial,
+  // the cases of every template that uses it, rendered with the new content
+  async checkSave(updatedTemplate) {
+    const reports = [];
+
+    if ((updatedTemplate.tests || []).length > 0) {
+      reports.push(await this.run(updatedTemplate));
+    }
+
+    if (this.templatePartials.isPartial(updatedTemplate)) {
+      const templates = await this.templatePartials.loadAll();
+      const { usedBy } = await this.templatePartials.dependencies(updatedTemplate);
+      const overrides = { [updatedTemplate.partialName]: updatedTemplate.content };
+
+      for (const user of usedBy) {
+        const template = templates.find(candidate => candidate.id === user.id);
+        if (template && (template.tests || []).length > 0) {
+          reports.push(await this.run(template, { partialOverrides: overrides }));
+        }
+      }
+    }
+
+    return {
+      passed: reports.every(report => report.passed),
+      reports
+    };
+  }
+
+  // Run the cases of every template that has any
+  async runAll(templateIds = []) {
+    const templates = (await this.templatePartials.loadAll())
+      .filter(template => templateIds.length === 0 || templateIds.includes(template.id))
+      .filter(template => (template.tests || []).length > 0)
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    const reports = [];
+    for (const template of templates) {
+      reports.push(await this.run(template));
+    }
+    return reports;
+  }
+}
+
+TemplateTests.TEST_NOW = TEST_NOW;
+
+module.exports = TemplateTests;
@@ -0,0 +1,281 @@
+const Handlebars = require('handlebars');
+const DocumentGenerator = require('./documentGenerator');
+const PostmortemBuilder = require('./postmortemBuilder');
+const TemplatePartials = require('./templatePartials');
+const SampleAlerts = require('./sampleAlerts');
+const { DATE_FORMAT, validateRenderLocale, resolveRenderLocale, localize } = require('./renderLocale');
+
+// Stands for context values whose shape is not known ahead of time (the
+// raw payload, empty objects and arrays); paths below it are not checked
+const ANY = Symbol('any');
+
+// Built-in helpers whose block body is rendered with a new context
+const CONTEXT_HELPERS = ['each', 'with'];
+
+function schemaOf(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? [schemaOf(value[0])] : ANY;
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    const keys = Object.keys(value);
+    if (keys.length === 0) return ANY;
+    return Object.fromEntries(keys.map(key => [key, schemaOf(value[key])]));
+  }
+  // Moment instances and other class instances are opaque
+  return value && typeof value === 'object' ? ANY : true;
+}
+
+// Line/column of a Handlebars parse or compile error, 1-based
+function errorLocation(error) {
+  if (error.lineNumber !== undefined) {
+    return { line: error.lineNumber, column: error.column + 1 };
+  }
+  const match = /^Parse error on line (\d+)/.exec(error.message);
+  const { yylloc } = Handlebars.Parser.lexer;
+  if (match && yylloc) {
+    return { line: Number(match[1]), column: yylloc.first_column + 1 };
+  }
+  return { line: match ? Number(match[1]) : null, column: null };
+}
+
+// Compiles templates without saving them: syntax errors with their
+// location, context paths that prepareTemplateContext does not provide,
+// partial problems that would block a save, and a sample render
+class TemplateValidator {
+  constructor() {
+    this.documentGenerator = new DocumentGenerator();
+    this.postmortemBuilder = new PostmortemBuilder();
+    this.templatePartials = new TemplatePartials();
+    this.sampleAlerts = new SampleAlerts();
+  }
+
+  // The context a template of this type renders with. `incidentAlerts`
+  // fills the incident section, so its paths are known to the checks;
+  // `now` pins the current time; `timezone` and `locale` default to the
+  // system's.
+  contextFor(type, alertData, { incidentAlerts = null, now = null, timezone = null, locale = null } = {}) {
+    const settings = resolveRenderLocale({ timezone, locale });
+
+    if (type === 'postmortem') {
+      const at = localize(now || undefined, settings);
+      const context = this.postmortemBuilder.prepareContext({
+        id: 'preview',
+        title: `Post-mortem: ${alertData.title}`,
+        status: 'draft',
+        createdAt: at.toISOString(),
+        updatedAt: at.toISOString(),
+        postmortem: { incident: {}, impact: {}, timeline: [], alerts: [], sections: {}, actionItems: [], owners: [] }
+      }, settings);
+      context.generated = { ...context.generated, at: at.toISOString(), formatted: at.format(DATE_FORMAT) };
+      return context;
+    }
+
+    if (!incidentAlerts) {
+      return this.documentGenerator.prepareTemplateContext(alertData, { now, ...settings });
+    }
+    return this.documentGenerator.prepareTemplateContext(alertData, {
+      now,
+      ...settings,
+      incident: {
+        id: 'preview',
+        title: alertData.title,
+        status: 'open',
+        groupedBy: {},
+        openedAt: alertData.timestamp,
+        lastAlertAt: alertData.timestamp,
+        resolvedAt: null,
+        durationSeconds: null,
+        alertCount: incidentAlerts.length
+      },
+      incidentAlerts
+    });
+  }
+
+  syntaxError(content) {
+    try {
+      return { ast: Handlebars.parse(content), error: null };
+    } catch (error) {
+      const message = error.message.split('\n')[0].replace(/:$/, '');
+      const detail = error.message.split('\n').slice(-1)[0];
+      return {
+        ast: null,
+        error: {
+          message: message === detail ? message : `${message}: ${detail}`,
+          ...errorLocation(error)
+        }
+      };
+    }
+  }
+
+  // Paths referenced by the template that do not exist in the context.
+  // Returns [{ path, message, line, column }], one per distinct path.
+  unknownPaths(ast, context) {
+    const warnings = new Map();
+    const root = schemaOf({ ...context, raw: {} });
+
+    const isHelper = node => node.params.length > 0 || Boolean(node.hash) ||
+      (node.path.type === 'PathExpression' && node.path.parts.length === 1 && Boolean(Handlebars.helpers[node.path.original]));
+
+    const lookup = (path, scopes, blockParams) => {
+      if (path.data) {
+        return path.parts[0] === 'root' ? { base: scopes[0], parts: path.parts.slice(1) } : null;
+      }
+      if (path.depth === 0 && path.parts.length > 0 && blockParams.has(path.parts[0])) {
+        return { base: blockParams.get(path.parts[0]), parts: path.parts.slice(1) };
+      }
+      const base = scopes[scopes.length - 1 - path.depth];
+      return base === undefined ? null : { base, parts: path.parts };
+    };
+
+    // Schema of the value a path points at; ANY once it leaves known ground
+    const resolve = (path, scopes, blockParams) => {
+      const found = lookup(path, scopes, blockParams);
+      if (!found) return ANY;
+
+      let node = found.base;
+      for (const part of found.parts) {
+        if (node === ANY) return ANY;
+        if (Array.isArray(node)) {
+          if (part === 'length') return true;
+          if (/^\d+$/.test(part)) {
+            node = node[0];
+            continue;
+          }
+        }
+        if (!node || typeof node !== 'object' || !Object.prototype.hasOwnProperty.call(node, part)) {
+          if (!warnings.has(path.original)) {
+            warnings.set(path.original, {
+              path: path.original,
+              message: `"${path.original}" is not in the template context`,
+              line: path.loc ? path.loc.start.line : null,
+              column: path.loc ? path.loc.start.column + 1 : null
+            });
+          }
+          return ANY;
+        }
+        node = node[part];
+      }
+      return node;
+    };
+
+    const visitParams = (node, scopes, blockParams) => {
+      for (const param of node.params || []) visit(param, scopes, blockParams);
+      for (const pair of node.hash ? node.hash.pairs : []) visit(pair.value, scopes, blockParams);
+    };
+
+    const visitProgram = (program, scopes, blockParams, scope, params = []) => {
+      if (!program) return;
+      const inner = new Map(blockParams);
+      (program.blockParams || []).forEach((name, index) => inner.set(name, params[index] === undefined ? ANY : params[index]));
+      for (const statement of program.body) {
+        visit(statement, scope === undefined ? scopes : [...scopes, scope], inner);
+      }
+    };
+
+    const visit = (node, scopes, blockParams) => {
+      switch (node.type) {
+        case 'Program':
+          visitProgram(node, scopes, blockParams);
+          break;
+        case 'PathExpression':
+          resolve(node, scopes, blockParams);
+          break;
+        case 'SubExpression':
+        case 'MustacheStatement':
+          if (node.type === 'SubExpression' || isHelper(node)) {
+            visitParams(node, scopes, blockParams);
+          } else {
+            visit(node.path, scopes, blockParams);
+          }
+          break;
+        case 'BlockStatement': {
+          const helper = node.path.original;
+          if (isHelper(node)) {
+            visitParams(node, scopes, blockParams);
+            if (CONTEXT_HELPERS.includes(helper) && node.params[0] && node.params[0].type === 'PathExpression') {
+              const value = resolve(node.params[0], scopes, blockParams);
+              const scope = helper === 'each' ? (Array.isArray(value) ? value[0] : ANY) : value;
+              visitProgram(node.program, scopes, blockParams, scope, [scope, true]);
+            } else if (CONTEXT_HELPERS.includes(helper)) {
+              visitProgram(node.program, scopes, blockParams, ANY, [ANY, ANY]);
+            } else {
+              visitProgram(node.program, scopes, blockParams);
+            }
+          } else {
+            // Section block ({{#alert}}…{{/alert}}): iterates arrays, enters objects
+            const value = resolve(node.path, scopes, blockParams);
+            const scope = Array.isArray(value) ? value[0] : (value && typeof value === 'object' ? value : undefined);
+            visitProgram(node.program, scopes, blockParams, scope);
+          }
+          visitProgram(node.inverse, scopes, blockParams);
+          break;
+        }
+        case 'PartialStatement':
+        case 'PartialBlockStatement':
+          visitParams(node, scopes, blockParams);
+          visitProgram(node.program, scopes, blockParams);
+          break;
+        default:
+          // Content, comments, literals and inline partial definitions
+          break;
+      }
+    };
+
+    visit(ast, [root], new Map());
+    return Array.from(warnings.values());
+  }
+
+  // Everything a save would check, plus context warnings.
+  // Template: { content, type, partialName, id } where id is set when
+  // validating an edit of a stored template. Context paths are checked
+  // against alertData (a normalized alert) or the default sample.
+  async validate(template, { alertData = null, existing = null } = {}) {
+    const type = template.type || 'alert';
+    const { ast, error } = this.syntaxError(String(template.content || ''));
+
+    if (error) {
+      return { valid: false, errors: [error], warnings: [], partials: [] };
+    }
+
+    const errors = validateRenderLocale(template).map(message => ({ message, line: null, column: null }));
+    let partials = [];
+    try {
+      partials = await this.templatePartials.validate({ ...template, type }, existing);
+    } catch (validationError) {
+      if (!validationError.validationErrors) throw validationError;
+      errors.push(...validationError.validationErrors.map(message => ({ message, line: null, column: null })));
+    }
+
+    const sample = alertData || (await this.sampleAlerts.resolve());
+    const warnings = this.unknownPaths(ast, this.contextFor(type, sample, { incidentAlerts: [sample] }));
+
+    return { valid: errors.length === 0, errors, warnings, partials };
+  }
+
+  // Validate, then render against alertData (a normalized alert) or the
+  // default sample, in the template's timezone and locale
+  async preview(template, { alertData = null, existing = null } = {}) {
+    const alert = alertData || (await this.sampleAlerts.resolve());
+    const validation = await this.validate(template, { alertData: alert, existing });
+
+    if (!validation.valid) {
+      return { ...validation, content: null };
+    }
+
+    try {
+      const settings = resolveRenderLocale(template);
+      const context = this.contextFor(template.type || 'alert', alert, settings);
+      const content = await this.documentGenerator.render(template.content, context, {}, settings);
+      return { ...validation, content };
+    } catch (error) {
+      return {
+        ...validation,
+        valid: false,
+        errors: [...validation.errors, { message: `Render failed: ${error.message}`, line: null, column: null }],
+        content: null
+      };
+    }
+  }
+}
+
+module.exports = TemplateValidator;
@@ -0,0 +1,202 @@
+const fs = require('fs-extra');
+const path = require('path');
+const moment = require('moment');
+
+// Template fields captured in every version
+const VERSIONED_FIELDS = ['name', 'description', 'category', 'type', 'partialName', 'format', 'timezone', 'locale', 'content'];
+
+// Above this many LCS cells (lines in one side times lines in the other,
+// after trimming the common start and end) the diff is not worth the
+// memory; the differing lines are then shown as removed and re-added.
+const DIFF_MAX_CELLS = parseInt(process.env.TEMPLATE_DIFF_MAX_CELLS, 10) || 4000000;
+
+// Line diff from the longest common subsequence of the two line lists.
+// Returns { changes, approximate } where changes are
+// [{ type: 'same' | 'added' | 'removed', line, from, to }] and from/to are
+// 1-based line numbers in each side.
+function lineDiff(fromText, toText) {
+  const a = String(fromText || '').split('\n');
+  const b = String(toText || '').split('\n');
+
+  // Edits are usually local, so only the middle needs the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const changes = [];
+  for (let k = 0; k < start; k++) {
+    changes.push({ type: 'same', line: a[k], from: k + 1, to: k + 1 });
+  }
+
+  const rows = endA - start;
+  const columns = endB - start;
+  const approximate = rows * columns > DIFF_MAX_CELLS;
+
+  if (approximate) {
+    for (let i = start; i < endA; i++) changes.push({ type: 'removed', line: a[i], from: i + 1 });
+    for (let j = start; j < endB; j++) changes.push({ type: 'added', line: b[j], to: j + 1 });
+  } else {
+    // lengths[i][j]: LCS length of a[start + i..endA) and b[start + j..endB)
+    const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(columns + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = columns - 1; j >= 0; j--) {
+        lengths[i][j] = a[start + i] === b[start + j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < columns) {
+      if (i < rows && j < columns && a[start + i] === b[start + j]) {
+        changes.push({ type: 'same', line: a[start + i], from: start + i + 1, to: start + j + 1 });
+        i++;
+        j++;
+      } else if (i < rows && (j === columns || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        changes.push({ type: 'removed', line: a[start + i], from: start + i + 1 });
+        i++;
+      } else {
+        changes.push({ type: 'added', line: b[start + j], to: start + j + 1 });
+        j++;
+      }
+    }
+  }
+
+  for (let k = 0; k < a.length - endA; k++) {
+    changes.push({ type: 'same', line: a[endA + k], from: endA + k + 1, to: endB + k + 1 });
+  }
+
+  return { changes, approximate };
+}
+
+function diffLines(fromText, toText) {
+  return lineDiff(fromText, toText).changes;
+}
+
+function unifiedDiff(changes, fromLabel, toLabel) {
+  const prefix = { same: ' ', added: '+', removed: '-' };
+  return [`--- ${fromLabel}`, `+++ ${toLabel}`, ...changes.map(change => `${prefix[change.type]}${change.line}`)].join('\n');
+}
+
+// Immutable snapshots of every template save, stored as
+// data/templates/versions/<templateId>/<version>.json
+class TemplateVersions {
+  constructor(versionsDir = path.join(__dirname, '../../data/templates/versions')) {
+    this.versionsDir = versionsDir;
+  }
+
+  templateDir(templateId) {
+    return path.join(this.versionsDir, templateId);
+  }
+
+  versionPath(templateId, version) {
+    return path.join(this.templateDir(templateId), `${version}.json`);
+  }
+
+  // Version summaries, newest first
+  async list(templateId) {
+    const templateDir = this.templateDir(templateId);
+    if (!(await fs.pathExists(templateDir))) {
+      return [];
+    }
+
+    const versions = [];
+    for (const file of await fs.readdir(templateDir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const { content, ...summary } = await fs.readJson(path.join(templateDir, file));
+        versions.push({ ...summary, lines: content.split('\n').length });
+      } catch (error) {
+        console.warn(`Failed to read template version ${templateId}/${file}:`, error.message);
+      }
+    }
+
+    return versions.sort((a, b) => b.version - a.version);
+  }
+
+  async get(templateId, version) {
+    const versionPath = this.versionPath(templateId, Number(version));
+    if (!Number.isInteger(Number(version)) || !(await fs.pathExists(versionPath))) {
+      return null;
+    }
+    return fs.readJson(versionPath);
+  }
+
+  // Snapshot the template as its next version and stamp `version` on it.
+  // Templates saved before versioning have no history until their next
+  // save, which records their old state first via ensureInitialVersion().
+  async record(template, { reason = 'update', restoredFrom = null } = {}) {
+    const existing = await this.list(template.id);
+    const version = existing.length > 0 ? existing[0].version + 1 : 1;
+
+    const snapshot = {
+      templateId: template.id,
+      version,
+      reason,
+      restoredFrom,
+      createdAt: moment().toISOString()
+    };
+    for (const field of VERSIONED_FIELDS) {
+      snapshot[field] = template[field] !== undefined ? template[field] : null;
+    }
+
+    // Versions are never rewritten, so refuse to overwrite one
+    await fs.ensureDir(this.templateDir(template.id));
+    await fs.writeJson(this.versionPath(template.id, version), snapshot, { spaces: 2, flag: 'wx' });
+
+    template.version = version;
+    return snapshot;
+  }
+
+  async ensureInitialVersion(template) {
+    const existing = await this.list(template.id);
+    if (existing.length === 0) {
+      await this.record(template, { reason: 'initial' });
+    }
+  }
+
+  changed(template, changes) {
+    // Fields added later (e.g. timezone) are missing from older templates
+    return VERSIONED_FIELDS.some(field => changes[field] !== undefined && changes[field] !== (template[field] ?? null));
+  }
+
+  async diff(templateId, fromVersion, toVersion) {
+    const [from, to] = await Promise.all([this.get(templateId, fromVersion), this.get(templateId, toVersion)]);
+    if (!from || !to) {
+      return null;
+    }
+
+    const { changes, approximate } = lineDiff(from.content, to.content);
+    const fields = VERSIONED_FIELDS
+      .filter(field => field !== 'content' && from[field] !== to[field])
+      .map(field => ({ field, from: from[field], to: to[field] }));
+
+    return {
+      from: from.version,
+      to: to.version,
+      stats: {
+        added: changes.filter(change => change.type === 'added').length,
+        removed: changes.filter(change => change.type === 'removed').length
+      },
+      fields,
+      approximate,
+      changes,
+      unified: unifiedDiff(changes, `v${from.version}`, `v${to.version}`)
+    };
+  }
+
+  async removeAll(templateId) {
+    await fs.remove(this.templateDir(templateId));
+  }
+}
+
+TemplateVersions.diffLines = diffLines;
+TemplateVersions.unifiedDiff = unifiedDiff;
+
+module.exports = TemplateVersions;
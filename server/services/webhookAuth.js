@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+
+// Shared inbound webhook authentication used by both the Express router and
+// the Netlify webhook function, so the two deployments accept and reject
+// exactly the same requests.
+
+function parseList(value) {
+  if (!value) return [];
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function loadWebhookAuthConfig(env = process.env) {
+  return {
+    sharedSecret: env.WEBHOOK_SHARED_SECRET || '',
+    sharedSecretHeader: (env.WEBHOOK_SECRET_HEADER || 'x-webhook-secret').toLowerCase(),
+    signingSecret: env.WEBHOOK_SIGNING_SECRET || '',
+    signatureHeader: (env.WEBHOOK_SIGNATURE_HEADER || 'x-webhook-signature').toLowerCase(),
+    timestampHeader: (env.WEBHOOK_TIMESTAMP_HEADER || 'x-webhook-timestamp').toLowerCase(),
+    toleranceSeconds: parseInt(env.WEBHOOK_TOLERANCE_SECONDS, 10) || 300,
+    ipAllowlist: parseList(env.WEBHOOK_IP_ALLOWLIST)
+  };
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  if (bufferA.length !== bufferB.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function normalizeIp(ip) {
+  if (!ip) return '';
+  // IPv4 clients arrive as IPv4-mapped IPv6 addresses on dual-stack sockets
+  return ip.trim().replace(/^::ffff:/, '');
+}
+
+function ipv4ToInt(ip) {
+  const parts = ip.split('.');
+  if (parts.length !== 4) return null;
+
+  let value = 0;
+  for (const part of parts) {
+    const octet = Number(part);
+    if (!Number.isInteger(octet) || octet < 0 || octet > 255) return null;
+    value = (value * 256) + octet;
+  }
+  return value;
+}
+
+function ipMatches(ip, entry) {
+  if (!entry.includes('/')) {
+    return normalizeIp(entry) === ip;
+  }
+
+  const [range, bits] = entry.split('/');
+  const prefix = parseInt(bits, 10);
+  const ipValue = ipv4ToInt(ip);
+  const rangeValue = ipv4ToInt(range);
+
+  if (ipValue === null || rangeValue === null || isNaN(prefix) || prefix < 0 || prefix > 32) {
+    return false;
+  }
+
+  const blockSize = Math.pow(2, 32 - prefix);
+  return Math.floor(ipValue / blockSize) === Math.floor(rangeValue / blockSize);
+}
+
+class WebhookAuthenticator {
+  constructor(config = loadWebhookAuthConfig()) {
+    this.config = config;
+    this.seenSignatures = new Map();
+    this.stats = {
+      accepted: 0,
+      rejected: 0,
+      rejectionsByReason: {},
+      lastRejection: null
+    };
+
+    if (!this.isEnabled()) {
+      console.warn('⚠️  Webhook authentication is disabled; set WEBHOOK_SHARED_SECRET, WEBHOOK_SIGNING_SECRET or WEBHOOK_IP_ALLOWLIST to enable it');
+    }
+  }
+
+  isEnabled() {
+    const { sharedSecret, signingSecret, ipAllowlist } = this.config;
+    return Boolean(sharedSecret || signingSecret || ipAllowlist.length > 0);
+  }
+
+  // Verify an inbound webhook request. `headers` may use any casing,
+  // `rawBody` must be the exact bytes received (string or Buffer).
+  verify({ headers = {}, rawBody = '', ip = '' }) {
+    const normalizedHeaders = {};
+    for (const [key, value] of Object.entries(headers)) {
+      normalizedHeaders[key.toLowerCase()] = Array.isArray(value) ? value[0] : value;
+    }
+
+    const clientIp = normalizeIp(ip);
+    const result = this.check(normalizedHeaders, rawBody, clientIp);
+
+    if (result.ok) {
+      this.stats.accepted++;
+    } else {
+      this.recordRejection(result, clientIp);
+    }
+
+    return result;
+  }
+
+  check(headers, rawBody, ip) {
+    const { sharedSecret, sharedSecretHeader, signingSecret, ipAllowlist } = this.config;
+
+    if (ipAllowlist.length > 0 && !ipAllowlist.some(entry => ipMatches(ip, entry))) {
+      return { ok: false, status: 403, reason: 'ip_not_allowed', message: `Source IP ${ip || 'unknown'} is not in the webhook allowlist` };
+    }
+
+    if (sharedSecret) {
+      const providedSecret = headers[sharedSecretHeader];
+      if (!providedSecret) {
+        return { ok: false, status: 401, reason: 'missing_shared_secret', message: `Missing ${sharedSecretHeader} header` };
+      }
+      if (!safeEqual(providedSecret, sharedSecret)) {
+        return { ok: false, status: 401, reason: 'invalid_shared_secret', message: 'Shared secret does not match' };
+      }
+    }
+
+    if (signingSecret) {
+      return this.checkSignature(headers, rawBody);
+    }
+
+    return { ok: true };
+  }
+
+  checkSignature(headers, rawBody) {
+    const { signingSecret, signatureHeader, timestampHeader, toleranceSeconds } = this.config;
+
+    const signatureValue = headers[signatureHeader];
+    const timestampValue = headers[timestampHeader];
+
+    if (!signatureValue || !timestampValue) {
+      return { ok: false, status: 401, reason: 'missing_signature', message: `Missing ${signatureHeader} or ${timestampHeader} header` };
+    }
+
+    const timestamp = parseInt(timestampValue, 10);
+    const now = Math.floor(Date.now() / 1000);
+    if (isNaN(timestamp) || Math.abs(now - timestamp) > toleranceSeconds) {
+      return { ok: false, status: 401, reason: 'stale_timestamp', message: `Signature timestamp is outside the ${toleranceSeconds}s tolerance window` };
+    }
+
+    // Signature is HMAC-SHA256 over "<timestamp>.<raw body>", hex encoded,
+    // optionally prefixed with "sha256="
+    const signature = signatureValue.replace(/^sha256=/, '');
+    const expected = crypto
+      .createHmac('sha256', signingSecret)
+      .update(`${timestamp}.`)
+      .update(Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(rawBody || ''))
+      .digest('hex');
+
+    if (!safeEqual(signature, expected)) {
+      return { ok: false, status: 401, reason: 'invalid_signature', message: 'Webhook signature does not match' };
+    }
+
+    this.pruneSeenSignatures(now);
+    if (this.seenSignatures.has(signature)) {
+      return { ok: false, status: 401, reason: 'replayed_request', message: 'Webhook signature has already been used' };
+    }
+    this.seenSignatures.set(signature, timestamp + toleranceSeconds);
+
+    return { ok: true };
+  }
+
+  pruneSeenSignatures(now) {
+    for (const [signature, expiresAt] of this.seenSignatures) {
+      if (expiresAt < now) {
+        this.seenSignatures.delete(signature);
+      }
+    }
+  }
+
+  recordRejection(result, ip) {
+    this.stats.rejected++;
+    this.stats.rejectionsByReason[result.reason] = (this.stats.rejectionsByReason[result.reason] || 0) + 1;
+    this.stats.lastRejection = {
+      reason: result.reason,
+      ip: ip || 'unknown',
+      at: new Date().toISOString()
+    };
+
+    console.warn(`🚫 Rejected webhook from ${ip || 'unknown'}: ${result.reason} (${result.message})`);
+  }
+
+  getStats() {
+    return {
+      enabled: this.isEnabled(),
+      methods: {
+        sharedSecret: Boolean(this.config.sharedSecret),
+        signature: Boolean(this.config.signingSecret),
+        ipAllowlist: this.config.ipAllowlist.length > 0
+      },
+      ...this.stats,
+      rejectionsByReason: { ...this.stats.rejectionsByReason }
+    };
+  }
+}
+
+module.exports = WebhookAuthenticator;
+module.exports.loadWebhookAuthConfig = loadWebhookAuthConfig;